@@ -3,6 +3,29 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import {
+  addBalanceChanges,
+  applyBalanceChanges,
+  getAccountTotals,
+  getBalanceHistory,
+  getDailyTotals,
+  getPendingTotals,
+  getRunningBalances,
+} from "@/lib/balance";
+import { getAccountDetails } from "@/lib/accounts";
+import { accountUpdateSchema } from "@/app/lib/schema";
+import { getClearedHistory, isReconciled } from "@/lib/reconciliation";
+import { getCategoryLookup } from "@/lib/categories";
+import {
+  TRANSACTION_PAGE_SIZE,
+  getCategoryOrder,
+  getTransactionOrderBy,
+  getTransactionWhere,
+  parseTransactionQuery,
+} from "@/lib/transaction-query";
+import { tagSelect } from "@/lib/tags";
+import { removeReceipts } from "@/lib/storage";
+import { auditInclude, recordAudit } from "@/lib/audit";
 
 const serializeDecimal = (obj) => {
   const serialized = { ...obj };
@@ -12,10 +35,114 @@ const serializeDecimal = (obj) => {
   if (obj.amount) {
     serialized.amount = obj.amount.toNumber();
   }
+  // Type-specific account details, reconciliation and foreign-currency amounts
+  for (const field of [
+    "openingBalance",
+    "balanceDrift",
+    "creditLimit",
+    "principal",
+    "interestRate",
+    "originalAmount",
+    "transferAmount",
+  ]) {
+    if (obj[field]) {
+      serialized[field] = obj[field].toNumber();
+    }
+  }
+  // Category lines of split transactions
+  if (obj.splits) {
+    serialized.splits = obj.splits.map(serializeDecimal);
+  }
   return serialized;
 };
 
-export async function getAccountWithTransactions(accountId) {
+const pageInclude = {
+  account: { select: { name: true } },
+  transferAccount: { select: { name: true } },
+  splits: { orderBy: { createdAt: "asc" } },
+  tags: tagSelect,
+  payee: { select: { id: true, name: true } },
+};
+
+// Categories sort by the names the user sees, which the database doesn't
+// know, so a category-sorted page is read one category at a time: those with
+// matching transactions in name order, starting from the cursor's
+async function findManyByCategory(where, query, { cursor, reverse, take }) {
+  const [groups, categories, cursorRow] = await Promise.all([
+    db.transaction.groupBy({ by: ["category"], where }),
+    db.category.findMany({ where: { userId: where.userId } }),
+    cursor &&
+      db.transaction.findFirst({
+        where: { ...where, id: cursor },
+        select: { category: true },
+      }),
+  ]);
+
+  if (cursor && !cursorRow) return [];
+
+  const keys = getCategoryOrder(
+    groups.map((group) => group.category),
+    getCategoryLookup(categories),
+    query
+  );
+  if (reverse) keys.reverse();
+
+  const start = cursor ? keys.indexOf(cursorRow.category) : 0;
+  const rows = [];
+  for (let i = start; i < keys.length && rows.length < take; i++) {
+    rows.push(
+      ...(await db.transaction.findMany({
+        where: { ...where, category: keys[i] },
+        include: pageInclude,
+        orderBy: getTransactionOrderBy(query, { reverse }),
+        ...(cursor && i === start && { cursor: { id: cursor }, skip: 1 }),
+        take: take - rows.length,
+      }))
+    );
+  }
+
+  return rows;
+}
+
+// One page of the account's transactions in the query's order: the page
+// after (or before) the cursor transaction, or the first page. An extra row
+// is read to tell whether there is another page in that direction.
+async function getTransactionPage(where, query) {
+  const backward = Boolean(query.before) && !query.after;
+  const cursor = backward ? query.before : query.after;
+
+  const rows =
+    query.sort === "category"
+      ? await findManyByCategory(where, query, {
+          cursor,
+          reverse: backward,
+          take: TRANSACTION_PAGE_SIZE + 1,
+        })
+      : await db.transaction.findMany({
+          where,
+          include: pageInclude,
+          orderBy: getTransactionOrderBy(query, { reverse: backward }),
+          ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+          take: TRANSACTION_PAGE_SIZE + 1,
+        });
+
+  // A cursor that no longer matches (deleted, or filtered out) starts over
+  if (cursor && rows.length === 0) {
+    return getTransactionPage(where, { ...query, after: "", before: "" });
+  }
+
+  const hasMore = rows.length > TRANSACTION_PAGE_SIZE;
+  const transactions = rows.slice(0, TRANSACTION_PAGE_SIZE);
+
+  return backward
+    ? { transactions: transactions.reverse(), hasPrev: hasMore, hasNext: true }
+    : { transactions, hasPrev: Boolean(cursor), hasNext: hasMore };
+}
+
+export async function getAccountWithTransactions(
+  accountId,
+  query = parseTransactionQuery()
+) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -31,20 +158,71 @@ export async function getAccountWithTransactions(accountId) {
       userId: user.id,
     },
     include: {
-      transactions: {
-        orderBy: { date: "desc" },
-      },
+      // Relation counts aren't filtered like queries; leave out the trash
       _count: {
-        select: { transactions: true },
+        select: {
+          transactions: { where: { deletedAt: null } },
+          incomingTransfers: { where: { deletedAt: null } },
+        },
+      },
+      reconciliations: {
+        orderBy: [{ statementDate: "desc" }, { createdAt: "desc" }],
+        take: 1,
       },
     },
   });
 
   if (!account) return null;
 
+  // Include transfers into this account alongside its own transactions
+  const accountWhere = {
+    userId: user.id,
+    OR: [{ accountId }, { transferAccountId: accountId }],
+  };
+
+  const where = { ...accountWhere, ...getTransactionWhere(query) };
+  const [total, page, totals] = await Promise.all([
+    db.transaction.count({ where }),
+    getTransactionPage(where, query),
+    // Per-day sums for the balance line, chart, pending and cleared totals
+    getAccountTotals(db, accountId),
+  ]);
+
+  const {
+    reconciliations: [lastReconciliation],
+    ...accountData
+  } = account;
+
+  // Computed here from date order so the table's running balance holds under
+  // any sort or filter
+  const runningBalances = await getRunningBalances(
+    db,
+    account,
+    page.transactions,
+    totals
+  );
+
   return {
-    ...serializeDecimal(account),
-    transactions: account.transactions.map(serializeDecimal),
+    ...serializeDecimal(accountData),
+    lastReconciliation: lastReconciliation
+      ? {
+          ...lastReconciliation,
+          statementBalance: lastReconciliation.statementBalance.toNumber(),
+        }
+      : null,
+    balanceHistory: getBalanceHistory(account.openingBalance, totals),
+    pending: getPendingTotals(totals),
+    dailyTotals: getDailyTotals(totals),
+    clearedHistory: getClearedHistory(totals, account.openingBalance),
+    transactions: page.transactions.map((transaction) => ({
+      ...serializeDecimal(transaction),
+      runningBalance: runningBalances[transaction.id],
+    })),
+    pageInfo: {
+      total,
+      prevCursor: page.hasPrev ? page.transactions[0].id : null,
+      nextCursor: page.hasNext ? page.transactions.at(-1).id : null,
+    },
   };
 }
 
@@ -65,47 +243,50 @@ export async function bulkDeleteTransactions(transactionIds) {
         id: { in: transactionIds },
         userId: user.id,
       },
+      include: auditInclude,
     });
 
-    // Group transactions by account to update balances
-    const accountBalanceChanges = transactions.reduce((acc, transaction) => {
-      const change =
-        transaction.type === "EXPENSE"
-          ? transaction.amount
-          : -transaction.amount;
-      acc[transaction.accountId] = (acc[transaction.accountId] || 0) + change;
-      return acc;
-    }, {});
+    if (transactions.some(isReconciled)) {
+      throw new Error(
+        "Reconciled transactions can't be deleted; undo the reconciliation first"
+      );
+    }
 
-    // Delete transactions and update account balances in a transaction
+    // Group reverted balance changes by account (transfers touch two accounts)
+    const accountBalanceChanges = transactions.reduce(
+      (acc, transaction) => addBalanceChanges(acc, transaction, -1),
+      {}
+    );
+
+    // Move transactions to the trash and update account balances in a
+    // transaction. Receipts are kept until the trash is purged.
     await db.$transaction(async (tx) => {
-      // Delete transactions
-      await tx.transaction.deleteMany({
+      await tx.transaction.updateMany({
         where: {
-          id: { in: transactionIds },
+          id: { in: transactions.map((t) => t.id) },
           userId: user.id,
         },
+        data: { deletedAt: new Date() },
       });
 
       // Update account balances
-      for (const [accountId, balanceChange] of Object.entries(
-        accountBalanceChanges
-      )) {
-        await tx.account.update({
-          where: { id: accountId },
-          data: {
-            balance: {
-              increment: balanceChange,
-            },
-          },
-        });
-      }
+      await applyBalanceChanges(tx, accountBalanceChanges);
+
+      await recordAudit(
+        tx,
+        { source: "LIST", actorId: user.id },
+        transactions.map((transaction) => ({
+          action: "DELETE",
+          before: transaction,
+        }))
+      );
     });
 
     revalidatePath("/dashboard");
     revalidatePath("/account/[id]");
+    revalidatePath("/trash");
 
-    return { success: true };
+    return { success: true, data: { ids: transactions.map((t) => t.id) } };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -124,6 +305,18 @@ export async function updateDefaultAccount(accountId) {
       throw new Error("User not found");
     }
 
+    const target = await db.account.findUnique({
+      where: {
+        id: accountId,
+        userId: user.id,
+      },
+    });
+
+    if (!target) throw new Error("Account not found");
+    if (target.isArchived) {
+      throw new Error("Archived accounts cannot be the default account");
+    }
+
     // First, unset any existing default account
     await db.account.updateMany({
       where: {
@@ -143,8 +336,257 @@ export async function updateDefaultAccount(accountId) {
     });
 
     revalidatePath("/dashboard");
-    return { success: true, data: serializeTransaction(account) };
+    return { success: true, data: serializeDecimal(account) };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
+
+export async function updateAccount(accountId, data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const result = accountUpdateSchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.errors[0].message);
+    const { name, type } = result.data;
+
+    const existing = await db.account.findUnique({
+      where: {
+        id: accountId,
+        userId: user.id,
+      },
+    });
+
+    if (!existing) throw new Error("Account not found");
+
+    // The balance and opening balance stay as they are when the type changes,
+    // even between an asset and a liability: flipping their sign would turn
+    // what's owed into money held
+    const account = await db.account.update({
+      where: { id: accountId },
+      data: {
+        name,
+        type,
+        ...getAccountDetails(result.data),
+      },
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${accountId}`);
+    return { success: true, data: serializeDecimal(account) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function archiveAccount(accountId, isArchived = true) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const account = await db.account.findUnique({
+      where: {
+        id: accountId,
+        userId: user.id,
+      },
+    });
+
+    if (!account) throw new Error("Account not found");
+
+    // The default account is used for budgets, so it has to stay active
+    if (isArchived && account.isDefault) {
+      throw new Error("Set another default account before archiving this one");
+    }
+
+    const updated = await db.account.update({
+      where: { id: accountId },
+      data: { isArchived },
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${accountId}`);
+    return { success: true, data: serializeDecimal(updated) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function deleteAccount(accountId, newDefaultAccountId) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const account = await db.account.findUnique({
+      where: {
+        id: accountId,
+        userId: user.id,
+      },
+    });
+
+    if (!account) throw new Error("Account not found");
+
+    // Deleting the default account requires choosing its replacement
+    let newDefaultAccount = null;
+    if (account.isDefault) {
+      const otherAccounts = await db.account.count({
+        where: { userId: user.id, id: { not: accountId }, isArchived: false },
+      });
+
+      if (otherAccounts > 0) {
+        if (!newDefaultAccountId || newDefaultAccountId === accountId) {
+          throw new Error("Select a new default account before deleting");
+        }
+
+        newDefaultAccount = await db.account.findUnique({
+          where: {
+            id: newDefaultAccountId,
+            userId: user.id,
+          },
+        });
+
+        if (!newDefaultAccount || newDefaultAccount.isArchived) {
+          throw new Error("Invalid new default account");
+        }
+      }
+    }
+
+    // Transfers with the other side in this account are deleted along with
+    // it, so the remaining side becomes plain income/expense to keep the
+    // other account's balance matching its transactions
+    const outgoingTransfers = await db.transaction.findMany({
+      where: {
+        accountId,
+        type: "TRANSFER",
+        transferAccountId: { not: accountId },
+      },
+      include: auditInclude,
+    });
+    const incomingTransfers = await db.transaction.findMany({
+      where: {
+        transferAccountId: accountId,
+        accountId: { not: accountId },
+      },
+      include: auditInclude,
+    });
+
+    // The account's own transactions go with it. Those in the trash already
+    // have their deletion in their trail.
+    const deleted = await db.transaction.findMany({
+      where: {
+        accountId,
+        id: { notIn: outgoingTransfers.map((transfer) => transfer.id) },
+      },
+      include: auditInclude,
+    });
+
+    // Receipts of the transactions deleted with the account, including those
+    // in the trash (transfers in the trash go with either account)
+    const receipts = await db.transaction.findMany({
+      where: {
+        OR: [
+          { accountId },
+          { transferAccountId: accountId, deletedAt: { not: null } },
+        ],
+        receiptUrl: { not: null },
+        id: { notIn: outgoingTransfers.map((transfer) => transfer.id) },
+        deletedAt: undefined,
+      },
+      select: { receiptUrl: true },
+    });
+
+    const toExpense = {
+      type: "EXPENSE",
+      category: "other-expense",
+      transferAccountId: null,
+      transferAmount: null,
+      transferCleared: false,
+      transferReconciliationId: null,
+    };
+
+    await db.$transaction(async (tx) => {
+      await tx.transaction.updateMany({
+        where: { id: { in: incomingTransfers.map((transfer) => transfer.id) } },
+        data: toExpense,
+      });
+
+      const converted = incomingTransfers.map((transfer) => ({
+        action: "UPDATE",
+        before: transfer,
+        after: { ...transfer, ...toExpense },
+      }));
+
+      for (const transfer of outgoingTransfers) {
+        const after = await tx.transaction.update({
+          where: { id: transfer.id },
+          data: {
+            type: "INCOME",
+            category: "other-income",
+            accountId: transfer.transferAccountId,
+            transferAccountId: null,
+            // The destination side's statement state moves with it
+            isCleared: transfer.transferCleared,
+            reconciliationId: transfer.transferReconciliationId,
+            transferCleared: false,
+            transferReconciliationId: null,
+            // Cross-currency transfers credited the converted amount
+            ...(transfer.transferAmount != null && {
+              amount: transfer.transferAmount,
+              originalAmount: transfer.amount,
+              originalCurrency: account.currency,
+              transferAmount: null,
+            }),
+          },
+          include: auditInclude,
+        });
+        converted.push({ action: "UPDATE", before: transfer, after });
+      }
+
+      // The converted side stays, so its trail records the change; trails
+      // outlive deleted transactions, so theirs record the deletion
+      await recordAudit(tx, { source: "ACCOUNT", actorId: user.id }, [
+        ...converted,
+        ...deleted.map((transaction) => ({
+          action: "DELETE",
+          before: transaction,
+        })),
+      ]);
+
+      if (newDefaultAccount) {
+        await tx.account.update({
+          where: { id: newDefaultAccount.id },
+          data: { isDefault: true },
+        });
+      }
+
+      await tx.account.delete({
+        where: { id: accountId },
+      });
+    });
+
+    await removeReceipts(receipts.map((t) => t.receiptUrl));
+
+    revalidatePath("/dashboard");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
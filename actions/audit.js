@@ -0,0 +1,114 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+
+const ACTIVITY_PAGE_SIZE = 50;
+
+const actorSelect = { select: { name: true, email: true } };
+
+// Entries with the actor's name, plus the names and currencies of the
+// accounts their snapshots mention, which may since have been renamed
+async function serializeEntries(userId, entries) {
+  const accountIds = new Set(
+    entries.flatMap((entry) =>
+      [entry.before, entry.after]
+        .filter(Boolean)
+        .flatMap((snapshot) => [snapshot.accountId, snapshot.transferAccountId])
+        .filter(Boolean)
+    )
+  );
+
+  const accounts = await db.account.findMany({
+    where: { id: { in: [...accountIds] }, userId },
+    select: { id: true, name: true, currency: true },
+  });
+
+  return {
+    accounts: Object.fromEntries(
+      accounts.map((account) => [account.id, account])
+    ),
+    entries: entries.map(({ actor, ...entry }) => ({
+      ...entry,
+      actor: actor ? actor.name || actor.email : null,
+    })),
+  };
+}
+
+// Every recorded change to one of the user's transactions, newest first.
+// The history is kept after the transaction is deleted.
+export async function getTransactionHistory(transactionId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const entries = await db.transactionAudit.findMany({
+    where: { transactionId, userId: user.id },
+    include: { actor: actorSelect },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return serializeEntries(user.id, entries);
+}
+
+// Changes to transactions on an account, newest first, a page at a time.
+// `cursor` is the id of the last entry already shown.
+export async function getAccountActivity(accountId, { cursor } = {}) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const account = await db.account.findUnique({
+    where: { id: accountId, userId: user.id },
+    select: { id: true, name: true, currency: true },
+  });
+
+  if (!account) return null;
+
+  const entries = await db.transactionAudit.findMany({
+    where: { userId: user.id, accountIds: { has: accountId } },
+    include: { actor: actorSelect },
+    // Entries written together share a createdAt, so ids break ties
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: ACTIVITY_PAGE_SIZE + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  });
+
+  const page = entries.slice(0, ACTIVITY_PAGE_SIZE);
+
+  // Only transactions still around (not deleted) can be opened
+  const existing = await db.transaction.findMany({
+    where: {
+      id: { in: [...new Set(page.map((entry) => entry.transactionId))] },
+      userId: user.id,
+    },
+    select: { id: true },
+  });
+  const existingIds = new Set(existing.map((transaction) => transaction.id));
+
+  const { accounts, entries: serialized } = await serializeEntries(
+    user.id,
+    page
+  );
+
+  return {
+    account,
+    accounts,
+    entries: serialized.map((entry) => ({
+      ...entry,
+      canOpen: existingIds.has(entry.transactionId),
+    })),
+    nextCursor:
+      entries.length > ACTIVITY_PAGE_SIZE ? page[page.length - 1].id : null,
+  };
+}
@@ -3,6 +3,7 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { getRateConverter } from "@/lib/exchange-rates";
 
 export async function getCurrentBudget(accountId) {
   try {
@@ -36,26 +37,38 @@ export async function getCurrentBudget(accountId) {
       0
     );
 
-    const expenses = await db.transaction.aggregate({
+    // Only completed expenses count, as for balances
+    const expenses = await db.transaction.findMany({
       where: {
         userId: user.id,
         type: "EXPENSE",
+        status: "COMPLETED",
         date: {
           gte: startOfMonth,
           lte: endOfMonth,
         },
         accountId,
       },
-      _sum: {
-        amount: true,
+      include: {
+        account: { select: { currency: true } },
       },
     });
 
+    // The budget is in the user's base currency
+    const { convert, missing } = await getRateConverter(
+      user.id,
+      user.baseCurrency
+    );
+    const currentExpenses = expenses.reduce(
+      (sum, t) => sum + (convert(t.amount, t.account.currency, t.date) ?? 0),
+      0
+    );
+
     return {
       budget: budget ? { ...budget, amount: budget.amount.toNumber() } : null,
-      currentExpenses: expenses._sum.amount
-        ? expenses._sum.amount.toNumber()
-        : 0,
+      currentExpenses,
+      currency: user.baseCurrency,
+      missingRates: [...missing],
     };
   } catch (error) {
     console.error("Error fetching budget:", error);
@@ -0,0 +1,276 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { categorySchema } from "@/app/lib/schema";
+import { defaultCategories } from "@/data/categories";
+import { toCategoryKey } from "@/lib/categories";
+
+const categoryOrder = [{ position: "asc" }, { createdAt: "asc" }];
+
+// A user's categories, seeded from the defaults the first time they're needed
+async function ensureCategories(userId) {
+  const categories = await db.category.findMany({
+    where: { userId },
+    orderBy: categoryOrder,
+  });
+  if (categories.length > 0) return categories;
+
+  await db.category.createMany({
+    data: defaultCategories.map((category, index) => ({
+      key: category.id,
+      name: category.name,
+      type: category.type,
+      color: category.color,
+      icon: category.icon,
+      subcategories: category.subcategories || [],
+      position: index,
+      userId,
+    })),
+    // Concurrent first loads may seed at the same time
+    skipDuplicates: true,
+  });
+
+  return db.category.findMany({
+    where: { userId },
+    orderBy: categoryOrder,
+  });
+}
+
+const parseSubcategories = (value = "") => [
+  ...new Set(
+    value
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean)
+  ),
+];
+
+function revalidateCategories() {
+  revalidatePath("/categories");
+  revalidatePath("/dashboard");
+  revalidatePath("/transaction/create");
+}
+
+// All of the user's categories, archived ones included so past transactions
+// still show their names and colors
+export async function getUserCategories() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return ensureCategories(user.id);
+}
+
+export async function createCategory(data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const result = categorySchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.errors[0].message);
+    const { name, type, color, icon, subcategories } = result.data;
+
+    const categories = await ensureCategories(user.id);
+
+    if (
+      categories.some(
+        (c) => c.type === type && c.name.toLowerCase() === name.toLowerCase()
+      )
+    ) {
+      throw new Error(`A category named "${name}" already exists`);
+    }
+
+    // Keys stay unique per user, archived categories included
+    const baseKey = toCategoryKey(name);
+    let key = baseKey;
+    for (let n = 2; categories.some((c) => c.key === key); n++) {
+      key = `${baseKey}-${n}`;
+    }
+
+    const category = await db.category.create({
+      data: {
+        key,
+        name,
+        type,
+        color,
+        icon,
+        subcategories: parseSubcategories(subcategories),
+        // Positions only matter among categories of the same type
+        position:
+          Math.max(
+            -1,
+            ...categories.filter((c) => c.type === type).map((c) => c.position)
+          ) + 1,
+        userId: user.id,
+      },
+    });
+
+    revalidateCategories();
+    return { success: true, data: category };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Renames, recolors or changes the icon or subcategories. The type and key
+// stay fixed, since transactions already refer to them.
+export async function updateCategory(id, data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const category = await db.category.findUnique({
+      where: { id, userId: user.id },
+    });
+
+    if (!category) throw new Error("Category not found");
+    if (category.type === "TRANSFER") {
+      throw new Error("The transfer category can't be changed");
+    }
+
+    const result = categorySchema.safeParse({ ...data, type: category.type });
+    if (!result.success) throw new Error(result.error.errors[0].message);
+    const { name, color, icon, subcategories } = result.data;
+
+    const duplicate = await db.category.findFirst({
+      where: {
+        userId: user.id,
+        type: category.type,
+        name: { equals: name, mode: "insensitive" },
+        id: { not: id },
+      },
+    });
+
+    if (duplicate) throw new Error(`A category named "${name}" already exists`);
+
+    const updated = await db.category.update({
+      where: { id },
+      data: {
+        name,
+        color,
+        icon,
+        subcategories: parseSubcategories(subcategories),
+      },
+    });
+
+    revalidateCategories();
+    return { success: true, data: updated };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Archived categories leave the pickers but keep labelling past transactions
+export async function setCategoryArchived(id, isArchived) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const category = await db.category.findUnique({
+      where: { id, userId: user.id },
+    });
+
+    if (!category) throw new Error("Category not found");
+    if (category.type === "TRANSFER") {
+      throw new Error("The transfer category can't be archived");
+    }
+
+    if (isArchived) {
+      const remaining = await db.category.count({
+        where: {
+          userId: user.id,
+          type: category.type,
+          isArchived: false,
+          id: { not: id },
+        },
+      });
+
+      if (remaining === 0) {
+        throw new Error(
+          `Keep at least one ${category.type.toLowerCase()} category`
+        );
+      }
+    }
+
+    const updated = await db.category.update({
+      where: { id },
+      data: { isArchived },
+    });
+
+    revalidateCategories();
+    return { success: true, data: updated };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Swaps a category with its neighbour of the same type
+export async function moveCategory(id, direction) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const category = await db.category.findUnique({
+      where: { id, userId: user.id },
+    });
+
+    if (!category) throw new Error("Category not found");
+
+    const siblings = (await ensureCategories(user.id)).filter(
+      (c) => c.type === category.type
+    );
+    const index = siblings.findIndex((c) => c.id === id);
+    const target = siblings[direction === "up" ? index - 1 : index + 1];
+    if (!target) return { success: true, data: category };
+
+    // Renumber the type's categories in their new order
+    const ordered = siblings.map((c) =>
+      c.id === id ? target : c.id === target.id ? category : c
+    );
+
+    await db.$transaction(
+      ordered.map((c, position) =>
+        db.category.update({
+          where: { id: c.id },
+          data: { position },
+        })
+      )
+    );
+
+    revalidateCategories();
+    return { success: true, data: category };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,168 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { parseExchangeRatesCsv } from "@/lib/currency";
+import { currencyCodes } from "@/data/currencies";
+
+const serializeRate = (rate) => ({
+  ...rate,
+  rate: rate.rate.toNumber(),
+});
+
+export async function getExchangeRates() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const rates = await db.exchangeRate.findMany({
+    where: { userId: user.id },
+    orderBy: [{ date: "desc" }, { fromCurrency: "asc" }],
+  });
+
+  return {
+    baseCurrency: user.baseCurrency,
+    rates: rates.map(serializeRate),
+  };
+}
+
+export async function updateBaseCurrency(currency) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    if (!currencyCodes.includes(currency)) {
+      throw new Error("Unsupported currency");
+    }
+
+    await db.user.update({
+      where: { id: user.id },
+      data: { baseCurrency: currency },
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/currencies");
+    return { success: true, data: { baseCurrency: currency } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function saveExchangeRate(data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const rate = await upsertRate(db, user.id, data);
+
+    revalidatePath("/dashboard");
+    revalidatePath("/currencies");
+    return { success: true, data: serializeRate(rate) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function deleteExchangeRate(id) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    await db.exchangeRate.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/currencies");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function importExchangeRates(csvText) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const { rates, errors } = parseExchangeRatesCsv(csvText || "");
+    if (rates.length === 0) {
+      throw new Error(errors[0] || "No exchange rates found in the file");
+    }
+
+    await db.$transaction(async (tx) => {
+      for (const rate of rates) {
+        await upsertRate(tx, user.id, rate);
+      }
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/currencies");
+    return { success: true, data: { imported: rates.length, errors } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Rates are unique per pair and date, so re-entering or re-importing a rate
+// replaces it
+async function upsertRate(client, userId, data) {
+  const fromCurrency = data.fromCurrency?.toUpperCase();
+  const toCurrency = data.toCurrency?.toUpperCase();
+  const rate = parseFloat(data.rate);
+  const date = new Date(data.date);
+  date.setHours(0, 0, 0, 0);
+
+  if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) {
+    throw new Error("Choose two different currencies");
+  }
+  if (isNaN(rate) || rate <= 0) {
+    throw new Error("Rate must be a positive number");
+  }
+  if (isNaN(date.getTime())) {
+    throw new Error("Invalid date");
+  }
+
+  return client.exchangeRate.upsert({
+    where: {
+      userId_fromCurrency_toCurrency_date: {
+        userId,
+        fromCurrency,
+        toCurrency,
+        date,
+      },
+    },
+    update: { rate },
+    create: { userId, fromCurrency, toCurrency, rate, date },
+  });
+}
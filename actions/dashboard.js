@@ -5,6 +5,10 @@ import { db } from "@/lib/prisma";
 import { request } from "@arcjet/next";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { getAccountDetails, isLiabilityAccount } from "@/lib/accounts";
+import { getRateConverter } from "@/lib/exchange-rates";
+import { accountSchema } from "@/app/lib/schema";
+import { currencyCodes } from "@/data/currencies";
 
 const serializeTransaction = (obj) => {
   const serialized = { ...obj };
@@ -14,6 +18,24 @@ const serializeTransaction = (obj) => {
   if (obj.amount) {
     serialized.amount = obj.amount.toNumber();
   }
+  // Type-specific account details, reconciliation and foreign-currency amounts
+  for (const field of [
+    "openingBalance",
+    "balanceDrift",
+    "creditLimit",
+    "principal",
+    "interestRate",
+    "originalAmount",
+    "transferAmount",
+  ]) {
+    if (obj[field]) {
+      serialized[field] = obj[field].toNumber();
+    }
+  }
+  // Category lines of split transactions
+  if (obj.splits) {
+    serialized.splits = obj.splits.map(serializeTransaction);
+  }
   return serialized;
 };
 
@@ -36,7 +58,8 @@ export async function getUserAccounts() {
       include: {
         _count: {
           select: {
-            transactions: true,
+            // Relation counts aren't filtered like queries; leave out the trash
+            transactions: { where: { deletedAt: null } },
           },
         },
       },
@@ -90,8 +113,16 @@ export async function createAccount(data) {
       throw new Error("User not found");
     }
 
+    const result = accountSchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.errors[0].message);
+    const fields = result.data;
+
+    if (fields.currency && !currencyCodes.includes(fields.currency)) {
+      throw new Error("Unsupported currency");
+    }
+
     // Convert balance to float before saving
-    const balanceFloat = parseFloat(data.balance);
+    const balanceFloat = parseFloat(fields.balance);
     if (isNaN(balanceFloat)) {
       throw new Error("Invalid balance amount");
     }
@@ -104,7 +135,7 @@ export async function createAccount(data) {
     // If it's the first account, make it default regardless of user input
     // If not, use the user's preference
     const shouldBeDefault =
-      existingAccounts.length === 0 ? true : data.isDefault;
+      existingAccounts.length === 0 ? true : fields.isDefault;
 
     // If this account should be default, unset other default accounts
     if (shouldBeDefault) {
@@ -114,11 +145,20 @@ export async function createAccount(data) {
       });
     }
 
+    // Credit cards and loans are entered as the amount owed
+    const balance = isLiabilityAccount(fields.type)
+      ? -Math.abs(balanceFloat)
+      : balanceFloat;
+
     // Create new account
     const account = await db.account.create({
       data: {
-        ...data,
-        balance: balanceFloat,
+        name: fields.name,
+        type: fields.type,
+        currency: fields.currency || user.baseCurrency,
+        balance,
+        openingBalance: balance, // reconciliation starts from here
+        ...getAccountDetails(fields),
         userId: user.id,
         isDefault: shouldBeDefault, // Override the isDefault based on our logic
       },
@@ -148,9 +188,45 @@ export async function getDashboardData() {
 
   // Get all user transactions
   const transactions = await db.transaction.findMany({
-    where: { userId: user.id },
+    where: { userId: user.id, status: { not: "FAILED" } },
+    include: {
+      splits: { orderBy: { createdAt: "asc" } },
+    },
     orderBy: { date: "desc" },
   });
 
   return transactions.map(serializeTransaction);
 }
+
+export async function getAccountTotals() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const accounts = await db.account.findMany({
+    where: { userId: user.id },
+  });
+
+  // Sum balances in the user's base currency at today's rates
+  const { convert, missing } = await getRateConverter(
+    user.id,
+    user.baseCurrency
+  );
+  const totalBalance = accounts.reduce(
+    (sum, account) => sum + (convert(account.balance, account.currency) ?? 0),
+    0
+  );
+
+  return {
+    currency: user.baseCurrency,
+    totalBalance,
+    missingRates: [...missing],
+  };
+}
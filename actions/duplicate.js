@@ -0,0 +1,183 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { addBalanceChanges, applyBalanceChanges } from "@/lib/balance";
+import { findDuplicatePairs, getPairKey } from "@/lib/duplicates";
+import { isReconciled } from "@/lib/reconciliation";
+import { auditInclude, recordAudit } from "@/lib/audit";
+
+const serializeTransaction = (transaction) => ({
+  id: transaction.id,
+  type: transaction.type,
+  amount: transaction.amount.toNumber(),
+  date: transaction.date,
+  description: transaction.description,
+  category: transaction.category,
+  status: transaction.status,
+  receiptUrl: transaction.receiptUrl,
+  payee: transaction.payee?.name ?? null,
+  tags: transaction.tags.map((tag) => tag.name),
+  itemCount: transaction._count.items,
+  isReconciled: isReconciled(transaction),
+  createdAt: transaction.createdAt,
+});
+
+// Pairs of an account's transactions that look like the same one entered
+// twice, leaving out pairs the user has kept as separate
+export async function getDuplicates(accountId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const account = await db.account.findUnique({
+    where: { id: accountId, userId: user.id },
+  });
+
+  if (!account) return null;
+
+  const [transactions, dismissed] = await Promise.all([
+    db.transaction.findMany({
+      where: { accountId, status: { not: "FAILED" } },
+      include: {
+        payee: { select: { name: true } },
+        tags: { select: { name: true } },
+        _count: { select: { items: true } },
+      },
+    }),
+    db.dismissedDuplicate.findMany({
+      where: { userId: user.id },
+      select: { pairKey: true },
+    }),
+  ]);
+
+  const pairs = findDuplicatePairs(
+    transactions,
+    new Set(dismissed.map((d) => d.pairKey))
+  );
+
+  return {
+    account: { id: account.id, name: account.name, currency: account.currency },
+    pairs: pairs.map((pair) => pair.map(serializeTransaction)),
+  };
+}
+
+// Keeps both transactions of a suggested pair, so it isn't suggested again
+export async function dismissDuplicate(firstId, secondId) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const count = await db.transaction.count({
+      where: { id: { in: [firstId, secondId] }, userId: user.id },
+    });
+
+    if (count !== 2) throw new Error("Transactions not found");
+
+    const pairKey = getPairKey(firstId, secondId);
+    await db.dismissedDuplicate.upsert({
+      where: { userId_pairKey: { userId: user.id, pairKey } },
+      create: { userId: user.id, pairKey },
+      update: {},
+    });
+
+    revalidatePath("/duplicates");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Merges a duplicate into the transaction kept: the kept one takes over the
+// duplicate's tags, and its description and payee where it has none of its
+// own. The duplicate then goes to the trash, with its balance effect
+// reverted, so the merge can be undone by restoring it; its receipt and
+// receipt items stay with it for that.
+export async function mergeDuplicates(keepId, removeId) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    if (keepId === removeId) throw new Error("Pick two transactions");
+
+    const [keep, remove] = await Promise.all(
+      [keepId, removeId].map((id) =>
+        db.transaction.findUnique({
+          where: { id, userId: user.id },
+          include: {
+            ...auditInclude,
+            tags: { select: { id: true, name: true } },
+          },
+        })
+      )
+    );
+
+    if (!keep || !remove) throw new Error("Transaction not found");
+
+    if (keep.accountId !== remove.accountId) {
+      throw new Error("Only transactions on the same account can be merged");
+    }
+
+    if (isReconciled(remove)) {
+      throw new Error(
+        "The duplicate is on a reconciled statement; keep it instead"
+      );
+    }
+
+    await db.$transaction(async (tx) => {
+      const kept = await tx.transaction.update({
+        where: { id: keep.id },
+        data: {
+          description: keep.description || remove.description,
+          payeeId: keep.payeeId ?? remove.payeeId,
+          tags: { connect: remove.tags.map(({ id }) => ({ id })) },
+        },
+        include: auditInclude,
+      });
+
+      await tx.transaction.update({
+        where: { id: remove.id },
+        data: { deletedAt: new Date() },
+      });
+
+      await applyBalanceChanges(tx, addBalanceChanges({}, remove, -1));
+
+      await recordAudit(tx, { source: "LIST", actorId: user.id }, [
+        { action: "UPDATE", before: keep, after: kept },
+        { action: "DELETE", before: remove },
+      ]);
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/duplicates");
+    revalidatePath("/trash");
+    for (const accountId of new Set([
+      remove.accountId,
+      remove.transferAccountId,
+    ])) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { id: keep.id, removedId: remove.id } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,142 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { endOfDay, format, startOfDay } from "date-fns";
+import { toCsv, toExportRow, toJson, toXlsx } from "@/lib/export";
+import { getCategoryLookup } from "@/lib/categories";
+import { tagSelect } from "@/lib/tags";
+import {
+  getCategoryOrder,
+  getTransactionOrderBy,
+  getTransactionWhere,
+} from "@/lib/transaction-query";
+
+const EXPORT_FORMATS = {
+  csv: { mimeType: "text/csv", encoding: "utf8" },
+  xlsx: {
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    encoding: "base64",
+  },
+  json: { mimeType: "application/json", encoding: "utf8" },
+};
+
+// Exports the user's transactions, or one account's, as CSV, XLSX or JSON.
+// Selected ids take precedence; otherwise the table's filters and an optional
+// date range narrow the export.
+export async function exportTransactions({
+  accountId,
+  ids = [],
+  filters = {},
+  sort,
+  from,
+  to,
+  format: fileFormat = "csv",
+}) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const exportFormat = EXPORT_FORMATS[fileFormat];
+    if (!exportFormat) throw new Error("Unsupported export format");
+
+    let account = null;
+    if (accountId) {
+      account = await db.account.findUnique({
+        where: { id: accountId, userId: user.id },
+      });
+
+      if (!account) throw new Error("Account not found");
+    }
+
+    const where = {
+      userId: user.id,
+      ...(account && {
+        OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+      }),
+    };
+
+    if (ids.length > 0) {
+      where.id = { in: ids };
+    } else {
+      Object.assign(where, getTransactionWhere(filters));
+      if (from || to) {
+        where.date = {
+          ...(from && { gte: startOfDay(new Date(from)) }),
+          ...(to && { lte: endOfDay(new Date(to)) }),
+        };
+      }
+    }
+
+    const transactions = await db.transaction.findMany({
+      where,
+      include: {
+        account: { select: { name: true, currency: true } },
+        transferAccount: { select: { name: true } },
+        splits: { orderBy: { createdAt: "asc" } },
+        tags: tagSelect,
+        payee: { select: { name: true } },
+      },
+      orderBy: getTransactionOrderBy({
+        sort: sort?.field,
+        direction: sort?.direction,
+      }),
+    });
+
+    if (transactions.length === 0) {
+      throw new Error("No transactions match this export");
+    }
+
+    const getCategory = getCategoryLookup(
+      await db.category.findMany({ where: { userId: user.id } })
+    );
+
+    // Category sorts follow the names, keeping the order within each
+    if (sort?.field === "category") {
+      const order = getCategoryOrder(
+        transactions.map((transaction) => transaction.category),
+        getCategory,
+        { direction: sort.direction }
+      );
+      transactions.sort(
+        (a, b) => order.indexOf(a.category) - order.indexOf(b.category)
+      );
+    }
+
+    const rows = transactions.map((transaction) =>
+      toExportRow(transaction, getCategory)
+    );
+    const content =
+      fileFormat === "xlsx"
+        ? toXlsx(rows).toString("base64")
+        : fileFormat === "json"
+          ? toJson(rows)
+          : toCsv(rows);
+
+    const name =
+      account?.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "transactions";
+
+    return {
+      success: true,
+      data: {
+        filename: `${name}-${format(new Date(), "yyyy-MM-dd")}.${fileFormat}`,
+        mimeType: exportFormat.mimeType,
+        encoding: exportFormat.encoding,
+        content,
+        count: rows.length,
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,265 @@
+"use server";
+
+import { randomUUID } from "crypto";
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { endOfDay, startOfDay } from "date-fns";
+import { transactionSchema } from "@/app/lib/schema";
+import { addBalanceChanges, applyBalanceChanges } from "@/lib/balance";
+import { findDuplicateRows } from "@/lib/import";
+import { applyRules, getActiveRules } from "@/lib/rules";
+import { upsertTags } from "@/lib/tags";
+import { matchPayee } from "@/lib/payees";
+import { findCategoryByKey } from "@/lib/categories";
+import { recordAudit } from "@/lib/audit";
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Transactions on the account within the rows' date span, to check the rows
+// against
+async function getExistingTransactions(accountId, rows) {
+  if (rows.length === 0) return [];
+
+  const times = rows.map((row) => new Date(row.date).getTime());
+
+  return db.transaction.findMany({
+    where: {
+      OR: [{ accountId }, { transferAccountId: accountId }],
+      date: {
+        gte: startOfDay(new Date(Math.min(...times))),
+        lte: endOfDay(new Date(Math.max(...times))),
+      },
+    },
+    select: {
+      type: true,
+      amount: true,
+      transferAmount: true,
+      accountId: true,
+      transferAccountId: true,
+      date: true,
+    },
+  });
+}
+
+// Indexes of rows whose import id (FITID or content hash) is already on the
+// account or repeats an earlier row, so re-importing a statement is a no-op.
+// Import ids in the trash count too; those transactions can be restored.
+async function findImportedRows(accountId, rows) {
+  const importIds = rows.map((row) => row.importId).filter(Boolean);
+  if (importIds.length === 0) return new Set();
+
+  const existing = await db.transaction.findMany({
+    where: { accountId, importId: { in: importIds }, deletedAt: undefined },
+    select: { importId: true },
+  });
+
+  const seen = new Set(existing.map((t) => t.importId));
+  const imported = new Set();
+  rows.forEach((row, index) => {
+    if (!row.importId) return;
+    if (seen.has(row.importId)) imported.add(index);
+    seen.add(row.importId);
+  });
+
+  return imported;
+}
+
+// Indexes of rows already imported and of rows that look like transactions
+// already on the account
+export async function findImportDuplicates(accountId, rows) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+
+    if (!account) throw new Error("Account not found");
+
+    if (rows.length === 0) {
+      return { success: true, data: { imported: [], duplicates: [] } };
+    }
+
+    const imported = await findImportedRows(accountId, rows);
+    const existing = await getExistingTransactions(accountId, rows);
+    const duplicates = findDuplicateRows(
+      rows.filter((_, index) => !imported.has(index)),
+      existing,
+      accountId
+    );
+
+    // Map duplicate indexes back to positions in the full list
+    const remaining = rows
+      .map((_, index) => index)
+      .filter((index) => !imported.has(index));
+
+    return {
+      success: true,
+      data: {
+        imported: [...imported],
+        duplicates: [...duplicates].map((index) => remaining[index]),
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Imports validated rows into the account in one database transaction,
+// skipping rows already imported (and likely duplicates unless asked not
+// to), and updates the balance once
+export async function importTransactions(
+  accountId,
+  rows,
+  skipDuplicates = true
+) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+
+    if (!account) throw new Error("Account not found");
+    if (account.isArchived) {
+      throw new Error("Restore this account before importing into it");
+    }
+
+    if (rows.length === 0) throw new Error("No rows to import");
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+    }
+
+    const categories = await db.category.findMany({
+      where: { userId: user.id },
+    });
+
+    const transactions = rows.map((row, index) => {
+      const result = transactionSchema.safeParse({
+        ...row,
+        date: new Date(row.date),
+        accountId,
+      });
+      if (!result.success || result.data.type === "TRANSFER") {
+        throw new Error(`Row ${index + 1} is not a valid transaction`);
+      }
+
+      const { type, amount, description, date, category } = result.data;
+      if (!findCategoryByKey(categories, type, category)) {
+        throw new Error(`Category not found for row ${index + 1}`);
+      }
+      return {
+        type,
+        amount: parseFloat(amount),
+        description,
+        date,
+        category,
+        accountId,
+        userId: user.id,
+        importId:
+          typeof row.importId === "string" ? row.importId.slice(0, 255) : null,
+      };
+    });
+
+    const imported = await findImportedRows(accountId, transactions);
+    const newTransactions = transactions.filter(
+      (_, index) => !imported.has(index)
+    );
+
+    const duplicates = skipDuplicates
+      ? findDuplicateRows(
+          newTransactions,
+          await getExistingTransactions(accountId, newTransactions),
+          accountId
+        )
+      : new Set();
+    // Rules run on what's actually imported, so duplicate checks still see
+    // the bank's own descriptions. Payees are matched from those too.
+    const rules = await getActiveRules(db, user.id);
+    const payees = await db.payee.findMany({ where: { userId: user.id } });
+    const existingTags = await db.tag.findMany({ where: { userId: user.id } });
+    const toImport = newTransactions
+      .filter((_, index) => !duplicates.has(index))
+      .map((transaction) => ({
+        ...applyRules(rules, transaction, existingTags),
+        payeeId: matchPayee(payees, transaction.description)?.id ?? null,
+      }));
+
+    const balanceChanges = toImport.reduce(
+      (acc, transaction) => addBalanceChanges(acc, transaction),
+      {}
+    );
+
+    if (toImport.length === 0) {
+      throw new Error("Everything in this file is already on the account");
+    }
+
+    // Ids are assigned up front so tags from the rules can be linked with
+    // one write per tag after the bulk insert
+    const newRows = toImport.map((transaction) => ({
+      ...transaction,
+      id: randomUUID(),
+    }));
+    const tagNames = [...new Set(newRows.flatMap((row) => row.tags))];
+
+    await db.$transaction(async (tx) => {
+      await tx.transaction.createMany({
+        data: newRows.map((row) => ({ ...row, tags: undefined })),
+      });
+
+      for (const tag of await upsertTags(tx, user.id, tagNames)) {
+        await tx.tag.update({
+          where: { id: tag.id },
+          data: {
+            transactions: {
+              connect: newRows
+                .filter((row) => row.tags.includes(tag.name))
+                .map((row) => ({ id: row.id })),
+            },
+          },
+        });
+      }
+
+      await applyBalanceChanges(tx, balanceChanges);
+
+      await recordAudit(
+        tx,
+        { source: "IMPORT", actorId: user.id },
+        newRows.map((row) => ({
+          action: "CREATE",
+          after: {
+            ...row,
+            payee: payees.find((payee) => payee.id === row.payeeId),
+          },
+        }))
+      );
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${account.id}`);
+    return {
+      success: true,
+      data: {
+        imported: toImport.length,
+        skipped: imported.size + duplicates.size,
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
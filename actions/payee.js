@@ -0,0 +1,399 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { format } from "date-fns";
+import { payeeSchema } from "@/app/lib/schema";
+import { getRateConverter } from "@/lib/exchange-rates";
+import { matchPayee } from "@/lib/payees";
+import { auditInclude, recordAudit } from "@/lib/audit";
+
+const parseAliases = (value = "") => [
+  ...new Set(
+    value
+      .split(",")
+      .map((alias) => alias.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+function revalidatePayees() {
+  revalidatePath("/payees");
+  revalidatePath("/dashboard");
+}
+
+// Fails if another of the user's payees already has the name
+async function checkNameFree(userId, name, id = null) {
+  const duplicate = await db.payee.findFirst({
+    where: {
+      userId,
+      name: { equals: name, mode: "insensitive" },
+      ...(id && { id: { not: id } }),
+    },
+  });
+
+  if (duplicate) throw new Error(`${duplicate.name} already exists`);
+}
+
+// Audit changes for transactions moving to the payee
+const toPayeeChanges = (transactions, payee) =>
+  transactions.map((transaction) => ({
+    action: "UPDATE",
+    before: transaction,
+    after: { ...transaction, payeeId: payee.id, payee },
+  }));
+
+// Assigns the payee to existing transactions without one whose description
+// it now matches, recording the change in their history. Payees don't affect
+// balances, so reconciled transactions are included.
+async function linkMatchingTransactions(userId, payee) {
+  const payees = await db.payee.findMany({ where: { userId } });
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId,
+      payeeId: null,
+      type: { in: ["INCOME", "EXPENSE"] },
+    },
+    include: auditInclude,
+  });
+
+  const matching = transactions.filter(
+    (t) => matchPayee(payees, t.description)?.id === payee.id
+  );
+
+  if (matching.length > 0) {
+    await db.$transaction(async (tx) => {
+      await tx.transaction.updateMany({
+        where: { id: { in: matching.map((t) => t.id) } },
+        data: { payeeId: payee.id },
+      });
+
+      await recordAudit(
+        tx,
+        { source: "PAYEE", actorId: userId },
+        toPayeeChanges(matching, payee)
+      );
+    });
+  }
+}
+
+// The user's payees, for the transaction form's suggestions
+export async function getUserPayees() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return db.payee.findMany({
+    where: { userId: user.id },
+    select: { id: true, name: true },
+    orderBy: { name: "asc" },
+  });
+}
+
+// Every payee with its transaction count and income and expense totals in
+// the user's base currency
+export async function getPayees() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const [payees, transactions] = await Promise.all([
+    db.payee.findMany({
+      where: { userId: user.id },
+      orderBy: { name: "asc" },
+    }),
+    db.transaction.findMany({
+      where: {
+        userId: user.id,
+        payeeId: { not: null },
+        status: { not: "FAILED" },
+      },
+      select: {
+        payeeId: true,
+        type: true,
+        amount: true,
+        date: true,
+        account: { select: { currency: true } },
+      },
+    }),
+  ]);
+
+  // Transactions without a usable exchange rate are counted but left out of
+  // the totals, and their currency pairs reported
+  const { convert, missing } = await getRateConverter(
+    user.id,
+    user.baseCurrency
+  );
+
+  const totals = Object.fromEntries(
+    payees.map((payee) => [
+      payee.id,
+      { count: 0, income: 0, expense: 0, lastDate: null },
+    ])
+  );
+  for (const transaction of transactions) {
+    const total = totals[transaction.payeeId];
+    total.count += 1;
+    if (!total.lastDate || transaction.date > total.lastDate) {
+      total.lastDate = transaction.date;
+    }
+
+    if (transaction.type === "TRANSFER") continue;
+    const amount = convert(
+      transaction.amount,
+      transaction.account.currency,
+      transaction.date
+    );
+    if (amount === null) continue;
+    total[transaction.type === "INCOME" ? "income" : "expense"] += amount;
+  }
+
+  return {
+    currency: user.baseCurrency,
+    missingRates: [...missing],
+    payees: payees.map((payee) => ({ ...payee, ...totals[payee.id] })),
+  };
+}
+
+// A payee with its totals, month-by-month history and transactions, newest
+// first. Amounts in the history and totals are in the user's base currency.
+export async function getPayee(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const payee = await db.payee.findUnique({
+    where: { id, userId: user.id },
+  });
+
+  if (!payee) return null;
+
+  const transactions = await db.transaction.findMany({
+    where: { payeeId: id, userId: user.id, status: { not: "FAILED" } },
+    include: { account: { select: { name: true, currency: true } } },
+    orderBy: { date: "desc" },
+  });
+
+  const { convert, missing } = await getRateConverter(
+    user.id,
+    user.baseCurrency
+  );
+
+  const totals = { count: transactions.length, income: 0, expense: 0 };
+  const months = {};
+  for (const transaction of transactions) {
+    if (transaction.type === "TRANSFER") continue;
+    const amount = convert(
+      transaction.amount,
+      transaction.account.currency,
+      transaction.date
+    );
+    if (amount === null) continue;
+
+    const key = transaction.type === "INCOME" ? "income" : "expense";
+    const month = format(transaction.date, "yyyy-MM");
+    if (!months[month]) months[month] = { month, income: 0, expense: 0 };
+    months[month][key] += amount;
+    totals[key] += amount;
+  }
+
+  return {
+    payee,
+    currency: user.baseCurrency,
+    missingRates: [...missing],
+    totals,
+    history: Object.values(months).sort((a, b) =>
+      a.month.localeCompare(b.month)
+    ),
+    transactions: transactions.map((transaction) => ({
+      id: transaction.id,
+      date: transaction.date,
+      description: transaction.description,
+      type: transaction.type,
+      category: transaction.category,
+      amount: transaction.amount.toNumber(),
+      accountId: transaction.accountId,
+      accountName: transaction.account.name,
+      currency: transaction.account.currency,
+    })),
+  };
+}
+
+export async function createPayee(data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const result = payeeSchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.errors[0].message);
+    const { name, aliases } = result.data;
+
+    await checkNameFree(user.id, name);
+
+    const payee = await db.payee.create({
+      data: {
+        name,
+        aliases: parseAliases(aliases),
+        userId: user.id,
+      },
+    });
+
+    await linkMatchingTransactions(user.id, payee);
+
+    revalidatePayees();
+    return { success: true, data: payee };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Renames a payee or changes its aliases. Transactions it already has keep
+// it; unassigned ones matching the new aliases are picked up.
+export async function updatePayee(id, data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const existing = await db.payee.findUnique({
+      where: { id, userId: user.id },
+    });
+
+    if (!existing) throw new Error("Payee not found");
+
+    const result = payeeSchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.errors[0].message);
+    const { name, aliases } = result.data;
+
+    await checkNameFree(user.id, name, id);
+
+    const payee = await db.payee.update({
+      where: { id },
+      data: {
+        name,
+        aliases: parseAliases(aliases),
+      },
+    });
+
+    await linkMatchingTransactions(user.id, payee);
+
+    revalidatePayees();
+    revalidatePath(`/payees/${id}`);
+    return { success: true, data: payee };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Deleting a payee leaves its transactions without one
+export async function deletePayee(id) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    await db.payee.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidatePayees();
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Folds one payee into another: its transactions move over, and its name and
+// aliases become aliases of the target so future descriptions match it too
+export async function mergePayees(sourceId, targetId) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    if (sourceId === targetId) {
+      throw new Error("Pick a different payee to merge into");
+    }
+
+    const [source, target] = await Promise.all([
+      db.payee.findUnique({ where: { id: sourceId, userId: user.id } }),
+      db.payee.findUnique({ where: { id: targetId, userId: user.id } }),
+    ]);
+
+    if (!source || !target) throw new Error("Payee not found");
+
+    const aliases = parseAliases(
+      [...target.aliases, source.name, ...source.aliases].join(",")
+    ).filter((alias) => alias !== target.name.toLowerCase());
+
+    const count = await db.$transaction(async (tx) => {
+      // Including the trash, so restored transactions keep their payee
+      const transactions = await tx.transaction.findMany({
+        where: { payeeId: sourceId, deletedAt: undefined },
+        include: auditInclude,
+      });
+
+      await tx.transaction.updateMany({
+        where: { id: { in: transactions.map((t) => t.id) } },
+        data: { payeeId: targetId },
+      });
+
+      await recordAudit(
+        tx,
+        { source: "PAYEE", actorId: user.id },
+        toPayeeChanges(transactions, target)
+      );
+
+      await tx.payee.update({
+        where: { id: targetId },
+        data: { aliases },
+      });
+      await tx.payee.delete({ where: { id: sourceId } });
+
+      return transactions.length;
+    });
+
+    revalidatePayees();
+    revalidatePath(`/payees/${targetId}`);
+    return { success: true, data: { payee: target, count } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,118 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { endOfDay, startOfDay } from "date-fns";
+import { getRateConverter } from "@/lib/exchange-rates";
+
+// Most item lines listed in a report; the category totals cover them all
+const MAX_LISTED_ITEMS = 500;
+
+// Receipt items between two dates, optionally only those whose name contains
+// `query`, with totals per category in the user's base currency. Items
+// without a category of their own count towards their transaction's.
+export async function getItemReport({ query, from, to }) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    if (!from) throw new Error("Pick a date range");
+
+    const items = await db.transactionItem.findMany({
+      where: {
+        ...(query && { name: { contains: query, mode: "insensitive" } }),
+        transaction: {
+          userId: user.id,
+          status: { not: "FAILED" },
+          deletedAt: null,
+          date: {
+            gte: startOfDay(new Date(from)),
+            lte: endOfDay(new Date(to || from)),
+          },
+        },
+      },
+      include: {
+        transaction: {
+          select: {
+            id: true,
+            date: true,
+            description: true,
+            category: true,
+            originalCurrency: true,
+            accountId: true,
+            account: { select: { currency: true } },
+          },
+        },
+      },
+      orderBy: [{ transaction: { date: "desc" } }, { position: "asc" }],
+    });
+
+    // Items are in the currency paid. Those without a usable exchange rate
+    // are left out of the totals and their currency pairs reported.
+    const { convert, missing } = await getRateConverter(
+      user.id,
+      user.baseCurrency
+    );
+
+    const categories = {};
+    const adjustments = { TAX: 0, DISCOUNT: 0 };
+    const lines = items.map((item) => {
+      const currency =
+        item.transaction.originalCurrency || item.transaction.account.currency;
+      const category =
+        item.kind === "ITEM"
+          ? item.category || item.transaction.category
+          : null;
+      const converted = convert(item.amount, currency, item.transaction.date);
+
+      if (converted !== null) {
+        if (category) {
+          if (!categories[category]) {
+            categories[category] = { category, count: 0, amount: 0 };
+          }
+          categories[category].count += 1;
+          categories[category].amount += converted;
+        } else {
+          adjustments[item.kind] += converted;
+        }
+      }
+
+      return {
+        id: item.id,
+        kind: item.kind,
+        name: item.name,
+        quantity: item.quantity?.toNumber() ?? null,
+        amount: item.amount.toNumber(),
+        currency,
+        category,
+        date: item.transaction.date,
+        transactionId: item.transaction.id,
+        accountId: item.transaction.accountId,
+        description: item.transaction.description,
+      };
+    });
+
+    return {
+      success: true,
+      data: {
+        currency: user.baseCurrency,
+        missingRates: [...missing],
+        categories: Object.values(categories).sort(
+          (a, b) => b.amount - a.amount
+        ),
+        taxes: adjustments.TAX,
+        discounts: adjustments.DISCOUNT,
+        count: lines.length,
+        items: lines.slice(0, MAX_LISTED_ITEMS),
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,286 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import {
+  checkAccountBalance,
+  computeAccountBalance,
+  getBalanceChanges,
+} from "@/lib/balance";
+import { isLiabilityAccount } from "@/lib/accounts";
+import { getStatementEnd } from "@/lib/reconciliation";
+import { Prisma } from "@prisma/client";
+
+// Recomputes every account's balance from its opening balance and
+// transactions, records any drift and returns the comparison
+export async function reconcileBalances() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const accounts = await db.account.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const report = [];
+  for (const account of accounts) {
+    const { computedBalance, drift } = await checkAccountBalance(db, account);
+
+    report.push({
+      id: account.id,
+      name: account.name,
+      currency: account.currency,
+      isArchived: account.isArchived,
+      openingBalance: account.openingBalance.toNumber(),
+      balance: account.balance.toNumber(),
+      computedBalance: computedBalance.toNumber(),
+      drift: drift.toNumber(),
+    });
+  }
+
+  return report;
+}
+
+// Accepts the fix for a drifted account by setting its stored balance to the
+// one computed from its transactions
+export async function fixAccountBalance(accountId) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const account = await db.$transaction(async (tx) => {
+      const account = await tx.account.findUnique({
+        where: { id: accountId, userId: user.id },
+      });
+
+      if (!account) throw new Error("Account not found");
+
+      // Recompute rather than trusting the report, which may be stale
+      const balance = await computeAccountBalance(tx, account);
+
+      return tx.account.update({
+        where: { id: accountId },
+        data: {
+          balance,
+          balanceDrift: null,
+          balanceCheckedAt: new Date(),
+        },
+      });
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/balances");
+    revalidatePath(`/account/${accountId}`);
+    return {
+      success: true,
+      data: { id: account.id, balance: account.balance.toNumber() },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Marks transactions as cleared (or not) on the given account's side while
+// reconciling against a statement
+export async function setTransactionsCleared(
+  accountId,
+  transactionIds,
+  cleared
+) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    // Reconciled transactions stay cleared, and only completed ones can be
+    await db.$transaction([
+      db.transaction.updateMany({
+        where: {
+          id: { in: transactionIds },
+          userId: user.id,
+          accountId,
+          reconciliationId: null,
+          ...(cleared && { status: "COMPLETED" }),
+        },
+        data: { isCleared: cleared },
+      }),
+      db.transaction.updateMany({
+        where: {
+          id: { in: transactionIds },
+          userId: user.id,
+          transferAccountId: accountId,
+          transferReconciliationId: null,
+          ...(cleared && { status: "COMPLETED" }),
+        },
+        data: { transferCleared: cleared },
+      }),
+    ]);
+
+    revalidatePath(`/account/${accountId}`);
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Finishes reconciling an account against a statement once the cleared
+// transactions add up to its closing balance, locking them
+export async function completeReconciliation(accountId, data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+      include: {
+        reconciliations: {
+          orderBy: [{ statementDate: "desc" }, { createdAt: "desc" }],
+          take: 1,
+        },
+      },
+    });
+
+    if (!account) throw new Error("Account not found");
+
+    const balanceFloat = parseFloat(data.statementBalance);
+    if (isNaN(balanceFloat)) {
+      throw new Error("Invalid statement balance");
+    }
+    // Credit card and loan statements show the amount owed
+    const statementBalance = new Prisma.Decimal(
+      isLiabilityAccount(account.type) ? -Math.abs(balanceFloat) : balanceFloat
+    );
+
+    const statementDate = new Date(data.statementDate);
+    statementDate.setHours(0, 0, 0, 0);
+    if (isNaN(statementDate.getTime())) {
+      throw new Error("Invalid statement date");
+    }
+
+    const lastReconciliation = account.reconciliations[0];
+    if (
+      lastReconciliation &&
+      statementDate < lastReconciliation.statementDate
+    ) {
+      throw new Error("Statement date is before the last reconciliation");
+    }
+
+    const statementEnd = getStatementEnd(statementDate);
+    const cleared = await db.transaction.findMany({
+      where: {
+        userId: user.id,
+        status: "COMPLETED",
+        date: { lte: statementEnd },
+        OR: [
+          { accountId, isCleared: true },
+          { transferAccountId: accountId, transferCleared: true },
+        ],
+      },
+    });
+
+    const clearedBalance = cleared.reduce(
+      (balance, transaction) =>
+        balance.plus(getBalanceChanges(transaction)[accountId]),
+      new Prisma.Decimal(account.openingBalance)
+    );
+
+    const difference = statementBalance.minus(clearedBalance);
+    if (!difference.toDecimalPlaces(2).isZero()) {
+      throw new Error(
+        `Cleared transactions are ${difference.toFixed(2)} away from the statement balance`
+      );
+    }
+
+    const reconciliation = await db.$transaction(async (tx) => {
+      const reconciliation = await tx.reconciliation.create({
+        data: { accountId, statementDate, statementBalance },
+      });
+
+      await tx.transaction.updateMany({
+        where: {
+          id: { in: cleared.map((t) => t.id) },
+          accountId,
+          reconciliationId: null,
+        },
+        data: { reconciliationId: reconciliation.id },
+      });
+      await tx.transaction.updateMany({
+        where: {
+          id: { in: cleared.map((t) => t.id) },
+          transferAccountId: accountId,
+          transferReconciliationId: null,
+        },
+        data: { transferReconciliationId: reconciliation.id },
+      });
+
+      return reconciliation;
+    });
+
+    revalidatePath(`/account/${accountId}`);
+    return {
+      success: true,
+      data: {
+        ...reconciliation,
+        statementBalance: reconciliation.statementBalance.toNumber(),
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Reopens an account's most recent reconciliation, unlocking its
+// transactions (they stay cleared)
+export async function undoReconciliation(accountId) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const reconciliation = await db.reconciliation.findFirst({
+      where: { accountId, account: { userId: user.id } },
+      orderBy: [{ statementDate: "desc" }, { createdAt: "desc" }],
+    });
+
+    if (!reconciliation) throw new Error("Nothing to undo");
+
+    // Deleting it releases the transactions via onDelete: SetNull
+    await db.reconciliation.delete({
+      where: { id: reconciliation.id },
+    });
+
+    revalidatePath(`/account/${accountId}`);
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,384 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { ruleSchema } from "@/app/lib/schema";
+import { applyRules, getActiveRules, ruleOrder } from "@/lib/rules";
+import { normalizeTagNames, upsertTags } from "@/lib/tags";
+import { auditInclude, recordAudit } from "@/lib/audit";
+
+const serializeRule = (rule) => ({
+  ...rule,
+  minAmount: rule.minAmount?.toNumber() ?? null,
+  maxAmount: rule.maxAmount?.toNumber() ?? null,
+});
+
+// Validates rule form data against the user's accounts, categories and tags.
+// A rule that assigns a category only matches transactions of its type.
+async function toRuleData(userId, data) {
+  const result = ruleSchema.safeParse(data);
+  if (!result.success) throw new Error(result.error.errors[0].message);
+  const { minAmount, maxAmount, accountId, category, tags, ...rule } =
+    result.data;
+
+  if (accountId) {
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId },
+    });
+    if (!account) throw new Error("Account not found");
+  }
+
+  let type = rule.type || null;
+  if (category) {
+    const found = await db.category.findUnique({
+      where: { userId_key: { userId, key: category } },
+    });
+    if (!found || found.type === "TRANSFER") {
+      throw new Error("Category not found");
+    }
+    if (type && type !== found.type) {
+      throw new Error(
+        `${found.name} is a category for ${found.type.toLowerCase()} transactions`
+      );
+    }
+    type = found.type;
+  }
+
+  return {
+    ...rule,
+    descriptionPattern: rule.descriptionPattern || null,
+    description: rule.description || null,
+    minAmount: minAmount ? parseFloat(minAmount) : null,
+    maxAmount: maxAmount ? parseFloat(maxAmount) : null,
+    type,
+    accountId: accountId || null,
+    category: category || null,
+    tags: normalizeTagNames(tags, await db.tag.findMany({ where: { userId } })),
+  };
+}
+
+function revalidateRules() {
+  revalidatePath("/rules");
+}
+
+export async function getRules() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const rules = await db.rule.findMany({
+    where: { userId: user.id },
+    include: { account: { select: { name: true } } },
+    orderBy: ruleOrder,
+  });
+
+  return rules.map(serializeRule);
+}
+
+export async function createRule(data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const ruleData = await toRuleData(user.id, data);
+
+    // New rules go last, so existing ones keep precedence
+    const last = await db.rule.findFirst({
+      where: { userId: user.id },
+      orderBy: { position: "desc" },
+    });
+
+    const rule = await db.rule.create({
+      data: {
+        ...ruleData,
+        position: last ? last.position + 1 : 0,
+        userId: user.id,
+      },
+    });
+
+    revalidateRules();
+    return { success: true, data: serializeRule(rule) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function updateRule(id, data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const existing = await db.rule.findUnique({
+      where: { id, userId: user.id },
+    });
+
+    if (!existing) throw new Error("Rule not found");
+
+    const rule = await db.rule.update({
+      where: { id },
+      data: await toRuleData(user.id, data),
+    });
+
+    revalidateRules();
+    return { success: true, data: serializeRule(rule) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Paused rules stay listed but don't apply to new transactions
+export async function setRuleActive(id, isActive) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const existing = await db.rule.findUnique({
+      where: { id, userId: user.id },
+    });
+
+    if (!existing) throw new Error("Rule not found");
+
+    const rule = await db.rule.update({
+      where: { id },
+      data: { isActive },
+    });
+
+    revalidateRules();
+    return { success: true, data: serializeRule(rule) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function deleteRule(id) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    await db.rule.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidateRules();
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Swaps a rule with its neighbour, changing which one wins when both match
+export async function moveRule(id, direction) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const rules = await db.rule.findMany({
+      where: { userId: user.id },
+      orderBy: ruleOrder,
+    });
+    const index = rules.findIndex((rule) => rule.id === id);
+    if (index === -1) throw new Error("Rule not found");
+
+    const target = rules[direction === "up" ? index - 1 : index + 1];
+    if (!target) return { success: true };
+
+    // Renumber the rules in their new order
+    const ordered = rules.map((rule) =>
+      rule.id === id ? target : rule.id === target.id ? rules[index] : rule
+    );
+
+    await db.$transaction(
+      ordered.map((rule, position) =>
+        db.rule.update({
+          where: { id: rule.id },
+          data: { position },
+        })
+      )
+    );
+
+    revalidateRules();
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Existing transactions the rules (or one rule) would change, with what they
+// would become. Reconciled transactions are locked and left out.
+async function findRuleChanges(userId, ruleId, transactionIds) {
+  const rules = ruleId
+    ? await db.rule.findMany({ where: { id: ruleId, userId } })
+    : await getActiveRules(db, userId);
+
+  if (rules.length === 0) throw new Error("No rules to run");
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId,
+      reconciliationId: null,
+      transferReconciliationId: null,
+      ...(transactionIds && { id: { in: transactionIds } }),
+    },
+    include: {
+      ...auditInclude,
+      account: { select: { name: true } },
+    },
+    orderBy: { date: "desc" },
+  });
+
+  const existingTags = await db.tag.findMany({ where: { userId } });
+
+  return transactions.flatMap((transaction) => {
+    const tags = transaction.tags.map((tag) => tag.name);
+    const result = applyRules(rules, { ...transaction, tags }, existingTags);
+    const addedTags = result.tags.filter(
+      (name) => !tags.some((tag) => tag.toLowerCase() === name.toLowerCase())
+    );
+
+    const categoryChanged = result.category !== transaction.category;
+    const descriptionChanged = result.description !== transaction.description;
+    if (!categoryChanged && !descriptionChanged && addedTags.length === 0) {
+      return [];
+    }
+
+    return [{ transaction, result, addedTags }];
+  });
+}
+
+// Preview of running the rules on existing transactions
+export async function previewRuleChanges(ruleId = null) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const changes = await findRuleChanges(user.id, ruleId);
+
+    return {
+      success: true,
+      data: changes.map(({ transaction, result, addedTags }) => ({
+        id: transaction.id,
+        date: transaction.date,
+        accountName: transaction.account.name,
+        description: transaction.description,
+        category: transaction.category,
+        newCategory:
+          result.category !== transaction.category ? result.category : null,
+        newDescription:
+          result.description !== transaction.description
+            ? result.description
+            : null,
+        addedTags,
+      })),
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Applies the rules to the chosen transactions from a preview. Changes are
+// worked out again here rather than trusted from the client.
+export async function applyRuleChanges(transactionIds, ruleId = null) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const changes = await findRuleChanges(user.id, ruleId, transactionIds);
+    if (changes.length === 0) throw new Error("Nothing left to change");
+
+    // Categories, descriptions and tags don't touch balances
+    await db.$transaction(
+      async (tx) => {
+        const tags = await upsertTags(tx, user.id, [
+          ...new Set(changes.flatMap(({ addedTags }) => addedTags)),
+        ]);
+
+        const audits = [];
+        for (const { transaction, result, addedTags } of changes) {
+          const updated = await tx.transaction.update({
+            where: { id: transaction.id },
+            data: {
+              category: result.category,
+              subcategory: result.subcategory,
+              description: result.description,
+              tags: {
+                connect: tags.filter((tag) => addedTags.includes(tag.name)),
+              },
+            },
+            include: auditInclude,
+          });
+          audits.push({
+            action: "UPDATE",
+            before: transaction,
+            after: updated,
+          });
+        }
+
+        await recordAudit(tx, { source: "RULES", actorId: user.id }, audits);
+      },
+      // A run over the whole history can update thousands of transactions
+      { timeout: 60 * 1000 }
+    );
+
+    revalidatePath("/dashboard");
+    for (const accountId of new Set(
+      changes.flatMap(({ transaction }) => [
+        transaction.accountId,
+        transaction.transferAccountId,
+      ])
+    )) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { count: changes.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -83,7 +83,7 @@ export async function seedTransactions() {
     await db.$transaction(async (tx) => {
       // Clear existing transactions
       await tx.transaction.deleteMany({
-        where: { accountId: ACCOUNT_ID },
+        where: { accountId: ACCOUNT_ID, deletedAt: undefined },
       });
 
       // Insert new transactions
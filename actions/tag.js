@@ -0,0 +1,98 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { endOfDay, startOfDay } from "date-fns";
+import { getRateConverter } from "@/lib/exchange-rates";
+
+// The user's tags, for autocomplete and filtering
+export async function getUserTags() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return db.tag.findMany({
+    where: { userId: user.id },
+    select: { id: true, name: true },
+    orderBy: { name: "asc" },
+  });
+}
+
+// Income and expense totals per tag between two dates, in the user's base
+// currency. A transaction counts in full towards each of its tags; transfers
+// only move money between accounts and are left out.
+export async function getTagReport({ from, to }) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    if (!from) throw new Error("Pick a date range");
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        userId: user.id,
+        type: { in: ["INCOME", "EXPENSE"] },
+        status: { not: "FAILED" },
+        date: {
+          gte: startOfDay(new Date(from)),
+          lte: endOfDay(new Date(to || from)),
+        },
+        tags: { some: {} },
+      },
+      include: {
+        account: { select: { currency: true } },
+        tags: { select: { id: true, name: true } },
+      },
+    });
+
+    // Transactions without a usable exchange rate are left out and their
+    // currency pairs reported
+    const { convert, missing } = await getRateConverter(
+      user.id,
+      user.baseCurrency
+    );
+
+    const totals = {};
+    for (const transaction of transactions) {
+      const amount = convert(
+        transaction.amount,
+        transaction.account.currency,
+        transaction.date
+      );
+      if (amount === null) continue;
+
+      for (const tag of transaction.tags) {
+        if (!totals[tag.id]) {
+          totals[tag.id] = { ...tag, count: 0, income: 0, expense: 0 };
+        }
+        totals[tag.id].count += 1;
+        totals[tag.id][transaction.type === "INCOME" ? "income" : "expense"] +=
+          amount;
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        currency: user.baseCurrency,
+        missingRates: [...missing],
+        tags: Object.values(totals).sort(
+          (a, b) => b.expense - a.expense || a.name.localeCompare(b.name)
+        ),
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -3,23 +3,65 @@
 import { auth } from "@clerk/nextjs/server";
 import { db } from "@/lib/prisma";
 import { revalidatePath } from "next/cache";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import aj from "@/lib/arcjet";
 import { request } from "@arcjet/next";
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+import { addBalanceChanges, applyBalanceChanges } from "@/lib/balance";
+import { getRateConverter } from "@/lib/exchange-rates";
+import { isReconciled } from "@/lib/reconciliation";
+import { scaleSplits, splitsMatchTotal } from "@/lib/splits";
+import { normalizeTagNames, tagSelect, upsertTags } from "@/lib/tags";
+import { applyRules, getActiveRules } from "@/lib/rules";
+import { findPayee, matchPayee, resolvePayeeId } from "@/lib/payees";
+import { isOwnReceipt, removeReceipts, saveReceipt } from "@/lib/storage";
+import { DEFAULT_RECEIPT_DESCRIPTION, readReceipt } from "@/lib/ocr";
+import { DUPLICATE_WINDOW_DAYS, isLikelyDuplicate } from "@/lib/duplicates";
+import { auditInclude, recordAudit } from "@/lib/audit";
+import { BULK_EDIT_FIELDS, getBulkUpdate } from "@/lib/bulk-edit";
+import { findCategoryByKey } from "@/lib/categories";
+import { bulkEditSchema, transactionSchema } from "@/app/lib/schema";
+import { addDays, endOfDay, startOfDay, subDays } from "date-fns";
 
 const serializeAmount = (obj) => ({
   ...obj,
   amount: obj.amount.toNumber(),
+  originalAmount: obj.originalAmount?.toNumber() ?? null,
+  transferAmount: obj.transferAmount?.toNumber() ?? null,
+  ...(obj.splits && {
+    splits: obj.splits.map((split) => ({
+      ...split,
+      amount: split.amount.toNumber(),
+    })),
+  }),
+  ...(obj.items && {
+    items: obj.items.map((item) => ({
+      ...item,
+      quantity: item.quantity?.toNumber() ?? null,
+      unitPrice: item.unitPrice?.toNumber() ?? null,
+      amount: item.amount.toNumber(),
+    })),
+  }),
 });
 
+// Stores a receipt image ahead of its transaction, noting the upload so the
+// trash purge can remove it if the transaction is never saved
+async function storeReceipt(userId, file) {
+  const receiptUrl = await saveReceipt(userId, file);
+  await db.receiptUpload.create({ data: { receiptUrl, userId } });
+  return receiptUrl;
+}
+
 // Scan Receipt Function
 export async function scanReceipt(receiptFile) {
   try {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
 
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
     if (!receiptFile) {
       throw new Error("No receipt file provided");
     }
@@ -28,108 +70,41 @@ export async function scanReceipt(receiptFile) {
     console.log("File type:", receiptFile.type);
     console.log("File size:", receiptFile.size);
 
-    // Convert File to base64
-    const arrayBuffer = await receiptFile.arrayBuffer();
-    const base64Data = Buffer.from(arrayBuffer).toString('base64');
-
-    console.log("Base64 conversion successful");
-
-    // Initialize Gemini model
-    const model = genAI.getGenerativeModel({ 
-      model: "models/gemini-flash-latest",
-      generationConfig: {
-        responseMimeType: "application/json",
-        temperature: 0.1,
-      }
-    });
-
-    const prompt = `Analyze this receipt image and extract transaction details.
-Return ONLY a valid JSON object in this EXACT format:
-{
-  "amount": 123.45,
-  "description": "Store Name",
-  "date": "YYYY-MM-DD",
-  "category": "Suggested Category Name"
-}
-
-Important:
-- amount: must be a number (total paid amount from the receipt)
-- description: store/merchant name
-- date: YYYY-MM-DD format (if not visible on receipt, use today's date)
-- category: Suggest a single, general category for the items on the receipt (e.g., "Groceries", "Food", "Shopping").
+    // Suggested categories are matched to the user's by name
+    const categoryNames = (
+      await db.category.findMany({
+        where: { userId: user.id, type: "EXPENSE", isArchived: false },
+        select: { name: true },
+        orderBy: { position: "asc" },
+      })
+    ).map((category) => category.name);
 
-Return ONLY the JSON object, no markdown, no explanations, no extra text.`;
+    const parsedData = await readReceipt(receiptFile, { categoryNames });
 
-    console.log("Calling Gemini API...");
-
-    const result = await model.generateContent([
-      {
-        text: prompt
-      },
-      {
-        inlineData: {
-          data: base64Data,
-          mimeType: receiptFile.type || "image/jpeg"
-        }
-      }
-    ]);
-
-    const response = await result.response;
-    let responseText = response.text();
-    
-    console.log("Raw Gemini response:", responseText);
-    
-    // Clean up markdown formatting
-    responseText = responseText
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .replace(/^`+|`+$/g, '')
-      .trim();
-    
-    console.log("Cleaned response:", responseText);
-    
-    // Parse JSON
-    let parsedData;
-    try {
-      parsedData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error("JSON parse error:", parseError);
-      console.error("Failed to parse:", responseText);
-      throw new Error("Invalid response from AI. Please try again.");
-    }
-    
     console.log("Parsed data:", parsedData);
-    
-    // Validate and normalize data
-    if (!parsedData.amount || parsedData.amount <= 0) {
-      throw new Error("Could not extract amount from receipt");
-    }
 
-    // Ensure amount is a number
-    parsedData.amount = parseFloat(parsedData.amount);
-    
-    if (isNaN(parsedData.amount)) {
-      throw new Error("Invalid amount in receipt");
-    }
-    
-    // Set default date if not provided or invalid
-    if (!parsedData.date || parsedData.date === "") {
-      parsedData.date = new Date().toISOString().split('T')[0];
-    }
-
-    // Validate date format
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(parsedData.date)) {
-      parsedData.date = new Date().toISOString().split('T')[0];
+    // Merchant names on receipts vary ("SWIGGY*ORDER 1234"), so a known
+    // payee replaces the raw name; otherwise the name suggests a new payee
+    const payee = matchPayee(
+      await db.payee.findMany({ where: { userId: user.id } }),
+      parsedData.description
+    );
+    if (payee) {
+      parsedData.description = payee.name;
     }
-
-    // Set default description if empty
-    if (!parsedData.description || parsedData.description === "") {
-      parsedData.description = "Receipt Transaction";
+    parsedData.payee =
+      payee?.name ??
+      (parsedData.description === DEFAULT_RECEIPT_DESCRIPTION
+        ? ""
+        : parsedData.description);
+
+    // Keep the image for the transaction. The scan is still useful if it
+    // can't be stored, so the form just shows no receipt attached.
+    try {
+      parsedData.receiptUrl = await storeReceipt(user.id, receiptFile);
+    } catch (storageError) {
+      console.error("Error storing receipt:", storageError);
     }
-
-    // Category will be a suggested name, or empty string
-    parsedData.category = parsedData.category || "";
     
     console.log("Final processed data:", parsedData);
     
@@ -145,8 +120,36 @@ Return ONLY the JSON object, no markdown, no explanations, no extra text.`;
   }
 }
 
-// Create Transaction
-export async function createTransaction(data) {
+// Stores a receipt image to attach to a transaction, without scanning it
+export async function uploadReceipt(receiptFile) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    if (!receiptFile) {
+      throw new Error("No receipt file provided");
+    }
+
+    const receiptUrl = await storeReceipt(user.id, receiptFile);
+
+    return { success: true, data: { receiptUrl } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Create Transaction. The source ("FORM" or "SCAN") is recorded in the
+// transaction's history.
+export async function createTransaction(
+  data,
+  { allowDuplicate = false, source = "FORM" } = {}
+) {
   try {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
@@ -185,6 +188,10 @@ export async function createTransaction(data) {
       throw new Error("User not found");
     }
 
+    if (!["FORM", "SCAN"].includes(source)) {
+      throw new Error("Invalid source");
+    }
+
     const account = await db.account.findUnique({
       where: {
         id: data.accountId,
@@ -196,33 +203,60 @@ export async function createTransaction(data) {
       throw new Error("Account not found");
     }
 
-    // Calculate new balance
-    const balanceChange = data.type === "EXPENSE" ? -data.amount : data.amount;
-    const newBalance = account.balance.toNumber() + balanceChange;
+    if (account.isArchived) {
+      throw new Error("Cannot add transactions to an archived account");
+    }
+
+    // The user's rules may fill in the category, tags and description
+    const { splits, items, tags, newPayee, ...transactionData } = applyRules(
+      await getActiveRules(db, user.id),
+      await normalizeTransactionData(data, user.id),
+      await db.tag.findMany({ where: { userId: user.id } })
+    );
+
+    // Entering the same expense twice (by hand, then from the receipt) is easy
+    // to do, so likely duplicates come back for the user to confirm first
+    if (!allowDuplicate) {
+      const duplicates = await findDuplicates(user.id, transactionData);
+      if (duplicates.length > 0) {
+        return { success: false, warning: "DUPLICATE", data: { duplicates } };
+      }
+    }
 
-    // Create transaction and update account balance
+    // Create transaction and update the balance of every affected account
     const transaction = await db.$transaction(async (tx) => {
       const newTransaction = await tx.transaction.create({
         data: {
-          ...data,
+          ...transactionData,
+          ...(newPayee && {
+            payeeId: await resolvePayeeId(tx, user.id, { payee: newPayee }),
+          }),
+          splits: { create: splits },
+          items: { create: items },
+          tags: { connect: await upsertTags(tx, user.id, tags) },
           userId: user.id,
           nextRecurringDate:
             data.isRecurring && data.recurringInterval
               ? calculateNextRecurringDate(data.date, data.recurringInterval)
               : null,
         },
+        include: auditInclude,
       });
 
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: { balance: newBalance },
-      });
+      await applyBalanceChanges(tx, addBalanceChanges({}, newTransaction));
+
+      await recordAudit(tx, { source, actorId: user.id }, [
+        { action: "CREATE", after: newTransaction },
+      ]);
 
       return newTransaction;
     });
 
     revalidatePath("/dashboard");
     revalidatePath(`/account/${transaction.accountId}`);
+    if (transaction.transferAccountId) {
+      revalidatePath(`/account/${transaction.transferAccountId}`);
+    }
 
     return { success: true, data: serializeAmount(transaction) };
   } catch (error) {
@@ -248,6 +282,12 @@ export async function getTransaction(id) {
         id,
         userId: user.id,
       },
+      include: {
+        splits: { orderBy: { createdAt: "asc" } },
+        items: { orderBy: { position: "asc" } },
+        tags: tagSelect,
+        payee: { select: { id: true, name: true } },
+      },
     });
 
     if (!transaction) throw new Error("Transaction not found");
@@ -278,24 +318,45 @@ export async function updateTransaction(id, data) {
         userId: user.id,
       },
       include: {
+        ...auditInclude,
         account: true,
       },
     });
 
     if (!originalTransaction) throw new Error("Transaction not found");
 
-    // Calculate balance changes
-    const oldBalanceChange =
-      originalTransaction.type === "EXPENSE"
-        ? -originalTransaction.amount.toNumber()
-        : originalTransaction.amount.toNumber();
+    if (isReconciled(originalTransaction)) {
+      throw new Error(
+        "This transaction is on a reconciled statement and can't be edited"
+      );
+    }
+
+    const { splits, items, tags, newPayee, ...transactionData } =
+      await normalizeTransactionData(data, user.id, originalTransaction);
 
-    const newBalanceChange =
-      data.type === "EXPENSE" ? -data.amount : data.amount;
+    // Cleared flags and import ids belong to a specific account's statement
+    if (transactionData.accountId !== originalTransaction.accountId) {
+      transactionData.isCleared = false;
+      transactionData.importId = null;
+    }
+    if (
+      transactionData.transferAccountId !==
+      originalTransaction.transferAccountId
+    ) {
+      transactionData.transferCleared = false;
+    }
+    // Only booked transactions appear on a statement
+    if (transactionData.status !== "COMPLETED") {
+      transactionData.isCleared = false;
+      transactionData.transferCleared = false;
+    }
 
-    const netBalanceChange = newBalanceChange - oldBalanceChange;
+    // Revert the original balance effect and apply the new one, so changes of
+    // type, amount or account (including transfer destinations) all net out
+    const balanceChanges = addBalanceChanges({}, originalTransaction, -1);
+    addBalanceChanges(balanceChanges, transactionData);
 
-    // Update transaction and account balance in a transaction
+    // Update transaction and account balances in a transaction
     const transaction = await db.$transaction(async (tx) => {
       const updated = await tx.transaction.update({
         where: {
@@ -303,29 +364,43 @@ export async function updateTransaction(id, data) {
           userId: user.id,
         },
         data: {
-          ...data,
+          ...transactionData,
+          ...(newPayee && {
+            payeeId: await resolvePayeeId(tx, user.id, { payee: newPayee }),
+          }),
+          // Split lines and receipt items are replaced as a whole
+          splits: { deleteMany: {}, create: splits },
+          items: { deleteMany: {}, create: items },
+          tags: { set: await upsertTags(tx, user.id, tags) },
           nextRecurringDate:
             data.isRecurring && data.recurringInterval
               ? calculateNextRecurringDate(data.date, data.recurringInterval)
               : null,
         },
+        include: auditInclude,
       });
 
-      // Update account balance
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: {
-          balance: {
-            increment: netBalanceChange,
-          },
-        },
-      });
+      await applyBalanceChanges(tx, balanceChanges);
+
+      await recordAudit(tx, { source: "FORM", actorId: user.id }, [
+        { action: "UPDATE", before: originalTransaction, after: updated },
+      ]);
 
       return updated;
     });
 
+    // A replaced or removed receipt is no longer needed
+    if (
+      originalTransaction.receiptUrl &&
+      transaction.receiptUrl !== originalTransaction.receiptUrl
+    ) {
+      await removeReceipts([originalTransaction.receiptUrl]);
+    }
+
     revalidatePath("/dashboard");
-    revalidatePath(`/account/${data.accountId}`);
+    for (const accountId of Object.keys(balanceChanges)) {
+      revalidatePath(`/account/${accountId}`);
+    }
 
     return { success: true, data: serializeAmount(transaction) };
   } catch (error) {
@@ -334,6 +409,299 @@ export async function updateTransaction(id, data) {
   }
 }
 
+// Adds and removes tags on several transactions at once. Tags don't affect
+// balances, so reconciled transactions can be tagged too.
+export async function updateTransactionTags(
+  transactionIds,
+  { add = [], remove = [] }
+) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const existing = await db.tag.findMany({ where: { userId: user.id } });
+    const addNames = normalizeTagNames(add, existing);
+    const removeNames = normalizeTagNames(remove, existing);
+
+    if (addNames.length === 0 && removeNames.length === 0) {
+      throw new Error("Enter at least one tag");
+    }
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+      },
+      select: { id: true, accountId: true, transferAccountId: true },
+    });
+
+    if (transactions.length === 0) throw new Error("Transactions not found");
+
+    await db.$transaction(async (tx) => {
+      const connect = await upsertTags(tx, user.id, addNames);
+      const disconnect = existing
+        .filter((tag) => removeNames.includes(tag.name))
+        .map((tag) => ({ id: tag.id }));
+
+      for (const transaction of transactions) {
+        await tx.transaction.update({
+          where: { id: transaction.id },
+          data: { tags: { connect, disconnect } },
+        });
+      }
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/tags");
+    for (const accountId of new Set(
+      transactions.flatMap((t) => [t.accountId, t.transferAccountId])
+    )) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { count: transactions.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Clears pending transactions (books them) or marks them failed, adjusting
+// the balances of the accounts they touch. Completed transactions can fail
+// too, e.g. a bounced cheque, which takes them back out of the balance.
+export async function setTransactionStatus(transactionIds, status) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    if (!["COMPLETED", "FAILED"].includes(status)) {
+      throw new Error("Invalid status");
+    }
+
+    const transactions = (
+      await db.transaction.findMany({
+        where: {
+          id: { in: transactionIds },
+          userId: user.id,
+        },
+        include: auditInclude,
+      })
+    ).filter((transaction) => transaction.status !== status);
+
+    if (transactions.length === 0) {
+      throw new Error("No transactions to update");
+    }
+
+    if (transactions.some(isReconciled)) {
+      throw new Error(
+        "Reconciled transactions can't change status; undo the reconciliation first"
+      );
+    }
+
+    const balanceChanges = {};
+    for (const transaction of transactions) {
+      addBalanceChanges(balanceChanges, transaction, -1);
+      addBalanceChanges(balanceChanges, { ...transaction, status });
+    }
+
+    await db.$transaction(async (tx) => {
+      await tx.transaction.updateMany({
+        where: { id: { in: transactions.map((t) => t.id) } },
+        data: {
+          status,
+          clearingDate: null,
+          // Failed transactions never appear on a statement
+          ...(status === "FAILED" && {
+            isCleared: false,
+            transferCleared: false,
+          }),
+        },
+      });
+
+      await applyBalanceChanges(tx, balanceChanges);
+
+      await recordAudit(
+        tx,
+        { source: "LIST", actorId: user.id },
+        transactions.map((transaction) => ({
+          action: "UPDATE",
+          before: transaction,
+          after: { ...transaction, status, clearingDate: null },
+        }))
+      );
+    });
+
+    revalidatePath("/dashboard");
+    for (const accountId of new Set(
+      transactions.flatMap((t) => [t.accountId, t.transferAccountId])
+    )) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { count: transactions.length, status } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Applies the same changes (category, account, date, recurrence, status) to
+// the selected transactions of an account in one database transaction,
+// adjusting the balances of every account involved. Changes that don't fit a
+// transaction are skipped for it, and reconciled transactions are left
+// alone; the summary counts both.
+export async function bulkUpdateTransactions(
+  accountId,
+  transactionIds,
+  changes
+) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const result = bulkEditSchema.safeParse(changes);
+    if (!result.success) throw new Error(result.error.errors[0].message);
+
+    const [fromAccount, toAccount, category] = await Promise.all([
+      db.account.findUnique({ where: { id: accountId, userId: user.id } }),
+      result.data.accountId
+        ? db.account.findUnique({
+            where: { id: result.data.accountId, userId: user.id },
+          })
+        : null,
+      result.data.category
+        ? db.category.findFirst({
+            where: { key: result.data.category, userId: user.id },
+          })
+        : null,
+    ]);
+
+    if (!fromAccount) throw new Error("Account not found");
+    if (result.data.accountId && !toAccount) {
+      throw new Error("Destination account not found");
+    }
+    if (toAccount?.isArchived) {
+      throw new Error("Cannot move transactions to an archived account");
+    }
+    if (result.data.category && !category) {
+      throw new Error("Category not found");
+    }
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        OR: [{ accountId }, { transferAccountId: accountId }],
+      },
+      include: auditInclude,
+    });
+
+    if (transactions.length === 0) throw new Error("Transactions not found");
+
+    // Counts per requested change of the transactions it changed or skipped
+    const summary = {
+      count: transactions.length,
+      updated: 0,
+      locked: 0,
+      changed: {},
+      skipped: {},
+    };
+    for (const field of Object.keys(BULK_EDIT_FIELDS)) {
+      const requested =
+        field === "recurring"
+          ? result.data.isRecurring !== undefined
+          : result.data[field] !== undefined;
+      if (requested) {
+        summary.changed[field] = 0;
+        summary.skipped[field] = 0;
+      }
+    }
+
+    const balanceChanges = {};
+    const updates = [];
+    for (const transaction of transactions) {
+      if (isReconciled(transaction)) {
+        summary.locked++;
+        continue;
+      }
+
+      const { data, changed, skipped } = getBulkUpdate(
+        transaction,
+        result.data,
+        { fromAccount, toAccount, categoryType: category?.type }
+      );
+      for (const field of changed) summary.changed[field]++;
+      for (const field of skipped) summary.skipped[field]++;
+      if (changed.length === 0) continue;
+
+      // Recurring transactions next repeat an interval after their date
+      const updated = { ...transaction, ...data };
+      if (
+        updated.isRecurring &&
+        (changed.includes("date") || changed.includes("recurring"))
+      ) {
+        data.nextRecurringDate = calculateNextRecurringDate(
+          updated.date,
+          updated.recurringInterval
+        );
+      }
+
+      addBalanceChanges(balanceChanges, transaction, -1);
+      addBalanceChanges(balanceChanges, updated);
+      updates.push({ transaction, data });
+    }
+
+    if (updates.length > 0) {
+      await db.$transaction(async (tx) => {
+        const audits = [];
+        for (const { transaction, data } of updates) {
+          const updated = await tx.transaction.update({
+            where: { id: transaction.id },
+            data,
+            include: auditInclude,
+          });
+          audits.push({
+            action: "UPDATE",
+            before: transaction,
+            after: updated,
+          });
+        }
+
+        await applyBalanceChanges(tx, balanceChanges);
+
+        await recordAudit(tx, { source: "LIST", actorId: user.id }, audits);
+      });
+    }
+    summary.updated = updates.length;
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${accountId}`);
+    for (const id of Object.keys(balanceChanges)) {
+      revalidatePath(`/account/${id}`);
+    }
+
+    return { success: true, data: summary };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
 // Get User Transactions
 export async function getUserTransactions(query = {}) {
   try {
@@ -368,6 +736,251 @@ export async function getUserTransactions(query = {}) {
   }
 }
 
+// Existing transactions that look like the given new one
+async function findDuplicates(userId, transaction) {
+  const date = new Date(transaction.date);
+  const candidates = await db.transaction.findMany({
+    where: {
+      userId,
+      accountId: transaction.accountId,
+      type: transaction.type,
+      amount: transaction.amount,
+      status: { not: "FAILED" },
+      date: {
+        gte: startOfDay(subDays(date, DUPLICATE_WINDOW_DAYS)),
+        lte: endOfDay(addDays(date, DUPLICATE_WINDOW_DAYS)),
+      },
+    },
+    include: { payee: { select: { name: true } } },
+    orderBy: { date: "desc" },
+  });
+
+  return candidates
+    .filter((candidate) => isLikelyDuplicate(candidate, transaction))
+    .map((candidate) => ({
+      id: candidate.id,
+      date: candidate.date,
+      description: candidate.description,
+      payee: candidate.payee?.name ?? null,
+      amount: candidate.amount.toNumber(),
+    }));
+}
+
+// Helper function to validate the data, accounts and categories, convert
+// foreign-currency amounts and fill transfer defaults
+async function normalizeTransactionData(formData, userId, original = null) {
+  // The form validates too, but server actions can be called directly. It
+  // sends the amount as a number.
+  const result = transactionSchema.safeParse({
+    ...formData,
+    amount: String(formData.amount ?? ""),
+  });
+  if (!result.success) throw new Error(result.error.errors[0].message);
+  const data = { ...result.data, amount: parseFloat(result.data.amount) };
+
+  const {
+    currency,
+    splits = [],
+    items = [],
+    tags = [],
+    payee,
+    receiptUrl,
+  } = data;
+
+  // Only the fields the form sets are taken from it; cleared and reconciled
+  // state, the trash and import ids are the server's to change
+  const transactionData = {
+    type: data.type,
+    amount: data.amount,
+    description: data.description,
+    date: data.date,
+    accountId: data.accountId,
+    transferAccountId: data.transferAccountId || null,
+    category: data.category,
+    subcategory: data.subcategory,
+    isRecurring: Boolean(data.isRecurring),
+    recurringInterval: data.isRecurring ? data.recurringInterval : null,
+  };
+
+  const account = await db.account.findUnique({
+    where: {
+      id: data.accountId,
+      userId,
+    },
+  });
+
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  // Archived accounts are read-only, for new transactions and edits alike
+  if (account.isArchived) {
+    throw new Error("Cannot save transactions to an archived account");
+  }
+
+  transactionData.tags = normalizeTagNames(
+    tags,
+    await db.tag.findMany({ where: { userId } })
+  );
+
+  // Pending transactions don't touch the balance until they clear: marked
+  // by the user, or booked by the daily clearing job once the clearing date
+  // arrives
+  transactionData.status = data.status ?? original?.status ?? "COMPLETED";
+  transactionData.clearingDate =
+    transactionData.status === "PENDING" ? (data.clearingDate ?? null) : null;
+
+  // Receipts are uploaded first and attached by URL; left out, the current
+  // one is kept
+  if (receiptUrl !== undefined) {
+    if (receiptUrl && !isOwnReceipt(receiptUrl, userId)) {
+      throw new Error("Receipt not found");
+    }
+    transactionData.receiptUrl = receiptUrl || null;
+  }
+
+  // A payee typed in is found, or named in newPayee to be created with the
+  // transaction, so nothing is left behind if it isn't saved; otherwise one
+  // may be matched from the description. Transfers have no payee.
+  const found =
+    data.type === "TRANSFER"
+      ? null
+      : findPayee(await db.payee.findMany({ where: { userId } }), {
+          payee,
+          description: data.description,
+        });
+  transactionData.payeeId = found?.id ?? null;
+  transactionData.newPayee = found && !found.id ? found.name : null;
+
+  // Amounts paid in another currency are stored in the account's currency,
+  // keeping the original amount for reference
+  transactionData.originalAmount = null;
+  transactionData.originalCurrency = null;
+  if (currency && currency !== account.currency) {
+    transactionData.amount = await convertAmount(
+      userId,
+      data.amount,
+      currency,
+      account.currency,
+      data.date
+    );
+    transactionData.originalAmount = data.amount;
+    transactionData.originalCurrency = currency;
+  }
+
+  if (data.type !== "TRANSFER") {
+    // Split lines are entered in the paid currency and stored, like the
+    // amount, in the account's; the first line's category stands for the
+    // whole transaction
+    let lines = splits.map((split) => ({
+      category: split.category,
+      amount: parseFloat(split.amount),
+      description: split.description || null,
+    }));
+
+    if (lines.length === 1) {
+      throw new Error("Split into at least two lines");
+    }
+    if (lines.length > 0 && !splitsMatchTotal(lines, data.amount)) {
+      throw new Error("Split lines must add up to the total");
+    }
+    if (lines.length > 0 && transactionData.originalAmount !== null) {
+      lines = scaleSplits(lines, transactionData.amount);
+    }
+
+    const categories = await db.category.findMany({ where: { userId } });
+    const keys =
+      lines.length > 0
+        ? lines.map((line) => line.category)
+        : [transactionData.category];
+    if (keys.some((key) => !findCategoryByKey(categories, data.type, key))) {
+      throw new Error("Category not found");
+    }
+
+    // Subcategories only apply to a single category
+    return {
+      ...transactionData,
+      items: toItemLines(items),
+      category: lines[0]?.category ?? transactionData.category,
+      subcategory:
+        lines.length > 0 ? null : transactionData.subcategory || null,
+      transferAccountId: null,
+      transferAmount: null,
+      splits: lines,
+    };
+  }
+
+  if (!data.transferAccountId || data.transferAccountId === data.accountId) {
+    throw new Error("Transfers need a different destination account");
+  }
+
+  const transferAccount = await db.account.findUnique({
+    where: {
+      id: data.transferAccountId,
+      userId,
+    },
+  });
+
+  if (!transferAccount) {
+    throw new Error("Destination account not found");
+  }
+
+  if (transferAccount.isArchived) {
+    throw new Error("Cannot transfer to an archived account");
+  }
+
+  // Transfers across currencies credit the converted amount
+  const transferAmount =
+    transferAccount.currency !== account.currency
+      ? await convertAmount(
+          userId,
+          transactionData.amount,
+          account.currency,
+          transferAccount.currency,
+          data.date
+        )
+      : null;
+
+  return {
+    ...transactionData,
+    category: "transfer",
+    subcategory: null,
+    transferAmount,
+    splits: [],
+    items: [],
+  };
+}
+
+// Receipt items as stored: amounts stay in the currency paid, as on the
+// receipt, and only items have quantities, prices and categories
+function toItemLines(items) {
+  return items.map((item, position) => {
+    const isItem = item.kind === "ITEM";
+    return {
+      kind: item.kind,
+      name: item.name,
+      quantity: isItem && item.quantity ? parseFloat(item.quantity) : null,
+      unitPrice: isItem && item.unitPrice ? parseFloat(item.unitPrice) : null,
+      amount: parseFloat(item.amount),
+      category: isItem ? item.category || null : null,
+      position,
+    };
+  });
+}
+
+async function convertAmount(userId, amount, fromCurrency, toCurrency, date) {
+  const { convert } = await getRateConverter(userId, toCurrency);
+  const converted = convert(amount, fromCurrency, date);
+
+  if (converted === null) {
+    throw new Error(
+      `No exchange rate from ${fromCurrency} to ${toCurrency}. Add one on the Currencies page.`
+    );
+  }
+
+  return Math.round(converted * 100) / 100;
+}
+
 // Helper function to calculate next recurring date
 function calculateNextRecurringDate(startDate, interval) {
   const date = new Date(startDate);
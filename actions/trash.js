@@ -0,0 +1,157 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { addBalanceChanges, applyBalanceChanges } from "@/lib/balance";
+import { removeReceipts } from "@/lib/storage";
+import { getPurgeDate, TRASH_RETENTION_DAYS } from "@/lib/trash";
+import { auditInclude, recordAudit } from "@/lib/audit";
+
+// The user's deleted transactions, most recently deleted first, with when
+// each will be purged
+export async function getTrash() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const transactions = await db.transaction.findMany({
+    where: { userId: user.id, deletedAt: { not: null } },
+    include: {
+      account: { select: { name: true, currency: true } },
+      transferAccount: { select: { name: true } },
+    },
+    orderBy: [{ deletedAt: "desc" }, { date: "desc" }],
+  });
+
+  return {
+    retentionDays: TRASH_RETENTION_DAYS,
+    transactions: transactions.map((transaction) => ({
+      id: transaction.id,
+      type: transaction.type,
+      amount: transaction.amount.toNumber(),
+      date: transaction.date,
+      description: transaction.description,
+      category: transaction.category,
+      accountId: transaction.accountId,
+      account: transaction.account,
+      transferAccount: transaction.transferAccount,
+      deletedAt: transaction.deletedAt,
+      purgeAt: getPurgeDate(transaction.deletedAt),
+    })),
+  };
+}
+
+// Takes transactions out of the trash and applies their balance effect again
+export async function restoreTransactions(transactionIds) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        deletedAt: { not: null },
+      },
+      include: auditInclude,
+    });
+
+    if (transactions.length === 0) {
+      throw new Error("Nothing to restore");
+    }
+
+    await db.$transaction(async (tx) => {
+      await tx.transaction.updateMany({
+        where: {
+          id: { in: transactions.map((t) => t.id) },
+          deletedAt: { not: null },
+        },
+        data: { deletedAt: null },
+      });
+
+      await applyBalanceChanges(
+        tx,
+        transactions.reduce(
+          (acc, transaction) => addBalanceChanges(acc, transaction),
+          {}
+        )
+      );
+
+      await recordAudit(
+        tx,
+        { source: "LIST", actorId: user.id },
+        transactions.map((transaction) => ({
+          action: "RESTORE",
+          before: transaction,
+          after: { ...transaction, deletedAt: null },
+        }))
+      );
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/trash");
+    // Undo from the duplicates review brings the pair back
+    revalidatePath("/duplicates");
+    for (const accountId of new Set(
+      transactions.flatMap((t) => [t.accountId, t.transferAccountId])
+    )) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { count: transactions.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Deletes transactions in the trash for good, with their receipts. Without
+// ids, empties the whole trash. Their balance effect was already reverted
+// when they were deleted.
+export async function purgeTransactions(transactionIds) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const where = {
+      userId: user.id,
+      deletedAt: { not: null },
+      ...(transactionIds && { id: { in: transactionIds } }),
+    };
+
+    const transactions = await db.transaction.findMany({
+      where,
+      select: { id: true, receiptUrl: true },
+    });
+
+    if (transactions.length === 0) throw new Error("The trash is empty");
+
+    await db.transaction.deleteMany({
+      where: { ...where, id: { in: transactions.map((t) => t.id) } },
+    });
+
+    await removeReceipts(transactions.map((t) => t.receiptUrl));
+
+    revalidatePath("/trash");
+    return { success: true, data: { count: transactions.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
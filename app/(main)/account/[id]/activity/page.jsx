@@ -0,0 +1,61 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { getAccountActivity } from "@/actions/audit";
+import { getUserCategories } from "@/actions/category";
+import { AuditLog } from "@/components/audit-log";
+import { Button } from "@/components/ui/button";
+
+export default async function AccountActivityPage({ params, searchParams }) {
+  const { id } = await params;
+  const { cursor } = await searchParams;
+  const [activity, categories] = await Promise.all([
+    getAccountActivity(id, { cursor }),
+    getUserCategories(),
+  ]);
+
+  if (!activity) notFound();
+
+  return (
+    <div className="space-y-8 px-5">
+      <div>
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          Activity
+        </h1>
+        <p className="text-muted-foreground">
+          Changes to transactions on{" "}
+          <Link href={`/account/${id}`} className="hover:underline">
+            {activity.account.name}
+          </Link>
+        </p>
+      </div>
+
+      <AuditLog
+        entries={activity.entries}
+        accounts={activity.accounts}
+        categories={categories}
+        showTransaction
+      />
+
+      {(cursor || activity.nextCursor) && (
+        <div className="flex justify-between">
+          {cursor ? (
+            <Button variant="outline" asChild>
+              <Link href={`/account/${id}/activity`}>Newest</Link>
+            </Button>
+          ) : (
+            <span />
+          )}
+          {activity.nextCursor && (
+            <Button variant="outline" asChild>
+              <Link
+                href={`/account/${id}/activity?cursor=${activity.nextCursor}`}
+              >
+                Older
+              </Link>
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,54 +4,165 @@ import { BarLoader } from "react-spinners";
 import { TransactionTable } from "../_components/transaction-table";
 import { notFound } from "next/navigation";
 import { AccountChart } from "../_components/account-chart";
+import { LastReconciliation } from "../_components/last-reconciliation";
+import { ImportTransactionsDrawer } from "../_components/import-transactions-drawer";
+import { getUserAccounts } from "@/actions/dashboard";
+import { getUserCategories } from "@/actions/category";
+import { getUserTags } from "@/actions/tag";
+import { AccountActions } from "@/components/account-actions";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { AccountTypeSummary } from "@/components/account-type-summary";
+import { accountTypeNames } from "@/data/account-types";
+import { formatCurrency } from "@/lib/currency";
+import { parseTransactionQuery } from "@/lib/transaction-query";
+import { AlertTriangle } from "lucide-react";
+import Link from "next/link";
 
-export default async function AccountPage({ params }) {
+export default async function AccountPage({ params, searchParams }) {
   // Await params before accessing its properties (Next.js 15+ requirement)
   const { id } = await params;
+  // The table's search, filters, sort and page
+  const query = parseTransactionQuery(await searchParams);
   
-  const accountData = await getAccountWithTransactions(id);
+  const [accountData, accounts, categories, tags] = await Promise.all([
+    getAccountWithTransactions(id, query),
+    getUserAccounts(),
+    getUserCategories(),
+    getUserTags(),
+  ]);
 
   if (!accountData) {
     notFound();
   }
 
-  const { transactions, ...account } = accountData;
+  const { transactions, pageInfo, ...account } = accountData;
 
   return (
     <div className="space-y-8 px-5">
       <div className="flex gap-4 items-end justify-between">
         <div>
-          <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title capitalize">
-            {account.name}
-          </h1>
+          <div className="flex items-center gap-2">
+            <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title capitalize">
+              {account.name}
+            </h1>
+            <AccountActions account={account} accounts={accounts} />
+          </div>
           <p className="text-muted-foreground">
-            {account.type.charAt(0) + account.type.slice(1).toLowerCase()}{" "}
-            Account
+            {accountTypeNames[account.type]} Account
+            {account.isArchived && (
+              <Badge variant="outline" className="ml-2">
+                Archived
+              </Badge>
+            )}
           </p>
         </div>
 
         <div className="text-right pb-2">
           <div className="text-xl sm:text-2xl font-bold">
-            ₹{parseFloat(account.balance).toFixed(2)}
+            {formatCurrency(account.balance, account.currency)}
           </div>
+          {/* Pending transactions aren't in the booked balance yet */}
+          {(account.pending.incoming > 0 || account.pending.outgoing > 0) && (
+            <div className="text-sm text-muted-foreground">
+              <p>
+                Booked ·{" "}
+                {formatCurrency(
+                  account.balance - account.pending.outgoing,
+                  account.currency
+                )}{" "}
+                available
+              </p>
+              <p>
+                Pending
+                {account.pending.outgoing > 0 &&
+                  ` -${formatCurrency(account.pending.outgoing, account.currency)}`}
+                {account.pending.incoming > 0 &&
+                  ` +${formatCurrency(account.pending.incoming, account.currency)}`}
+              </p>
+            </div>
+          )}
           <p className="text-sm text-muted-foreground">
-            {account._count.transactions} Transactions
+            {account._count.transactions + account._count.incomingTransfers}{" "}
+            Transactions
           </p>
+          <LastReconciliation
+            accountId={account.id}
+            accountType={account.type}
+            currency={account.currency}
+            reconciliation={account.lastReconciliation}
+          />
         </div>
       </div>
 
+      {/* Flagged by the daily drift check */}
+      {account.balanceDrift != null && (
+        <p className="flex items-center gap-2 text-sm text-yellow-600">
+          <AlertTriangle className="h-4 w-4" />
+          Stored balance is off by{" "}
+          {formatCurrency(account.balanceDrift, account.currency)} from the
+          transactions.
+          <Link href="/balances" className="underline">
+            Review
+          </Link>
+        </p>
+      )}
+
+      {/* Credit card / loan details */}
+      {["CREDIT_CARD", "LOAN"].includes(account.type) && (
+        <div className="max-w-md">
+          <AccountTypeSummary account={account} />
+        </div>
+      )}
+
       {/* Chart Section */}
       <Suspense
         fallback={<BarLoader className="mt-4" width={"100%"} color="#9333ea" />}
       >
-        <AccountChart transactions={transactions} />
+        <AccountChart
+          dailyTotals={account.dailyTotals}
+          balanceHistory={account.balanceHistory}
+          currency={account.currency}
+        />
       </Suspense>
 
+      {/* Change history, duplicate review, and history from a bank export */}
+      <div className="flex justify-end gap-2">
+        <Button variant="outline" asChild>
+          <Link href={`/account/${account.id}/activity`}>Activity</Link>
+        </Button>
+        <Button variant="outline" asChild>
+          <Link href={`/duplicates?account=${account.id}`}>
+            Find Duplicates
+          </Link>
+        </Button>
+        {!account.isArchived && (
+          <ImportTransactionsDrawer
+            accountId={account.id}
+            currency={account.currency}
+            categories={categories}
+          />
+        )}
+      </div>
+
       {/* Transactions Table */}
       <Suspense
         fallback={<BarLoader className="mt-4" width={"100%"} color="#9333ea" />}
       >
-        <TransactionTable transactions={transactions} />
+        <TransactionTable
+          transactions={transactions}
+          query={query}
+          pageInfo={pageInfo}
+          accountId={account.id}
+          currency={account.currency}
+          accountType={account.type}
+          openingBalance={account.openingBalance}
+          clearedHistory={account.clearedHistory}
+          lastReconciliation={account.lastReconciliation}
+          categories={categories}
+          tags={tags}
+          accounts={accounts}
+        />
       </Suspense>
     </div>
   );
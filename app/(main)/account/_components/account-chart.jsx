@@ -2,8 +2,9 @@
 
 import { useState, useMemo } from "react";
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -11,7 +12,7 @@ import {
   Legend,
   ResponsiveContainer,
 } from "recharts";
-import { format, subDays, startOfDay, endOfDay } from "date-fns";
+import { format, parseISO, subDays, startOfDay } from "date-fns";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import {
   Select,
@@ -20,6 +21,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import { formatCurrency, getCurrencySymbol } from "@/lib/currency";
 
 const DATE_RANGES = {
   "7D": { label: "Last 7 Days", days: 7 },
@@ -29,7 +31,7 @@ const DATE_RANGES = {
   ALL: { label: "All Time", days: null },
 };
 
-export function AccountChart({ transactions }) {
+export function AccountChart({ dailyTotals, balanceHistory, currency }) {
   const [dateRange, setDateRange] = useState("1M");
 
   const filteredData = useMemo(() => {
@@ -39,30 +41,50 @@ export function AccountChart({ transactions }) {
       ? startOfDay(subDays(now, range.days))
       : startOfDay(new Date(0));
 
-    // Filter transactions within date range
-    const filtered = transactions.filter(
-      (t) => new Date(t.date) >= startDate && new Date(t.date) <= endOfDay(now)
-    );
+    // Days keyed as yyyy-MM-dd so they sort chronologically
+    const grouped = {};
+    const addDay = (day) => {
+      if (!grouped[day]) {
+        grouped[day] = {
+          day,
+          date: format(parseISO(day), "MMM dd"),
+          income: 0,
+          expense: 0,
+          balance: null,
+        };
+      }
+      return grouped[day];
+    };
+
+    // Carry the balance from before the range so the line starts at its edge
+    const startDay = format(startDate, "yyyy-MM-dd");
+    const endDay = format(now, "yyyy-MM-dd");
+    const previous = balanceHistory.filter((b) => b.date < startDay).at(-1);
+    if (previous && range.days) {
+      addDay(startDay).balance = previous.balance;
+    }
 
-    // Group transactions by date
-    const grouped = filtered.reduce((acc, transaction) => {
-      const date = format(new Date(transaction.date), "MMM dd");
-      if (!acc[date]) {
-        acc[date] = { date, income: 0, expense: 0 };
+    // End-of-day balances come from the server, which walks every
+    // transaction (transfers included) in date order
+    for (const { date, balance } of balanceHistory) {
+      if (date >= startDay && date <= endDay) {
+        addDay(date).balance = balance;
       }
-      if (transaction.type === "INCOME") {
-        acc[date].income += transaction.amount;
-      } else {
-        acc[date].expense += transaction.amount;
+    }
+
+    // Income and expenses per day also come from the server, leaving out
+    // transfers between the user's own accounts and payments that failed
+    for (const { date, income, expense } of dailyTotals) {
+      if (date >= startDay && date <= endDay) {
+        const entry = addDay(date);
+        entry.income = income;
+        entry.expense = expense;
       }
-      return acc;
-    }, {});
+    }
 
     // Convert to array and sort by date
-    return Object.values(grouped).sort(
-      (a, b) => new Date(a.date) - new Date(b.date)
-    );
-  }, [transactions, dateRange]);
+    return Object.values(grouped).sort((a, b) => a.day.localeCompare(b.day));
+  }, [dailyTotals, balanceHistory, dateRange]);
 
   // Calculate totals for the selected period
   const totals = useMemo(() => {
@@ -99,13 +121,13 @@ export function AccountChart({ transactions }) {
           <div className="text-center">
             <p className="text-muted-foreground">Total Income</p>
             <p className="text-lg font-bold text-green-500">
-              ₹{totals.income.toFixed(2)}
+              {formatCurrency(totals.income, currency)}
             </p>
           </div>
           <div className="text-center">
             <p className="text-muted-foreground">Total Expenses</p>
             <p className="text-lg font-bold text-red-500">
-              ₹{totals.expense.toFixed(2)}
+              {formatCurrency(totals.expense, currency)}
             </p>
           </div>
           <div className="text-center">
@@ -117,13 +139,13 @@ export function AccountChart({ transactions }) {
                   : "text-red-500"
               }`}
             >
-              ₹{(totals.income - totals.expense).toFixed(2)}
+              {formatCurrency(totals.income - totals.expense, currency)}
             </p>
           </div>
         </div>
         <div className="h-[300px]">
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart
+            <ComposedChart
               data={filteredData}
               margin={{ top: 10, right: 10, left: 10, bottom: 0 }}
             >
@@ -138,10 +160,25 @@ export function AccountChart({ transactions }) {
                 fontSize={12}
                 tickLine={false}
                 axisLine={false}
-                tickFormatter={(value) => `₹${value}`}
+                tickFormatter={(value) =>
+                  `${getCurrencySymbol(currency)}${value}`
+                }
+              />
+              <YAxis
+                yAxisId="balance"
+                orientation="right"
+                fontSize={12}
+                tickLine={false}
+                axisLine={false}
+                tickFormatter={(value) =>
+                  `${getCurrencySymbol(currency)}${value}`
+                }
               />
               <Tooltip
-                formatter={(value) => [`₹${value}`, undefined]}
+                formatter={(value) => [
+                  formatCurrency(value, currency),
+                  undefined,
+                ]}
                 contentStyle={{
                   backgroundColor: "hsl(var(--popover))",
                   border: "1px solid hsl(var(--border))",
@@ -161,7 +198,17 @@ export function AccountChart({ transactions }) {
                 fill="#ef4444"
                 radius={[4, 4, 0, 0]}
               />
-            </BarChart>
+              <Line
+                yAxisId="balance"
+                type="stepAfter"
+                dataKey="balance"
+                name="Balance"
+                stroke="#9333ea"
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+              />
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       </CardContent>
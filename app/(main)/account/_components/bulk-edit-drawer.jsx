@@ -0,0 +1,299 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { CalendarIcon, Loader2, Pencil } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Calendar } from "@/components/ui/calendar";
+import { bulkUpdateTransactions } from "@/actions/transaction";
+import { getSelectableCategories } from "@/lib/categories";
+import { summarizeBulkEdit } from "@/lib/bulk-edit";
+import { cn } from "@/lib/utils";
+
+// Select value for a field left as it is
+const UNCHANGED = "unchanged";
+
+const initialChanges = {
+  category: UNCHANGED,
+  accountId: UNCHANGED,
+  date: undefined,
+  recurring: UNCHANGED,
+  recurringInterval: "MONTHLY",
+  status: UNCHANGED,
+};
+
+// Changes the category, account, date, recurrence or status of the selected
+// transactions at once
+export function BulkEditDrawer({
+  accountId,
+  selectedIds,
+  accounts,
+  categories,
+  onDone,
+}) {
+  const [open, setOpen] = useState(false);
+  const [changes, setChanges] = useState(initialChanges);
+
+  const {
+    loading: editLoading,
+    fn: editFn,
+    data: edited,
+  } = useFetch(bulkUpdateTransactions);
+
+  useEffect(() => {
+    if (!open) setChanges(initialChanges);
+  }, [open]);
+
+  useEffect(() => {
+    if (edited?.success) {
+      const { updated, count } = edited.data;
+      toast.success(`Updated ${updated} of ${count} transactions`, {
+        description: summarizeBulkEdit(edited.data).map((line) => (
+          <div key={line}>{line}</div>
+        )),
+      });
+      setOpen(false);
+      onDone();
+    }
+  }, [edited, onDone]);
+
+  const setChange = (field) => (value) =>
+    setChanges((current) => ({ ...current, [field]: value }));
+
+  const otherAccounts = accounts.filter(
+    (account) => account.id !== accountId && !account.isArchived
+  );
+
+  const hasChanges =
+    changes.category !== UNCHANGED ||
+    changes.accountId !== UNCHANGED ||
+    changes.date !== undefined ||
+    changes.recurring !== UNCHANGED ||
+    changes.status !== UNCHANGED;
+
+  const handleSave = () => {
+    const value = (field) =>
+      changes[field] === UNCHANGED ? undefined : changes[field];
+
+    editFn(accountId, selectedIds, {
+      category: value("category"),
+      accountId: value("accountId"),
+      date: changes.date,
+      isRecurring:
+        changes.recurring === UNCHANGED
+          ? undefined
+          : changes.recurring === "on",
+      recurringInterval:
+        changes.recurring === "on" ? changes.recurringInterval : undefined,
+      status: value("status"),
+    });
+  };
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Pencil className="h-4 w-4 mr-2" />
+          Edit
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Edit {selectedIds.length} Transactions</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Category</label>
+              <Select
+                value={changes.category}
+                onValueChange={setChange("category")}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNCHANGED}>Unchanged</SelectItem>
+                  {["EXPENSE", "INCOME"].map((type) =>
+                    getSelectableCategories(categories, type).map(
+                      (category) => (
+                        <SelectItem key={category.id} value={category.key}>
+                          {category.name}
+                          <span className="ml-1 text-muted-foreground">
+                            ({type === "INCOME" ? "Income" : "Expense"})
+                          </span>
+                        </SelectItem>
+                      )
+                    )
+                  )}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Move to Account</label>
+              <Select
+                value={changes.accountId}
+                onValueChange={setChange("accountId")}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNCHANGED}>Unchanged</SelectItem>
+                  {otherAccounts.map((account) => (
+                    <SelectItem key={account.id} value={account.id}>
+                      {account.name} ({account.currency})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Date</label>
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    className={cn(
+                      "w-full pl-3 text-left font-normal",
+                      !changes.date && "text-muted-foreground"
+                    )}
+                  >
+                    {changes.date ? (
+                      format(changes.date, "PPP")
+                    ) : (
+                      <span>Unchanged</span>
+                    )}
+                    <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar
+                    mode="single"
+                    selected={changes.date}
+                    onSelect={setChange("date")}
+                    disabled={(date) =>
+                      date > new Date() || date < new Date("1900-01-01")
+                    }
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Status</label>
+              <Select
+                value={changes.status}
+                onValueChange={setChange("status")}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNCHANGED}>Unchanged</SelectItem>
+                  <SelectItem value="COMPLETED">Completed</SelectItem>
+                  <SelectItem value="PENDING">Pending</SelectItem>
+                  <SelectItem value="FAILED">Failed</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Recurring</label>
+              <Select
+                value={changes.recurring}
+                onValueChange={setChange("recurring")}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNCHANGED}>Unchanged</SelectItem>
+                  <SelectItem value="on">Recurring</SelectItem>
+                  <SelectItem value="off">Not recurring</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {changes.recurring === "on" && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium">
+                  Recurring Interval
+                </label>
+                <Select
+                  value={changes.recurringInterval}
+                  onValueChange={setChange("recurringInterval")}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="DAILY">Daily</SelectItem>
+                    <SelectItem value="WEEKLY">Weekly</SelectItem>
+                    <SelectItem value="MONTHLY">Monthly</SelectItem>
+                    <SelectItem value="YEARLY">Yearly</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+
+          <p className="text-sm text-muted-foreground">
+            Changes that don&apos;t fit a transaction, like an expense category
+            on income or a move to an account in another currency, skip it.
+            Reconciled transactions stay as they are.
+          </p>
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              onClick={handleSave}
+              disabled={editLoading || !hasChanges}
+            >
+              {editLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                "Apply to All"
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,74 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Loader2, Tags } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { TagInput } from "@/components/tag-input";
+import { updateTransactionTags } from "@/actions/transaction";
+
+// Adds tags to, or removes them from, the selected transactions
+export function BulkTagPopover({ selectedIds, tags, onDone }) {
+  const [open, setOpen] = useState(false);
+  const [names, setNames] = useState([]);
+
+  const {
+    loading: tagLoading,
+    fn: tagFn,
+    data: tagged,
+  } = useFetch(updateTransactionTags);
+
+  useEffect(() => {
+    if (tagged?.success) {
+      toast.success(`Updated tags on ${tagged.data.count} transactions`);
+      setOpen(false);
+      setNames([]);
+      onDone();
+    }
+  }, [tagged, onDone]);
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Tags className="h-4 w-4 mr-2" />
+          Tag
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-72 space-y-4" align="end">
+        <TagInput
+          value={names}
+          onChange={setNames}
+          suggestions={tags.map((tag) => tag.name)}
+        />
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1"
+            onClick={() => tagFn(selectedIds, { remove: names })}
+            disabled={tagLoading || names.length === 0}
+          >
+            Remove
+          </Button>
+          <Button
+            size="sm"
+            className="flex-1"
+            onClick={() => tagFn(selectedIds, { add: names })}
+            disabled={tagLoading || names.length === 0}
+          >
+            {tagLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Add
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,514 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { Loader2, Upload } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { findImportDuplicates, importTransactions } from "@/actions/import";
+import { importDateFormats, importPresets } from "@/data/import-presets";
+import {
+  detectPreset,
+  getPresetMapping,
+  mapImportRows,
+  parseCsv,
+  parseOfx,
+  parseQif,
+} from "@/lib/import";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryLookup } from "@/lib/categories";
+import { cn } from "@/lib/utils";
+
+const NONE = "none";
+
+const emptyMapping = {
+  headerRow: 0,
+  dateFormat: importDateFormats[0],
+  amountMode: "split",
+  date: null,
+  description: null,
+  amount: null,
+  debit: null,
+  credit: null,
+  category: null,
+};
+
+function ColumnSelect({ label, headers, value, onChange, optional }) {
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium">{label}</label>
+      <Select
+        value={value == null ? NONE : String(value)}
+        onValueChange={(v) => onChange(v === NONE ? null : Number(v))}
+      >
+        <SelectTrigger>
+          <SelectValue placeholder="Select column" />
+        </SelectTrigger>
+        <SelectContent>
+          {optional && <SelectItem value={NONE}>Not in file</SelectItem>}
+          {headers.map((header, index) => (
+            <SelectItem key={index} value={String(index)}>
+              {header || `Column ${index + 1}`}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+// Statement formats that carry their own structure, keyed by extension
+const getFileType = (name) => {
+  const extension = name.split(".").pop().toLowerCase();
+  if (["ofx", "qfx"].includes(extension)) return "ofx";
+  if (extension === "qif") return "qif";
+  return "csv";
+};
+
+export function ImportTransactionsDrawer({ accountId, currency, categories }) {
+  const [open, setOpen] = useState(false);
+  const [fileType, setFileType] = useState(null);
+  const [fileText, setFileText] = useState("");
+  const [qifDateFormat, setQifDateFormat] = useState("MM/dd/yyyy");
+  const [rows, setRows] = useState([]);
+  const [presetId, setPresetId] = useState(NONE);
+  const [mapping, setMapping] = useState(emptyMapping);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+
+  const {
+    loading: duplicatesLoading,
+    fn: duplicatesFn,
+    data: duplicates,
+    setData: setDuplicates,
+  } = useFetch(findImportDuplicates);
+
+  const {
+    loading: importLoading,
+    fn: importFn,
+    data: imported,
+    setData: setImported,
+  } = useFetch(importTransactions);
+
+  const getCategory = useMemo(
+    () => getCategoryLookup(categories),
+    [categories]
+  );
+
+  const headers = rows[mapping.headerRow] || [];
+  const results = useMemo(() => {
+    switch (fileType) {
+      case "ofx":
+        return parseOfx(fileText, accountId, categories);
+      case "qif":
+        return parseQif(fileText, qifDateFormat, accountId, categories);
+      case "csv":
+        return mapImportRows(rows, mapping, accountId, categories);
+      default:
+        return [];
+    }
+  }, [fileType, fileText, qifDateFormat, rows, mapping, accountId, categories]);
+  const validRows = results.filter((result) => result.errors.length === 0);
+
+  // Duplicate flags are only valid for the mapping they were checked with
+  useEffect(() => {
+    setDuplicates(undefined);
+  }, [results, setDuplicates]);
+
+  // The server returns indexes into the rows it was sent
+  const toLines = (indexes = []) =>
+    new Set(indexes.map((index) => validRows[index]?.line));
+  const importedLines = toLines(duplicates?.data.imported);
+  const duplicateLines = toLines(duplicates?.data.duplicates);
+  const importCount =
+    validRows.length -
+    importedLines.size -
+    (skipDuplicates ? duplicateLines.size : 0);
+
+  const reset = () => {
+    setFileType(null);
+    setFileText("");
+    setRows([]);
+    setPresetId(NONE);
+    setMapping(emptyMapping);
+    setSkipDuplicates(true);
+    setImported(undefined);
+  };
+
+  useEffect(() => {
+    if (imported?.success) {
+      const { imported: count, skipped } = imported.data;
+      toast.success(
+        `Imported ${count} transactions${skipped ? `, skipped ${skipped} already on the account` : ""}`
+      );
+      setFileType(null);
+      setFileText("");
+      setRows([]);
+      setPresetId(NONE);
+      setMapping(emptyMapping);
+      setOpen(false);
+    }
+  }, [imported]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const text = await file.text();
+    const type = getFileType(file.name);
+    setFileType(type);
+    setFileText(text);
+    if (type !== "csv") return;
+
+    const parsed = parseCsv(text);
+    if (parsed.length === 0) {
+      toast.error("The file is empty");
+      return;
+    }
+
+    setRows(parsed);
+
+    // Start from a matching bank preset when the headers give one away
+    const preset = detectPreset(parsed, importPresets);
+    setPresetId(preset ? preset.id : NONE);
+    setMapping(preset ? getPresetMapping(parsed, preset) : emptyMapping);
+  };
+
+  const handlePresetChange = (id) => {
+    setPresetId(id);
+    const preset = importPresets.find((p) => p.id === id);
+    setMapping((preset && getPresetMapping(rows, preset)) || emptyMapping);
+  };
+
+  const updateMapping = (field) => (value) =>
+    setMapping((current) => ({ ...current, [field]: value }));
+
+  const handleImport = () => {
+    importFn(
+      accountId,
+      validRows.map((result) => result.data),
+      skipDuplicates
+    );
+  };
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (!value) reset();
+      }}
+    >
+      <DrawerTrigger asChild>
+        <Button variant="outline">
+          <Upload className="h-4 w-4 mr-2" />
+          Import
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent className="max-h-[90vh]">
+        <DrawerHeader>
+          <DrawerTitle>Import Transactions</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          <Input
+            type="file"
+            accept=".csv,.ofx,.qfx,.qif"
+            onChange={handleFileChange}
+          />
+
+          {/* Column mapping */}
+          {fileType === "csv" && rows.length > 0 && (
+            <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Bank Layout</label>
+                <Select value={presetId} onValueChange={handlePresetChange}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NONE}>Custom</SelectItem>
+                    {importPresets.map((preset) => (
+                      <SelectItem key={preset.id} value={preset.id}>
+                        {preset.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Header Row</label>
+                <Input
+                  type="number"
+                  min="1"
+                  max={rows.length}
+                  value={mapping.headerRow + 1}
+                  onChange={(e) =>
+                    updateMapping("headerRow")(
+                      Math.min(
+                        Math.max(parseInt(e.target.value, 10) - 1 || 0, 0),
+                        rows.length - 1
+                      )
+                    )
+                  }
+                />
+              </div>
+              <ColumnSelect
+                label="Date"
+                headers={headers}
+                value={mapping.date}
+                onChange={updateMapping("date")}
+              />
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Date Format</label>
+                <Select
+                  value={mapping.dateFormat}
+                  onValueChange={updateMapping("dateFormat")}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {importDateFormats.map((dateFormat) => (
+                      <SelectItem key={dateFormat} value={dateFormat}>
+                        {dateFormat}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <ColumnSelect
+                label="Description"
+                headers={headers}
+                value={mapping.description}
+                onChange={updateMapping("description")}
+                optional
+              />
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Amounts</label>
+                <Select
+                  value={mapping.amountMode}
+                  onValueChange={updateMapping("amountMode")}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="split">
+                      Separate debit and credit
+                    </SelectItem>
+                    <SelectItem value="signed">
+                      One signed amount column
+                    </SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {mapping.amountMode === "signed" ? (
+                <ColumnSelect
+                  label="Amount"
+                  headers={headers}
+                  value={mapping.amount}
+                  onChange={updateMapping("amount")}
+                />
+              ) : (
+                <>
+                  <ColumnSelect
+                    label="Debit"
+                    headers={headers}
+                    value={mapping.debit}
+                    onChange={updateMapping("debit")}
+                  />
+                  <ColumnSelect
+                    label="Credit"
+                    headers={headers}
+                    value={mapping.credit}
+                    onChange={updateMapping("credit")}
+                  />
+                </>
+              )}
+              <ColumnSelect
+                label="Category"
+                headers={headers}
+                value={mapping.category}
+                onChange={updateMapping("category")}
+                optional
+              />
+            </div>
+          )}
+
+          {/* QIF dates carry no layout */}
+          {fileType === "qif" && (
+            <div className="space-y-2 max-w-xs">
+              <label className="text-sm font-medium">Date Format</label>
+              <Select value={qifDateFormat} onValueChange={setQifDateFormat}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {importDateFormats.map((dateFormat) => (
+                    <SelectItem key={dateFormat} value={dateFormat}>
+                      {dateFormat}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {fileType && fileType !== "csv" && results.length === 0 && (
+            <p className="text-sm text-muted-foreground">
+              No transactions found in this file
+            </p>
+          )}
+
+          {results.length > 0 && (
+            <>
+              {/* Preview */}
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <p className="text-sm text-muted-foreground">
+                  {validRows.length} of {results.length} rows are valid
+                  {duplicates?.success &&
+                    `, ${importedLines.size} already imported, ${duplicateLines.size} look like duplicates`}
+                </p>
+                <div className="flex items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm">
+                    <Switch
+                      checked={skipDuplicates}
+                      onCheckedChange={setSkipDuplicates}
+                    />
+                    Skip likely duplicates
+                  </label>
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      duplicatesFn(
+                        accountId,
+                        validRows.map((result) => result.data)
+                      )
+                    }
+                    disabled={duplicatesLoading || validRows.length === 0}
+                  >
+                    {duplicatesLoading && (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    )}
+                    Check Duplicates
+                  </Button>
+                  <Button
+                    onClick={handleImport}
+                    disabled={
+                      importLoading ||
+                      importCount <= 0 ||
+                      (skipDuplicates && !duplicates?.success)
+                    }
+                  >
+                    {importLoading && (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    )}
+                    Import {importCount > 0 ? importCount : ""} Transactions
+                  </Button>
+                </div>
+              </div>
+
+              <div className="rounded-md border max-h-[40vh] overflow-y-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-[60px]">Line</TableHead>
+                      <TableHead>Date</TableHead>
+                      <TableHead>Description</TableHead>
+                      <TableHead>Category</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead>Status</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {results.map((result) => {
+                      const isImported = importedLines.has(result.line);
+                      const isDuplicate = duplicateLines.has(result.line);
+
+                      return (
+                        <TableRow
+                          key={result.line}
+                          className={cn(
+                            result.errors.length > 0 && "bg-red-50",
+                            (isImported || isDuplicate) && "bg-yellow-50"
+                          )}
+                        >
+                          <TableCell>{result.line}</TableCell>
+                          <TableCell>
+                            {result.data.date
+                              ? format(result.data.date, "PP")
+                              : "—"}
+                          </TableCell>
+                          <TableCell>{result.data.description}</TableCell>
+                          <TableCell>
+                            {getCategory(result.data.category).name}
+                          </TableCell>
+                          <TableCell
+                            className={cn(
+                              "text-right font-medium",
+                              result.data.type === "INCOME"
+                                ? "text-green-500"
+                                : "text-red-500"
+                            )}
+                          >
+                            {result.data.amount &&
+                              `${result.data.type === "INCOME" ? "+" : "-"}${formatCurrency(
+                                result.data.amount,
+                                currency
+                              )}`}
+                          </TableCell>
+                          <TableCell className="text-sm">
+                            {result.errors.length > 0 ? (
+                              <span className="text-red-500">
+                                {result.errors.join("; ")}
+                              </span>
+                            ) : isImported ? (
+                              <span className="text-yellow-600">
+                                Already imported
+                              </span>
+                            ) : isDuplicate ? (
+                              <span className="text-yellow-600">
+                                Likely duplicate
+                              </span>
+                            ) : (
+                              <span className="text-green-600">Ready</span>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,66 @@
+"use client";
+
+import { useEffect } from "react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { undoReconciliation } from "@/actions/reconciliation";
+import { isLiabilityAccount } from "@/lib/accounts";
+import { formatCurrency } from "@/lib/currency";
+
+export function LastReconciliation({
+  accountId,
+  accountType,
+  currency,
+  reconciliation,
+}) {
+  const {
+    loading: undoLoading,
+    fn: undoFn,
+    data: undone,
+  } = useFetch(undoReconciliation);
+
+  useEffect(() => {
+    if (undone?.success) {
+      toast.success("Reconciliation undone");
+    }
+  }, [undone]);
+
+  if (!reconciliation) {
+    return <p className="text-sm text-muted-foreground">Never reconciled</p>;
+  }
+
+  const handleUndo = () => {
+    if (
+      !window.confirm(
+        "Undo the last reconciliation? Its transactions will be unlocked."
+      )
+    )
+      return;
+
+    undoFn(accountId);
+  };
+
+  // Shown the way the statement was entered, as the amount owed for liabilities
+  const balance = isLiabilityAccount(accountType)
+    ? Math.abs(reconciliation.statementBalance)
+    : reconciliation.statementBalance;
+
+  return (
+    <p className="text-sm text-muted-foreground">
+      Reconciled to {format(new Date(reconciliation.statementDate), "PP")} at{" "}
+      {formatCurrency(balance, currency)}
+      <Button
+        variant="link"
+        size="sm"
+        className="h-auto p-0 ml-2"
+        onClick={handleUndo}
+        disabled={undoLoading}
+      >
+        Undo
+      </Button>
+    </p>
+  );
+}
@@ -47,7 +47,7 @@ import {
 } from "@/components/ui/tooltip";
 import { Badge } from "@/components/ui/badge";
 import { cn } from "@/lib/utils";
-import { categoryColors } from "@/data/categories";
+import { getCategoryLookup } from "@/lib/categories";
 import { bulkDeleteTransactions } from "@/actions/account";
 import useFetch from "@/hooks/use-fetch";
 import { BarLoader } from "react-spinners";
@@ -60,7 +60,7 @@ const RECURRING_INTERVALS = {
   YEARLY: "Yearly",
 };
 
-export function NoPaginationTransactionTable({ transactions }) {
+export function NoPaginationTransactionTable({ transactions, categories }) {
   const [selectedIds, setSelectedIds] = useState([]);
   const [sortConfig, setSortConfig] = useState({
     field: "date",
@@ -71,6 +71,11 @@ export function NoPaginationTransactionTable({ transactions }) {
   const [recurringFilter, setRecurringFilter] = useState("");
   const router = useRouter();
 
+  const getCategory = useMemo(
+    () => getCategoryLookup(categories),
+    [categories]
+  );
+
   // Memoized filtered and sorted transactions
   const filteredAndSortedTransactions = useMemo(() => {
     let result = [...transactions];
@@ -328,14 +333,14 @@ export function NoPaginationTransactionTable({ transactions }) {
                     {format(new Date(transaction.date), "PP")}
                   </TableCell>
                   <TableCell>{transaction.description}</TableCell>
-                  <TableCell className="capitalize">
+                  <TableCell>
                     <span
                       style={{
-                        background: categoryColors[transaction.category],
+                        background: getCategory(transaction.category).color,
                       }}
                       className="px-2 py-1 rounded text-white text-sm"
                     >
-                      {transaction.category}
+                      {getCategory(transaction.category).name}
                     </span>
                   </TableCell>
                   <TableCell
@@ -0,0 +1,219 @@
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent } from "@/components/ui/card";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { cn } from "@/lib/utils";
+import { completeReconciliation } from "@/actions/reconciliation";
+import { reconciliationSchema } from "@/app/lib/schema";
+import { isLiabilityAccount } from "@/lib/accounts";
+import { formatCurrency } from "@/lib/currency";
+import { getClearedBalance } from "@/lib/reconciliation";
+
+function StatementForm({ accountType, lastReconciliation, onStart, onCancel }) {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    watch,
+    setValue,
+  } = useForm({
+    resolver: zodResolver(reconciliationSchema),
+    defaultValues: {
+      statementDate: new Date(),
+      statementBalance: "",
+    },
+  });
+
+  const statementDate = watch("statementDate");
+
+  return (
+    <form
+      onSubmit={handleSubmit(onStart)}
+      className="flex flex-col sm:flex-row gap-4 sm:items-end"
+    >
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Statement Date</label>
+        <Popover>
+          <PopoverTrigger asChild>
+            <Button
+              type="button"
+              variant="outline"
+              className="w-[200px] pl-3 text-left font-normal"
+            >
+              {statementDate ? (
+                format(statementDate, "PPP")
+              ) : (
+                <span>Pick a date</span>
+              )}
+              <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-auto p-0" align="start">
+            <Calendar
+              mode="single"
+              selected={statementDate}
+              onSelect={(date) => setValue("statementDate", date)}
+              disabled={(date) =>
+                date > new Date() ||
+                (lastReconciliation &&
+                  date < new Date(lastReconciliation.statementDate))
+              }
+              initialFocus
+            />
+          </PopoverContent>
+        </Popover>
+        {errors.statementDate && (
+          <p className="text-sm text-red-500">{errors.statementDate.message}</p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm font-medium">
+          {isLiabilityAccount(accountType)
+            ? "Statement Amount Owed"
+            : "Statement Closing Balance"}
+        </label>
+        <Input
+          type="number"
+          step="0.01"
+          placeholder="0.00"
+          className="w-[200px]"
+          {...register("statementBalance")}
+        />
+        {errors.statementBalance && (
+          <p className="text-sm text-red-500">
+            {errors.statementBalance.message}
+          </p>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <Button type="submit">Start Reconciling</Button>
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Statement entry and running difference while reconciling an account
+export function ReconcileBar({
+  accountId,
+  accountType,
+  openingBalance,
+  currency,
+  clearedHistory,
+  lastReconciliation,
+  statement,
+  onStatementChange,
+  onClose,
+}) {
+  const {
+    loading: completeLoading,
+    fn: completeFn,
+    data: completed,
+  } = useFetch(completeReconciliation);
+
+  useEffect(() => {
+    if (completed?.success) {
+      toast.success("Account reconciled");
+      onClose();
+    }
+  }, [completed, onClose]);
+
+  if (!statement) {
+    return (
+      <Card>
+        <CardContent className="pt-6">
+          <StatementForm
+            accountType={accountType}
+            lastReconciliation={lastReconciliation}
+            onStart={onStatementChange}
+            onCancel={onClose}
+          />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  // Credit card and loan statements show the amount owed
+  const enteredBalance = parseFloat(statement.statementBalance);
+  const statementBalance = isLiabilityAccount(accountType)
+    ? -Math.abs(enteredBalance)
+    : enteredBalance;
+  const clearedBalance = getClearedBalance(
+    clearedHistory,
+    openingBalance,
+    statement.statementDate
+  );
+  const difference = statementBalance - clearedBalance;
+  const isBalanced = Math.abs(difference) < 0.005;
+
+  return (
+    <Card>
+      <CardContent className="pt-6 flex flex-col md:flex-row gap-4 md:items-center justify-between">
+        <div className="grid grid-cols-3 gap-6 text-sm">
+          <div>
+            <p className="text-muted-foreground">
+              Statement ({format(statement.statementDate, "PP")})
+            </p>
+            <p className="font-medium">
+              {formatCurrency(statementBalance, currency)}
+            </p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Cleared Balance</p>
+            <p className="font-medium">
+              {formatCurrency(clearedBalance, currency)}
+            </p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Difference</p>
+            <p
+              className={cn(
+                "font-medium",
+                isBalanced ? "text-green-600" : "text-red-500"
+              )}
+            >
+              {formatCurrency(isBalanced ? 0 : difference, currency)}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => onStatementChange(null)}>
+            Change Statement
+          </Button>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => completeFn(accountId, statement)}
+            disabled={!isBalanced || completeLoading}
+          >
+            {completeLoading && (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            )}
+            Finish
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
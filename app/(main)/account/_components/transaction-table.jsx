@@ -1,6 +1,13 @@
 "use client";
 
-import { useState, useEffect, useMemo } from "react";
+import {
+  Fragment,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  useTransition,
+} from "react";
 import {
   ChevronDown,
   ChevronUp,
@@ -12,6 +19,10 @@ import {
   ChevronRight,
   RefreshCw,
   Clock,
+  Lock,
+  CheckCheck,
+  CircleCheck,
+  CircleX,
 } from "lucide-react";
 import { format } from "date-fns";
 import { toast } from "sonner";
@@ -49,13 +60,37 @@ import {
 } from "@/components/ui/tooltip";
 import { Badge } from "@/components/ui/badge";
 import { cn } from "@/lib/utils";
-import { categoryColors } from "@/data/categories";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryLookup } from "@/lib/categories";
 import { bulkDeleteTransactions } from "@/actions/account";
+import { restoreTransactions } from "@/actions/trash";
+import { setTransactionsCleared } from "@/actions/reconciliation";
+import { setTransactionStatus } from "@/actions/transaction";
+import {
+  getStatementEnd,
+  isClearedFor,
+  isReconciled,
+  isReconciledFor,
+} from "@/lib/reconciliation";
+import {
+  hasTransactionFilters,
+  toTransactionSearchParams,
+} from "@/lib/transaction-query";
+import { ReconcileBar } from "./reconcile-bar";
+import { BulkEditDrawer } from "./bulk-edit-drawer";
+import { BulkTagPopover } from "./bulk-tag-popover";
+import Link from "next/link";
+import { ReceiptThumbnail } from "@/components/receipt-thumbnail";
+import { ExportTransactionsDrawer } from "@/components/export-transactions-drawer";
 import useFetch from "@/hooks/use-fetch";
 import { BarLoader } from "react-spinners";
 import { useRouter } from "next/navigation";
 
-const ITEMS_PER_PAGE = 10;
+const STATUSES = {
+  PENDING: "Pending",
+  COMPLETED: "Completed",
+  FAILED: "Failed",
+};
 
 const RECURRING_INTERVALS = {
   DAILY: "Daily",
@@ -64,85 +99,68 @@ const RECURRING_INTERVALS = {
   YEARLY: "Yearly",
 };
 
-export function TransactionTable({ transactions }) {
+// One page of an account's transactions. Search, filters, sort and the page
+// are in the URL and applied on the server, so the table navigates to change
+// them.
+export function TransactionTable({
+  transactions,
+  query,
+  pageInfo,
+  accountId,
+  currency,
+  accountType,
+  openingBalance,
+  clearedHistory,
+  lastReconciliation,
+  categories,
+  tags = [],
+  accounts = [],
+}) {
   const [selectedIds, setSelectedIds] = useState([]);
-  const [sortConfig, setSortConfig] = useState({
-    field: "date",
-    direction: "desc",
-  });
-  const [searchTerm, setSearchTerm] = useState("");
-  const [typeFilter, setTypeFilter] = useState("");
-  const [recurringFilter, setRecurringFilter] = useState("");
-  const [currentPage, setCurrentPage] = useState(1);
+  const [expandedIds, setExpandedIds] = useState([]);
+  const [searchTerm, setSearchTerm] = useState(query.search);
+  const [reconciling, setReconciling] = useState(false);
+  const [statement, setStatement] = useState(null);
   const router = useRouter();
+  const [navigating, startTransition] = useTransition();
 
-  // Memoized filtered and sorted transactions
-  const filteredAndSortedTransactions = useMemo(() => {
-    let result = [...transactions];
-
-    // Apply search filter
-    if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase();
-      result = result.filter((transaction) =>
-        transaction.description?.toLowerCase().includes(searchLower)
-      );
-    }
-
-    // Apply type filter
-    if (typeFilter) {
-      result = result.filter((transaction) => transaction.type === typeFilter);
-    }
+  const getCategory = useMemo(
+    () => getCategoryLookup(categories),
+    [categories]
+  );
 
-    // Apply recurring filter
-    if (recurringFilter) {
-      result = result.filter((transaction) => {
-        if (recurringFilter === "recurring") return transaction.isRecurring;
-        return !transaction.isRecurring;
-      });
-    }
+  // Keep the search box in step with the URL, e.g. on back and forward
+  useEffect(() => {
+    setSearchTerm(query.search);
+  }, [query.search]);
 
-    // Apply sorting
-    result.sort((a, b) => {
-      let comparison = 0;
-
-      switch (sortConfig.field) {
-        case "date":
-          comparison = new Date(a.date) - new Date(b.date);
-          break;
-        case "amount":
-          comparison = a.amount - b.amount;
-          break;
-        case "category":
-          comparison = a.category.localeCompare(b.category);
-          break;
-        default:
-          comparison = 0;
-      }
-
-      return sortConfig.direction === "asc" ? comparison : -comparison;
+  // Loads the view with the given changes to the query. Anything but a page
+  // turn starts over at the first page; the selection is per page.
+  const navigate = (changes) => {
+    const params = toTransactionSearchParams({
+      ...query,
+      after: "",
+      before: "",
+      ...changes,
     });
-
-    return result;
-  }, [transactions, searchTerm, typeFilter, recurringFilter, sortConfig]);
-
-  // Pagination calculations
-  const totalPages = Math.ceil(
-    filteredAndSortedTransactions.length / ITEMS_PER_PAGE
-  );
-  const paginatedTransactions = useMemo(() => {
-    const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-    return filteredAndSortedTransactions.slice(
-      startIndex,
-      startIndex + ITEMS_PER_PAGE
-    );
-  }, [filteredAndSortedTransactions, currentPage]);
+    setSelectedIds([]);
+    startTransition(() => router.push(`/account/${accountId}?${params}`));
+  };
 
   const handleSort = (field) => {
-    setSortConfig((current) => ({
-      field,
+    navigate({
+      sort: field,
       direction:
-        current.field === field && current.direction === "asc" ? "desc" : "asc",
-    }));
+        query.sort === field && query.direction === "asc" ? "desc" : "asc",
+    });
+  };
+
+  const handleToggleExpanded = (id) => {
+    setExpandedIds((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
   };
 
   const handleSelect = (id) => {
@@ -155,9 +173,9 @@ export function TransactionTable({ transactions }) {
 
   const handleSelectAll = () => {
     setSelectedIds((current) =>
-      current.length === paginatedTransactions.length
+      current.length === transactions.length
         ? []
-        : paginatedTransactions.map((t) => t.id)
+        : transactions.map((t) => t.id)
     );
   };
 
@@ -179,49 +197,125 @@ export function TransactionTable({ transactions }) {
   };
 
   useEffect(() => {
-    if (deleted && !deleteLoading) {
-      toast.error("Transactions deleted successfully");
+    if (deleted?.success) {
+      const { ids } = deleted.data;
+      toast.success(
+        `${ids.length} transaction${ids.length === 1 ? "" : "s"} moved to trash`,
+        {
+          action: {
+            label: "Undo",
+            onClick: () =>
+              toast.promise(restoreTransactions(ids), {
+                loading: "Restoring...",
+                success: "Transactions restored",
+                error: (error) => error.message,
+              }),
+          },
+        }
+      );
+      setSelectedIds([]);
+    } else if (deleted) {
+      toast.error(deleted.error);
+    }
+  }, [deleted]);
+
+  const {
+    loading: clearedLoading,
+    fn: clearedFn,
+    data: clearedUpdated,
+  } = useFetch(setTransactionsCleared);
+
+  useEffect(() => {
+    if (clearedUpdated?.success) {
+      setSelectedIds([]);
+    }
+  }, [clearedUpdated]);
+
+  const {
+    loading: statusLoading,
+    fn: statusFn,
+    data: statusUpdated,
+  } = useFetch(setTransactionStatus);
+
+  useEffect(() => {
+    if (statusUpdated?.success) {
+      toast.success(
+        `${statusUpdated.data.count} transaction${
+          statusUpdated.data.count === 1 ? "" : "s"
+        } marked ${STATUSES[statusUpdated.data.status].toLowerCase()}`
+      );
+      setSelectedIds([]);
     }
-  }, [deleted, deleteLoading]);
+  }, [statusUpdated]);
+
+  // Pending transactions among the selection, which can be cleared or failed
+  const selectedPendingIds = selectedIds.filter(
+    (id) => transactions.find((t) => t.id === id)?.status === "PENDING"
+  );
+
+  const handleClearSelection = useCallback(() => setSelectedIds([]), []);
+
+  const handleStopReconciling = useCallback(() => {
+    setReconciling(false);
+    setStatement(null);
+  }, []);
+
+  // Only completed transactions up to the statement date can be cleared
+  // against it
+  const statementEnd = statement && getStatementEnd(statement.statementDate);
+  const canClear = (transaction) =>
+    statementEnd &&
+    transaction.status === "COMPLETED" &&
+    new Date(transaction.date) <= statementEnd &&
+    !isReconciledFor(transaction, accountId);
 
   const handleClearFilters = () => {
     setSearchTerm("");
-    setTypeFilter("");
-    setRecurringFilter("");
-    setCurrentPage(1);
-  };
-
-  const handlePageChange = (newPage) => {
-    setCurrentPage(newPage);
-    setSelectedIds([]); // Clear selections on page change
+    navigate({ search: "", type: "", recurring: "", tag: "", status: "" });
   };
 
   return (
     <div className="space-y-4">
-      {deleteLoading && (
+      {(deleteLoading || clearedLoading || statusLoading || navigating) && (
         <BarLoader className="mt-4" width={"100%"} color="#9333ea" />
       )}
+
+      {/* Statement reconciliation */}
+      {reconciling && (
+        <ReconcileBar
+          accountId={accountId}
+          accountType={accountType}
+          openingBalance={openingBalance}
+          currency={currency}
+          clearedHistory={clearedHistory}
+          lastReconciliation={lastReconciliation}
+          statement={statement}
+          onStatementChange={setStatement}
+          onClose={handleStopReconciling}
+        />
+      )}
+
       {/* Filters */}
       <div className="flex flex-col sm:flex-row gap-4">
-        <div className="relative flex-1">
+        <form
+          className="relative flex-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            navigate({ search: searchTerm.trim() });
+          }}
+        >
           <Search className="absolute left-2 top-2.5 h-4 w-4 text-muted-foreground" />
           <Input
             placeholder="Search transactions..."
             value={searchTerm}
-            onChange={(e) => {
-              setSearchTerm(e.target.value);
-              setCurrentPage(1);
-            }}
+            onChange={(e) => setSearchTerm(e.target.value)}
             className="pl-8"
           />
-        </div>
+        </form>
         <div className="flex gap-2">
           <Select
-            value={typeFilter}
-            onValueChange={(value) => {
-              setTypeFilter(value);
-              setCurrentPage(1);
-            }}
+            value={query.type}
+            onValueChange={(value) => navigate({ type: value })}
           >
             <SelectTrigger className="w-[130px]">
               <SelectValue placeholder="All Types" />
@@ -229,15 +323,13 @@ export function TransactionTable({ transactions }) {
             <SelectContent>
               <SelectItem value="INCOME">Income</SelectItem>
               <SelectItem value="EXPENSE">Expense</SelectItem>
+              <SelectItem value="TRANSFER">Transfer</SelectItem>
             </SelectContent>
           </Select>
 
           <Select
-            value={recurringFilter}
-            onValueChange={(value) => {
-              setRecurringFilter(value);
-              setCurrentPage(1);
-            }}
+            value={query.recurring}
+            onValueChange={(value) => navigate({ recurring: value })}
           >
             <SelectTrigger className="w-[130px]">
               <SelectValue placeholder="All Transactions" />
@@ -248,9 +340,96 @@ export function TransactionTable({ transactions }) {
             </SelectContent>
           </Select>
 
+          {tags.length > 0 && (
+            <Select
+              value={query.tag}
+              onValueChange={(value) => navigate({ tag: value })}
+            >
+              <SelectTrigger className="w-[130px]">
+                <SelectValue placeholder="All Tags" />
+              </SelectTrigger>
+              <SelectContent>
+                {tags.map((tag) => (
+                  <SelectItem key={tag.id} value={tag.name}>
+                    {tag.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+
+          <Select
+            value={query.status}
+            onValueChange={(value) => navigate({ status: value })}
+          >
+            <SelectTrigger className="w-[130px]">
+              <SelectValue placeholder="All Statuses" />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(STATUSES).map(([status, label]) => (
+                <SelectItem key={status} value={status}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
           {/* Bulk Actions */}
           {selectedIds.length > 0 && (
             <div className="flex items-center gap-2">
+              {statement && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    clearedFn(
+                      accountId,
+                      selectedIds.filter((id) =>
+                        canClear(transactions.find((t) => t.id === id))
+                      ),
+                      true
+                    )
+                  }
+                  disabled={clearedLoading}
+                >
+                  <CheckCheck className="h-4 w-4 mr-2" />
+                  Mark Cleared
+                </Button>
+              )}
+              {selectedPendingIds.length > 0 && (
+                <>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => statusFn(selectedPendingIds, "COMPLETED")}
+                    disabled={statusLoading}
+                  >
+                    <CircleCheck className="h-4 w-4 mr-2" />
+                    Mark Completed
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => statusFn(selectedPendingIds, "FAILED")}
+                    disabled={statusLoading}
+                  >
+                    <CircleX className="h-4 w-4 mr-2" />
+                    Mark Failed
+                  </Button>
+                </>
+              )}
+              <BulkEditDrawer
+                accountId={accountId}
+                selectedIds={selectedIds}
+                accounts={accounts}
+                categories={categories}
+                onDone={handleClearSelection}
+              />
+              <BulkTagPopover
+                selectedIds={selectedIds}
+                tags={tags}
+                onDone={handleClearSelection}
+              />
               <Button
                 variant="destructive"
                 size="sm"
@@ -262,7 +441,20 @@ export function TransactionTable({ transactions }) {
             </div>
           )}
 
-          {(searchTerm || typeFilter || recurringFilter) && (
+          {!reconciling && (
+            <Button variant="outline" onClick={() => setReconciling(true)}>
+              Reconcile
+            </Button>
+          )}
+
+          <ExportTransactionsDrawer
+            accountId={accountId}
+            filters={query}
+            sort={{ field: query.sort, direction: query.direction }}
+            selectedIds={selectedIds}
+          />
+
+          {hasTransactionFilters(query) && (
             <Button
               variant="outline"
               size="icon"
@@ -283,8 +475,8 @@ export function TransactionTable({ transactions }) {
               <TableHead className="w-[50px]">
                 <Checkbox
                   checked={
-                    selectedIds.length === paginatedTransactions.length &&
-                    paginatedTransactions.length > 0
+                    selectedIds.length === transactions.length &&
+                    transactions.length > 0
                   }
                   onCheckedChange={handleSelectAll}
                 />
@@ -295,8 +487,8 @@ export function TransactionTable({ transactions }) {
               >
                 <div className="flex items-center">
                   Date
-                  {sortConfig.field === "date" &&
-                    (sortConfig.direction === "asc" ? (
+                  {query.sort === "date" &&
+                    (query.direction === "asc" ? (
                       <ChevronUp className="ml-1 h-4 w-4" />
                     ) : (
                       <ChevronDown className="ml-1 h-4 w-4" />
@@ -310,8 +502,8 @@ export function TransactionTable({ transactions }) {
               >
                 <div className="flex items-center">
                   Category
-                  {sortConfig.field === "category" &&
-                    (sortConfig.direction === "asc" ? (
+                  {query.sort === "category" &&
+                    (query.direction === "asc" ? (
                       <ChevronUp className="ml-1 h-4 w-4" />
                     ) : (
                       <ChevronDown className="ml-1 h-4 w-4" />
@@ -324,152 +516,356 @@ export function TransactionTable({ transactions }) {
               >
                 <div className="flex items-center justify-end">
                   Amount
-                  {sortConfig.field === "amount" &&
-                    (sortConfig.direction === "asc" ? (
+                  {query.sort === "amount" &&
+                    (query.direction === "asc" ? (
                       <ChevronUp className="ml-1 h-4 w-4" />
                     ) : (
                       <ChevronDown className="ml-1 h-4 w-4" />
                     ))}
                 </div>
               </TableHead>
+              <TableHead className="text-right">Balance</TableHead>
               <TableHead>Recurring</TableHead>
+              {statement && <TableHead>Cleared</TableHead>}
               <TableHead className="w-[50px]" />
             </TableRow>
           </TableHeader>
           <TableBody>
-            {paginatedTransactions.length === 0 ? (
+            {transactions.length === 0 ? (
               <TableRow>
                 <TableCell
-                  colSpan={7}
+                  colSpan={statement ? 9 : 8}
                   className="text-center text-muted-foreground"
                 >
                   No transactions found
                 </TableCell>
               </TableRow>
             ) : (
-              paginatedTransactions.map((transaction) => (
-                <TableRow key={transaction.id}>
-                  <TableCell>
-                    <Checkbox
-                      checked={selectedIds.includes(transaction.id)}
-                      onCheckedChange={() => handleSelect(transaction.id)}
-                    />
-                  </TableCell>
-                  <TableCell>
-                    {format(new Date(transaction.date), "PP")}
-                  </TableCell>
-                  <TableCell>{transaction.description}</TableCell>
-                  <TableCell className="capitalize">
-                    <span
-                      style={{
-                        background: categoryColors[transaction.category],
-                      }}
-                      className="px-2 py-1 rounded text-white text-sm"
-                    >
-                      {transaction.category}
-                    </span>
-                  </TableCell>
-                  <TableCell
-                    className={cn(
-                      "text-right font-medium",
-                      transaction.type === "EXPENSE"
-                        ? "text-red-500"
-                        : "text-green-500"
-                    )}
-                  >
-                    {transaction.type === "EXPENSE" ? "-" : "+"}$
-                    {transaction.amount.toFixed(2)}
-                  </TableCell>
-                  <TableCell>
-                    {transaction.isRecurring ? (
-                      <TooltipProvider>
-                        <Tooltip>
-                          <TooltipTrigger>
+              transactions.map((transaction) => {
+                // Transfers are outgoing on the source account's page
+                const isOutgoing =
+                  transaction.type === "EXPENSE" ||
+                  (transaction.type === "TRANSFER" &&
+                    transaction.accountId === accountId);
+
+                const isExpanded = expandedIds.includes(transaction.id);
+
+                return (
+                  <Fragment key={transaction.id}>
+                    <TableRow>
+                      <TableCell>
+                        <Checkbox
+                          checked={selectedIds.includes(transaction.id)}
+                          onCheckedChange={() => handleSelect(transaction.id)}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {format(new Date(transaction.date), "PP")}
+                        {transaction.status === "PENDING" && (
+                          <div className="mt-1">
                             <Badge
-                              variant="secondary"
-                              className="gap-1 bg-purple-100 text-purple-700 hover:bg-purple-200"
-                            >
-                              <RefreshCw className="h-3 w-3" />
-                              {
-                                RECURRING_INTERVALS[
-                                  transaction.recurringInterval
-                                ]
+                              variant="outline"
+                              className="border-yellow-500 text-yellow-600"
+                              title={
+                                transaction.clearingDate
+                                  ? `Expected to clear ${format(
+                                      new Date(transaction.clearingDate),
+                                      "PPP"
+                                    )}`
+                                  : "Not in the booked balance yet"
                               }
+                            >
+                              Pending
                             </Badge>
-                          </TooltipTrigger>
-                          <TooltipContent>
-                            <div className="text-sm">
-                              <div className="font-medium">Next Date:</div>
-                              <div>
-                                {format(
-                                  new Date(transaction.nextRecurringDate),
-                                  "PPP"
-                                )}
+                          </div>
+                        )}
+                        {transaction.status === "FAILED" && (
+                          <div className="mt-1">
+                            <Badge variant="destructive">Failed</Badge>
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex items-start gap-2">
+                          {transaction.receiptUrl && (
+                            <ReceiptThumbnail url={transaction.receiptUrl} />
+                          )}
+                          <div className="min-w-0">
+                            {transaction.description}
+                            {transaction.type === "TRANSFER" && (
+                              <div className="text-xs text-muted-foreground">
+                                {isOutgoing
+                                  ? `To ${transaction.transferAccount?.name}`
+                                  : `From ${transaction.account?.name}`}
                               </div>
-                            </div>
-                          </TooltipContent>
-                        </Tooltip>
-                      </TooltipProvider>
-                    ) : (
-                      <Badge variant="outline" className="gap-1">
-                        <Clock className="h-3 w-3" />
-                        One-time
-                      </Badge>
-                    )}
-                  </TableCell>
-                  <TableCell>
-                    <DropdownMenu>
-                      <DropdownMenuTrigger asChild>
-                        <Button variant="ghost" className="h-8 w-8 p-0">
-                          <MoreHorizontal className="h-4 w-4" />
-                        </Button>
-                      </DropdownMenuTrigger>
-                      <DropdownMenuContent align="end">
-                        <DropdownMenuItem
-                          onClick={() =>
-                            router.push(
-                              `/transaction/create?edit=${transaction.id}`
-                            )
-                          }
-                        >
-                          Edit
-                        </DropdownMenuItem>
-                        <DropdownMenuSeparator />
-                        <DropdownMenuItem
-                          className="text-destructive"
-                          onClick={() => deleteFn([transaction.id])}
+                            )}
+                            {transaction.payee && (
+                              <Link
+                                href={`/payees/${transaction.payee.id}`}
+                                className="block text-xs text-muted-foreground hover:underline"
+                              >
+                                {transaction.payee.name}
+                              </Link>
+                            )}
+                            {transaction.tags?.length > 0 && (
+                              <div className="flex flex-wrap gap-1 mt-1">
+                                {transaction.tags.map((tag) => (
+                                  <Badge
+                                    key={tag.id}
+                                    variant="secondary"
+                                    className="cursor-pointer font-normal"
+                                    onClick={() => navigate({ tag: tag.name })}
+                                  >
+                                    {tag.name}
+                                  </Badge>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        {transaction.splits?.length > 0 ? (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-7 px-2"
+                            onClick={() => handleToggleExpanded(transaction.id)}
+                          >
+                            {isExpanded ? (
+                              <ChevronUp className="h-4 w-4 mr-1" />
+                            ) : (
+                              <ChevronDown className="h-4 w-4 mr-1" />
+                            )}
+                            Split ({transaction.splits.length})
+                          </Button>
+                        ) : (
+                          <>
+                            <span
+                              style={{
+                                background: getCategory(transaction.category)
+                                  .color,
+                              }}
+                              className="px-2 py-1 rounded text-white text-sm"
+                            >
+                              {getCategory(transaction.category).name}
+                            </span>
+                            {transaction.subcategory && (
+                              <div className="text-xs text-muted-foreground mt-1">
+                                {transaction.subcategory}
+                              </div>
+                            )}
+                          </>
+                        )}
+                      </TableCell>
+                      <TableCell
+                        className={cn(
+                          "text-right font-medium",
+                          transaction.status === "FAILED" && "line-through",
+                          transaction.type === "TRANSFER"
+                            ? "text-purple-500"
+                            : isOutgoing
+                              ? "text-red-500"
+                              : "text-green-500"
+                        )}
+                      >
+                        {isOutgoing ? "-" : "+"}
+                        {formatCurrency(
+                          // Incoming cross-currency transfers credit the
+                          // converted amount
+                          !isOutgoing && transaction.transferAmount != null
+                            ? transaction.transferAmount
+                            : transaction.amount,
+                          currency
+                        )}
+                        {transaction.originalCurrency && (
+                          <div className="text-xs font-normal text-muted-foreground">
+                            {formatCurrency(
+                              transaction.originalAmount,
+                              transaction.originalCurrency
+                            )}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right text-muted-foreground">
+                        {formatCurrency(transaction.runningBalance, currency)}
+                      </TableCell>
+                      <TableCell>
+                        {transaction.isRecurring ? (
+                          <TooltipProvider>
+                            <Tooltip>
+                              <TooltipTrigger>
+                                <Badge
+                                  variant="secondary"
+                                  className="gap-1 bg-purple-100 text-purple-700 hover:bg-purple-200"
+                                >
+                                  <RefreshCw className="h-3 w-3" />
+                                  {
+                                    RECURRING_INTERVALS[
+                                      transaction.recurringInterval
+                                    ]
+                                  }
+                                </Badge>
+                              </TooltipTrigger>
+                              <TooltipContent>
+                                <div className="text-sm">
+                                  <div className="font-medium">Next Date:</div>
+                                  <div>
+                                    {format(
+                                      new Date(transaction.nextRecurringDate),
+                                      "PPP"
+                                    )}
+                                  </div>
+                                </div>
+                              </TooltipContent>
+                            </Tooltip>
+                          </TooltipProvider>
+                        ) : (
+                          <Badge variant="outline" className="gap-1">
+                            <Clock className="h-3 w-3" />
+                            One-time
+                          </Badge>
+                        )}
+                      </TableCell>
+                      {statement && (
+                        <TableCell>
+                          {(canClear(transaction) ||
+                            isReconciledFor(transaction, accountId)) && (
+                            <Checkbox
+                              checked={isClearedFor(transaction, accountId)}
+                              onCheckedChange={(checked) =>
+                                clearedFn(accountId, [transaction.id], checked)
+                              }
+                              disabled={
+                                clearedLoading ||
+                                isReconciledFor(transaction, accountId)
+                              }
+                            />
+                          )}
+                        </TableCell>
+                      )}
+                      <TableCell>
+                        {isReconciled(transaction) ? (
+                          <TooltipProvider>
+                            <Tooltip>
+                              <TooltipTrigger className="flex h-8 w-8 items-center justify-center">
+                                <Lock className="h-4 w-4 text-muted-foreground" />
+                              </TooltipTrigger>
+                              <TooltipContent>
+                                On a reconciled statement
+                              </TooltipContent>
+                            </Tooltip>
+                          </TooltipProvider>
+                        ) : (
+                          <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                              <Button variant="ghost" className="h-8 w-8 p-0">
+                                <MoreHorizontal className="h-4 w-4" />
+                              </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent align="end">
+                              <DropdownMenuItem
+                                onClick={() =>
+                                  router.push(
+                                    `/transaction/create?edit=${transaction.id}`
+                                  )
+                                }
+                              >
+                                Edit
+                              </DropdownMenuItem>
+                              <DropdownMenuItem
+                                onClick={() =>
+                                  router.push(
+                                    `/rules?fromTransaction=${transaction.id}`
+                                  )
+                                }
+                              >
+                                Create Rule
+                              </DropdownMenuItem>
+                              {transaction.status !== "COMPLETED" && (
+                                <DropdownMenuItem
+                                  onClick={() =>
+                                    statusFn([transaction.id], "COMPLETED")
+                                  }
+                                >
+                                  Mark Completed
+                                </DropdownMenuItem>
+                              )}
+                              {transaction.status !== "FAILED" && (
+                                <DropdownMenuItem
+                                  onClick={() =>
+                                    statusFn([transaction.id], "FAILED")
+                                  }
+                                >
+                                  Mark Failed
+                                </DropdownMenuItem>
+                              )}
+                              <DropdownMenuSeparator />
+                              <DropdownMenuItem
+                                className="text-destructive"
+                                onClick={() => deleteFn([transaction.id])}
+                              >
+                                Delete
+                              </DropdownMenuItem>
+                            </DropdownMenuContent>
+                          </DropdownMenu>
+                        )}
+                      </TableCell>
+                    </TableRow>
+
+                    {/* Category lines of a split transaction */}
+                    {isExpanded &&
+                      transaction.splits.map((split) => (
+                        <TableRow
+                          key={split.id}
+                          className="bg-muted/50 hover:bg-muted/50"
                         >
-                          Delete
-                        </DropdownMenuItem>
-                      </DropdownMenuContent>
-                    </DropdownMenu>
-                  </TableCell>
-                </TableRow>
-              ))
+                          <TableCell colSpan={2} />
+                          <TableCell className="text-sm text-muted-foreground">
+                            {split.description}
+                          </TableCell>
+                          <TableCell>
+                            <span
+                              style={{
+                                background: getCategory(split.category).color,
+                              }}
+                              className="px-2 py-1 rounded text-white text-sm"
+                            >
+                              {getCategory(split.category).name}
+                            </span>
+                          </TableCell>
+                          <TableCell className="text-right text-sm text-muted-foreground">
+                            {isOutgoing ? "-" : "+"}
+                            {formatCurrency(split.amount, currency)}
+                          </TableCell>
+                          <TableCell colSpan={statement ? 4 : 3} />
+                        </TableRow>
+                      ))}
+                  </Fragment>
+                );
+              })
             )}
           </TableBody>
         </Table>
       </div>
 
       {/* Pagination */}
-      {totalPages > 1 && (
+      {(pageInfo.prevCursor || pageInfo.nextCursor) && (
         <div className="flex items-center justify-center gap-2">
           <Button
             variant="outline"
             size="icon"
-            onClick={() => handlePageChange(currentPage - 1)}
-            disabled={currentPage === 1}
+            onClick={() => navigate({ before: pageInfo.prevCursor })}
+            disabled={!pageInfo.prevCursor || navigating}
           >
             <ChevronLeft className="h-4 w-4" />
           </Button>
-          <span className="text-sm">
-            Page {currentPage} of {totalPages}
-          </span>
+          <span className="text-sm">{pageInfo.total} transactions</span>
           <Button
             variant="outline"
             size="icon"
-            onClick={() => handlePageChange(currentPage + 1)}
-            disabled={currentPage === totalPages}
+            onClick={() => navigate({ after: pageInfo.nextCursor })}
+            disabled={!pageInfo.nextCursor || navigating}
           >
             <ChevronRight className="h-4 w-4" />
           </Button>
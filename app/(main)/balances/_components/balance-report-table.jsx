@@ -0,0 +1,113 @@
+"use client";
+
+import { useEffect } from "react";
+import Link from "next/link";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { fixAccountBalance } from "@/actions/reconciliation";
+import { formatCurrency } from "@/lib/currency";
+
+export function BalanceReportTable({ report }) {
+  const {
+    loading: fixLoading,
+    fn: fixFn,
+    data: fixed,
+  } = useFetch(fixAccountBalance);
+
+  useEffect(() => {
+    if (fixed?.success) {
+      toast.success("Balance corrected");
+    }
+  }, [fixed]);
+
+  return (
+    <div className="rounded-md border">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Account</TableHead>
+            <TableHead className="text-right">Opening Balance</TableHead>
+            <TableHead className="text-right">Stored Balance</TableHead>
+            <TableHead className="text-right">Computed Balance</TableHead>
+            <TableHead className="text-right">Difference</TableHead>
+            <TableHead className="w-[120px]" />
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {report.length === 0 ? (
+            <TableRow>
+              <TableCell
+                colSpan={6}
+                className="text-center text-muted-foreground"
+              >
+                No accounts yet
+              </TableCell>
+            </TableRow>
+          ) : (
+            report.map((account) => (
+              <TableRow key={account.id}>
+                <TableCell>
+                  <Link
+                    href={`/account/${account.id}`}
+                    className="font-medium capitalize hover:underline"
+                  >
+                    {account.name}
+                  </Link>
+                  {account.isArchived && (
+                    <Badge variant="outline" className="ml-2">
+                      Archived
+                    </Badge>
+                  )}
+                </TableCell>
+                <TableCell className="text-right">
+                  {formatCurrency(account.openingBalance, account.currency)}
+                </TableCell>
+                <TableCell className="text-right">
+                  {formatCurrency(account.balance, account.currency)}
+                </TableCell>
+                <TableCell className="text-right">
+                  {formatCurrency(account.computedBalance, account.currency)}
+                </TableCell>
+                <TableCell className="text-right font-medium">
+                  {account.drift === 0 ? (
+                    <span className="text-green-600">In sync</span>
+                  ) : (
+                    <span className="text-yellow-600">
+                      {/* Sub-cent drift comes from float rounding in old updates */}
+                      {Math.abs(account.drift) < 0.01
+                        ? "Rounding only"
+                        : formatCurrency(account.drift, account.currency)}
+                    </span>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {account.drift !== 0 && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => fixFn(account.id)}
+                      disabled={fixLoading}
+                    >
+                      Accept Fix
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { reconcileBalances } from "@/actions/reconciliation";
+import { BalanceReportTable } from "./_components/balance-report-table";
+
+export default async function BalancesPage() {
+  const report = await reconcileBalances();
+
+  return (
+    <div className="space-y-8 px-5">
+      <div>
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          Balances
+        </h1>
+        <p className="text-muted-foreground">
+          Each balance is recomputed from the account&apos;s opening balance and
+          its transactions
+        </p>
+      </div>
+
+      <BalanceReportTable report={report} />
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CategoryIcon } from "@/components/category-icon";
+import { createCategory, updateCategory } from "@/actions/category";
+import { categorySchema } from "@/app/lib/schema";
+import { categoryIcons } from "@/data/categories";
+import { cn } from "@/lib/utils";
+
+const toFormValues = (category) => ({
+  name: category?.name || "",
+  type: category?.type || "EXPENSE",
+  color: category?.color || "#6366f1",
+  icon: category?.icon || "Tag",
+  subcategories: category?.subcategories.join(", ") || "",
+});
+
+// Creates a category, or edits one when given. The type is fixed once
+// created, since transactions already refer to the category.
+export function CategoryDrawer({ category, children }) {
+  const [open, setOpen] = useState(false);
+  const editMode = Boolean(category);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(categorySchema),
+    defaultValues: toFormValues(category),
+  });
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(editMode ? updateCategory : createCategory);
+
+  const onSubmit = (data) => {
+    if (editMode) {
+      saveFn(category.id, data);
+    } else {
+      saveFn(data);
+    }
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(editMode ? "Category updated" : "Category created");
+      setOpen(false);
+    }
+  }, [saved, editMode]);
+
+  const icon = watch("icon");
+  const color = watch("color");
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (value) reset(toFormValues(category));
+      }}
+    >
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>
+            {editMode ? "Edit Category" : "New Category"}
+          </DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label htmlFor="name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input id="name" placeholder="e.g., Pets" {...register("name")} />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            {!editMode && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Type</label>
+                <Select
+                  onValueChange={(value) => setValue("type", value)}
+                  value={watch("type")}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select type" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="EXPENSE">Expense</SelectItem>
+                    <SelectItem value="INCOME">Income</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <label htmlFor="color" className="text-sm font-medium">
+                Color
+              </label>
+              <Input
+                id="color"
+                type="color"
+                className="h-10 w-20 p-1"
+                {...register("color")}
+              />
+              {errors.color && (
+                <p className="text-sm text-red-500">{errors.color.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Icon</label>
+              <div className="flex flex-wrap gap-2">
+                {categoryIcons.map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    title={name}
+                    onClick={() => setValue("icon", name)}
+                    className={cn(
+                      "flex h-9 w-9 items-center justify-center rounded-md border",
+                      icon === name ? "text-white" : "text-muted-foreground"
+                    )}
+                    style={icon === name ? { background: color } : undefined}
+                  >
+                    <CategoryIcon name={name} className="h-4 w-4" />
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="subcategories" className="text-sm font-medium">
+                Subcategories
+              </label>
+              <Input
+                id="subcategories"
+                placeholder="e.g., Food, Vet, Grooming"
+                {...register("subcategories")}
+              />
+              <p className="text-xs text-muted-foreground">
+                Separate names with commas
+              </p>
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saveLoading}>
+                {saveLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : editMode ? (
+                  "Save Changes"
+                ) : (
+                  "Create Category"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,130 @@
+"use client";
+
+import { useEffect } from "react";
+import {
+  Archive,
+  ArchiveRestore,
+  ArrowDown,
+  ArrowUp,
+  Pencil,
+} from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { CategoryIcon } from "@/components/category-icon";
+import { moveCategory, setCategoryArchived } from "@/actions/category";
+import { CategoryDrawer } from "./category-drawer";
+
+export function CategoryList({ title, categories }) {
+  const { loading: moveLoading, fn: moveFn } = useFetch(moveCategory);
+
+  const {
+    loading: archiveLoading,
+    fn: archiveFn,
+    data: archived,
+  } = useFetch(setCategoryArchived);
+
+  useEffect(() => {
+    if (archived?.success) {
+      toast.success(
+        archived.data.isArchived ? "Category archived" : "Category restored"
+      );
+    }
+  }, [archived]);
+
+  // Archived categories sit below the active ones and aren't reordered
+  const active = categories.filter((category) => !category.isArchived);
+  const archivedCategories = categories.filter(
+    (category) => category.isArchived
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">{title}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {[...active, ...archivedCategories].map((category) => {
+          const index = active.indexOf(category);
+
+          return (
+            <div
+              key={category.id}
+              className="flex items-center justify-between gap-4 rounded-lg border p-3"
+            >
+              <div className="flex items-center gap-3 min-w-0">
+                <div
+                  className="flex h-8 w-8 shrink-0 items-center justify-center rounded-full text-white"
+                  style={{ background: category.color }}
+                >
+                  <CategoryIcon name={category.icon} className="h-4 w-4" />
+                </div>
+                <div className="min-w-0">
+                  <p className="text-sm font-medium">
+                    {category.name}
+                    {category.isArchived && (
+                      <Badge variant="outline" className="ml-2">
+                        Archived
+                      </Badge>
+                    )}
+                  </p>
+                  {category.subcategories.length > 0 && (
+                    <p className="text-xs text-muted-foreground truncate">
+                      {category.subcategories.join(", ")}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-1">
+                {!category.isArchived && (
+                  <>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="Move up"
+                      onClick={() => moveFn(category.id, "up")}
+                      disabled={moveLoading || index === 0}
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="Move down"
+                      onClick={() => moveFn(category.id, "down")}
+                      disabled={moveLoading || index === active.length - 1}
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                    <CategoryDrawer category={category}>
+                      <Button variant="ghost" size="icon" title="Edit">
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                    </CategoryDrawer>
+                  </>
+                )}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  title={category.isArchived ? "Restore" : "Archive"}
+                  onClick={() => archiveFn(category.id, !category.isArchived)}
+                  disabled={archiveLoading}
+                >
+                  {category.isArchived ? (
+                    <ArchiveRestore className="h-4 w-4" />
+                  ) : (
+                    <Archive className="h-4 w-4" />
+                  )}
+                </Button>
+              </div>
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
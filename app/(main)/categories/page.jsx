@@ -0,0 +1,37 @@
+import { Plus } from "lucide-react";
+import { getUserCategories } from "@/actions/category";
+import { Button } from "@/components/ui/button";
+import { CategoryDrawer } from "./_components/category-drawer";
+import { CategoryList } from "./_components/category-list";
+
+export default async function CategoriesPage() {
+  const categories = await getUserCategories();
+
+  return (
+    <div className="space-y-8 px-5">
+      <div className="flex items-end justify-between gap-4">
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          Categories
+        </h1>
+        <CategoryDrawer>
+          <Button>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Category
+          </Button>
+        </CategoryDrawer>
+      </div>
+
+      {/* Transfers keep their built-in category */}
+      <div className="grid gap-4 md:grid-cols-2">
+        <CategoryList
+          title="Expense Categories"
+          categories={categories.filter((c) => c.type === "EXPENSE")}
+        />
+        <CategoryList
+          title="Income Categories"
+          categories={categories.filter((c) => c.type === "INCOME")}
+        />
+      </div>
+    </div>
+  );
+}
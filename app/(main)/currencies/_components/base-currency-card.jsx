@@ -0,0 +1,66 @@
+"use client";
+
+import { useEffect } from "react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { updateBaseCurrency } from "@/actions/currency";
+import { currencies } from "@/data/currencies";
+
+export function BaseCurrencyCard({ baseCurrency }) {
+  const {
+    loading: updateLoading,
+    fn: updateFn,
+    data: updated,
+  } = useFetch(updateBaseCurrency);
+
+  useEffect(() => {
+    if (updated?.success) {
+      toast.success(`Base currency set to ${updated.data.baseCurrency}`);
+    }
+  }, [updated]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">Base Currency</CardTitle>
+        <CardDescription>
+          Dashboard totals, budgets and monthly reports are converted into this
+          currency.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Select
+          value={baseCurrency}
+          onValueChange={(value) => updateFn(value)}
+          disabled={updateLoading}
+        >
+          <SelectTrigger className="w-[240px]">
+            <SelectValue placeholder="Select currency" />
+          </SelectTrigger>
+          <SelectContent>
+            {currencies.map((currency) => (
+              <SelectItem key={currency.code} value={currency.code}>
+                {currency.code} - {currency.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardContent>
+    </Card>
+  );
+}
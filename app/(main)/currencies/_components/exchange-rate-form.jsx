@@ -0,0 +1,190 @@
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { saveExchangeRate } from "@/actions/currency";
+import { exchangeRateSchema } from "@/app/lib/schema";
+import { currencies } from "@/data/currencies";
+
+function CurrencySelect({ value, onChange }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger>
+        <SelectValue placeholder="Currency" />
+      </SelectTrigger>
+      <SelectContent>
+        {currencies.map((currency) => (
+          <SelectItem key={currency.code} value={currency.code}>
+            {currency.code}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+export function ExchangeRateForm({ baseCurrency }) {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    watch,
+    setValue,
+    reset,
+  } = useForm({
+    resolver: zodResolver(exchangeRateSchema),
+    defaultValues: {
+      fromCurrency: "",
+      toCurrency: baseCurrency,
+      rate: "",
+      date: new Date(),
+    },
+  });
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: savedRate,
+  } = useFetch(saveExchangeRate);
+
+  const onSubmit = (data) => {
+    saveFn(data);
+  };
+
+  useEffect(() => {
+    if (savedRate?.success) {
+      toast.success("Exchange rate saved");
+      reset({
+        fromCurrency: "",
+        toCurrency: baseCurrency,
+        rate: "",
+        date: new Date(),
+      });
+    }
+  }, [savedRate, reset, baseCurrency]);
+
+  const fromCurrency = watch("fromCurrency");
+  const toCurrency = watch("toCurrency");
+  const date = watch("date");
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">
+          Add Exchange Rate
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">From</label>
+              <CurrencySelect
+                value={fromCurrency}
+                onChange={(value) => setValue("fromCurrency", value)}
+              />
+              {errors.fromCurrency && (
+                <p className="text-sm text-red-500">
+                  {errors.fromCurrency.message}
+                </p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">To</label>
+              <CurrencySelect
+                value={toCurrency}
+                onChange={(value) => setValue("toCurrency", value)}
+              />
+              {errors.toCurrency && (
+                <p className="text-sm text-red-500">
+                  {errors.toCurrency.message}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">
+              Rate
+              {fromCurrency && toCurrency && (
+                <span className="font-normal text-muted-foreground">
+                  {" "}
+                  (1 {fromCurrency} = ? {toCurrency})
+                </span>
+              )}
+            </label>
+            <Input
+              type="number"
+              step="any"
+              placeholder="e.g., 83.25"
+              {...register("rate")}
+            />
+            {errors.rate && (
+              <p className="text-sm text-red-500">{errors.rate.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Effective From</label>
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="w-full pl-3 text-left font-normal"
+                >
+                  {date ? format(date, "PPP") : <span>Pick a date</span>}
+                  <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0" align="start">
+                <Calendar
+                  mode="single"
+                  selected={date}
+                  onSelect={(date) => setValue("date", date)}
+                  initialFocus
+                />
+              </PopoverContent>
+            </Popover>
+            {errors.date && (
+              <p className="text-sm text-red-500">{errors.date.message}</p>
+            )}
+          </div>
+
+          <Button type="submit" className="w-full" disabled={saveLoading}>
+            {saveLoading ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              "Save Rate"
+            )}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,93 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { Loader2, Upload } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { importExchangeRates } from "@/actions/currency";
+
+export function ExchangeRateImport() {
+  const fileInputRef = useRef(null);
+
+  const {
+    loading: importLoading,
+    fn: importFn,
+    data: imported,
+  } = useFetch(importExchangeRates);
+
+  const handleFile = async (file) => {
+    if (file.size > 1024 * 1024) {
+      toast.error("File size should be less than 1MB");
+      return;
+    }
+
+    await importFn(await file.text());
+  };
+
+  useEffect(() => {
+    if (imported?.success) {
+      const { imported: count, errors } = imported.data;
+      toast.success(`Imported ${count} exchange rates`);
+      if (errors.length > 0) {
+        toast.warning(`${errors.length} lines skipped. ${errors[0]}`);
+      }
+    }
+  }, [imported]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">Import from CSV</CardTitle>
+        <CardDescription>
+          One rate per line as <code>date,from,to,rate</code>, e.g.{" "}
+          <code>2025-01-31,USD,INR,86.6</code>. Existing rates for the same pair
+          and date are replaced.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <input
+          type="file"
+          ref={fileInputRef}
+          className="hidden"
+          accept=".csv,text/csv"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+              handleFile(file);
+              // Reset input so same file can be selected again
+              e.target.value = "";
+            }
+          }}
+        />
+        <Button
+          type="button"
+          variant="outline"
+          className="w-full"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={importLoading}
+        >
+          {importLoading ? (
+            <>
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Importing...
+            </>
+          ) : (
+            <>
+              <Upload className="mr-2 h-4 w-4" />
+              Choose CSV File
+            </>
+          )}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
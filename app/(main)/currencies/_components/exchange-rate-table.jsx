@@ -0,0 +1,81 @@
+"use client";
+
+import { useEffect } from "react";
+import { Trash } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { deleteExchangeRate } from "@/actions/currency";
+
+export function ExchangeRateTable({ rates }) {
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deleteExchangeRate);
+
+  useEffect(() => {
+    if (deleted?.success) {
+      toast.success("Exchange rate deleted");
+    }
+  }, [deleted]);
+
+  return (
+    <div className="rounded-md border">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Effective From</TableHead>
+            <TableHead>Pair</TableHead>
+            <TableHead className="text-right">Rate</TableHead>
+            <TableHead className="w-[50px]" />
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {rates.length === 0 ? (
+            <TableRow>
+              <TableCell
+                colSpan={4}
+                className="text-center text-muted-foreground"
+              >
+                No exchange rates yet
+              </TableCell>
+            </TableRow>
+          ) : (
+            rates.map((rate) => (
+              <TableRow key={rate.id}>
+                <TableCell>{format(new Date(rate.date), "PP")}</TableCell>
+                <TableCell>
+                  {rate.fromCurrency} → {rate.toCurrency}
+                </TableCell>
+                <TableCell className="text-right font-medium">
+                  {rate.rate}
+                </TableCell>
+                <TableCell>
+                  <Button
+                    variant="ghost"
+                    className="h-8 w-8 p-0"
+                    onClick={() => deleteFn(rate.id)}
+                    disabled={deleteLoading}
+                  >
+                    <Trash className="h-4 w-4 text-destructive" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
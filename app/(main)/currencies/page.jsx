@@ -0,0 +1,26 @@
+import { getExchangeRates } from "@/actions/currency";
+import { BaseCurrencyCard } from "./_components/base-currency-card";
+import { ExchangeRateForm } from "./_components/exchange-rate-form";
+import { ExchangeRateImport } from "./_components/exchange-rate-import";
+import { ExchangeRateTable } from "./_components/exchange-rate-table";
+
+export default async function CurrenciesPage() {
+  const { baseCurrency, rates } = await getExchangeRates();
+
+  return (
+    <div className="space-y-8 px-5">
+      <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+        Currencies
+      </h1>
+
+      <BaseCurrencyCard baseCurrency={baseCurrency} />
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <ExchangeRateForm baseCurrency={baseCurrency} />
+        <ExchangeRateImport />
+      </div>
+
+      <ExchangeRateTable rates={rates} />
+    </div>
+  );
+}
@@ -1,6 +1,11 @@
 "use client";
 
-import { ArrowUpRight, ArrowDownRight, CreditCard } from "lucide-react";
+import {
+  AlertTriangle,
+  ArrowUpRight,
+  ArrowDownRight,
+  CreditCard,
+} from "lucide-react";
 import { Switch } from "@/components/ui/switch";
 import { Badge } from "@/components/ui/badge";
 import { useEffect } from "react";
@@ -15,9 +20,14 @@ import {
 import Link from "next/link";
 import { updateDefaultAccount } from "@/actions/account";
 import { toast } from "sonner";
+import { cn } from "@/lib/utils";
+import { AccountActions } from "@/components/account-actions";
+import { AccountTypeSummary } from "@/components/account-type-summary";
+import { accountTypeNames } from "@/data/account-types";
+import { formatCurrency } from "@/lib/currency";
 
-export function AccountCard({ account }) {
-  const { name, type, balance, id, isDefault } = account;
+export function AccountCard({ account, accounts }) {
+  const { name, type, balance, id, isDefault, isArchived } = account;
 
   const {
     loading: updateDefaultLoading,
@@ -50,25 +60,47 @@ export function AccountCard({ account }) {
   }, [error]);
 
   return (
-    <Card className="hover:shadow-md transition-shadow group relative">
+    <Card
+      className={cn(
+        "hover:shadow-md transition-shadow group relative",
+        isArchived && "opacity-70"
+      )}
+    >
+      {/* Kept outside the link so menu clicks don't navigate */}
+      <div className="absolute right-2 top-2">
+        <AccountActions account={account} accounts={accounts} />
+      </div>
       <Link href={`/account/${id}`}>
-        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2 pr-12">
           <CardTitle className="text-sm font-medium capitalize">
             {name}
           </CardTitle>
-          <Switch
-            checked={isDefault}
-            onClick={handleDefaultChange}
-            disabled={updateDefaultLoading}
-          />
+          {isArchived ? (
+            <Badge variant="outline">Archived</Badge>
+          ) : (
+            <Switch
+              checked={isDefault}
+              onClick={handleDefaultChange}
+              disabled={updateDefaultLoading}
+            />
+          )}
         </CardHeader>
         <CardContent>
           <div className="text-2xl font-bold">
-            ₹{parseFloat(balance).toFixed(2)}
+            {formatCurrency(balance, account.currency)}
           </div>
           <p className="text-xs text-muted-foreground">
-            {type.charAt(0) + type.slice(1).toLowerCase()} Account
+            {accountTypeNames[type]} Account
           </p>
+          {account.balanceDrift != null && (
+            <p className="flex items-center gap-1 text-xs text-yellow-600 mt-1">
+              <AlertTriangle className="h-3 w-3" />
+              Balance doesn&apos;t match transactions
+            </p>
+          )}
+          <div className="mt-2">
+            <AccountTypeSummary account={account} />
+          </div>
         </CardContent>
         <CardFooter className="flex justify-between text-sm text-muted-foreground">
           <div className="flex items-center">
@@ -0,0 +1,86 @@
+import { AlertTriangle } from "lucide-react";
+import Link from "next/link";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { formatCurrency } from "@/lib/currency";
+
+export function AccountTotals({ totals }) {
+  const { currency, totalBalance, missingRates } = totals;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardTitle className="text-sm font-medium">
+          Total Balance ({currency})
+        </CardTitle>
+        <div className="flex gap-3">
+          <Link
+            href="/balances"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Balances
+          </Link>
+          <Link
+            href="/categories"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Categories
+          </Link>
+          <Link
+            href="/payees"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Payees
+          </Link>
+          <Link
+            href="/rules"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Rules
+          </Link>
+          <Link
+            href="/tags"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Tags
+          </Link>
+          <Link
+            href="/items"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Items
+          </Link>
+          <Link
+            href="/duplicates"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Duplicates
+          </Link>
+          <Link
+            href="/trash"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Trash
+          </Link>
+          <Link
+            href="/currencies"
+            className="text-xs text-muted-foreground hover:underline"
+          >
+            Currencies
+          </Link>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="text-2xl font-bold">
+          {formatCurrency(totalBalance, currency)}
+        </div>
+        {missingRates.length > 0 && (
+          <p className="flex items-center gap-1 text-xs text-yellow-600 mt-1">
+            <AlertTriangle className="h-3 w-3" />
+            Missing exchange rates for {missingRates.join(", ")}; those accounts
+            are not included
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -16,8 +16,9 @@ import { Progress } from "@/components/ui/progress";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { updateBudget } from "@/actions/budget";
+import { formatCurrency } from "@/lib/currency";
 
-export function BudgetProgress({ initialBudget, currentExpenses }) {
+export function BudgetProgress({ initialBudget, currentExpenses, currency }) {
   const [isEditing, setIsEditing] = useState(false);
   const [newBudget, setNewBudget] = useState(
     initialBudget?.amount?.toString() || ""
@@ -103,9 +104,13 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
               <>
                 <CardDescription>
                   {initialBudget
-                    ? `₹${currentExpenses.toFixed(
-                        2
-                      )} of ₹${initialBudget.amount.toFixed(2)} spent`
+                    ? `${formatCurrency(
+                        currentExpenses,
+                        currency
+                      )} of ${formatCurrency(
+                        initialBudget.amount,
+                        currency
+                      )} spent`
                     : "No budget set"}
                 </CardDescription>
                 <Button
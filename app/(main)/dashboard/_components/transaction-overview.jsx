@@ -10,7 +10,12 @@ import {
   Legend,
 } from "recharts";
 import { format } from "date-fns";
-import { ArrowUpRight, ArrowDownRight } from "lucide-react";
+import {
+  ArrowUpRight,
+  ArrowDownRight,
+  ArrowLeftRight,
+  ChevronLeft,
+} from "lucide-react";
 
 import {
   Select,
@@ -20,26 +25,26 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
 import { cn } from "@/lib/utils";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryAmounts } from "@/lib/splits";
+import { getCategoryLookup } from "@/lib/categories";
 
-const COLORS = [
-  "#FF6B6B",
-  "#4ECDC4",
-  "#45B7D1",
-  "#96CEB4",
-  "#FFEEAD",
-  "#D4A5A5",
-  "#9FA8DA",
-];
-
-export function DashboardOverview({ accounts, transactions }) {
+export function DashboardOverview({ accounts, transactions, categories }) {
   const [selectedAccountId, setSelectedAccountId] = useState(
     accounts.find((a) => a.isDefault)?.id || accounts[0]?.id
   );
+  // Category whose subcategory breakdown is shown instead of all categories
+  const [drillCategory, setDrillCategory] = useState(null);
+
+  const currency = accounts.find((a) => a.id === selectedAccountId)?.currency;
 
-  // Filter transactions for selected account
+  // Filter transactions for selected account (including incoming transfers)
   const accountTransactions = transactions.filter(
-    (t) => t.accountId === selectedAccountId
+    (t) =>
+      t.accountId === selectedAccountId ||
+      t.transferAccountId === selectedAccountId
   );
 
   // Get recent transactions (last 5)
@@ -47,34 +52,59 @@ export function DashboardOverview({ accounts, transactions }) {
     .sort((a, b) => new Date(b.date) - new Date(a.date))
     .slice(0, 5);
 
-  // Calculate expense breakdown for current month
+  // Calculate expense breakdown for current month, from completed expenses
+  // like the budget
   const currentDate = new Date();
   const currentMonthExpenses = accountTransactions.filter((t) => {
     const transactionDate = new Date(t.date);
     return (
       t.type === "EXPENSE" &&
+      t.status === "COMPLETED" &&
       transactionDate.getMonth() === currentDate.getMonth() &&
       transactionDate.getFullYear() === currentDate.getFullYear()
     );
   });
 
-  // Group expenses by category
+  // Group expenses by category and subcategory, counting split transactions
+  // per line
   const expensesByCategory = currentMonthExpenses.reduce((acc, transaction) => {
-    const category = transaction.category;
-    if (!acc[category]) {
-      acc[category] = 0;
+    for (const { category, subcategory, amount } of getCategoryAmounts(
+      transaction
+    )) {
+      if (!acc[category]) {
+        acc[category] = { amount: 0, subcategories: {} };
+      }
+      acc[category].amount += amount;
+
+      const name = subcategory || "Other";
+      acc[category].subcategories[name] =
+        (acc[category].subcategories[name] || 0) + amount;
     }
-    acc[category] += transaction.amount;
     return acc;
   }, {});
 
-  // Format data for pie chart
-  const pieChartData = Object.entries(expensesByCategory).map(
-    ([category, amount]) => ({
-      name: category,
-      value: amount,
-    })
-  );
+  // Format data for pie chart, in the user's category names and colors.
+  // A drilled-into category shows its subcategories in shades of its color.
+  const getCategory = getCategoryLookup(categories);
+  const drilled = drillCategory && expensesByCategory[drillCategory];
+  const pieChartData = drilled
+    ? Object.entries(drilled.subcategories).map(([name, amount], index) => ({
+        name,
+        value: amount,
+        color: getCategory(drillCategory).color,
+        opacity: 1 - (index / Object.keys(drilled.subcategories).length) * 0.7,
+      }))
+    : Object.entries(expensesByCategory).map(([category, { amount }]) => ({
+        key: category,
+        name: getCategory(category).name,
+        value: amount,
+        color: getCategory(category).color,
+        opacity: 1,
+      }));
+
+  const handleSliceClick = (_, index) => {
+    if (!drilled) setDrillCategory(pieChartData[index].key);
+  };
 
   return (
     <div className="grid gap-4 md:grid-cols-2">
@@ -86,7 +116,10 @@ export function DashboardOverview({ accounts, transactions }) {
           </CardTitle>
           <Select
             value={selectedAccountId}
-            onValueChange={setSelectedAccountId}
+            onValueChange={(value) => {
+              setSelectedAccountId(value);
+              setDrillCategory(null);
+            }}
           >
             <SelectTrigger className="w-[140px]">
               <SelectValue placeholder="Select account" />
@@ -124,17 +157,27 @@ export function DashboardOverview({ accounts, transactions }) {
                     <div
                       className={cn(
                         "flex items-center",
-                        transaction.type === "EXPENSE"
-                          ? "text-red-500"
-                          : "text-green-500"
+                        transaction.type === "TRANSFER"
+                          ? "text-purple-500"
+                          : transaction.type === "EXPENSE"
+                            ? "text-red-500"
+                            : "text-green-500"
                       )}
                     >
-                      {transaction.type === "EXPENSE" ? (
+                      {transaction.type === "TRANSFER" ? (
+                        <ArrowLeftRight className="mr-1 h-4 w-4" />
+                      ) : transaction.type === "EXPENSE" ? (
                         <ArrowDownRight className="mr-1 h-4 w-4" />
                       ) : (
                         <ArrowUpRight className="mr-1 h-4 w-4" />
                       )}
-                      ₹{transaction.amount.toFixed(2)}
+                      {formatCurrency(
+                        transaction.transferAccountId === selectedAccountId &&
+                          transaction.transferAmount != null
+                          ? transaction.transferAmount
+                          : transaction.amount,
+                        currency
+                      )}
                     </div>
                   </div>
                 </div>
@@ -146,12 +189,28 @@ export function DashboardOverview({ accounts, transactions }) {
 
       {/* Expense Breakdown Card */}
       <Card>
-        <CardHeader>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
           <CardTitle className="text-base font-normal">
             Monthly Expense Breakdown
+            {drilled && ` · ${getCategory(drillCategory).name}`}
           </CardTitle>
+          {drilled && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setDrillCategory(null)}
+            >
+              <ChevronLeft className="h-4 w-4 mr-1" />
+              All Categories
+            </Button>
+          )}
         </CardHeader>
         <CardContent className="p-0 pb-5">
+          {!drilled && pieChartData.length > 0 && (
+            <p className="px-6 pb-2 text-xs text-muted-foreground">
+              Click a category to see its subcategories
+            </p>
+          )}
           {pieChartData.length === 0 ? (
             <p className="text-center text-muted-foreground py-4">
               No expenses this month
@@ -167,17 +226,22 @@ export function DashboardOverview({ accounts, transactions }) {
                     outerRadius={80}
                     fill="#8884d8"
                     dataKey="value"
-                    label={({ name, value }) => `${name}: ₹${value.toFixed(2)}`}
+                    onClick={handleSliceClick}
+                    className={cn(!drilled && "cursor-pointer")}
+                    label={({ name, value }) =>
+                      `${name}: ${formatCurrency(value, currency)}`
+                    }
                   >
                     {pieChartData.map((entry, index) => (
                       <Cell
                         key={`cell-${index}`}
-                        fill={COLORS[index % COLORS.length]}
+                        fill={entry.color}
+                        fillOpacity={entry.opacity}
                       />
                     ))}
                   </Pie>
                   <Tooltip
-                    formatter={(value) => `₹${value.toFixed(2)}`}
+                    formatter={(value) => formatCurrency(value, currency)}
                     contentStyle={{
                       backgroundColor: "hsl(var(--popover))",
                       border: "1px solid hsl(var(--border))",
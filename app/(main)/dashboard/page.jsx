@@ -1,22 +1,31 @@
 import { Suspense } from "react";
 import { getUserAccounts } from "@/actions/dashboard";
-import { getDashboardData } from "@/actions/dashboard";
+import { getDashboardData, getAccountTotals } from "@/actions/dashboard";
 import { getCurrentBudget } from "@/actions/budget";
+import { getUserCategories } from "@/actions/category";
 import { AccountCard } from "./_components/account-card";
 import { CreateAccountDrawer } from "@/components/create-account-drawer";
 import { BudgetProgress } from "./_components/budget-progress";
 import { Card, CardContent } from "@/components/ui/card";
 import { Plus } from "lucide-react";
 import { DashboardOverview } from "./_components/transaction-overview";
+import { AccountTotals } from "./_components/account-totals";
+import { ExportTransactionsDrawer } from "@/components/export-transactions-drawer";
 
 export default async function DashboardPage() {
-  const [accounts, transactions] = await Promise.all([
+  const [accounts, transactions, totals, categories] = await Promise.all([
     getUserAccounts(),
     getDashboardData(),
+    getAccountTotals(),
+    getUserCategories(),
   ]);
 
   const defaultAccount = accounts?.find((account) => account.isDefault);
 
+  // Archived accounts keep their history but leave the main grid
+  const activeAccounts = accounts.filter((account) => !account.isArchived);
+  const archivedAccounts = accounts.filter((account) => account.isArchived);
+
   // Get budget for default account
   let budgetData = null;
   if (defaultAccount) {
@@ -25,16 +34,26 @@ export default async function DashboardPage() {
 
   return (
     <div className="space-y-8">
+      {/* Total Balance */}
+      <AccountTotals totals={totals} />
+
       {/* Budget Progress */}
       <BudgetProgress
         initialBudget={budgetData?.budget}
         currentExpenses={budgetData?.currentExpenses || 0}
+        currency={totals.currency}
       />
 
+      {/* Export across all accounts */}
+      <div className="flex justify-end">
+        <ExportTransactionsDrawer />
+      </div>
+
       {/* Dashboard Overview */}
       <DashboardOverview
         accounts={accounts}
         transactions={transactions || []}
+        categories={categories}
       />
 
       {/* Accounts Grid */}
@@ -47,11 +66,33 @@ export default async function DashboardPage() {
             </CardContent>
           </Card>
         </CreateAccountDrawer>
-        {accounts.length > 0 &&
-          accounts?.map((account) => (
-            <AccountCard key={account.id} account={account} />
+        {activeAccounts.length > 0 &&
+          activeAccounts.map((account) => (
+            <AccountCard
+              key={account.id}
+              account={account}
+              accounts={accounts}
+            />
           ))}
       </div>
+
+      {/* Archived Accounts */}
+      {archivedAccounts.length > 0 && (
+        <div className="space-y-4">
+          <h2 className="text-lg font-semibold text-muted-foreground">
+            Archived Accounts
+          </h2>
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+            {archivedAccounts.map((account) => (
+              <AccountCard
+                key={account.id}
+                account={account}
+                accounts={accounts}
+              />
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
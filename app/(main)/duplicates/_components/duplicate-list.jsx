@@ -0,0 +1,234 @@
+"use client";
+
+import { useEffect } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Lock } from "lucide-react";
+import { toast } from "sonner";
+import { BarLoader } from "react-spinners";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ReceiptThumbnail } from "@/components/receipt-thumbnail";
+import { dismissDuplicate, mergeDuplicates } from "@/actions/duplicate";
+import { bulkDeleteTransactions } from "@/actions/account";
+import { restoreTransactions } from "@/actions/trash";
+import { getCategoryLookup } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+
+// Suspected duplicate pairs on one account. Either side can be kept (the
+// other is merged into it) or deleted, or the pair kept as two transactions.
+export function DuplicateList({ accounts, account, pairs, categories }) {
+  const router = useRouter();
+  const getCategory = getCategoryLookup(categories);
+
+  const {
+    loading: mergeLoading,
+    fn: mergeFn,
+    data: merged,
+  } = useFetch(mergeDuplicates);
+
+  const {
+    loading: dismissLoading,
+    fn: dismissFn,
+    data: dismissed,
+  } = useFetch(dismissDuplicate);
+
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(bulkDeleteTransactions);
+
+  useEffect(() => {
+    if (merged?.success) {
+      toast.success("Transactions merged, duplicate moved to trash", {
+        action: {
+          label: "Undo",
+          onClick: () =>
+            toast.promise(restoreTransactions([merged.data.removedId]), {
+              loading: "Restoring...",
+              success: "Duplicate restored",
+              error: (error) => error.message,
+            }),
+        },
+      });
+    }
+  }, [merged]);
+
+  useEffect(() => {
+    if (dismissed?.success) {
+      toast.success("Kept as separate transactions");
+    }
+  }, [dismissed]);
+
+  useEffect(() => {
+    if (!deleted) return;
+    if (deleted.success) {
+      toast.success("Transaction moved to trash", {
+        action: {
+          label: "Undo",
+          onClick: () =>
+            toast.promise(restoreTransactions(deleted.data.ids), {
+              loading: "Restoring...",
+              success: "Transaction restored",
+              error: (error) => error.message,
+            }),
+        },
+      });
+      router.refresh();
+    } else {
+      toast.error(deleted.error);
+    }
+  }, [deleted, router]);
+
+  const loading = mergeLoading || dismissLoading || deleteLoading;
+
+  return (
+    <div className="space-y-4">
+      <Select
+        value={account.id}
+        onValueChange={(value) => router.push(`/duplicates?account=${value}`)}
+      >
+        <SelectTrigger className="w-[250px]">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {accounts.map((option) => (
+            <SelectItem key={option.id} value={option.id}>
+              {option.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {loading && <BarLoader width={"100%"} color="#9333ea" />}
+
+      {pairs.length === 0 ? (
+        <p className="text-center text-muted-foreground py-8">
+          No likely duplicates on {account.name}
+        </p>
+      ) : (
+        pairs.map(([first, second]) => (
+          <Card key={`${first.id}-${second.id}`}>
+            <CardContent className="space-y-4 p-4">
+              <div className="grid gap-4 md:grid-cols-2">
+                {[
+                  [first, second],
+                  [second, first],
+                ].map(([transaction, other]) => (
+                  <div
+                    key={transaction.id}
+                    className="space-y-2 rounded-md border p-3"
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <Link
+                          href={`/transaction/create?edit=${transaction.id}`}
+                          className="font-medium hover:underline"
+                        >
+                          {transaction.description || "Untitled"}
+                        </Link>
+                        <p className="text-xs text-muted-foreground">
+                          {format(new Date(transaction.date), "PP")}
+                          {transaction.payee && ` · ${transaction.payee}`}
+                        </p>
+                      </div>
+                      <span
+                        className={
+                          transaction.type === "INCOME"
+                            ? "text-green-500"
+                            : "text-red-500"
+                        }
+                      >
+                        {formatCurrency(transaction.amount, account.currency)}
+                      </span>
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-1">
+                      <span
+                        style={{
+                          background: getCategory(transaction.category).color,
+                        }}
+                        className="px-2 py-0.5 rounded text-white text-xs"
+                      >
+                        {getCategory(transaction.category).name}
+                      </span>
+                      {transaction.status === "PENDING" && (
+                        <Badge variant="outline">Pending</Badge>
+                      )}
+                      {transaction.tags.map((tag) => (
+                        <Badge
+                          key={tag}
+                          variant="secondary"
+                          className="font-normal"
+                        >
+                          {tag}
+                        </Badge>
+                      ))}
+                      {transaction.itemCount > 0 && (
+                        <Badge variant="outline" className="font-normal">
+                          {transaction.itemCount} items
+                        </Badge>
+                      )}
+                      {transaction.receiptUrl && (
+                        <ReceiptThumbnail url={transaction.receiptUrl} />
+                      )}
+                      {transaction.isReconciled && (
+                        <span title="On a reconciled statement">
+                          <Lock className="h-4 w-4 text-muted-foreground" />
+                        </span>
+                      )}
+                    </div>
+
+                    <p className="text-xs text-muted-foreground">
+                      Entered {format(new Date(transaction.createdAt), "PPp")}
+                    </p>
+
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        disabled={loading || other.isReconciled}
+                        onClick={() => mergeFn(transaction.id, other.id)}
+                      >
+                        Keep This
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="text-destructive"
+                        disabled={loading || transaction.isReconciled}
+                        onClick={() => deleteFn([transaction.id])}
+                      >
+                        Delete
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <Button
+                variant="ghost"
+                size="sm"
+                disabled={loading}
+                onClick={() => dismissFn(first.id, second.id)}
+              >
+                Not Duplicates
+              </Button>
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+}
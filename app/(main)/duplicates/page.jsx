@@ -0,0 +1,49 @@
+import { notFound } from "next/navigation";
+import { getDuplicates } from "@/actions/duplicate";
+import { getUserAccounts } from "@/actions/dashboard";
+import { getUserCategories } from "@/actions/category";
+import { DuplicateList } from "./_components/duplicate-list";
+
+export default async function DuplicatesPage({ searchParams }) {
+  const params = await searchParams;
+  const [accounts, categories] = await Promise.all([
+    getUserAccounts(),
+    getUserCategories(),
+  ]);
+
+  // Defaults to the default account
+  const accountId =
+    params?.account ||
+    accounts.find((account) => account.isDefault)?.id ||
+    accounts[0]?.id;
+
+  const duplicates = accountId ? await getDuplicates(accountId) : null;
+  if (accountId && !duplicates) notFound();
+
+  return (
+    <div className="space-y-8 px-5">
+      <div>
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          Duplicates
+        </h1>
+        <p className="text-muted-foreground">
+          Transactions with the same amount, close dates and similar
+          descriptions
+        </p>
+      </div>
+
+      {duplicates ? (
+        <DuplicateList
+          accounts={accounts}
+          account={duplicates.account}
+          pairs={duplicates.pairs}
+          categories={categories}
+        />
+      ) : (
+        <p className="text-center text-muted-foreground py-8">
+          Add an account to check it for duplicates.
+        </p>
+      )}
+    </div>
+  );
+}
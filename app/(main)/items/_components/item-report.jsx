@@ -0,0 +1,237 @@
+"use client";
+
+import { useState, useTransition } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { CalendarIcon, Search } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { BarLoader } from "react-spinners";
+
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { getCategoryLookup } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+import { RECEIPT_ITEM_KINDS } from "@/lib/receipt-items";
+import { cn } from "@/lib/utils";
+
+// The report for the search and range in the URL; changing either reloads it
+export function ItemReport({ report, categories, query, from, to }) {
+  const router = useRouter();
+  const [loading, startTransition] = useTransition();
+  const [search, setSearch] = useState(query);
+  const [range, setRange] = useState({
+    from: parseISO(from),
+    to: parseISO(to),
+  });
+  const getCategory = getCategoryLookup(categories);
+
+  const { currency, missingRates, taxes, discounts, count, items } = report;
+
+  const load = (values) => {
+    const params = new URLSearchParams({
+      from: format(values.from, "yyyy-MM-dd"),
+      to: format(values.to || values.from, "yyyy-MM-dd"),
+      ...(values.search.trim() && { q: values.search.trim() }),
+    });
+    startTransition(() => router.push(`/items?${params}`));
+  };
+
+  const handleSelect = (value) => {
+    setRange(value);
+    if (value?.from) load({ ...value, search });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row gap-4">
+        <form
+          className="relative flex-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (range?.from) load({ ...range, search });
+          }}
+        >
+          <Search className="absolute left-2 top-2.5 h-4 w-4 text-muted-foreground" />
+          <Input
+            placeholder="Search items..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="pl-8"
+          />
+        </form>
+        <Popover>
+          <PopoverTrigger asChild>
+            <Button
+              variant="outline"
+              className={cn(
+                "w-[300px] pl-3 text-left font-normal",
+                !range?.from && "text-muted-foreground"
+              )}
+            >
+              {range?.from ? (
+                range.to ? (
+                  `${format(range.from, "PPP")} - ${format(range.to, "PPP")}`
+                ) : (
+                  format(range.from, "PPP")
+                )
+              ) : (
+                <span>Pick a date range</span>
+              )}
+              <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-auto p-0" align="start">
+            <Calendar
+              mode="range"
+              selected={range}
+              onSelect={handleSelect}
+              numberOfMonths={2}
+              initialFocus
+            />
+          </PopoverContent>
+        </Popover>
+      </div>
+
+      {loading && <BarLoader width={"100%"} color="#9333ea" />}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Category</TableHead>
+              <TableHead className="text-right">Items</TableHead>
+              <TableHead className="text-right">Total</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {report.categories.length === 0 ? (
+              <TableRow>
+                <TableCell
+                  colSpan={3}
+                  className="text-center text-muted-foreground"
+                >
+                  No receipt items in this period
+                </TableCell>
+              </TableRow>
+            ) : (
+              report.categories.map((total) => (
+                <TableRow key={total.category}>
+                  <TableCell>
+                    <span
+                      style={{
+                        background: getCategory(total.category).color,
+                      }}
+                      className="px-2 py-1 rounded text-white text-sm"
+                    >
+                      {getCategory(total.category).name}
+                    </span>
+                  </TableCell>
+                  <TableCell className="text-right">{total.count}</TableCell>
+                  <TableCell className="text-right">
+                    {formatCurrency(total.amount, currency)}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+            {taxes > 0 && (
+              <TableRow>
+                <TableCell className="text-muted-foreground">Taxes</TableCell>
+                <TableCell />
+                <TableCell className="text-right">
+                  {formatCurrency(taxes, currency)}
+                </TableCell>
+              </TableRow>
+            )}
+            {discounts > 0 && (
+              <TableRow>
+                <TableCell className="text-muted-foreground">
+                  Discounts
+                </TableCell>
+                <TableCell />
+                <TableCell className="text-right text-green-500">
+                  -{formatCurrency(discounts, currency)}
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {items.length > 0 && (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Item</TableHead>
+                <TableHead>Receipt</TableHead>
+                <TableHead>Category</TableHead>
+                <TableHead className="text-right">Amount</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {items.map((item) => (
+                <TableRow key={item.id}>
+                  <TableCell>{format(new Date(item.date), "PP")}</TableCell>
+                  <TableCell>
+                    {item.name}
+                    {item.quantity != null && item.quantity !== 1 && (
+                      <span className="ml-1 text-xs text-muted-foreground">
+                        × {item.quantity}
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Link
+                      href={`/transaction/create?edit=${item.transactionId}`}
+                      className="hover:underline"
+                    >
+                      {item.description || "Untitled"}
+                    </Link>
+                  </TableCell>
+                  <TableCell>
+                    {item.category
+                      ? getCategory(item.category).name
+                      : RECEIPT_ITEM_KINDS[item.kind]}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {item.kind === "DISCOUNT" && "-"}
+                    {formatCurrency(item.amount, item.currency)}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {count > items.length && (
+        <p className="text-sm text-muted-foreground">
+          Showing the latest {items.length} of {count} items. Narrow the search
+          or range to see the rest.
+        </p>
+      )}
+
+      {missingRates.length > 0 && (
+        <p className="text-sm text-muted-foreground">
+          Some items are not included in the totals because exchange rates are
+          missing for {missingRates.join(", ")}.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { format, startOfMonth } from "date-fns";
+import { getItemReport } from "@/actions/receipt-item";
+import { getUserCategories } from "@/actions/category";
+import { ItemReport } from "./_components/item-report";
+
+export default async function ItemsPage({ searchParams }) {
+  const params = await searchParams;
+
+  // Defaults to the month so far
+  const from = params?.from || format(startOfMonth(new Date()), "yyyy-MM-dd");
+  const to = params?.to || format(new Date(), "yyyy-MM-dd");
+  const query = params?.q || "";
+
+  const [{ data: report }, categories] = await Promise.all([
+    getItemReport({ query, from, to }),
+    getUserCategories(),
+  ]);
+
+  return (
+    <div className="space-y-8 px-5">
+      <div>
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          Items
+        </h1>
+        <p className="text-muted-foreground">
+          Line items from itemized receipts, totalled by category
+        </p>
+      </div>
+
+      <ItemReport
+        report={report}
+        categories={categories}
+        query={query}
+        from={from}
+        to={to}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+"use client";
+
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { format, parseISO } from "date-fns";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { formatCurrency, getCurrencySymbol } from "@/lib/currency";
+
+// Months shown, counting back from the latest one with transactions
+const MONTHS_SHOWN = 12;
+
+export function PayeeHistoryChart({ history, currency }) {
+  const data = history.slice(-MONTHS_SHOWN).map((entry) => ({
+    ...entry,
+    label: format(parseISO(`${entry.month}-01`), "MMM yyyy"),
+  }));
+  const hasIncome = data.some((entry) => entry.income > 0);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">Monthly History</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {data.length === 0 ? (
+          <p className="text-center text-muted-foreground py-4">
+            No income or expenses to chart yet
+          </p>
+        ) : (
+          <div className="h-[300px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={data}
+                margin={{ top: 10, right: 10, left: 10, bottom: 0 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis
+                  dataKey="label"
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                />
+                <YAxis
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                  tickFormatter={(value) =>
+                    `${getCurrencySymbol(currency)}${value}`
+                  }
+                />
+                <Tooltip
+                  formatter={(value) => [
+                    formatCurrency(value, currency),
+                    undefined,
+                  ]}
+                  contentStyle={{
+                    backgroundColor: "hsl(var(--popover))",
+                    border: "1px solid hsl(var(--border))",
+                    borderRadius: "var(--radius)",
+                  }}
+                />
+                <Legend />
+                <Bar
+                  dataKey="expense"
+                  name="Expense"
+                  fill="#ef4444"
+                  radius={[4, 4, 0, 0]}
+                />
+                {hasIncome && (
+                  <Bar
+                    dataKey="income"
+                    name="Income"
+                    fill="#22c55e"
+                    radius={[4, 4, 0, 0]}
+                  />
+                )}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,168 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { format } from "date-fns";
+import { getPayee } from "@/actions/payee";
+import { getUserCategories } from "@/actions/category";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { getCategoryLookup } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+import { PayeeHistoryChart } from "./_components/payee-history-chart";
+
+export default async function PayeePage({ params }) {
+  const { id } = await params;
+
+  const [payeeData, categories] = await Promise.all([
+    getPayee(id),
+    getUserCategories(),
+  ]);
+
+  if (!payeeData) {
+    notFound();
+  }
+
+  const { payee, currency, missingRates, totals, history, transactions } =
+    payeeData;
+  const getCategory = getCategoryLookup(categories);
+  const expenseCount = transactions.filter((t) => t.type === "EXPENSE").length;
+
+  return (
+    <div className="space-y-8 px-5">
+      <div>
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          {payee.name}
+        </h1>
+        <div className="flex flex-wrap items-center gap-1 text-muted-foreground">
+          <Link href="/payees" className="text-sm hover:underline">
+            All payees
+          </Link>
+          {payee.aliases.map((alias) => (
+            <Badge key={alias} variant="secondary" className="font-normal">
+              {alias}
+            </Badge>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-4">
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium">Total Spent</CardTitle>
+          </CardHeader>
+          <CardContent className="text-2xl font-bold text-red-500">
+            {formatCurrency(totals.expense, currency)}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium">
+              Total Received
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="text-2xl font-bold text-green-500">
+            {formatCurrency(totals.income, currency)}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium">Transactions</CardTitle>
+          </CardHeader>
+          <CardContent className="text-2xl font-bold">
+            {totals.count}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium">
+              Average Expense
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="text-2xl font-bold">
+            {formatCurrency(
+              expenseCount > 0 ? totals.expense / expenseCount : 0,
+              currency
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <PayeeHistoryChart history={history} currency={currency} />
+
+      {missingRates.length > 0 && (
+        <p className="text-sm text-muted-foreground">
+          Some transactions are not included in the totals because exchange
+          rates are missing for {missingRates.join(", ")}.
+        </p>
+      )}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Date</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead>Account</TableHead>
+              <TableHead>Category</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {transactions.length === 0 ? (
+              <TableRow>
+                <TableCell
+                  colSpan={5}
+                  className="text-center text-muted-foreground"
+                >
+                  No transactions for this payee yet
+                </TableCell>
+              </TableRow>
+            ) : (
+              transactions.map((transaction) => (
+                <TableRow key={transaction.id}>
+                  <TableCell>{format(transaction.date, "PP")}</TableCell>
+                  <TableCell>{transaction.description}</TableCell>
+                  <TableCell>
+                    <Link
+                      href={`/account/${transaction.accountId}`}
+                      className="hover:underline"
+                    >
+                      {transaction.accountName}
+                    </Link>
+                  </TableCell>
+                  <TableCell>
+                    <span
+                      style={{
+                        background: getCategory(transaction.category).color,
+                      }}
+                      className="px-2 py-1 rounded text-white text-sm"
+                    >
+                      {getCategory(transaction.category).name}
+                    </span>
+                  </TableCell>
+                  <TableCell
+                    className={`text-right font-medium ${
+                      transaction.type === "INCOME"
+                        ? "text-green-500"
+                        : "text-red-500"
+                    }`}
+                  >
+                    {transaction.type === "INCOME" ? "+" : "-"}
+                    {formatCurrency(transaction.amount, transaction.currency)}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { mergePayees } from "@/actions/payee";
+
+// Merges `payee` into another of the user's payees
+export function MergePayeeDrawer({ payee, payees, children }) {
+  const [open, setOpen] = useState(false);
+  const [targetId, setTargetId] = useState("");
+
+  const {
+    loading: mergeLoading,
+    fn: mergeFn,
+    data: merged,
+  } = useFetch(mergePayees);
+
+  useEffect(() => {
+    if (merged?.success) {
+      toast.success(
+        `Merged into ${merged.data.payee.name}, moving ${merged.data.count} transactions`
+      );
+      setOpen(false);
+    }
+  }, [merged]);
+
+  const targets = payees.filter((p) => p.id !== payee.id);
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (value) setTargetId("");
+      }}
+    >
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Merge {payee.name}</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Its transactions move to the payee you pick, and &ldquo;
+            {payee.name}&rdquo; and its aliases become aliases of that payee.
+          </p>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Merge into</label>
+            <Select value={targetId} onValueChange={setTargetId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select payee" />
+              </SelectTrigger>
+              <SelectContent>
+                {targets.map((target) => (
+                  <SelectItem key={target.id} value={target.id}>
+                    {target.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              onClick={() => mergeFn(payee.id, targetId)}
+              disabled={mergeLoading || !targetId}
+            >
+              {mergeLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Merging...
+                </>
+              ) : (
+                "Merge"
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,133 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import { createPayee, updatePayee } from "@/actions/payee";
+import { payeeSchema } from "@/app/lib/schema";
+
+const toFormValues = (payee) => ({
+  name: payee?.name || "",
+  aliases: payee?.aliases.join(", ") || "",
+});
+
+// Creates a payee, or edits one when given
+export function PayeeDrawer({ payee, children }) {
+  const [open, setOpen] = useState(false);
+  const editMode = Boolean(payee);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+  } = useForm({
+    resolver: zodResolver(payeeSchema),
+    defaultValues: toFormValues(payee),
+  });
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(editMode ? updatePayee : createPayee);
+
+  const onSubmit = (data) => {
+    if (editMode) {
+      saveFn(payee.id, data);
+    } else {
+      saveFn(data);
+    }
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(editMode ? "Payee updated" : "Payee created");
+      setOpen(false);
+    }
+  }, [saved, editMode]);
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (value) reset(toFormValues(payee));
+      }}
+    >
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{editMode ? "Edit Payee" : "New Payee"}</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label htmlFor="name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input
+                id="name"
+                placeholder="e.g., Swiggy"
+                {...register("name")}
+              />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="aliases" className="text-sm font-medium">
+                Aliases
+              </label>
+              <Input
+                id="aliases"
+                placeholder="e.g., swiggy instamart, bundl"
+                {...register("aliases")}
+              />
+              <p className="text-xs text-muted-foreground">
+                Separate aliases with commas. A description matches when it
+                contains the name or an alias as whole words, ignoring case,
+                punctuation and numbers.
+              </p>
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saveLoading}>
+                {saveLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : editMode ? (
+                  "Save Changes"
+                ) : (
+                  "Create Payee"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
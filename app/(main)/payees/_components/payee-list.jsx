@@ -0,0 +1,122 @@
+"use client";
+
+import { useEffect } from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { Merge, Pencil, Trash } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent } from "@/components/ui/card";
+import { deletePayee } from "@/actions/payee";
+import { formatCurrency } from "@/lib/currency";
+import { PayeeDrawer } from "./payee-drawer";
+import { MergePayeeDrawer } from "./merge-payee-drawer";
+
+export function PayeeList({ payees, currency }) {
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deletePayee);
+
+  useEffect(() => {
+    if (deleted?.success) {
+      toast.success("Payee deleted");
+    }
+  }, [deleted]);
+
+  if (payees.length === 0) {
+    return (
+      <p className="text-center text-muted-foreground py-8">
+        No payees yet. Add one, or type a payee when adding a transaction.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {payees.map((payee) => (
+        <Card key={payee.id}>
+          <CardContent className="flex items-center justify-between gap-4 p-4">
+            <div className="min-w-0 space-y-1">
+              <Link
+                href={`/payees/${payee.id}`}
+                className="text-sm font-medium hover:underline"
+              >
+                {payee.name}
+              </Link>
+              <p className="text-xs text-muted-foreground">
+                {payee.count} transactions
+                {payee.lastDate &&
+                  `, last on ${format(new Date(payee.lastDate), "PP")}`}
+              </p>
+              {payee.aliases.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {payee.aliases.map((alias) => (
+                    <Badge
+                      key={alias}
+                      variant="secondary"
+                      className="font-normal"
+                    >
+                      {alias}
+                    </Badge>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center gap-4">
+              <div className="text-right text-sm">
+                <div className="text-red-500">
+                  {formatCurrency(payee.expense, currency)}
+                </div>
+                {payee.income > 0 && (
+                  <div className="text-green-500">
+                    +{formatCurrency(payee.income, currency)}
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center gap-1">
+                <PayeeDrawer payee={payee}>
+                  <Button variant="ghost" size="icon" title="Edit">
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                </PayeeDrawer>
+                <MergePayeeDrawer payee={payee} payees={payees}>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    title="Merge into another payee"
+                    disabled={payees.length < 2}
+                  >
+                    <Merge className="h-4 w-4" />
+                  </Button>
+                </MergePayeeDrawer>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  title="Delete"
+                  onClick={() => {
+                    if (
+                      window.confirm(
+                        `Delete the payee "${payee.name}"? Its transactions are kept without a payee.`
+                      )
+                    ) {
+                      deleteFn(payee.id);
+                    }
+                  }}
+                  disabled={deleteLoading}
+                >
+                  <Trash className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
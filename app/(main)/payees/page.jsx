@@ -0,0 +1,39 @@
+import { Plus } from "lucide-react";
+import { getPayees } from "@/actions/payee";
+import { Button } from "@/components/ui/button";
+import { PayeeDrawer } from "./_components/payee-drawer";
+import { PayeeList } from "./_components/payee-list";
+
+export default async function PayeesPage() {
+  const { currency, missingRates, payees } = await getPayees();
+
+  return (
+    <div className="space-y-8 px-5">
+      <div className="flex items-end justify-between gap-4">
+        <div>
+          <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+            Payees
+          </h1>
+          <p className="text-muted-foreground">
+            Matched to transactions by name or alias in the description
+          </p>
+        </div>
+        <PayeeDrawer>
+          <Button>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Payee
+          </Button>
+        </PayeeDrawer>
+      </div>
+
+      <PayeeList payees={payees} currency={currency} />
+
+      {missingRates.length > 0 && (
+        <p className="text-sm text-muted-foreground">
+          Some transactions are not included in the totals because exchange
+          rates are missing for {missingRates.join(", ")}.
+        </p>
+      )}
+    </div>
+  );
+}
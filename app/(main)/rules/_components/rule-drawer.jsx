@@ -0,0 +1,324 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { useRouter } from "next/navigation";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { TagInput } from "@/components/tag-input";
+import { createRule, updateRule } from "@/actions/rule";
+import { ruleSchema } from "@/app/lib/schema";
+
+const toFormValues = (rule) => ({
+  name: rule?.name || "",
+  descriptionPattern: rule?.descriptionPattern || "",
+  patternType: rule?.patternType || "CONTAINS",
+  minAmount: rule?.minAmount != null ? rule.minAmount.toString() : "",
+  maxAmount: rule?.maxAmount != null ? rule.maxAmount.toString() : "",
+  type: rule?.type || undefined,
+  accountId: rule?.accountId || "",
+  category: rule?.category || "",
+  tags: rule?.tags || [],
+  description: rule?.description || "",
+});
+
+// Creates a rule, or edits one when given. `prefill` seeds a new rule, e.g.
+// from a transaction, and `defaultOpen` shows the drawer straight away.
+export function RuleDrawer({
+  rule,
+  prefill,
+  defaultOpen = false,
+  accounts,
+  categories,
+  tags,
+  children,
+}) {
+  const [open, setOpen] = useState(defaultOpen);
+  const editMode = Boolean(rule);
+  const router = useRouter();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(ruleSchema),
+    defaultValues: toFormValues(rule || prefill),
+  });
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(editMode ? updateRule : createRule);
+
+  const onSubmit = (data) => {
+    if (editMode) {
+      saveFn(rule.id, data);
+    } else {
+      saveFn(data);
+    }
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(editMode ? "Rule updated" : "Rule created");
+      setOpen(false);
+      // Drop the transaction the rule was started from
+      if (prefill) router.replace("/rules");
+    }
+  }, [saved, editMode, prefill, router]);
+
+  const type = watch("type");
+
+  // Picking a category also sets the type the rule matches, so once a type
+  // is chosen only its categories are offered
+  const ruleCategories = categories.filter(
+    (category) =>
+      category.type !== "TRANSFER" &&
+      (!type || category.type === type) &&
+      (!category.isArchived || category.key === rule?.category)
+  );
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (value) reset(toFormValues(rule || prefill));
+      }}
+    >
+      {children && <DrawerTrigger asChild>{children}</DrawerTrigger>}
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{editMode ? "Edit Rule" : "New Rule"}</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 max-h-[70vh] overflow-y-auto">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label htmlFor="name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input
+                id="name"
+                placeholder="e.g., Food delivery"
+                {...register("name")}
+              />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            <h3 className="text-sm font-medium text-muted-foreground">
+              When a transaction matches all of
+            </h3>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Description</label>
+              <div className="flex gap-2">
+                <Select
+                  onValueChange={(value) => setValue("patternType", value)}
+                  value={watch("patternType")}
+                >
+                  <SelectTrigger className="w-[160px] shrink-0">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="CONTAINS">Contains</SelectItem>
+                    <SelectItem value="REGEX">Matches regex</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Input
+                  placeholder="e.g., swiggy"
+                  {...register("descriptionPattern")}
+                />
+              </div>
+              {errors.descriptionPattern && (
+                <p className="text-sm text-red-500">
+                  {errors.descriptionPattern.message}
+                </p>
+              )}
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <label htmlFor="minAmount" className="text-sm font-medium">
+                  Minimum Amount
+                </label>
+                <Input
+                  id="minAmount"
+                  type="number"
+                  step="0.01"
+                  placeholder="Any"
+                  {...register("minAmount")}
+                />
+                {errors.minAmount && (
+                  <p className="text-sm text-red-500">
+                    {errors.minAmount.message}
+                  </p>
+                )}
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="maxAmount" className="text-sm font-medium">
+                  Maximum Amount
+                </label>
+                <Input
+                  id="maxAmount"
+                  type="number"
+                  step="0.01"
+                  placeholder="Any"
+                  {...register("maxAmount")}
+                />
+                {errors.maxAmount && (
+                  <p className="text-sm text-red-500">
+                    {errors.maxAmount.message}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Type</label>
+                <Select
+                  onValueChange={(value) => {
+                    setValue("type", value === "any" ? undefined : value);
+                    setValue("category", "");
+                  }}
+                  value={type || "any"}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Any type</SelectItem>
+                    <SelectItem value="EXPENSE">Expense</SelectItem>
+                    <SelectItem value="INCOME">Income</SelectItem>
+                    <SelectItem value="TRANSFER">Transfer</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Account</label>
+                <Select
+                  onValueChange={(value) =>
+                    setValue("accountId", value === "any" ? "" : value)
+                  }
+                  value={watch("accountId") || "any"}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Any account</SelectItem>
+                    {accounts.map((account) => (
+                      <SelectItem key={account.id} value={account.id}>
+                        {account.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <h3 className="text-sm font-medium text-muted-foreground">Then</h3>
+
+            {type !== "TRANSFER" && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Set Category</label>
+                <Select
+                  onValueChange={(value) => {
+                    setValue("category", value === "none" ? "" : value);
+                    const category = categories.find((c) => c.key === value);
+                    if (category) setValue("type", category.type);
+                  }}
+                  value={watch("category") || "none"}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Leave as is</SelectItem>
+                    {ruleCategories.map((category) => (
+                      <SelectItem key={category.id} value={category.key}>
+                        {category.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {errors.category && (
+                  <p className="text-sm text-red-500">
+                    {errors.category.message}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Add Tags</label>
+              <TagInput
+                value={watch("tags")}
+                onChange={(value) => setValue("tags", value)}
+                suggestions={tags.map((tag) => tag.name)}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="description" className="text-sm font-medium">
+                Rename To
+              </label>
+              <Input
+                id="description"
+                placeholder="Leave empty to keep the description"
+                {...register("description")}
+              />
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saveLoading}>
+                {saveLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : editMode ? (
+                  "Save Changes"
+                ) : (
+                  "Create Rule"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,157 @@
+"use client";
+
+import { useEffect } from "react";
+import { ArrowDown, ArrowUp, Pencil, Play, Trash } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Card, CardContent } from "@/components/ui/card";
+import { deleteRule, moveRule, setRuleActive } from "@/actions/rule";
+import { getCategoryLookup } from "@/lib/categories";
+import { RuleDrawer } from "./rule-drawer";
+import { RunRulesDrawer } from "./run-rules-drawer";
+
+const TYPE_NAMES = {
+  INCOME: "Income",
+  EXPENSE: "Expense",
+  TRANSFER: "Transfer",
+};
+
+// Plain-language summary of what a rule matches
+function describeConditions(rule) {
+  const conditions = [];
+  if (rule.descriptionPattern) {
+    conditions.push(
+      rule.patternType === "REGEX"
+        ? `description matches /${rule.descriptionPattern}/`
+        : `description contains “${rule.descriptionPattern}”`
+    );
+  }
+  if (rule.minAmount != null) conditions.push(`amount ≥ ${rule.minAmount}`);
+  if (rule.maxAmount != null) conditions.push(`amount ≤ ${rule.maxAmount}`);
+  if (rule.type) conditions.push(TYPE_NAMES[rule.type].toLowerCase());
+  if (rule.account) conditions.push(`in ${rule.account.name}`);
+  return conditions.join(", ");
+}
+
+export function RuleList({ rules, accounts, categories, tags }) {
+  const getCategory = getCategoryLookup(categories);
+
+  const { loading: moveLoading, fn: moveFn } = useFetch(moveRule);
+  const { loading: activeLoading, fn: activeFn } = useFetch(setRuleActive);
+
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deleteRule);
+
+  useEffect(() => {
+    if (deleted?.success) {
+      toast.success("Rule deleted");
+    }
+  }, [deleted]);
+
+  if (rules.length === 0) {
+    return (
+      <p className="text-center text-muted-foreground py-8">
+        No rules yet. Add one, or create one from a transaction&apos;s menu.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {rules.map((rule, index) => (
+        <Card key={rule.id} className={rule.isActive ? "" : "opacity-60"}>
+          <CardContent className="flex items-center justify-between gap-4 p-4">
+            <div className="min-w-0 space-y-1">
+              <p className="text-sm font-medium">{rule.name}</p>
+              <p className="text-xs text-muted-foreground">
+                When {describeConditions(rule)}
+              </p>
+              <div className="flex flex-wrap items-center gap-1 text-xs">
+                {rule.category && (
+                  <span
+                    style={{ background: getCategory(rule.category).color }}
+                    className="px-2 py-0.5 rounded text-white"
+                  >
+                    {getCategory(rule.category).name}
+                  </span>
+                )}
+                {rule.tags.map((tag) => (
+                  <Badge key={tag} variant="secondary" className="font-normal">
+                    {tag}
+                  </Badge>
+                ))}
+                {rule.description && (
+                  <span className="text-muted-foreground">
+                    rename to “{rule.description}”
+                  </span>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-center gap-1">
+              <Switch
+                checked={rule.isActive}
+                onCheckedChange={(checked) => activeFn(rule.id, checked)}
+                disabled={activeLoading}
+                title={rule.isActive ? "Pause" : "Resume"}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                title="Move up"
+                onClick={() => moveFn(rule.id, "up")}
+                disabled={moveLoading || index === 0}
+              >
+                <ArrowUp className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                title="Move down"
+                onClick={() => moveFn(rule.id, "down")}
+                disabled={moveLoading || index === rules.length - 1}
+              >
+                <ArrowDown className="h-4 w-4" />
+              </Button>
+              <RunRulesDrawer ruleId={rule.id} categories={categories}>
+                <Button variant="ghost" size="icon" title="Run on existing">
+                  <Play className="h-4 w-4" />
+                </Button>
+              </RunRulesDrawer>
+              <RuleDrawer
+                rule={rule}
+                accounts={accounts}
+                categories={categories}
+                tags={tags}
+              >
+                <Button variant="ghost" size="icon" title="Edit">
+                  <Pencil className="h-4 w-4" />
+                </Button>
+              </RuleDrawer>
+              <Button
+                variant="ghost"
+                size="icon"
+                title="Delete"
+                onClick={() => {
+                  if (window.confirm(`Delete the rule "${rule.name}"?`)) {
+                    deleteFn(rule.id);
+                  }
+                }}
+                disabled={deleteLoading}
+              >
+                <Trash className="h-4 w-4" />
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { applyRuleChanges, previewRuleChanges } from "@/actions/rule";
+import { getCategoryLookup } from "@/lib/categories";
+
+// Previews what the active rules (or just `ruleId`) would change on existing
+// transactions, and applies the changes to the ones left selected
+export function RunRulesDrawer({ ruleId = null, categories, children }) {
+  const [open, setOpen] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const getCategory = getCategoryLookup(categories);
+
+  const {
+    loading: previewLoading,
+    fn: previewFn,
+    data: preview,
+    setData: setPreview,
+  } = useFetch(previewRuleChanges);
+
+  const {
+    loading: applyLoading,
+    fn: applyFn,
+    data: applied,
+  } = useFetch(applyRuleChanges);
+
+  useEffect(() => {
+    if (preview?.success) {
+      setSelectedIds(preview.data.map((change) => change.id));
+    }
+  }, [preview]);
+
+  useEffect(() => {
+    if (applied?.success) {
+      toast.success(`Updated ${applied.data.count} transactions`);
+      setOpen(false);
+    }
+  }, [applied]);
+
+  const changes = preview?.data || [];
+
+  const handleSelect = (id) => {
+    setSelectedIds((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+  };
+
+  return (
+    <Drawer
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        setPreview(undefined);
+        if (value) previewFn(ruleId);
+      }}
+    >
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>
+            {ruleId ? "Run Rule" : "Run Rules"} on Existing Transactions
+          </DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4">
+          {previewLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : changes.length === 0 ? (
+            <p className="text-center text-muted-foreground py-8">
+              {preview?.success
+                ? "No transactions would change"
+                : "Couldn't preview the rules"}
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-muted-foreground">
+                Reconciled transactions are locked and left as they are.
+              </p>
+              <div className="rounded-md border max-h-[50vh] overflow-y-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-[50px]">
+                        <Checkbox
+                          checked={selectedIds.length === changes.length}
+                          onCheckedChange={() =>
+                            setSelectedIds(
+                              selectedIds.length === changes.length
+                                ? []
+                                : changes.map((change) => change.id)
+                            )
+                          }
+                        />
+                      </TableHead>
+                      <TableHead>Date</TableHead>
+                      <TableHead>Account</TableHead>
+                      <TableHead>Description</TableHead>
+                      <TableHead>Changes</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {changes.map((change) => (
+                      <TableRow key={change.id}>
+                        <TableCell>
+                          <Checkbox
+                            checked={selectedIds.includes(change.id)}
+                            onCheckedChange={() => handleSelect(change.id)}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {format(new Date(change.date), "PP")}
+                        </TableCell>
+                        <TableCell>{change.accountName}</TableCell>
+                        <TableCell>{change.description}</TableCell>
+                        <TableCell className="space-y-1 text-sm">
+                          {change.newCategory && (
+                            <div>
+                              {getCategory(change.category).name} →{" "}
+                              {getCategory(change.newCategory).name}
+                            </div>
+                          )}
+                          {change.newDescription && (
+                            <div>Renamed to “{change.newDescription}”</div>
+                          )}
+                          {change.addedTags.length > 0 && (
+                            <div className="flex flex-wrap gap-1">
+                              {change.addedTags.map((tag) => (
+                                <Badge
+                                  key={tag}
+                                  variant="secondary"
+                                  className="font-normal"
+                                >
+                                  + {tag}
+                                </Badge>
+                              ))}
+                            </div>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              onClick={() => applyFn(selectedIds, ruleId)}
+              disabled={applyLoading || selectedIds.length === 0}
+            >
+              {applyLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Applying...
+                </>
+              ) : (
+                `Apply to ${selectedIds.length} Transactions`
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
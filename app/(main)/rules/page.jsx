@@ -0,0 +1,83 @@
+import { Play, Plus } from "lucide-react";
+import { getRules } from "@/actions/rule";
+import { getUserAccounts } from "@/actions/dashboard";
+import { getUserCategories } from "@/actions/category";
+import { getUserTags } from "@/actions/tag";
+import { getTransaction } from "@/actions/transaction";
+import { Button } from "@/components/ui/button";
+import { RuleDrawer } from "./_components/rule-drawer";
+import { RuleList } from "./_components/rule-list";
+import { RunRulesDrawer } from "./_components/run-rules-drawer";
+
+// A new rule matching transactions like the given one
+function toRulePrefill(transaction) {
+  const canCategorize =
+    transaction.type !== "TRANSFER" && transaction.splits.length === 0;
+
+  return {
+    name: (transaction.description || "").slice(0, 50),
+    descriptionPattern: transaction.description || "",
+    type: transaction.type,
+    category: canCategorize ? transaction.category : "",
+    tags: transaction.tags.map((tag) => tag.name),
+  };
+}
+
+export default async function RulesPage({ searchParams }) {
+  const params = await searchParams;
+
+  const [rules, accounts, categories, tags, transaction] = await Promise.all([
+    getRules(),
+    getUserAccounts(),
+    getUserCategories(),
+    getUserTags(),
+    params?.fromTransaction
+      ? getTransaction(params.fromTransaction).catch(() => null)
+      : null,
+  ]);
+
+  return (
+    <div className="space-y-8 px-5">
+      <div className="flex items-end justify-between gap-4">
+        <div>
+          <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+            Rules
+          </h1>
+          <p className="text-muted-foreground">
+            Applied in order to new, imported and recurring transactions
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {rules.length > 0 && (
+            <RunRulesDrawer categories={categories}>
+              <Button variant="outline">
+                <Play className="h-4 w-4 mr-2" />
+                Run on Existing
+              </Button>
+            </RunRulesDrawer>
+          )}
+          <RuleDrawer
+            key={transaction?.id}
+            prefill={transaction && toRulePrefill(transaction)}
+            defaultOpen={Boolean(transaction)}
+            accounts={accounts}
+            categories={categories}
+            tags={tags}
+          >
+            <Button>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Rule
+            </Button>
+          </RuleDrawer>
+        </div>
+      </div>
+
+      <RuleList
+        rules={rules}
+        accounts={accounts}
+        categories={categories}
+        tags={tags}
+      />
+    </div>
+  );
+}
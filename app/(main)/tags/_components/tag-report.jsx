@@ -0,0 +1,135 @@
+"use client";
+
+import { useState, useTransition } from "react";
+import { useRouter } from "next/navigation";
+import { CalendarIcon } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { BarLoader } from "react-spinners";
+
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { formatCurrency } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+// The report for the range in the URL; picking a new range reloads it
+export function TagReport({ report, from, to }) {
+  const router = useRouter();
+  const [loading, startTransition] = useTransition();
+  const [range, setRange] = useState({
+    from: parseISO(from),
+    to: parseISO(to),
+  });
+
+  const { currency, missingRates, tags } = report;
+
+  const handleSelect = (value) => {
+    setRange(value);
+    if (!value?.from) return;
+
+    const params = new URLSearchParams({
+      from: format(value.from, "yyyy-MM-dd"),
+      to: format(value.to || value.from, "yyyy-MM-dd"),
+    });
+    startTransition(() => router.push(`/tags?${params}`));
+  };
+
+  return (
+    <div className="space-y-4">
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button
+            variant="outline"
+            className={cn(
+              "w-[300px] pl-3 text-left font-normal",
+              !range?.from && "text-muted-foreground"
+            )}
+          >
+            {range?.from ? (
+              range.to ? (
+                `${format(range.from, "PPP")} - ${format(range.to, "PPP")}`
+              ) : (
+                format(range.from, "PPP")
+              )
+            ) : (
+              <span>Pick a date range</span>
+            )}
+            <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="w-auto p-0" align="start">
+          <Calendar
+            mode="range"
+            selected={range}
+            onSelect={handleSelect}
+            numberOfMonths={2}
+            initialFocus
+          />
+        </PopoverContent>
+      </Popover>
+
+      {loading && <BarLoader width={"100%"} color="#9333ea" />}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Tag</TableHead>
+              <TableHead className="text-right">Transactions</TableHead>
+              <TableHead className="text-right">Income</TableHead>
+              <TableHead className="text-right">Expenses</TableHead>
+              <TableHead className="text-right">Net</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {tags.length === 0 ? (
+              <TableRow>
+                <TableCell
+                  colSpan={5}
+                  className="text-center text-muted-foreground"
+                >
+                  No tagged transactions in this period
+                </TableCell>
+              </TableRow>
+            ) : (
+              tags.map((tag) => (
+                <TableRow key={tag.id}>
+                  <TableCell className="font-medium">{tag.name}</TableCell>
+                  <TableCell className="text-right">{tag.count}</TableCell>
+                  <TableCell className="text-right text-green-500">
+                    {formatCurrency(tag.income, currency)}
+                  </TableCell>
+                  <TableCell className="text-right text-red-500">
+                    {formatCurrency(tag.expense, currency)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatCurrency(tag.income - tag.expense, currency)}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {missingRates.length > 0 && (
+        <p className="text-sm text-muted-foreground">
+          Some transactions are not included because exchange rates are missing
+          for {missingRates.join(", ")}.
+        </p>
+      )}
+    </div>
+  );
+}
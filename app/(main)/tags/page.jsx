@@ -0,0 +1,29 @@
+import { format, startOfMonth } from "date-fns";
+import { getTagReport } from "@/actions/tag";
+import { TagReport } from "./_components/tag-report";
+
+export default async function TagsPage({ searchParams }) {
+  const params = await searchParams;
+
+  // Defaults to the month so far
+  const from = params?.from || format(startOfMonth(new Date()), "yyyy-MM-dd");
+  const to = params?.to || format(new Date(), "yyyy-MM-dd");
+
+  const { data: report } = await getTagReport({ from, to });
+
+  return (
+    <div className="space-y-8 px-5">
+      <div>
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          Tags
+        </h1>
+        <p className="text-muted-foreground">
+          Totals per tag, counting each transaction in full towards every tag it
+          has
+        </p>
+      </div>
+
+      <TagReport report={report} from={from} to={to} />
+    </div>
+  );
+}
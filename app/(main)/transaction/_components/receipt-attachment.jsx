@@ -0,0 +1,88 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { Loader2, Paperclip, X } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { ReceiptThumbnail } from "@/components/receipt-thumbnail";
+import { uploadReceipt } from "@/actions/transaction";
+
+// Attaches, replaces or removes the receipt image of the transaction being
+// entered. Scanning a receipt attaches it as well.
+export function ReceiptAttachment({ value, onChange }) {
+  const fileInputRef = useRef(null);
+
+  const {
+    loading: uploadLoading,
+    fn: uploadFn,
+    data: uploaded,
+    setData: setUploaded,
+  } = useFetch(uploadReceipt);
+
+  // Handed over once, then cleared so a new onChange doesn't repeat it
+  useEffect(() => {
+    if (uploaded?.success) {
+      onChange(uploaded.data.receiptUrl);
+      setUploaded(undefined);
+    }
+  }, [uploaded, onChange, setUploaded]);
+
+  const handleFile = (file) => {
+    if (file.size > 5 * 1024 * 1024) {
+      toast.error("File size should be less than 5MB");
+      return;
+    }
+    if (!file.type.startsWith("image/")) {
+      toast.error("Please upload an image file");
+      return;
+    }
+    uploadFn(file);
+  };
+
+  return (
+    <div className="flex items-center gap-3">
+      <input
+        type="file"
+        ref={fileInputRef}
+        className="hidden"
+        accept="image/*"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          if (file) {
+            handleFile(file);
+            e.target.value = "";
+          }
+        }}
+      />
+      {value && <ReceiptThumbnail url={value} size={48} />}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={uploadLoading}
+      >
+        {uploadLoading ? (
+          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+        ) : (
+          <Paperclip className="mr-2 h-4 w-4" />
+        )}
+        {value ? "Replace Receipt" : "Attach Receipt"}
+      </Button>
+      {value && (
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => onChange("")}
+          disabled={uploadLoading}
+        >
+          <X className="mr-2 h-4 w-4" />
+          Remove
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,321 @@
+"use client";
+
+import { useState } from "react";
+import { Plus, X } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { formatCurrency } from "@/lib/currency";
+import {
+  RECEIPT_ITEM_KINDS,
+  getItemsTotal,
+  getReceiptItemError,
+} from "@/lib/receipt-items";
+import { cn } from "@/lib/utils";
+
+const emptyLine = (kind) => ({
+  kind,
+  name: "",
+  quantity: kind === "ITEM" ? "1" : "",
+  unitPrice: "",
+  amount: "",
+  category: "",
+});
+
+// Reviews and corrects the line items, taxes and discounts of a receipt.
+// With `details` (description, date and total as read from a scan), those
+// can be corrected too and are handed back alongside the lines.
+export function ReceiptItemsDrawer({
+  open,
+  onOpenChange,
+  title,
+  items,
+  details,
+  total,
+  categories,
+  currency,
+  saveLabel = "Save Items",
+  onSave,
+}) {
+  const [lines, setLines] = useState(items);
+  const [values, setValues] = useState(details);
+
+  const updateLine = (index, changes) => {
+    setLines((current) =>
+      current.map((line, i) => {
+        if (i !== index) return line;
+        const updated = { ...line, ...changes };
+
+        // The line total follows the quantity and unit price while both are set
+        if (
+          updated.kind === "ITEM" &&
+          ("quantity" in changes || "unitPrice" in changes)
+        ) {
+          const quantity = parseFloat(updated.quantity);
+          const unitPrice = parseFloat(updated.unitPrice);
+          if (!isNaN(quantity) && !isNaN(unitPrice)) {
+            updated.amount = String(
+              Math.round(quantity * unitPrice * 100) / 100
+            );
+          }
+        }
+        return updated;
+      })
+    );
+  };
+
+  const receiptTotal = parseFloat(values ? values.amount : total) || 0;
+  const difference =
+    Math.round((receiptTotal - getItemsTotal(lines)) * 100) / 100;
+  const lineError = lines.some((line) => line.name.trim() === "")
+    ? "Every line needs a name and an amount"
+    : lines.map(getReceiptItemError).find(Boolean)?.message;
+  const isValid = !lineError;
+
+  return (
+    <Drawer open={open} onOpenChange={onOpenChange}>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{title}</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4 max-h-[75vh] overflow-y-auto">
+          {values && (
+            <div className="grid gap-2 sm:grid-cols-3">
+              <div className="space-y-1">
+                <label className="text-xs font-medium">Merchant</label>
+                <Input
+                  value={values.description}
+                  onChange={(e) =>
+                    setValues({ ...values, description: e.target.value })
+                  }
+                />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-medium">Date</label>
+                <Input
+                  type="date"
+                  value={values.date}
+                  onChange={(e) =>
+                    setValues({ ...values, date: e.target.value })
+                  }
+                />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-medium">Total</label>
+                <Input
+                  type="number"
+                  step="0.01"
+                  value={values.amount}
+                  onChange={(e) =>
+                    setValues({ ...values, amount: e.target.value })
+                  }
+                />
+              </div>
+            </div>
+          )}
+
+          {lines.length === 0 ? (
+            <p className="text-center text-sm text-muted-foreground py-4">
+              No lines yet
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {lines.map((line, index) => (
+                <div key={index} className="flex flex-wrap gap-2">
+                  <Select
+                    value={line.kind}
+                    onValueChange={(kind) =>
+                      updateLine(index, {
+                        kind,
+                        ...(kind !== "ITEM" && {
+                          quantity: "",
+                          unitPrice: "",
+                          category: "",
+                        }),
+                      })
+                    }
+                  >
+                    <SelectTrigger className="w-[110px] shrink-0">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(RECEIPT_ITEM_KINDS).map(
+                        ([kind, label]) => (
+                          <SelectItem key={kind} value={kind}>
+                            {label}
+                          </SelectItem>
+                        )
+                      )}
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    placeholder="Name"
+                    className={cn(
+                      "min-w-[140px] flex-1",
+                      line.name.trim() === "" && "border-red-500"
+                    )}
+                    value={line.name}
+                    onChange={(e) =>
+                      updateLine(index, { name: e.target.value })
+                    }
+                  />
+                  {line.kind === "ITEM" && (
+                    <>
+                      <Input
+                        type="number"
+                        step="any"
+                        placeholder="Qty"
+                        title="Quantity"
+                        className="w-[70px] shrink-0"
+                        value={line.quantity}
+                        onChange={(e) =>
+                          updateLine(index, { quantity: e.target.value })
+                        }
+                      />
+                      <Input
+                        type="number"
+                        step="0.01"
+                        placeholder="Price"
+                        title="Unit price"
+                        className="w-[90px] shrink-0"
+                        value={line.unitPrice}
+                        onChange={(e) =>
+                          updateLine(index, { unitPrice: e.target.value })
+                        }
+                      />
+                    </>
+                  )}
+                  <Input
+                    type="number"
+                    step="0.01"
+                    placeholder="Total"
+                    title={
+                      line.kind === "DISCOUNT"
+                        ? "Amount taken off"
+                        : "Line total"
+                    }
+                    className={cn(
+                      "w-[100px] shrink-0",
+                      getReceiptItemError(line)?.field === "amount" &&
+                        "border-red-500"
+                    )}
+                    value={line.amount}
+                    onChange={(e) =>
+                      updateLine(index, { amount: e.target.value })
+                    }
+                  />
+                  {line.kind === "ITEM" && (
+                    <Select
+                      value={line.category || "none"}
+                      onValueChange={(value) =>
+                        updateLine(index, {
+                          category: value === "none" ? "" : value,
+                        })
+                      }
+                    >
+                      <SelectTrigger className="w-[160px] shrink-0">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">
+                          Same as transaction
+                        </SelectItem>
+                        {categories.map((category) => (
+                          <SelectItem key={category.id} value={category.key}>
+                            {category.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    className="shrink-0"
+                    onClick={() =>
+                      setLines((current) =>
+                        current.filter((_, i) => i !== index)
+                      )
+                    }
+                    title="Remove line"
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex gap-1">
+              {Object.entries(RECEIPT_ITEM_KINDS).map(([kind, label]) => (
+                <Button
+                  key={kind}
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() =>
+                    setLines((current) => [...current, emptyLine(kind)])
+                  }
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  {label}
+                </Button>
+              ))}
+            </div>
+            {lines.length > 0 && (
+              <p
+                className={cn(
+                  "text-sm",
+                  difference === 0 ? "text-muted-foreground" : "text-yellow-600"
+                )}
+              >
+                {difference === 0
+                  ? "Lines match the total"
+                  : `Lines add up to ${formatCurrency(
+                      getItemsTotal(lines),
+                      currency
+                    )}, ${formatCurrency(
+                      Math.abs(difference),
+                      currency
+                    )} ${difference > 0 ? "under" : "over"} the total`}
+              </p>
+            )}
+          </div>
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              type="button"
+              className="flex-1"
+              disabled={!isValid}
+              onClick={() => onSave(lines, values)}
+            >
+              {saveLabel}
+            </Button>
+          </div>
+          {!isValid && <p className="text-sm text-red-500">{lineError}</p>}
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,91 @@
+"use client";
+
+import { useState } from "react";
+import { ListPlus, Pencil } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { getCategoryLookup } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+import { RECEIPT_ITEM_KINDS } from "@/lib/receipt-items";
+import { ReceiptItemsDrawer } from "./receipt-items-drawer";
+
+// The transaction's receipt lines, listed with a drawer to add or correct
+// them. Item categories are picked from `categories`.
+export function ReceiptItemsField({
+  value = [],
+  onChange,
+  total,
+  categories,
+  currency,
+}) {
+  const [open, setOpen] = useState(false);
+  // Remounts the drawer on each open, so it starts from the current lines
+  const [drawerKey, setDrawerKey] = useState(0);
+  const getCategory = getCategoryLookup(categories);
+
+  return (
+    <div className="space-y-2">
+      {value.length > 0 && (
+        <div className="rounded-md border divide-y text-sm">
+          {value.map((item, index) => (
+            <div
+              key={index}
+              className="flex items-center justify-between gap-4 px-3 py-2"
+            >
+              <div className="min-w-0">
+                <span>{item.name}</span>
+                <span className="ml-2 text-xs text-muted-foreground">
+                  {item.kind === "ITEM"
+                    ? [
+                        item.quantity &&
+                          item.unitPrice &&
+                          `${item.quantity} × ${item.unitPrice}`,
+                        item.category && getCategory(item.category).name,
+                      ]
+                        .filter(Boolean)
+                        .join(" · ")
+                    : RECEIPT_ITEM_KINDS[item.kind]}
+                </span>
+              </div>
+              <span className="shrink-0">
+                {item.kind === "DISCOUNT" && "-"}
+                {formatCurrency(parseFloat(item.amount) || 0, currency)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+      <Button
+        type="button"
+        variant="ghost"
+        className="w-full justify-start"
+        onClick={() => {
+          setDrawerKey((key) => key + 1);
+          setOpen(true);
+        }}
+      >
+        {value.length > 0 ? (
+          <Pencil className="h-4 w-4 mr-2" />
+        ) : (
+          <ListPlus className="h-4 w-4 mr-2" />
+        )}
+        {value.length > 0 ? "Edit Items" : "Itemize Receipt"}
+      </Button>
+
+      <ReceiptItemsDrawer
+        key={drawerKey}
+        open={open}
+        onOpenChange={setOpen}
+        title="Receipt Items"
+        items={value}
+        total={total}
+        categories={categories}
+        currency={currency}
+        onSave={(items) => {
+          onChange(items);
+          setOpen(false);
+        }}
+      />
+    </div>
+  );
+}
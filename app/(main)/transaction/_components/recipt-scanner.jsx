@@ -1,15 +1,20 @@
 "use client";
 
-import { useRef, useEffect } from "react";
+import { useRef, useEffect, useState } from "react";
 import { Camera, Loader2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { toast } from "sonner";
 import useFetch from "@/hooks/use-fetch";
 import { scanReceipt } from "@/actions/transaction";
+import { getSelectableCategories } from "@/lib/categories";
+import { toItemValues } from "@/lib/receipt-items";
+import { ReceiptItemsDrawer } from "./receipt-items-drawer";
 
-export function ReceiptScanner({ onScanComplete }) {
+export function ReceiptScanner({ onScanComplete, categories = [] }) {
   const fileInputRef = useRef(null);
   const hasShownToastRef = useRef(false);
+  // Itemized scans are reviewed before they fill in the form
+  const [review, setReview] = useState(null);
 
   const {
     loading: scanReceiptLoading,
@@ -51,9 +56,18 @@ export function ReceiptScanner({ onScanComplete }) {
       console.log("Received scanned data in component:", scannedData);
       
       if (scannedData.success && scannedData.data) {
-        console.log("Passing data to parent:", scannedData.data);
-        onScanComplete(scannedData.data);
-        toast.success("Receipt scanned successfully!");
+        const data = {
+          ...scannedData.data,
+          items: toItemValues(scannedData.data.items, categories),
+        };
+
+        if (data.items.length > 0) {
+          setReview(data);
+        } else {
+          console.log("Passing data to parent:", data);
+          onScanComplete(data);
+          toast.success("Receipt scanned successfully!");
+        }
         hasShownToastRef.current = true;
       } else {
         console.error("Invalid scanned data structure:", scannedData);
@@ -61,7 +75,7 @@ export function ReceiptScanner({ onScanComplete }) {
         hasShownToastRef.current = true;
       }
     }
-  }, [scannedData, scanReceiptLoading, onScanComplete]);
+  }, [scannedData, scanReceiptLoading, onScanComplete, categories]);
 
   // Handle scan error
   useEffect(() => {
@@ -108,6 +122,32 @@ export function ReceiptScanner({ onScanComplete }) {
           </>
         )}
       </Button>
+
+      {review && (
+        <ReceiptItemsDrawer
+          open
+          onOpenChange={(open) => !open && setReview(null)}
+          title="Review Receipt"
+          items={review.items}
+          details={{
+            description: review.description,
+            date: review.date,
+            amount: String(review.amount),
+          }}
+          categories={getSelectableCategories(categories, "EXPENSE")}
+          saveLabel="Use Receipt"
+          onSave={(items, details) => {
+            onScanComplete({
+              ...review,
+              ...details,
+              amount: parseFloat(details.amount),
+              items,
+            });
+            toast.success("Receipt scanned successfully!");
+            setReview(null);
+          }}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,113 @@
+"use client";
+
+import { Plus, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { cn } from "@/lib/utils";
+import { formatCurrency } from "@/lib/currency";
+
+// Category lines of a split transaction, each with its own amount and
+// optional note. The lines must add up to the transaction's amount.
+export function SplitFields({
+  fields,
+  register,
+  watch,
+  setValue,
+  errors,
+  categories,
+  currency,
+  onAdd,
+  onRemove,
+}) {
+  const total = parseFloat(watch("amount")) || 0;
+  const allocated = (watch("splits") || []).reduce(
+    (sum, split) => sum + (parseFloat(split.amount) || 0),
+    0
+  );
+  const remaining = Math.round((total - allocated) * 100) / 100;
+
+  const splitsError = errors.splits?.message || errors.splits?.root?.message;
+
+  return (
+    <div className="space-y-3">
+      {fields.map((field, index) => (
+        <div key={field.id} className="space-y-1">
+          <div className="flex gap-2">
+            <Select
+              onValueChange={(value) =>
+                setValue(`splits.${index}.category`, value)
+              }
+              value={watch(`splits.${index}.category`)}
+            >
+              <SelectTrigger className="w-[180px] shrink-0">
+                <SelectValue placeholder="Select category" />
+              </SelectTrigger>
+              <SelectContent>
+                {categories.map((category) => (
+                  <SelectItem key={category.id} value={category.key}>
+                    {category.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              type="number"
+              step="0.01"
+              placeholder="0.00"
+              className="w-[120px] shrink-0"
+              {...register(`splits.${index}.amount`)}
+            />
+            <Input
+              placeholder="Note (optional)"
+              {...register(`splits.${index}.description`)}
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              className="shrink-0"
+              onClick={() => onRemove(index)}
+              title="Remove line"
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+          {(errors.splits?.[index]?.category ||
+            errors.splits?.[index]?.amount) && (
+            <p className="text-sm text-red-500">
+              {errors.splits[index].category?.message ||
+                errors.splits[index].amount?.message}
+            </p>
+          )}
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <Button type="button" variant="ghost" size="sm" onClick={onAdd}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Line
+        </Button>
+        <p
+          className={cn(
+            "text-sm",
+            remaining === 0 ? "text-muted-foreground" : "text-yellow-600"
+          )}
+        >
+          {remaining === 0
+            ? "Fully allocated"
+            : remaining > 0
+              ? `${formatCurrency(remaining, currency)} left to allocate`
+              : `${formatCurrency(-remaining, currency)} over the total`}
+        </p>
+      </div>
+      {splitsError && <p className="text-sm text-red-500">{splitsError}</p>}
+    </div>
+  );
+}
@@ -1,10 +1,10 @@
 "use client";
 
 import { useEffect, useMemo, useRef } from "react";
-import { useForm } from "react-hook-form";
+import { useFieldArray, useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { CalendarIcon, Loader2 } from "lucide-react";
-import { format } from "date-fns";
+import { AlertTriangle, CalendarIcon, Loader2, Split } from "lucide-react";
+import { format, startOfDay } from "date-fns";
 import { useRouter, useSearchParams } from "next/navigation";
 import useFetch from "@/hooks/use-fetch";
 import { toast } from "sonner";
@@ -26,14 +26,27 @@ import {
 } from "@/components/ui/popover";
 import { Calendar } from "@/components/ui/calendar";
 import { CreateAccountDrawer } from "@/components/create-account-drawer";
+import { TagInput } from "@/components/tag-input";
 import { cn } from "@/lib/utils";
 import { createTransaction, updateTransaction } from "@/actions/transaction";
 import { transactionSchema } from "@/app/lib/schema";
 import { ReceiptScanner } from "./recipt-scanner";
+import { ReceiptAttachment } from "./receipt-attachment";
+import { ReceiptItemsField } from "./receipt-items-field";
+import { toItemValues } from "@/lib/receipt-items";
+import { SplitFields } from "./split-fields";
+import { currencies } from "@/data/currencies";
+import { formatCurrency } from "@/lib/currency";
+import { scaleSplits } from "@/lib/splits";
+import { getSelectableCategories } from "@/lib/categories";
+
+const emptySplit = { category: "", amount: "", description: "" };
 
 export function AddTransactionForm({
   accounts,
   categories,
+  tags = [],
+  payees = [],
   editMode = false,
   initialData = null,
 }) {
@@ -41,16 +54,39 @@ export function AddTransactionForm({
   const searchParams = useSearchParams();
   const editId = searchParams.get("edit");
   const isProcessingScan = useRef(false);
+  // New transactions filled in from a receipt are recorded as scanned
+  const scanned = useRef(false);
 
   const defaultValues = useMemo(() => {
     return editMode && initialData
       ? {
           type: initialData.type,
-          amount: initialData.amount.toString(),
+          // Foreign-currency transactions are edited in the paid currency
+          amount: (initialData.originalAmount ?? initialData.amount).toString(),
+          currency: initialData.originalCurrency || undefined,
           description: initialData.description,
+          payee: initialData.payee?.name || "",
           accountId: initialData.accountId,
+          transferAccountId: initialData.transferAccountId || undefined,
           category: initialData.category,
+          subcategory: initialData.subcategory || "",
+          // Split lines are stored in the account's currency too
+          splits: (initialData.originalAmount != null
+            ? scaleSplits(initialData.splits, initialData.originalAmount)
+            : initialData.splits
+          ).map((split) => ({
+            category: split.category,
+            amount: split.amount.toString(),
+            description: split.description || "",
+          })),
+          tags: (initialData.tags || []).map((tag) => tag.name),
+          receiptUrl: initialData.receiptUrl || "",
+          items: toItemValues(initialData.items),
           date: new Date(initialData.date),
+          status: initialData.status,
+          clearingDate: initialData.clearingDate
+            ? new Date(initialData.clearingDate)
+            : undefined,
           isRecurring: initialData.isRecurring,
           ...(initialData.recurringInterval && {
             recurringInterval: initialData.recurringInterval,
@@ -59,10 +95,20 @@ export function AddTransactionForm({
       : {
           type: "EXPENSE",
           amount: "",
+          currency: undefined,
           description: "",
+          payee: "",
           accountId: accounts.find((ac) => ac.isDefault)?.id || "",
+          transferAccountId: undefined,
           category: "",
+          subcategory: "",
+          splits: [],
+          tags: [],
+          receiptUrl: "",
+          items: [],
           date: new Date(),
+          status: "COMPLETED",
+          clearingDate: undefined,
           isRecurring: false,
           recurringInterval: undefined,
         };
@@ -75,17 +121,30 @@ export function AddTransactionForm({
     watch,
     setValue,
     reset,
+    control,
   } = useForm({
     resolver: zodResolver(transactionSchema),
     defaultValues,
   });
 
+  const {
+    fields: splitFields,
+    append: appendSplit,
+    remove: removeSplit,
+    replace: replaceSplits,
+  } = useFieldArray({ control, name: "splits" });
+
   const {
     loading: transactionLoading,
     fn: transactionFn,
     data: transactionResult,
   } = useFetch(editMode ? updateTransaction : createTransaction);
 
+  // Kept to save again when the user confirms a likely duplicate
+  const submittedData = useRef(null);
+
+  const getSource = () => (scanned.current ? "SCAN" : "FORM");
+
   const onSubmit = (data) => {
     const formData = {
       ...data,
@@ -95,10 +154,16 @@ export function AddTransactionForm({
     if (editMode) {
       transactionFn(editId, formData);
     } else {
-      transactionFn(formData);
+      submittedData.current = formData;
+      transactionFn(formData, { source: getSource() });
     }
   };
 
+  const duplicates =
+    transactionResult?.warning === "DUPLICATE"
+      ? transactionResult.data.duplicates
+      : null;
+
   const handleScanComplete = (scannedData) => {
     console.log("handleScanComplete called with:", scannedData);
 
@@ -114,6 +179,7 @@ export function AddTransactionForm({
       if (typeof scannedData !== 'object') {
         throw new Error("Invalid scanned data format");
       }
+      scanned.current = true;
 
       // Set amount - with multiple safety checks
       if (scannedData.amount !== undefined && scannedData.amount !== null) {
@@ -155,6 +221,19 @@ export function AddTransactionForm({
         console.warn("Description missing or empty");
       }
 
+      // Set payee, when the merchant was recognized
+      if (scannedData.payee) {
+        setValue("payee", scannedData.payee);
+      }
+
+      // Attach the stored receipt image
+      if (scannedData.receiptUrl) {
+        setValue("receiptUrl", scannedData.receiptUrl);
+      }
+
+      // Set the reviewed line items
+      setValue("items", scannedData.items || []);
+
       // Always set type to EXPENSE for receipts first
       setValue("type", "EXPENSE");
       console.log("✓ Set type: EXPENSE");
@@ -164,11 +243,11 @@ export function AddTransactionForm({
         if (scannedData.category && scannedData.category.trim() !== "") {
           const categoryName = scannedData.category.toLowerCase();
           const foundCategory = categories.find(
-            cat => cat.name.toLowerCase() === categoryName && cat.type === "EXPENSE"
+            cat => cat.name.toLowerCase() === categoryName && cat.type === "EXPENSE" && !cat.isArchived
           );
           
           if (foundCategory) {
-            setValue("category", foundCategory.id);
+            setValue("category", foundCategory.key);
             console.log(`✓ Set category to: ${foundCategory.name}`);
           } else {
             setValue("category", "");
@@ -205,19 +284,72 @@ export function AddTransactionForm({
 
   const type = watch("type");
   const isRecurring = watch("isRecurring");
+  const status = watch("status");
+  const clearingDate = watch("clearingDate");
   const date = watch("date");
   const prevTypeRef = useRef(type);
 
   // Only clear category when type actually changes (not on mount) and we're not processing a scan
   useEffect(() => {
     if (!isProcessingScan.current && prevTypeRef.current !== type && prevTypeRef.current !== undefined) {
-      setValue("category", "");
+      // Transfers always use the built-in transfer category
+      setValue("category", type === "TRANSFER" ? "transfer" : "");
+      setValue("subcategory", "");
+      replaceSplits([]);
     }
     prevTypeRef.current = type;
-  }, [type, setValue]);
+  }, [type, setValue, replaceSplits]);
+
+  // Archived categories stay selectable on transactions already using them
+  const filteredCategories = getSelectableCategories(categories, type, [
+    initialData?.category,
+    ...(initialData?.splits || []).map((split) => split.category),
+  ]);
+
+  // Subcategories of the chosen category, plus the one an edited
+  // transaction already has if it was since renamed or removed
+  const category = watch("category");
+  const subcategory = watch("subcategory");
+  const subcategories =
+    categories.find((c) => c.key === category)?.subcategories || [];
+  const subcategoryOptions =
+    category === initialData?.category &&
+    initialData?.subcategory &&
+    !subcategories.includes(initialData.subcategory)
+      ? [...subcategories, initialData.subcategory]
+      : subcategories;
+
+  const selectedAccount = accounts.find(
+    (account) => account.id === watch("accountId")
+  );
 
-  const filteredCategories = categories.filter(
-    (category) => category.type === type
+  // Starts a split with the current category and amount on the first line
+  const handleStartSplit = () => {
+    setValue("subcategory", "");
+    replaceSplits([
+      { ...emptySplit, category: watch("category"), amount: watch("amount") },
+      emptySplit,
+    ]);
+  };
+
+  // Removing the second-to-last line turns the split back into a plain
+  // transaction in the remaining line's category
+  const handleRemoveSplit = (index) => {
+    if (splitFields.length > 2) {
+      removeSplit(index);
+      return;
+    }
+    setValue("category", watch(`splits.${index === 0 ? 1 : 0}.category`));
+    replaceSplits([]);
+  };
+
+  // Archived accounts can't take new transactions, but an edited
+  // transaction keeps showing the account it already belongs to
+  const selectableAccounts = accounts.filter(
+    (account) =>
+      !account.isArchived ||
+      account.id === initialData?.accountId ||
+      account.id === initialData?.transferAccountId
   );
 
   return (
@@ -228,7 +360,10 @@ export function AddTransactionForm({
           <h3 className="text-sm font-medium mb-3 text-purple-900">
             Quick Scan
           </h3>
-          <ReceiptScanner onScanComplete={handleScanComplete} />
+          <ReceiptScanner
+            onScanComplete={handleScanComplete}
+            categories={categories}
+          />
           <p className="text-xs text-purple-600 mt-2">
             Upload a receipt photo to auto-fill transaction details with AI
           </p>
@@ -248,6 +383,7 @@ export function AddTransactionForm({
           <SelectContent>
             <SelectItem value="EXPENSE">Expense</SelectItem>
             <SelectItem value="INCOME">Income</SelectItem>
+            <SelectItem value="TRANSFER">Transfer</SelectItem>
           </SelectContent>
         </Select>
         {errors.type && (
@@ -259,19 +395,39 @@ export function AddTransactionForm({
       <div className="grid gap-6 md:grid-cols-2">
         <div className="space-y-2">
           <label className="text-sm font-medium">Amount</label>
-          <Input
-            type="number"
-            step="0.01"
-            placeholder="0.00"
-            {...register("amount")}
-          />
+          <div className="flex gap-2">
+            <Input
+              type="number"
+              step="0.01"
+              placeholder="0.00"
+              {...register("amount")}
+            />
+            {/* Defaults to the account's currency; others are converted */}
+            <Select
+              onValueChange={(value) => setValue("currency", value)}
+              value={watch("currency") || selectedAccount?.currency}
+            >
+              <SelectTrigger className="w-[100px]">
+                <SelectValue placeholder="Currency" />
+              </SelectTrigger>
+              <SelectContent>
+                {currencies.map((currency) => (
+                  <SelectItem key={currency.code} value={currency.code}>
+                    {currency.code}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
           {errors.amount && (
             <p className="text-sm text-red-500">{errors.amount.message}</p>
           )}
         </div>
 
         <div className="space-y-2">
-          <label className="text-sm font-medium">Account</label>
+          <label className="text-sm font-medium">
+            {type === "TRANSFER" ? "From Account" : "Account"}
+          </label>
           <Select
             onValueChange={(value) => setValue("accountId", value)}
             value={watch("accountId")}
@@ -280,9 +436,10 @@ export function AddTransactionForm({
               <SelectValue placeholder="Select account" />
             </SelectTrigger>
             <SelectContent>
-              {accounts.map((account) => (
+              {selectableAccounts.map((account) => (
                 <SelectItem key={account.id} value={account.id}>
-                  {account.name} (₹{parseFloat(account.balance).toFixed(2)})
+                  {account.name} (
+                  {formatCurrency(account.balance, account.currency)})
                 </SelectItem>
               ))}
             </SelectContent>
@@ -298,28 +455,104 @@ export function AddTransactionForm({
         </div>
       </div>
 
-      {/* Category */}
-      <div className="space-y-2">
-        <label className="text-sm font-medium">Category</label>
-        <Select
-          onValueChange={(value) => setValue("category", value)}
-          value={watch("category")}
-        >
-          <SelectTrigger>
-            <SelectValue placeholder="Select category" />
-          </SelectTrigger>
-          <SelectContent>
-            {filteredCategories.map((category) => (
-              <SelectItem key={category.id} value={category.id}>
-                {category.name}
-              </SelectItem>
-            ))}
-          </SelectContent>
-        </Select>
-        {errors.category && (
-          <p className="text-sm text-red-500">{errors.category.message}</p>
-        )}
-      </div>
+      {/* Destination Account (transfers) or Category */}
+      {type === "TRANSFER" ? (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">To Account</label>
+          <Select
+            onValueChange={(value) => setValue("transferAccountId", value)}
+            value={watch("transferAccountId")}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select destination account" />
+            </SelectTrigger>
+            <SelectContent>
+              {selectableAccounts
+                .filter((account) => account.id !== watch("accountId"))
+                .map((account) => (
+                  <SelectItem key={account.id} value={account.id}>
+                    {account.name} (
+                    {formatCurrency(account.balance, account.currency)})
+                  </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+          {errors.transferAccountId && (
+            <p className="text-sm text-red-500">
+              {errors.transferAccountId.message}
+            </p>
+          )}
+        </div>
+      ) : splitFields.length > 0 ? (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Split</label>
+          <SplitFields
+            fields={splitFields}
+            register={register}
+            watch={watch}
+            setValue={setValue}
+            errors={errors}
+            categories={filteredCategories}
+            currency={watch("currency") || selectedAccount?.currency}
+            onAdd={() => appendSplit(emptySplit)}
+            onRemove={handleRemoveSplit}
+          />
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Category</label>
+          <Select
+            onValueChange={(value) => {
+              setValue("category", value);
+              setValue("subcategory", "");
+            }}
+            value={category}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select category" />
+            </SelectTrigger>
+            <SelectContent>
+              {filteredCategories.map((category) => (
+                <SelectItem key={category.id} value={category.key}>
+                  {category.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {errors.category && (
+            <p className="text-sm text-red-500">{errors.category.message}</p>
+          )}
+          {subcategoryOptions.length > 0 && (
+            <Select
+              onValueChange={(value) =>
+                setValue("subcategory", value === "none" ? "" : value)
+              }
+              value={subcategory || "none"}
+            >
+              <SelectTrigger>
+                <SelectValue placeholder="Select subcategory" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="none">No subcategory</SelectItem>
+                {subcategoryOptions.map((name) => (
+                  <SelectItem key={name} value={name}>
+                    {name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button
+            type="button"
+            variant="ghost"
+            className="w-full justify-start"
+            onClick={handleStartSplit}
+          >
+            <Split className="h-4 w-4 mr-2" />
+            Split Across Categories
+          </Button>
+        </div>
+      )}
 
       {/* Date */}
       <div className="space-y-2">
@@ -355,6 +588,71 @@ export function AddTransactionForm({
         )}
       </div>
 
+      {/* Status */}
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Status</label>
+        <Select
+          onValueChange={(value) => setValue("status", value)}
+          value={status}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="COMPLETED">Completed</SelectItem>
+            <SelectItem value="PENDING">Pending</SelectItem>
+            {editMode && <SelectItem value="FAILED">Failed</SelectItem>}
+          </SelectContent>
+        </Select>
+        {status !== "COMPLETED" && (
+          <p className="text-sm text-muted-foreground">
+            {status === "PENDING"
+              ? "Kept out of the booked balance until it clears, on the expected date if set"
+              : "Not counted in balances or reports"}
+          </p>
+        )}
+      </div>
+
+      {/* Clearing Date */}
+      {status === "PENDING" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Expected to Clear</label>
+          <Popover>
+            <PopoverTrigger asChild>
+              <Button
+                type="button"
+                variant="outline"
+                className={cn(
+                  "w-full pl-3 text-left font-normal",
+                  !clearingDate && "text-muted-foreground"
+                )}
+              >
+                {clearingDate ? (
+                  format(clearingDate, "PPP")
+                ) : (
+                  <span>Pick a date (optional)</span>
+                )}
+                <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-auto p-0" align="start">
+              <Calendar
+                mode="single"
+                selected={clearingDate}
+                onSelect={(value) => setValue("clearingDate", value)}
+                disabled={(value) => date && value < startOfDay(date)}
+                initialFocus
+              />
+            </PopoverContent>
+          </Popover>
+          {errors.clearingDate && (
+            <p className="text-sm text-red-500">
+              {errors.clearingDate.message}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Description */}
       <div className="space-y-2">
         <label className="text-sm font-medium">Description</label>
@@ -364,6 +662,61 @@ export function AddTransactionForm({
         )}
       </div>
 
+      {/* Payee */}
+      {type !== "TRANSFER" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Payee</label>
+          <Input
+            placeholder="Matched from the description if left empty"
+            list="payee-options"
+            autoComplete="off"
+            {...register("payee")}
+          />
+          <datalist id="payee-options">
+            {payees.map((payee) => (
+              <option key={payee.id} value={payee.name} />
+            ))}
+          </datalist>
+          {errors.payee && (
+            <p className="text-sm text-red-500">{errors.payee.message}</p>
+          )}
+        </div>
+      )}
+
+      {/* Tags */}
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Tags</label>
+        <TagInput
+          value={watch("tags")}
+          onChange={(value) => setValue("tags", value)}
+          suggestions={tags.map((tag) => tag.name)}
+          placeholder="e.g., Goa trip, tax-deductible"
+        />
+      </div>
+
+      {/* Receipt */}
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Receipt</label>
+        <ReceiptAttachment
+          value={watch("receiptUrl")}
+          onChange={(value) => setValue("receiptUrl", value)}
+        />
+      </div>
+
+      {/* Receipt Items */}
+      {type !== "TRANSFER" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Items</label>
+          <ReceiptItemsField
+            value={watch("items")}
+            onChange={(value) => setValue("items", value)}
+            total={watch("amount")}
+            categories={filteredCategories}
+            currency={watch("currency") || selectedAccount?.currency}
+          />
+        </div>
+      )}
+
       {/* Recurring Toggle */}
       <div className="flex flex-row items-center justify-between rounded-lg border p-4">
         <div className="space-y-0.5">
@@ -404,6 +757,59 @@ export function AddTransactionForm({
         </div>
       )}
 
+      {/* Likely duplicates of the transaction being created */}
+      {duplicates && (
+        <div className="space-y-3 rounded-lg border border-yellow-500 p-4">
+          <div className="flex items-center gap-2 text-sm font-medium text-yellow-600">
+            <AlertTriangle className="h-4 w-4" />
+            This looks like a transaction you already entered
+          </div>
+          <div className="divide-y text-sm">
+            {duplicates.map((duplicate) => (
+              <div
+                key={duplicate.id}
+                className="flex items-center justify-between gap-4 py-2"
+              >
+                <div className="min-w-0">
+                  <div>{duplicate.description || "Untitled"}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {format(new Date(duplicate.date), "PP")}
+                    {duplicate.payee && ` · ${duplicate.payee}`}
+                  </div>
+                </div>
+                <div className="flex shrink-0 items-center gap-2">
+                  {formatCurrency(duplicate.amount, selectedAccount?.currency)}
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() =>
+                      router.push(`/transaction/create?edit=${duplicate.id}`)
+                    }
+                  >
+                    Open Existing
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            className="w-full"
+            disabled={transactionLoading}
+            onClick={() =>
+              transactionFn(submittedData.current, {
+                allowDuplicate: true,
+                source: getSource(),
+              })
+            }
+          >
+            Save Anyway
+          </Button>
+        </div>
+      )}
+
       {/* Actions */}
       <div className="flex gap-4">
         <Button
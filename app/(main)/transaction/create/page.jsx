@@ -1,19 +1,34 @@
 import { getUserAccounts } from "@/actions/dashboard";
-import { defaultCategories } from "@/data/categories";
+import { getUserCategories } from "@/actions/category";
+import { getUserTags } from "@/actions/tag";
+import { getUserPayees } from "@/actions/payee";
 import { AddTransactionForm } from "../_components/transaction-form";
 import { getTransaction } from "@/actions/transaction";
+import { getTransactionHistory } from "@/actions/audit";
+import { AuditLog } from "@/components/audit-log";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { isReconciled } from "@/lib/reconciliation";
+import { Lock } from "lucide-react";
+import Link from "next/link";
 
 export default async function AddTransactionPage({ searchParams }) {
-  const accounts = await getUserAccounts();
+  const [accounts, categories, tags, payees] = await Promise.all([
+    getUserAccounts(),
+    getUserCategories(),
+    getUserTags(),
+    getUserPayees(),
+  ]);
 
   const params = await searchParams; // MUST await this
   const editId = params?.edit;
 
   let initialData = null;
+  let history = null;
 
   if (editId) {
     const transaction = await getTransaction(editId); // corrected
     initialData = transaction;
+    history = await getTransactionHistory(editId);
   }
 
   return (
@@ -22,12 +37,46 @@ export default async function AddTransactionPage({ searchParams }) {
         <h1 className="text-5xl gradient-title">Add Transaction</h1>
       </div>
 
-      <AddTransactionForm
-        accounts={accounts}
-        categories={defaultCategories}
-        editMode={!!editId}
-        initialData={initialData}
-      />
+      {initialData && isReconciled(initialData) ? (
+        <div className="flex items-center gap-2 text-muted-foreground">
+          <Lock className="h-4 w-4" />
+          This transaction is on a reconciled statement and can&apos;t be
+          edited.
+          <Link
+            href={`/account/${initialData.accountId}`}
+            className="underline"
+          >
+            Back to account
+          </Link>
+        </div>
+      ) : (
+        <AddTransactionForm
+          // A fresh form when switching to another transaction, e.g. to open
+          // the one a new entry duplicates
+          key={editId || "new"}
+          accounts={accounts}
+          categories={categories}
+          tags={tags}
+          payees={payees}
+          editMode={!!editId}
+          initialData={initialData}
+        />
+      )}
+
+      {history && (
+        <Card className="mt-8">
+          <CardHeader>
+            <CardTitle>History</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <AuditLog
+              entries={history.entries}
+              accounts={history.accounts}
+              categories={categories}
+            />
+          </CardContent>
+        </Card>
+      )}
     </div>
   );
 }
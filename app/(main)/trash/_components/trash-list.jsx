@@ -0,0 +1,239 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format, formatDistanceToNow } from "date-fns";
+import { ArrowRightLeft, RotateCcw, Trash } from "lucide-react";
+import { toast } from "sonner";
+import { BarLoader } from "react-spinners";
+import useFetch from "@/hooks/use-fetch";
+
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { purgeTransactions, restoreTransactions } from "@/actions/trash";
+import { getCategoryLookup } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+
+// Deleted transactions, which can be restored or deleted for good
+export function TrashList({ transactions, categories }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const getCategory = getCategoryLookup(categories);
+
+  const {
+    loading: restoreLoading,
+    fn: restoreFn,
+    data: restored,
+  } = useFetch(restoreTransactions);
+
+  const {
+    loading: purgeLoading,
+    fn: purgeFn,
+    data: purged,
+  } = useFetch(purgeTransactions);
+
+  useEffect(() => {
+    if (restored?.success) {
+      toast.success(
+        `${restored.data.count} transaction${
+          restored.data.count === 1 ? "" : "s"
+        } restored`
+      );
+      setSelectedIds([]);
+    }
+  }, [restored]);
+
+  useEffect(() => {
+    if (purged?.success) {
+      toast.success(
+        `${purged.data.count} transaction${
+          purged.data.count === 1 ? "" : "s"
+        } deleted for good`
+      );
+      setSelectedIds([]);
+    }
+  }, [purged]);
+
+  const handleSelect = (id) => {
+    setSelectedIds((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+  };
+
+  const handleSelectAll = () => {
+    setSelectedIds((current) =>
+      current.length === transactions.length
+        ? []
+        : transactions.map((t) => t.id)
+    );
+  };
+
+  const handlePurge = (ids) => {
+    const count = ids ? ids.length : transactions.length;
+    if (
+      !window.confirm(
+        `Delete ${count} transaction${
+          count === 1 ? "" : "s"
+        } for good? This can't be undone.`
+      )
+    )
+      return;
+
+    purgeFn(ids);
+  };
+
+  const loading = restoreLoading || purgeLoading;
+
+  if (transactions.length === 0) {
+    return (
+      <p className="text-center text-muted-foreground py-8">
+        The trash is empty
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {loading && <BarLoader width={"100%"} color="#9333ea" />}
+
+      <div className="flex flex-wrap gap-2">
+        {selectedIds.length > 0 ? (
+          <>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={loading}
+              onClick={() => restoreFn(selectedIds)}
+            >
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Restore ({selectedIds.length})
+            </Button>
+            <Button
+              variant="destructive"
+              size="sm"
+              disabled={loading}
+              onClick={() => handlePurge(selectedIds)}
+            >
+              <Trash className="h-4 w-4 mr-2" />
+              Delete Forever ({selectedIds.length})
+            </Button>
+          </>
+        ) : (
+          <Button
+            variant="outline"
+            size="sm"
+            className="text-destructive"
+            disabled={loading}
+            onClick={() => handlePurge()}
+          >
+            <Trash className="h-4 w-4 mr-2" />
+            Empty Trash
+          </Button>
+        )}
+      </div>
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-[50px]">
+                <Checkbox
+                  checked={selectedIds.length === transactions.length}
+                  onCheckedChange={handleSelectAll}
+                />
+              </TableHead>
+              <TableHead>Date</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead>Account</TableHead>
+              <TableHead>Category</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+              <TableHead>Deleted</TableHead>
+              <TableHead className="w-[50px]" />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {transactions.map((transaction) => (
+              <TableRow key={transaction.id}>
+                <TableCell>
+                  <Checkbox
+                    checked={selectedIds.includes(transaction.id)}
+                    onCheckedChange={() => handleSelect(transaction.id)}
+                  />
+                </TableCell>
+                <TableCell>
+                  {format(new Date(transaction.date), "PP")}
+                </TableCell>
+                <TableCell>{transaction.description || "Untitled"}</TableCell>
+                <TableCell>
+                  {transaction.transferAccount ? (
+                    <span className="flex items-center gap-1">
+                      {transaction.account.name}
+                      <ArrowRightLeft className="h-3 w-3" />
+                      {transaction.transferAccount.name}
+                    </span>
+                  ) : (
+                    transaction.account.name
+                  )}
+                </TableCell>
+                <TableCell>
+                  {transaction.type === "TRANSFER" ? (
+                    "Transfer"
+                  ) : (
+                    <span
+                      style={{
+                        background: getCategory(transaction.category).color,
+                      }}
+                      className="px-2 py-1 rounded text-white text-sm"
+                    >
+                      {getCategory(transaction.category).name}
+                    </span>
+                  )}
+                </TableCell>
+                <TableCell
+                  className={
+                    transaction.type === "INCOME"
+                      ? "text-right text-green-500"
+                      : transaction.type === "EXPENSE"
+                        ? "text-right text-red-500"
+                        : "text-right"
+                  }
+                >
+                  {formatCurrency(
+                    transaction.amount,
+                    transaction.account.currency
+                  )}
+                </TableCell>
+                <TableCell className="text-sm text-muted-foreground">
+                  {formatDistanceToNow(new Date(transaction.deletedAt), {
+                    addSuffix: true,
+                  })}
+                  <p className="text-xs">
+                    Purged {format(new Date(transaction.purgeAt), "PP")}
+                  </p>
+                </TableCell>
+                <TableCell>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    disabled={loading}
+                    onClick={() => restoreFn([transaction.id])}
+                  >
+                    Restore
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
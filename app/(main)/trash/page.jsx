@@ -0,0 +1,26 @@
+import { getTrash } from "@/actions/trash";
+import { getUserCategories } from "@/actions/category";
+import { TrashList } from "./_components/trash-list";
+
+export default async function TrashPage() {
+  const [trash, categories] = await Promise.all([
+    getTrash(),
+    getUserCategories(),
+  ]);
+
+  return (
+    <div className="space-y-8 px-5">
+      <div>
+        <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title">
+          Trash
+        </h1>
+        <p className="text-muted-foreground">
+          Deleted transactions are removed for good after {trash.retentionDays}{" "}
+          days
+        </p>
+      </div>
+
+      <TrashList transactions={trash.transactions} categories={categories} />
+    </div>
+  );
+}
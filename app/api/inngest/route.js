@@ -1,9 +1,12 @@
 import { serve } from "inngest/next";
 import { inngest } from "@/lib/inngest/client";
 import {
+  checkBalanceDrift,
   checkBudgetAlerts,
+  clearPendingTransactions,
   generateMonthlyReports,
   processRecurringTransaction,
+  purgeTrash,
   triggerRecurringTransactions,
 } from "@/lib/inngest/function";
 
@@ -14,5 +17,8 @@ export const { GET, POST, PUT } = serve({
     triggerRecurringTransactions,
     generateMonthlyReports,
     checkBudgetAlerts,
+    checkBalanceDrift,
+    purgeTrash,
+    clearPendingTransactions,
   ],
 });
@@ -0,0 +1,35 @@
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import {
+  RECEIPT_URL_PREFIX,
+  getReceiptKey,
+  getStorage,
+  isOwnReceipt,
+} from "@/lib/storage";
+
+// Serves a receipt image to the user who uploaded it
+export async function GET(request, { params }) {
+  const { userId } = await auth();
+  if (!userId) return new Response("Unauthorized", { status: 401 });
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  const { key } = await params;
+  const receiptUrl = `${RECEIPT_URL_PREFIX}${key.join("/")}`;
+  if (!user || !isOwnReceipt(receiptUrl, user.id)) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  const file = await getStorage().read(getReceiptKey(receiptUrl));
+  if (!file) return new Response("Not found", { status: 404 });
+
+  // Keys are never reused, so the image can be cached for good
+  return new Response(file.body, {
+    headers: {
+      "Content-Type": file.contentType || "application/octet-stream",
+      "Cache-Control": "private, max-age=31536000, immutable",
+    },
+  });
+}
@@ -1,26 +1,203 @@
 import { z } from "zod";
+import { startOfDay } from "date-fns";
+import { splitsMatchTotal } from "@/lib/splits";
+import { MAX_TAG_LENGTH } from "@/lib/tags";
+import { MAX_RECEIPT_ITEMS, getReceiptItemError } from "@/lib/receipt-items";
+import { toRuleRegex } from "@/lib/rules";
 
-export const accountSchema = z.object({
-  name: z.string().min(1, "Name is required"),
-  type: z.enum(["CURRENT", "SAVINGS"]),
-  balance: z.string().min(1, "Initial balance is required"),
-  isDefault: z.boolean().default(false),
-});
+const accountFields = {
+  name: z.string().trim().min(1, "Name is required"),
+  type: z.enum(["CURRENT", "SAVINGS", "CREDIT_CARD", "LOAN", "CASH", "WALLET"]),
+  // Type-specific details, entered as strings like the balance
+  creditLimit: z.string().optional(),
+  statementDay: z.string().optional(),
+  dueDay: z.string().optional(),
+  principal: z.string().optional(),
+  interestRate: z.string().optional(),
+};
+
+const refineAccountDetails = (data, ctx) => {
+  const requireAmount = (field, message, allowZero = false) => {
+    const value = parseFloat(data[field]);
+    if (!data[field] || isNaN(value) || value < 0 || (!allowZero && !value)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: [field] });
+    }
+  };
+
+  const checkDay = (field) => {
+    if (!data[field]) return;
+    const day = Number(data[field]);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Day must be between 1 and 31",
+        path: [field],
+      });
+    }
+  };
+
+  if (data.type === "CREDIT_CARD") {
+    requireAmount("creditLimit", "Credit limit is required");
+    checkDay("statementDay");
+    checkDay("dueDay");
+  }
+
+  if (data.type === "LOAN") {
+    requireAmount("principal", "Principal is required");
+    requireAmount("interestRate", "Interest rate is required", true);
+  }
+};
+
+export const accountSchema = z
+  .object({
+    ...accountFields,
+    balance: z.string().min(1, "Initial balance is required"),
+    // Falls back to the user's base currency
+    currency: z.string().length(3).optional(),
+    isDefault: z.boolean().default(false),
+  })
+  .superRefine(refineAccountDetails);
+
+// Balance is derived from transactions once an account exists
+export const accountUpdateSchema = z
+  .object(accountFields)
+  .superRefine(refineAccountDetails);
 
 export const transactionSchema = z
   .object({
-    type: z.enum(["INCOME", "EXPENSE"]),
-    amount: z.string().min(1, "Amount is required"),
+    type: z.enum(["INCOME", "EXPENSE", "TRANSFER"]),
+    // Always positive; the type decides which way it moves the balance
+    amount: z
+      .string()
+      .min(1, "Amount is required")
+      .refine((value) => parseFloat(value) > 0, "Amount must be positive"),
+    // Currency the amount was paid in, when it differs from the account's
+    currency: z.string().length(3).optional(),
     description: z.string().optional(),
+    // Name of the payee; a new name creates the payee
+    payee: z.string().trim().max(50).optional(),
+    // URL of an uploaded receipt image, or empty for none
+    receiptUrl: z.string().optional(),
     date: z.date({ required_error: "Date is required" }),
+    // Pending transactions stay out of the balance until they clear. Left
+    // out, new transactions are completed and edits keep their status.
+    status: z.enum(["PENDING", "COMPLETED", "FAILED"]).optional(),
+    clearingDate: z.date().optional(),
     accountId: z.string().min(1, "Account is required"),
-    category: z.string().min(1, "Category is required"),
+    transferAccountId: z.string().optional(),
+    category: z.string().optional(),
+    subcategory: z.string().optional(),
+    tags: z.array(z.string().trim().min(1).max(MAX_TAG_LENGTH)).optional(),
+    // Category lines adding up to the amount, when the transaction is split
+    splits: z
+      .array(
+        z.object({
+          category: z.string().min(1, "Category is required"),
+          amount: z.string().min(1, "Amount is required"),
+          description: z.string().optional(),
+        })
+      )
+      .optional(),
+    // Line items, taxes and discounts from an itemized receipt
+    items: z
+      .array(
+        z.object({
+          kind: z.enum(["ITEM", "TAX", "DISCOUNT"]),
+          name: z.string().trim().min(1, "Name is required").max(100),
+          quantity: z.string().optional(),
+          unitPrice: z.string().optional(),
+          amount: z.string().min(1, "Amount is required"),
+          category: z.string().optional(),
+        })
+      )
+      .max(MAX_RECEIPT_ITEMS)
+      .optional(),
     isRecurring: z.boolean().default(false),
     recurringInterval: z
       .enum(["DAILY", "WEEKLY", "MONTHLY", "YEARLY"])
       .optional(),
   })
   .superRefine((data, ctx) => {
+    if (data.type === "TRANSFER") {
+      if (!data.transferAccountId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Destination account is required for transfers",
+          path: ["transferAccountId"],
+        });
+      } else if (data.transferAccountId === data.accountId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Cannot transfer to the same account",
+          path: ["transferAccountId"],
+        });
+      }
+    } else if (!data.category && !data.splits?.length) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Category is required",
+        path: ["category"],
+      });
+    }
+
+    if (data.splits?.length) {
+      if (data.type === "TRANSFER") {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Transfers can't be split",
+          path: ["splits"],
+        });
+      } else if (data.splits.length < 2) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Split into at least two lines",
+          path: ["splits"],
+        });
+      }
+
+      data.splits.forEach((split, index) => {
+        const amount = parseFloat(split.amount);
+        if (isNaN(amount) || amount <= 0) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: "Amount must be positive",
+            path: ["splits", index, "amount"],
+          });
+        }
+      });
+
+      if (!splitsMatchTotal(data.splits, data.amount)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Split lines must add up to the total",
+          path: ["splits"],
+        });
+      }
+    }
+
+    data.items?.forEach((item, index) => {
+      const error = getReceiptItemError(item);
+      if (error) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: error.message,
+          path: ["items", index, error.field],
+        });
+      }
+    });
+
+    if (
+      data.status === "PENDING" &&
+      data.clearingDate &&
+      data.clearingDate < startOfDay(data.date)
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Clearing date can't be before the transaction date",
+        path: ["clearingDate"],
+      });
+    }
+
     if (data.isRecurring && !data.recurringInterval) {
       ctx.addIssue({
         code: z.ZodIssueCode.custom,
@@ -29,3 +206,166 @@ export const transactionSchema = z
       });
     }
   });
+
+// Changes applied to every selected transaction; fields left out stay as
+// they are
+export const bulkEditSchema = z
+  .object({
+    category: z.string().min(1).optional(),
+    accountId: z.string().min(1).optional(),
+    date: z.date().optional(),
+    isRecurring: z.boolean().optional(),
+    recurringInterval: z
+      .enum(["DAILY", "WEEKLY", "MONTHLY", "YEARLY"])
+      .optional(),
+    status: z.enum(["PENDING", "COMPLETED", "FAILED"]).optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (Object.values(data).every((value) => value === undefined)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Choose at least one change",
+      });
+    }
+
+    if (data.isRecurring && !data.recurringInterval) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Recurring interval is required for recurring transactions",
+        path: ["recurringInterval"],
+      });
+    }
+  });
+
+export const exchangeRateSchema = z
+  .object({
+    fromCurrency: z.string().length(3, "Currency is required"),
+    toCurrency: z.string().length(3, "Currency is required"),
+    rate: z.string().min(1, "Rate is required"),
+    date: z.date({ required_error: "Date is required" }),
+  })
+  .superRefine((data, ctx) => {
+    if (data.fromCurrency === data.toCurrency) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Choose two different currencies",
+        path: ["toCurrency"],
+      });
+    }
+
+    const rate = parseFloat(data.rate);
+    if (isNaN(rate) || rate <= 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Rate must be a positive number",
+        path: ["rate"],
+      });
+    }
+  });
+
+export const reconciliationSchema = z
+  .object({
+    statementDate: z.date({ required_error: "Statement date is required" }),
+    statementBalance: z.string().min(1, "Statement balance is required"),
+  })
+  .superRefine((data, ctx) => {
+    if (isNaN(parseFloat(data.statementBalance))) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Statement balance must be a number",
+        path: ["statementBalance"],
+      });
+    }
+  });
+
+export const categorySchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(50),
+  type: z.enum(["INCOME", "EXPENSE"]),
+  color: z.string().regex(/^#[0-9a-f]{6}$/i, "Pick a color"),
+  icon: z.string().min(1, "Icon is required"),
+  // Comma-separated subcategory names
+  subcategories: z.string().optional(),
+});
+
+export const payeeSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(50),
+  // Comma-separated words matched in raw descriptions
+  aliases: z.string().optional(),
+});
+
+const optionalAmount = z
+  .string()
+  .optional()
+  .refine((value) => !value || !isNaN(parseFloat(value)), "Enter an amount");
+
+export const ruleSchema = z
+  .object({
+    name: z.string().trim().min(1, "Name is required").max(50),
+    // Conditions
+    descriptionPattern: z.string().trim().max(200).optional(),
+    patternType: z.enum(["CONTAINS", "REGEX"]).default("CONTAINS"),
+    minAmount: optionalAmount,
+    maxAmount: optionalAmount,
+    type: z.enum(["INCOME", "EXPENSE", "TRANSFER"]).optional(),
+    accountId: z.string().optional(),
+    // Actions
+    category: z.string().optional(),
+    tags: z.array(z.string().trim().min(1).max(MAX_TAG_LENGTH)).optional(),
+    description: z.string().trim().max(200).optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (
+      !data.descriptionPattern &&
+      !data.minAmount &&
+      !data.maxAmount &&
+      !data.type &&
+      !data.accountId
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Add at least one condition",
+        path: ["descriptionPattern"],
+      });
+    }
+
+    if (
+      data.descriptionPattern &&
+      data.patternType === "REGEX" &&
+      !toRuleRegex(data.descriptionPattern)
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message:
+          "Not a valid regular expression, or too slow to run: keep it under 100 characters, without repeated groups like (a+)+ or (a|b)+",
+        path: ["descriptionPattern"],
+      });
+    }
+
+    if (
+      data.minAmount &&
+      data.maxAmount &&
+      parseFloat(data.minAmount) > parseFloat(data.maxAmount)
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Maximum must be at least the minimum",
+        path: ["maxAmount"],
+      });
+    }
+
+    if (!data.category && !data.tags?.length && !data.description) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Set a category, tags or a new description",
+        path: ["category"],
+      });
+    }
+
+    if (data.category && data.type === "TRANSFER") {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Transfers keep the transfer category",
+        path: ["category"],
+      });
+    }
+  });
@@ -0,0 +1,325 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useRouter } from "next/navigation";
+import {
+  Archive,
+  ArchiveRestore,
+  Loader2,
+  MoreHorizontal,
+  Pencil,
+  Trash,
+} from "lucide-react";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  archiveAccount,
+  deleteAccount,
+  updateAccount,
+} from "@/actions/account";
+import { accountUpdateSchema } from "@/app/lib/schema";
+import { accountTypes } from "@/data/account-types";
+import { AccountTypeFields } from "@/components/account-type-fields";
+
+export function AccountActions({ account, accounts = [] }) {
+  const [editOpen, setEditOpen] = useState(false);
+  const [deleteOpen, setDeleteOpen] = useState(false);
+
+  const {
+    loading: archiveLoading,
+    fn: archiveFn,
+    data: archived,
+  } = useFetch(archiveAccount);
+
+  useEffect(() => {
+    if (archived?.success) {
+      toast.success(
+        archived.data.isArchived ? "Account archived" : "Account restored"
+      );
+    }
+  }, [archived]);
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button
+            variant="ghost"
+            className="h-8 w-8 p-0"
+            disabled={archiveLoading}
+          >
+            <MoreHorizontal className="h-4 w-4" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuItem onClick={() => setEditOpen(true)}>
+            <Pencil className="h-4 w-4 mr-2" />
+            Edit
+          </DropdownMenuItem>
+          <DropdownMenuItem
+            onClick={() => archiveFn(account.id, !account.isArchived)}
+          >
+            {account.isArchived ? (
+              <>
+                <ArchiveRestore className="h-4 w-4 mr-2" />
+                Unarchive
+              </>
+            ) : (
+              <>
+                <Archive className="h-4 w-4 mr-2" />
+                Archive
+              </>
+            )}
+          </DropdownMenuItem>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem
+            className="text-destructive"
+            onClick={() => setDeleteOpen(true)}
+          >
+            <Trash className="h-4 w-4 mr-2" />
+            Delete
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <EditAccountDrawer
+        account={account}
+        open={editOpen}
+        onOpenChange={setEditOpen}
+      />
+      <DeleteAccountDrawer
+        account={account}
+        accounts={accounts}
+        open={deleteOpen}
+        onOpenChange={setDeleteOpen}
+      />
+    </>
+  );
+}
+
+function EditAccountDrawer({ account, open, onOpenChange }) {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(accountUpdateSchema),
+    defaultValues: {
+      name: account.name,
+      type: account.type,
+      creditLimit: account.creditLimit?.toString() ?? "",
+      statementDay: account.statementDay?.toString() ?? "",
+      dueDay: account.dueDay?.toString() ?? "",
+      principal: account.principal?.toString() ?? "",
+      interestRate: account.interestRate?.toString() ?? "",
+    },
+  });
+
+  const {
+    loading: updateLoading,
+    fn: updateFn,
+    data: updatedAccount,
+  } = useFetch(updateAccount);
+
+  const onSubmit = async (data) => {
+    await updateFn(account.id, data);
+  };
+
+  useEffect(() => {
+    if (updatedAccount?.success) {
+      toast.success("Account updated successfully");
+      onOpenChange(false);
+    }
+  }, [updatedAccount, onOpenChange]);
+
+  return (
+    <Drawer open={open} onOpenChange={onOpenChange}>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Edit Account</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label htmlFor="edit-name" className="text-sm font-medium">
+                Account Name
+              </label>
+              <Input id="edit-name" {...register("name")} />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="edit-type" className="text-sm font-medium">
+                Account Type
+              </label>
+              <Select
+                onValueChange={(value) => setValue("type", value)}
+                value={watch("type")}
+              >
+                <SelectTrigger id="edit-type">
+                  <SelectValue placeholder="Select type" />
+                </SelectTrigger>
+                <SelectContent>
+                  {accountTypes.map((type) => (
+                    <SelectItem key={type.id} value={type.id}>
+                      {type.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {errors.type && (
+                <p className="text-sm text-red-500">{errors.type.message}</p>
+              )}
+            </div>
+
+            <AccountTypeFields
+              type={watch("type")}
+              register={register}
+              errors={errors}
+            />
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={updateLoading}>
+                {updateLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  "Save Changes"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
+
+function DeleteAccountDrawer({ account, accounts, open, onOpenChange }) {
+  const router = useRouter();
+  const [newDefaultId, setNewDefaultId] = useState("");
+
+  // Candidates to take over as default when the default account is deleted
+  const defaultCandidates = accounts.filter(
+    (a) => a.id !== account.id && !a.isArchived
+  );
+  const needsNewDefault = account.isDefault && defaultCandidates.length > 0;
+
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deleteAccount);
+
+  const handleDelete = async () => {
+    if (needsNewDefault && !newDefaultId) {
+      toast.error("Please select a new default account");
+      return;
+    }
+
+    await deleteFn(account.id, newDefaultId || undefined);
+  };
+
+  useEffect(() => {
+    if (deleted?.success) {
+      toast.success("Account deleted successfully");
+      onOpenChange(false);
+      router.push("/dashboard");
+    }
+  }, [deleted, onOpenChange, router]);
+
+  return (
+    <Drawer open={open} onOpenChange={onOpenChange}>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Delete {account.name}?</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4">
+          <p className="text-sm text-muted-foreground">
+            This permanently deletes the account and all of its transactions.
+            Transfers with other accounts are kept there as regular income or
+            expenses. Archive the account instead to keep its history.
+          </p>
+
+          {needsNewDefault && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">New Default Account</label>
+              <Select value={newDefaultId} onValueChange={setNewDefaultId}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select account" />
+                </SelectTrigger>
+                <SelectContent>
+                  {defaultCandidates.map((a) => (
+                    <SelectItem key={a.id} value={a.id}>
+                      {a.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              variant="destructive"
+              className="flex-1"
+              onClick={handleDelete}
+              disabled={deleteLoading}
+            >
+              {deleteLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Deleting...
+                </>
+              ) : (
+                "Delete Account"
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
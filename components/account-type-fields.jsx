@@ -0,0 +1,86 @@
+"use client";
+
+import { Input } from "@/components/ui/input";
+
+const labelClassName =
+  "text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70";
+
+function Field({ id, label, error, ...inputProps }) {
+  return (
+    <div className="space-y-2">
+      <label htmlFor={id} className={labelClassName}>
+        {label}
+      </label>
+      <Input id={id} {...inputProps} />
+      {error && <p className="text-sm text-red-500">{error.message}</p>}
+    </div>
+  );
+}
+
+// Extra inputs for credit card and loan accounts
+export function AccountTypeFields({ type, register, errors }) {
+  if (type === "CREDIT_CARD") {
+    return (
+      <>
+        <Field
+          id="creditLimit"
+          label="Credit Limit"
+          type="number"
+          step="0.01"
+          placeholder="0.00"
+          error={errors.creditLimit}
+          {...register("creditLimit")}
+        />
+        <div className="grid grid-cols-2 gap-4">
+          <Field
+            id="statementDay"
+            label="Statement Day"
+            type="number"
+            min="1"
+            max="31"
+            placeholder="e.g., 15"
+            error={errors.statementDay}
+            {...register("statementDay")}
+          />
+          <Field
+            id="dueDay"
+            label="Payment Due Day"
+            type="number"
+            min="1"
+            max="31"
+            placeholder="e.g., 5"
+            error={errors.dueDay}
+            {...register("dueDay")}
+          />
+        </div>
+      </>
+    );
+  }
+
+  if (type === "LOAN") {
+    return (
+      <div className="grid grid-cols-2 gap-4">
+        <Field
+          id="principal"
+          label="Principal"
+          type="number"
+          step="0.01"
+          placeholder="0.00"
+          error={errors.principal}
+          {...register("principal")}
+        />
+        <Field
+          id="interestRate"
+          label="Interest Rate (% p.a.)"
+          type="number"
+          step="0.01"
+          placeholder="e.g., 8.5"
+          error={errors.interestRate}
+          {...register("interestRate")}
+        />
+      </div>
+    );
+  }
+
+  return null;
+}
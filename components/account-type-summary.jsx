@@ -0,0 +1,59 @@
+import { Progress } from "@/components/ui/progress";
+import { getCreditUsage, getLoanProgress } from "@/lib/accounts";
+import { formatCurrency } from "@/lib/currency";
+
+// Type-specific details for credit card and loan accounts
+export function AccountTypeSummary({ account }) {
+  if (account.type === "CREDIT_CARD") {
+    const { limit, available, utilisation } = getCreditUsage(account);
+
+    return (
+      <div className="space-y-1 text-xs text-muted-foreground">
+        <Progress
+          value={Math.min(utilisation, 100)}
+          extraStyles={
+            utilisation >= 90
+              ? "bg-red-500"
+              : utilisation >= 30
+                ? "bg-yellow-500"
+                : "bg-green-500"
+          }
+        />
+        <div className="flex justify-between">
+          <span>
+            {formatCurrency(available, account.currency)} available of{" "}
+            {formatCurrency(limit, account.currency)}
+          </span>
+          <span>{utilisation.toFixed(1)}% used</span>
+        </div>
+        {(account.statementDay || account.dueDay) && (
+          <p>
+            {account.statementDay && `Statement on day ${account.statementDay}`}
+            {account.statementDay && account.dueDay && " · "}
+            {account.dueDay && `Due on day ${account.dueDay}`}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  if (account.type === "LOAN") {
+    const { principal, outstanding, interestRate, percentRepaid } =
+      getLoanProgress(account);
+
+    return (
+      <div className="space-y-1 text-xs text-muted-foreground">
+        <Progress value={percentRepaid} extraStyles="bg-green-500" />
+        <div className="flex justify-between">
+          <span>
+            {formatCurrency(outstanding, account.currency)} outstanding of{" "}
+            {formatCurrency(principal, account.currency)}
+          </span>
+          <span>{interestRate}% p.a.</span>
+        </div>
+      </div>
+    );
+  }
+
+  return null;
+}
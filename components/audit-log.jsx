@@ -0,0 +1,151 @@
+"use client";
+
+import Link from "next/link";
+import { format } from "date-fns";
+import { Badge } from "@/components/ui/badge";
+import { AUDIT_ACTIONS, AUDIT_SOURCES, getAuditChanges } from "@/lib/audit";
+import { getCategoryLookup } from "@/lib/categories";
+import { formatCurrency } from "@/lib/currency";
+
+// Enum values such as "CREDIT_CARD" as "Credit card"
+const toLabel = (value) =>
+  value.charAt(0) + value.slice(1).toLowerCase().replace(/_/g, " ");
+
+const ACTION_VARIANTS = {
+  CREATE: "secondary",
+  UPDATE: "outline",
+  DELETE: "destructive",
+  RESTORE: "secondary",
+};
+
+// Recorded changes to transactions, newest first. With showTransaction each
+// entry names its transaction, for a feed covering several.
+export function AuditLog({
+  entries,
+  accounts,
+  categories,
+  showTransaction = false,
+}) {
+  const getCategory = getCategoryLookup(categories);
+  const getAccountName = (id) => accounts[id]?.name ?? "Deleted account";
+
+  // A snapshot field's value as shown to the user
+  const formatValue = (field, value, snapshot) => {
+    if (value === null || value === undefined || value === "") return "None";
+
+    switch (field) {
+      case "amount":
+        return formatCurrency(value, accounts[snapshot.accountId]?.currency);
+      case "transferAmount":
+        return formatCurrency(
+          value,
+          accounts[snapshot.transferAccountId]?.currency
+        );
+      case "originalAmount":
+        return formatCurrency(value, snapshot.originalCurrency);
+      case "date":
+      case "clearingDate":
+        return format(new Date(value), "PP");
+      case "accountId":
+      case "transferAccountId":
+        return getAccountName(value);
+      case "category":
+        return getCategory(value).name;
+      case "splits":
+        return value.length > 0
+          ? value
+              .map(
+                (split) =>
+                  `${getCategory(split.category).name} ${formatCurrency(
+                    split.amount,
+                    accounts[snapshot.accountId]?.currency
+                  )}`
+              )
+              .join(", ")
+          : "None";
+      case "tags":
+        return value.length > 0 ? value.join(", ") : "None";
+      case "type":
+      case "status":
+      case "recurringInterval":
+        return toLabel(value);
+      case "isRecurring":
+        return value ? "Yes" : "No";
+      case "receiptUrl":
+        return "Attached";
+      default:
+        return String(value);
+    }
+  };
+
+  if (entries.length === 0) {
+    return (
+      <p className="text-center text-muted-foreground py-8">
+        No changes recorded yet
+      </p>
+    );
+  }
+
+  return (
+    <ul className="divide-y">
+      {entries.map((entry) => {
+        const snapshot = entry.after ?? entry.before;
+        const changes = getAuditChanges(entry);
+
+        return (
+          <li key={entry.id} className="space-y-2 py-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Badge variant={ACTION_VARIANTS[entry.action]}>
+                {AUDIT_ACTIONS[entry.action]}
+              </Badge>
+              {showTransaction &&
+                (entry.canOpen ? (
+                  <Link
+                    href={`/transaction/create?edit=${entry.transactionId}`}
+                    className="font-medium hover:underline"
+                  >
+                    {snapshot.description || "Untitled"}
+                  </Link>
+                ) : (
+                  <span className="font-medium">
+                    {snapshot.description || "Untitled"}
+                  </span>
+                ))}
+              <span className="text-muted-foreground">
+                {AUDIT_SOURCES[entry.source]}
+                {entry.actor && ` · ${entry.actor}`} ·{" "}
+                {format(new Date(entry.createdAt), "PPp")}
+              </span>
+            </div>
+
+            {/* Every field of a created or deleted transaction would repeat
+                the transaction itself, so only edits list their fields */}
+            {entry.action === "UPDATE" && changes.length > 0 && (
+              <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+                {changes.map(({ field, label, from, to }) => (
+                  <div key={field} className="contents">
+                    <dt className="text-muted-foreground">{label}</dt>
+                    <dd>
+                      <span className="line-through text-muted-foreground">
+                        {formatValue(field, from, entry.before)}
+                      </span>{" "}
+                      → {formatValue(field, to, entry.after)}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+            {entry.action !== "UPDATE" && (
+              <p className="text-sm text-muted-foreground">
+                {toLabel(snapshot.type)} of{" "}
+                {formatValue("amount", snapshot.amount, snapshot)} on{" "}
+                {formatValue("date", snapshot.date, snapshot)} in{" "}
+                {getAccountName(snapshot.accountId)}
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
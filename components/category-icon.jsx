@@ -0,0 +1,69 @@
+import {
+  ArrowLeftRight,
+  Baby,
+  Building,
+  Car,
+  Coffee,
+  Dumbbell,
+  Film,
+  Fuel,
+  Gift,
+  GraduationCap,
+  HeartPulse,
+  Home,
+  Laptop,
+  MoreHorizontal,
+  Music,
+  PawPrint,
+  Plane,
+  Plus,
+  Receipt,
+  Shield,
+  ShoppingBag,
+  ShoppingCart,
+  Smartphone,
+  Smile,
+  Tag,
+  TrendingUp,
+  UtensilsCrossed,
+  Wallet,
+  Zap,
+} from "lucide-react";
+
+// Icons by the names stored on categories (see categoryIcons)
+const icons = {
+  ArrowLeftRight,
+  Baby,
+  Building,
+  Car,
+  Coffee,
+  Dumbbell,
+  Film,
+  Fuel,
+  Gift,
+  GraduationCap,
+  HeartPulse,
+  Home,
+  Laptop,
+  MoreHorizontal,
+  Music,
+  PawPrint,
+  Plane,
+  Plus,
+  Receipt,
+  Shield,
+  ShoppingBag,
+  ShoppingCart,
+  Smartphone,
+  Smile,
+  Tag,
+  TrendingUp,
+  UtensilsCrossed,
+  Wallet,
+  Zap,
+};
+
+export function CategoryIcon({ name, ...props }) {
+  const Icon = icons[name] || Tag;
+  return <Icon {...props} />;
+}
@@ -27,6 +27,10 @@ import {
 import { Switch } from "@/components/ui/switch";
 import { createAccount } from "@/actions/dashboard";
 import { accountSchema } from "@/app/lib/schema";
+import { accountTypes } from "@/data/account-types";
+import { currencies } from "@/data/currencies";
+import { AccountTypeFields } from "@/components/account-type-fields";
+import { isLiabilityAccount } from "@/lib/accounts";
 
 export function CreateAccountDrawer({ children }) {
   const [open, setOpen] = useState(false);
@@ -43,7 +47,13 @@ export function CreateAccountDrawer({ children }) {
       name: "",
       type: "CURRENT",
       balance: "",
+      currency: undefined,
       isDefault: false,
+      creditLimit: "",
+      statementDay: "",
+      dueDay: "",
+      principal: "",
+      interestRate: "",
     },
   });
 
@@ -113,8 +123,11 @@ export function CreateAccountDrawer({ children }) {
                   <SelectValue placeholder="Select type" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="CURRENT">Current</SelectItem>
-                  <SelectItem value="SAVINGS">Savings</SelectItem>
+                  {accountTypes.map((type) => (
+                    <SelectItem key={type.id} value={type.id}>
+                      {type.name}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
               {errors.type && (
@@ -122,12 +135,44 @@ export function CreateAccountDrawer({ children }) {
               )}
             </div>
 
+            <div className="space-y-2">
+              <label
+                htmlFor="currency"
+                className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+              >
+                Currency
+              </label>
+              <Select
+                onValueChange={(value) => setValue("currency", value)}
+                value={watch("currency")}
+              >
+                <SelectTrigger id="currency">
+                  <SelectValue placeholder="Base currency" />
+                </SelectTrigger>
+                <SelectContent>
+                  {currencies.map((currency) => (
+                    <SelectItem key={currency.code} value={currency.code}>
+                      {currency.code} - {currency.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <AccountTypeFields
+              type={watch("type")}
+              register={register}
+              errors={errors}
+            />
+
             <div className="space-y-2">
               <label
                 htmlFor="balance"
                 className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
               >
-                Initial Balance
+                {isLiabilityAccount(watch("type"))
+                  ? "Amount Owed"
+                  : "Initial Balance"}
               </label>
               <Input
                 id="balance"
@@ -0,0 +1,227 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { CalendarIcon, Download, Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Calendar } from "@/components/ui/calendar";
+import { exportTransactions } from "@/actions/export";
+import { cn } from "@/lib/utils";
+
+const formats = [
+  { id: "csv", name: "CSV" },
+  { id: "xlsx", name: "Excel (XLSX)" },
+  { id: "json", name: "JSON" },
+];
+
+function downloadFile({ filename, mimeType, encoding, content }) {
+  const data =
+    encoding === "base64"
+      ? Uint8Array.from(atob(content), (char) => char.charCodeAt(0))
+      : content;
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Exports an account's transactions (the current selection, the table's
+// filters or a date range) or, without an account, all of the user's
+// transactions
+export function ExportTransactionsDrawer({
+  accountId,
+  filters,
+  sort,
+  selectedIds = [],
+}) {
+  const [open, setOpen] = useState(false);
+  const [fileFormat, setFileFormat] = useState("csv");
+  const [scope, setScope] = useState("all");
+  const [range, setRange] = useState();
+
+  const hasFilters = Boolean(
+    filters &&
+      (filters.search ||
+        filters.type ||
+        filters.recurring ||
+        filters.tag ||
+        filters.status)
+  );
+
+  const {
+    loading: exportLoading,
+    fn: exportFn,
+    data: exported,
+  } = useFetch(exportTransactions);
+
+  // Default to the narrowest scope the table currently shows
+  useEffect(() => {
+    if (!open) return;
+    setScope(
+      selectedIds.length > 0 ? "selected" : hasFilters ? "filtered" : "all"
+    );
+    setRange(undefined);
+  }, [open, selectedIds.length, hasFilters]);
+
+  useEffect(() => {
+    if (exported?.success) {
+      downloadFile(exported.data);
+      toast.success(`Exported ${exported.data.count} transactions`);
+      setOpen(false);
+    }
+  }, [exported]);
+
+  const handleExport = () => {
+    exportFn({
+      accountId,
+      format: fileFormat,
+      sort,
+      ids: scope === "selected" ? selectedIds : [],
+      filters: scope === "filtered" ? filters : {},
+      from: scope === "range" ? range?.from : undefined,
+      to: scope === "range" ? range?.to || range?.from : undefined,
+    });
+  };
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>
+        <Button variant="outline">
+          <Download className="h-4 w-4 mr-2" />
+          Export
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Export Transactions</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Transactions</label>
+            <Select value={scope} onValueChange={setScope}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {selectedIds.length > 0 && (
+                  <SelectItem value="selected">
+                    Selected ({selectedIds.length})
+                  </SelectItem>
+                )}
+                {hasFilters && (
+                  <SelectItem value="filtered">Matching filters</SelectItem>
+                )}
+                <SelectItem value="all">
+                  {accountId ? "All in this account" : "All accounts"}
+                </SelectItem>
+                <SelectItem value="range">Date range</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {scope === "range" && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Date Range</label>
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    className={cn(
+                      "w-full pl-3 text-left font-normal",
+                      !range?.from && "text-muted-foreground"
+                    )}
+                  >
+                    {range?.from ? (
+                      range.to ? (
+                        `${format(range.from, "PPP")} - ${format(range.to, "PPP")}`
+                      ) : (
+                        format(range.from, "PPP")
+                      )
+                    ) : (
+                      <span>Pick a date range</span>
+                    )}
+                    <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar
+                    mode="range"
+                    selected={range}
+                    onSelect={setRange}
+                    numberOfMonths={2}
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Format</label>
+            <Select value={fileFormat} onValueChange={setFileFormat}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {formats.map((option) => (
+                  <SelectItem key={option.id} value={option.id}>
+                    {option.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              onClick={handleExport}
+              disabled={exportLoading || (scope === "range" && !range?.from)}
+            >
+              {exportLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Exporting...
+                </>
+              ) : (
+                "Export"
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,56 @@
+"use client";
+
+import Image from "next/image";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { cn } from "@/lib/utils";
+
+// A small receipt image that opens a larger preview. Receipts come from an
+// authenticated route, so they skip Next's image optimizer.
+export function ReceiptThumbnail({ url, size = 32, className }) {
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button
+          type="button"
+          title="View receipt"
+          className={cn(
+            "shrink-0 overflow-hidden rounded border bg-muted",
+            className
+          )}
+          style={{ width: size, height: size }}
+        >
+          <Image
+            src={url}
+            alt="Receipt"
+            width={size}
+            height={size}
+            unoptimized
+            className="h-full w-full object-cover"
+          />
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="w-auto p-2" align="start">
+        <Image
+          src={url}
+          alt="Receipt"
+          width={320}
+          height={480}
+          unoptimized
+          className="max-h-[60vh] w-auto rounded object-contain"
+        />
+        <a
+          href={url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="mt-2 block text-center text-xs text-muted-foreground hover:underline"
+        >
+          Open full size
+        </a>
+      </PopoverContent>
+    </Popover>
+  );
+}
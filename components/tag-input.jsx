@@ -0,0 +1,95 @@
+"use client";
+
+import { useState } from "react";
+import { X } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { MAX_TAG_LENGTH, normalizeTagNames } from "@/lib/tags";
+
+// Free-form tag entry. Enter or a comma adds the typed tag, and the user's
+// existing tags are suggested as they type.
+export function TagInput({
+  value = [],
+  onChange,
+  suggestions = [],
+  placeholder = "Add tags...",
+}) {
+  const [input, setInput] = useState("");
+  const [focused, setFocused] = useState(false);
+
+  const existing = suggestions.map((name) => ({ name }));
+
+  const addTag = (name) => {
+    onChange(normalizeTagNames([...value, name], existing));
+    setInput("");
+  };
+
+  const removeTag = (name) => {
+    onChange(value.filter((tag) => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === "Enter" || e.key === ",") && input.trim()) {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === "Backspace" && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  const query = input.trim().toLowerCase();
+  const matches = query
+    ? suggestions
+        .filter(
+          (name) =>
+            name.toLowerCase().includes(query) &&
+            !value.some((tag) => tag.toLowerCase() === name.toLowerCase())
+        )
+        .slice(0, 6)
+    : [];
+
+  return (
+    <div className="relative space-y-2">
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {value.map((tag) => (
+            <Badge key={tag} variant="secondary" className="gap-1">
+              {tag}
+              <button
+                type="button"
+                onClick={() => removeTag(tag)}
+                title={`Remove ${tag}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+      <Input
+        value={input}
+        placeholder={placeholder}
+        maxLength={MAX_TAG_LENGTH}
+        onChange={(e) => setInput(e.target.value.replace(/,/g, ""))}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setFocused(true)}
+        // Delayed so a click on a suggestion lands first
+        onBlur={() => setTimeout(() => setFocused(false), 150)}
+      />
+      {focused && matches.length > 0 && (
+        <div className="absolute z-10 w-full rounded-md border bg-popover p-1 shadow-md">
+          {matches.map((name) => (
+            <button
+              key={name}
+              type="button"
+              className="w-full rounded-sm px-2 py-1.5 text-left text-sm hover:bg-accent"
+              onClick={() => addTag(name)}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+export const accountTypes = [
+  {
+    id: "CURRENT",
+    name: "Current",
+  },
+  {
+    id: "SAVINGS",
+    name: "Savings",
+  },
+  {
+    id: "CREDIT_CARD",
+    name: "Credit Card",
+    isLiability: true, // balance is negative while money is owed
+  },
+  {
+    id: "LOAN",
+    name: "Loan",
+    isLiability: true,
+  },
+  {
+    id: "CASH",
+    name: "Cash",
+  },
+  {
+    id: "WALLET",
+    name: "Wallet",
+  },
+];
+
+export const accountTypeNames = accountTypes.reduce((acc, type) => {
+  acc[type.id] = type.name;
+  return acc;
+}, {});
@@ -65,7 +65,7 @@ export const defaultCategories = [
     name: "Groceries",
     type: "EXPENSE",
     color: "#84cc16", // lime-500
-    icon: "Shopping",
+    icon: "ShoppingCart",
   },
   {
     id: "utilities",
@@ -159,9 +159,45 @@ export const defaultCategories = [
     color: "#94a3b8", // slate-400
     icon: "MoreHorizontal",
   },
+
+  // Transfer Category (assigned automatically to inter-account transfers)
+  {
+    id: "transfer",
+    name: "Transfer",
+    type: "TRANSFER",
+    color: "#a855f7", // purple-500
+    icon: "ArrowLeftRight",
+  },
 ];
 
-export const categoryColors = defaultCategories.reduce((acc, category) => {
-  acc[category.id] = category.color;
-  return acc;
-}, {});
+// Icons offered for user-defined categories
+export const categoryIcons = [
+  "Wallet",
+  "Laptop",
+  "TrendingUp",
+  "Building",
+  "Home",
+  "Plus",
+  "Car",
+  "ShoppingCart",
+  "Zap",
+  "Film",
+  "UtensilsCrossed",
+  "ShoppingBag",
+  "HeartPulse",
+  "GraduationCap",
+  "Smile",
+  "Plane",
+  "Shield",
+  "Gift",
+  "Receipt",
+  "MoreHorizontal",
+  "PawPrint",
+  "Baby",
+  "Dumbbell",
+  "Coffee",
+  "Fuel",
+  "Smartphone",
+  "Music",
+  "Tag",
+];
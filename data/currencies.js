@@ -0,0 +1,17 @@
+export const DEFAULT_CURRENCY = "INR";
+
+export const currencies = [
+  { code: "INR", name: "Indian Rupee", symbol: "₹" },
+  { code: "USD", name: "US Dollar", symbol: "$" },
+  { code: "EUR", name: "Euro", symbol: "€" },
+  { code: "GBP", name: "British Pound", symbol: "£" },
+  { code: "AED", name: "UAE Dirham", symbol: "AED" },
+  { code: "SGD", name: "Singapore Dollar", symbol: "S$" },
+  { code: "AUD", name: "Australian Dollar", symbol: "A$" },
+  { code: "CAD", name: "Canadian Dollar", symbol: "C$" },
+  { code: "JPY", name: "Japanese Yen", symbol: "¥" },
+  { code: "CHF", name: "Swiss Franc", symbol: "CHF" },
+  { code: "THB", name: "Thai Baht", symbol: "฿" },
+];
+
+export const currencyCodes = currencies.map((currency) => currency.code);
@@ -0,0 +1,60 @@
+// Column layouts of common Indian bank statement exports. Columns are matched
+// by header text (case-insensitive, ignoring extra spaces), since exports
+// often start with a few lines of account details before the header row.
+export const importPresets = [
+  {
+    id: "hdfc",
+    name: "HDFC Bank",
+    dateFormat: "dd/MM/yy",
+    columns: {
+      date: "Date",
+      description: "Narration",
+      debit: "Withdrawal Amt.",
+      credit: "Deposit Amt.",
+    },
+  },
+  {
+    id: "icici",
+    name: "ICICI Bank",
+    dateFormat: "dd/MM/yyyy",
+    columns: {
+      date: "Transaction Date",
+      description: "Transaction Remarks",
+      debit: "Withdrawal Amount (INR )",
+      credit: "Deposit Amount (INR )",
+    },
+  },
+  {
+    id: "sbi",
+    name: "State Bank of India",
+    dateFormat: "d MMM yyyy",
+    columns: {
+      date: "Txn Date",
+      description: "Description",
+      debit: "Debit",
+      credit: "Credit",
+    },
+  },
+  {
+    id: "axis",
+    name: "Axis Bank",
+    dateFormat: "dd-MM-yyyy",
+    columns: {
+      date: "Tran Date",
+      description: "PARTICULARS",
+      debit: "DR",
+      credit: "CR",
+    },
+  },
+];
+
+// Date layouts offered when mapping columns by hand
+export const importDateFormats = [
+  "dd/MM/yyyy",
+  "dd/MM/yy",
+  "dd-MM-yyyy",
+  "dd-MMM-yyyy",
+  "d MMM yyyy",
+  "MM/dd/yyyy",
+  "yyyy-MM-dd",
+];
@@ -8,6 +8,7 @@ import {
   Section,
   Text,
 } from "@react-email/components";
+import { formatCurrency } from "@/lib/currency";
 
 // Dummy data for preview
 const PREVIEW_DATA = {
@@ -19,6 +20,7 @@ const PREVIEW_DATA = {
       stats: {
         totalIncome: 5000,
         totalExpenses: 3500,
+        currency: "INR",
         byCategory: {
           housing: 1500,
           groceries: 600,
@@ -26,6 +28,12 @@ const PREVIEW_DATA = {
           entertainment: 300,
           utilities: 700,
         },
+        bySubcategory: {
+          entertainment: {
+            Movies: 180,
+            Games: 120,
+          },
+        },
       },
       insights: [
         "Your housing expenses are 43% of your total spending - consider reviewing your housing costs.",
@@ -50,6 +58,8 @@ export default function EmailTemplate({
   type = "monthly-report",
   data = {},
 }) {
+  const currency = data?.stats?.currency || data?.currency;
+
   if (type === "monthly-report") {
     return (
       <Html>
@@ -68,29 +78,57 @@ export default function EmailTemplate({
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Income</Text>
-                <Text style={styles.heading}>₹{data?.stats.totalIncome}</Text>
+                <Text style={styles.heading}>
+                  {formatCurrency(data?.stats.totalIncome, currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Expenses</Text>
-                <Text style={styles.heading}>₹{data?.stats.totalExpenses}</Text>
+                <Text style={styles.heading}>
+                  {formatCurrency(data?.stats.totalExpenses, currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Net</Text>
                 <Text style={styles.heading}>
-                  ₹{data?.stats.totalIncome - data?.stats.totalExpenses}
+                  {formatCurrency(
+                    data?.stats.totalIncome - data?.stats.totalExpenses,
+                    currency
+                  )}
                 </Text>
               </div>
             </Section>
 
+            {data?.stats?.missingRates?.length > 0 && (
+              <Text style={styles.footer}>
+                Some transactions are not included because exchange rates are
+                missing for {data.stats.missingRates.join(", ")}.
+              </Text>
+            )}
+
             {/* Category Breakdown */}
             {data?.stats?.byCategory && (
               <Section style={styles.section}>
                 <Heading style={styles.heading}>Expenses by Category</Heading>
                 {Object.entries(data?.stats.byCategory).map(
                   ([category, amount]) => (
-                    <div key={category} style={styles.row}>
-                      <Text style={styles.text}>{category}</Text>
-                      <Text style={styles.text}>₹{amount}</Text>
+                    <div key={category}>
+                      <div style={styles.row}>
+                        <Text style={styles.text}>{category}</Text>
+                        <Text style={styles.text}>
+                          {formatCurrency(amount, currency)}
+                        </Text>
+                      </div>
+                      {Object.entries(
+                        data.stats.bySubcategory?.[category] || {}
+                      ).map(([subcategory, subAmount]) => (
+                        <div key={subcategory} style={styles.subRow}>
+                          <Text style={styles.subText}>{subcategory}</Text>
+                          <Text style={styles.subText}>
+                            {formatCurrency(subAmount, currency)}
+                          </Text>
+                        </div>
+                      ))}
                     </div>
                   )
                 )}
@@ -135,16 +173,23 @@ export default function EmailTemplate({
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Budget Amount</Text>
-                <Text style={styles.heading}>₹{data?.budgetAmount}</Text>
+                <Text style={styles.heading}>
+                  {formatCurrency(data?.budgetAmount, currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Spent So Far</Text>
-                <Text style={styles.heading}>₹{data?.totalExpenses}</Text>
+                <Text style={styles.heading}>
+                  {formatCurrency(data?.totalExpenses, currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Remaining</Text>
                 <Text style={styles.heading}>
-                  ₹{data?.budgetAmount - data?.totalExpenses}
+                  {formatCurrency(
+                    data?.budgetAmount - data?.totalExpenses,
+                    currency
+                  )}
                 </Text>
               </div>
             </Section>
@@ -211,6 +256,16 @@ const styles = {
     padding: "12px 0",
     borderBottom: "1px solid #e5e7eb",
   },
+  subRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    padding: "4px 0 4px 16px",
+  },
+  subText: {
+    color: "#6b7280",
+    fontSize: "14px",
+    margin: "0",
+  },
   footer: {
     color: "#6b7280",
     fontSize: "14px",
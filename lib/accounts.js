@@ -0,0 +1,56 @@
+import { accountTypes } from "@/data/account-types";
+
+export function isLiabilityAccount(type) {
+  return !!accountTypes.find((t) => t.id === type)?.isLiability;
+}
+
+const toNumber = (value) =>
+  value === undefined || value === null || value === "" ? null : Number(value);
+
+const toDay = (value) =>
+  value === undefined || value === null || value === ""
+    ? null
+    : parseInt(value, 10);
+
+// Type-specific account fields from form data, cleared for other types
+export function getAccountDetails(data) {
+  const isCreditCard = data.type === "CREDIT_CARD";
+  const isLoan = data.type === "LOAN";
+
+  return {
+    creditLimit: isCreditCard ? toNumber(data.creditLimit) : null,
+    statementDay: isCreditCard ? toDay(data.statementDay) : null,
+    dueDay: isCreditCard ? toDay(data.dueDay) : null,
+    principal: isLoan ? toNumber(data.principal) : null,
+    interestRate: isLoan ? toNumber(data.interestRate) : null,
+  };
+}
+
+// Credit card usage, treating a negative balance as the amount owed
+export function getCreditUsage(account) {
+  const limit = Number(account.creditLimit) || 0;
+  const used = Math.max(0, -Number(account.balance));
+
+  return {
+    limit,
+    used,
+    available: limit - used,
+    utilisation: limit > 0 ? (used / limit) * 100 : 0,
+  };
+}
+
+// Loan repayment progress, treating a negative balance as outstanding
+export function getLoanProgress(account) {
+  const principal = Number(account.principal) || 0;
+  const outstanding = Math.max(0, -Number(account.balance));
+
+  return {
+    principal,
+    outstanding,
+    interestRate: Number(account.interestRate) || 0,
+    percentRepaid:
+      principal > 0
+        ? Math.min(100, ((principal - outstanding) / principal) * 100)
+        : 0,
+  };
+}
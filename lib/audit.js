@@ -0,0 +1,130 @@
+export const AUDIT_ACTIONS = {
+  CREATE: "Created",
+  UPDATE: "Edited",
+  DELETE: "Deleted",
+  RESTORE: "Restored",
+};
+
+export const AUDIT_SOURCES = {
+  FORM: "Transaction form",
+  SCAN: "Receipt scan",
+  LIST: "Transaction list",
+  RECURRING: "Recurring job",
+  IMPORT: "Statement import",
+  CLEARING: "Clearing job",
+  RULES: "Rules",
+  ACCOUNT: "Account deletion",
+  PAYEE: "Payees",
+};
+
+// Snapshot fields shown in a change, in display order
+export const AUDIT_FIELDS = {
+  type: "Type",
+  amount: "Amount",
+  date: "Date",
+  description: "Description",
+  accountId: "Account",
+  transferAccountId: "To Account",
+  transferAmount: "Amount Received",
+  originalAmount: "Original Amount",
+  originalCurrency: "Original Currency",
+  category: "Category",
+  subcategory: "Subcategory",
+  splits: "Splits",
+  payee: "Payee",
+  tags: "Tags",
+  status: "Status",
+  clearingDate: "Expected to Clear",
+  isRecurring: "Recurring",
+  recurringInterval: "Interval",
+  receiptUrl: "Receipt",
+};
+
+// Relations a snapshot records, to include when loading a transaction
+export const auditInclude = {
+  splits: true,
+  tags: { select: { name: true } },
+  payee: { select: { name: true } },
+};
+
+const toNumber = (value) => (value == null ? null : Number(value));
+
+const toDate = (value) => (value ? new Date(value).toISOString() : null);
+
+// The transaction as kept in its audit trail, in plain JSON. Tags may be
+// names or tag records; payee is the payee record, kept by name so the entry
+// still reads right after the payee is renamed or deleted.
+export function toAuditSnapshot(transaction) {
+  return {
+    type: transaction.type,
+    amount: toNumber(transaction.amount),
+    date: toDate(transaction.date),
+    description: transaction.description ?? null,
+    accountId: transaction.accountId,
+    transferAccountId: transaction.transferAccountId ?? null,
+    transferAmount: toNumber(transaction.transferAmount),
+    originalAmount: toNumber(transaction.originalAmount),
+    originalCurrency: transaction.originalCurrency ?? null,
+    category: transaction.category,
+    subcategory: transaction.subcategory ?? null,
+    splits: (transaction.splits ?? []).map((split) => ({
+      category: split.category,
+      amount: toNumber(split.amount),
+    })),
+    payee: transaction.payee?.name ?? null,
+    tags: (transaction.tags ?? [])
+      .map((tag) => (typeof tag === "string" ? tag : tag.name))
+      .sort(),
+    status: transaction.status ?? "COMPLETED",
+    clearingDate: toDate(transaction.clearingDate),
+    isRecurring: transaction.isRecurring ?? false,
+    recurringInterval: transaction.recurringInterval ?? null,
+    receiptUrl: transaction.receiptUrl ?? null,
+  };
+}
+
+// Writes one audit entry per change. Each change has the transaction as it
+// was before and after (null when created or deleted, respectively);
+// context is { source, actorId }, with no actor for scheduled jobs.
+export async function recordAudit(client, { source, actorId = null }, changes) {
+  if (changes.length === 0) return;
+
+  await client.transactionAudit.createMany({
+    data: changes.map(({ action, before, after }) => {
+      const transaction = after ?? before;
+      return {
+        transactionId: transaction.id,
+        action,
+        source,
+        before: before ? toAuditSnapshot(before) : undefined,
+        after: after ? toAuditSnapshot(after) : undefined,
+        accountIds: [
+          ...new Set(
+            [before, after]
+              .filter(Boolean)
+              .flatMap((t) => [t.accountId, t.transferAccountId])
+              .filter(Boolean)
+          ),
+        ],
+        userId: transaction.userId,
+        actorId,
+      };
+    }),
+  });
+}
+
+// The snapshot fields an edit changed, with their old and new values
+export function getAuditChanges({ before, after }) {
+  if (!before || !after) return [];
+
+  return Object.keys(AUDIT_FIELDS)
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => ({
+      field,
+      label: AUDIT_FIELDS[field],
+      from: before[field] ?? null,
+      to: after[field] ?? null,
+    }));
+}
@@ -0,0 +1,288 @@
+import { Prisma } from "@prisma/client";
+import { format } from "date-fns";
+
+const { Decimal } = Prisma;
+
+// Balance change a transaction applies to every account it touches, keyed by
+// account id. Transfers debit the source account and credit the destination.
+// Changes are Decimals so repeated updates don't pick up float rounding.
+// Pending and failed transactions aren't booked, so they change nothing.
+// The same rule holds for spending: budgets, budget alerts and monthly
+// reports count completed transactions only, as pending ones may still fail.
+export function getBalanceChanges(transaction) {
+  if (transaction.status && transaction.status !== "COMPLETED") return {};
+
+  const amount = new Decimal(transaction.amount);
+
+  switch (transaction.type) {
+    case "EXPENSE":
+      return { [transaction.accountId]: amount.negated() };
+    case "INCOME":
+      return { [transaction.accountId]: amount };
+    case "TRANSFER":
+      // Cross-currency transfers credit the converted amount
+      return {
+        [transaction.accountId]: amount.negated(),
+        [transaction.transferAccountId]:
+          transaction.transferAmount != null
+            ? new Decimal(transaction.transferAmount)
+            : amount,
+      };
+    default:
+      return {};
+  }
+}
+
+// Adds (or with sign = -1, reverts) a transaction's balance changes into an
+// accumulator of { accountId: change }
+export function addBalanceChanges(acc, transaction, sign = 1) {
+  for (const [accountId, change] of Object.entries(
+    getBalanceChanges(transaction)
+  )) {
+    acc[accountId] = (acc[accountId] || new Decimal(0)).plus(
+      change.times(sign)
+    );
+  }
+  return acc;
+}
+
+// Applies accumulated balance changes inside a Prisma transaction
+export async function applyBalanceChanges(tx, changes) {
+  for (const [accountId, balanceChange] of Object.entries(changes)) {
+    if (balanceChange.isZero()) continue;
+
+    await tx.account.update({
+      where: { id: accountId },
+      data: { balance: { increment: balanceChange } },
+    });
+  }
+}
+
+// Sum of the changes completed transactions matching `where` make to an
+// account's balance, including transfers received from other accounts
+async function getBalanceChange(client, accountId, where = {}) {
+  const [totals, transfersIn, convertedTransfersIn] = await Promise.all([
+    client.transaction.groupBy({
+      by: ["type"],
+      where: { ...where, accountId, status: "COMPLETED" },
+      _sum: { amount: true },
+    }),
+    client.transaction.aggregate({
+      where: {
+        ...where,
+        transferAccountId: accountId,
+        transferAmount: null,
+        status: "COMPLETED",
+      },
+      _sum: { amount: true },
+    }),
+    client.transaction.aggregate({
+      where: {
+        ...where,
+        transferAccountId: accountId,
+        transferAmount: { not: null },
+        status: "COMPLETED",
+      },
+      _sum: { transferAmount: true },
+    }),
+  ]);
+
+  let change = new Decimal(transfersIn._sum.amount ?? 0).plus(
+    convertedTransfersIn._sum.transferAmount ?? 0
+  );
+
+  for (const { type, _sum } of totals) {
+    change =
+      type === "INCOME"
+        ? change.plus(_sum.amount ?? 0)
+        : change.minus(_sum.amount ?? 0);
+  }
+
+  return change;
+}
+
+// Balance an account should have: its opening balance plus every completed
+// transaction on it, including transfers received from other accounts
+export async function computeAccountBalance(client, account) {
+  return new Decimal(account.openingBalance).plus(
+    await getBalanceChange(client, account.id)
+  );
+}
+
+// Recomputes an account's balance and records how far the stored balance has
+// drifted from it (null when they match)
+export async function checkAccountBalance(client, account) {
+  const computedBalance = await computeAccountBalance(client, account);
+  const drift = new Decimal(account.balance).minus(computedBalance);
+
+  await client.account.update({
+    where: { id: account.id },
+    data: {
+      balanceDrift: drift.isZero() ? null : drift,
+      balanceCheckedAt: new Date(),
+    },
+  });
+
+  return { computedBalance, drift };
+}
+
+// Transactions touching an account (from either side) summed by date, type,
+// status and whether they're cleared on its statement, each group with the
+// signed change it makes to the account. Summed in the database so the
+// account page doesn't load every transaction for its chart and totals.
+export async function getAccountTotals(client, accountId) {
+  const [own, transfersIn, convertedTransfersIn] = await Promise.all([
+    client.transaction.groupBy({
+      by: ["date", "type", "status", "isCleared"],
+      where: { accountId },
+      _sum: { amount: true },
+    }),
+    client.transaction.groupBy({
+      by: ["date", "status", "transferCleared"],
+      where: { transferAccountId: accountId, transferAmount: null },
+      _sum: { amount: true },
+    }),
+    client.transaction.groupBy({
+      by: ["date", "status", "transferCleared"],
+      where: { transferAccountId: accountId, transferAmount: { not: null } },
+      _sum: { transferAmount: true },
+    }),
+  ]);
+
+  const received = (groups, field) =>
+    groups.map(({ date, status, transferCleared, _sum }) => ({
+      date,
+      type: "TRANSFER",
+      status,
+      isCleared: transferCleared,
+      change: new Decimal(_sum[field] ?? 0),
+    }));
+
+  return [
+    ...own.map(({ _sum, ...group }) => ({
+      ...group,
+      change:
+        group.type === "INCOME"
+          ? new Decimal(_sum.amount ?? 0)
+          : new Decimal(_sum.amount ?? 0).negated(),
+    })),
+    ...received(transfersIn, "amount"),
+    ...received(convertedTransfersIn, "transferAmount"),
+  ].sort((a, b) => a.date - b.date);
+}
+
+// Money still pending on an account, in and out, from its totals. The
+// available balance is the booked one less what is pending out; pending
+// income isn't available yet.
+export function getPendingTotals(totals) {
+  let incoming = new Decimal(0);
+  let outgoing = new Decimal(0);
+
+  for (const { status, change } of totals) {
+    if (status !== "PENDING") continue;
+    if (change.isNegative()) {
+      outgoing = outgoing.minus(change);
+    } else {
+      incoming = incoming.plus(change);
+    }
+  }
+
+  return { incoming: incoming.toNumber(), outgoing: outgoing.toNumber() };
+}
+
+// An account's balance at the end of every day with activity, walking its
+// totals in date order from the opening balance
+export function getBalanceHistory(openingBalance, totals) {
+  const dailyBalances = new Map();
+  let balance = new Decimal(openingBalance);
+
+  for (const { date, status, change } of totals) {
+    if (status === "COMPLETED") balance = balance.plus(change);
+    dailyBalances.set(format(date, "yyyy-MM-dd"), balance.toNumber());
+  }
+
+  return Array.from(dailyBalances, ([date, balance]) => ({ date, balance }));
+}
+
+// Income and expenses per day with activity, for the account chart. Transfers
+// between the user's own accounts and failed payments are left out.
+export function getDailyTotals(totals) {
+  const days = new Map();
+
+  for (const { date, type, status, change } of totals) {
+    if (type === "TRANSFER" || status === "FAILED") continue;
+
+    const key = format(date, "yyyy-MM-dd");
+    const day = days.get(key) ?? { date: key, income: 0, expense: 0 };
+    const field = type === "INCOME" ? "income" : "expense";
+    day[field] = new Decimal(day[field]).plus(change.abs()).toNumber();
+    days.set(key, day);
+  }
+
+  return Array.from(days.values());
+}
+
+// Where a transaction sits in an account's history: by date, then entry
+// order, then id for transactions entered together
+const compareHistory = (a, b) =>
+  a.date - b.date ||
+  a.createdAt - b.createdAt ||
+  (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// The account's balance after each of the given transactions (a page of
+// them, in any order), keyed by id. The balance at the start of each date
+// comes from the account's totals; only the transactions on the page's dates
+// are loaded, in one query, to run through each date in history order.
+export async function getRunningBalances(
+  client,
+  account,
+  transactions,
+  totals
+) {
+  if (transactions.length === 0) return {};
+
+  const dates = [...new Set(transactions.map((t) => t.date.getTime()))];
+  const sameDate = await client.transaction.findMany({
+    where: {
+      OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+      date: { in: dates.map((time) => new Date(time)) },
+      status: "COMPLETED",
+    },
+    select: {
+      id: true,
+      date: true,
+      createdAt: true,
+      type: true,
+      amount: true,
+      transferAmount: true,
+      accountId: true,
+      transferAccountId: true,
+    },
+  });
+  sameDate.sort(compareHistory);
+
+  // Totals are in date order, so each date's opening balance is the sum of
+  // those before it
+  const openingBalances = new Map();
+  let balance = new Decimal(account.openingBalance);
+  for (const { date, status, change } of totals) {
+    if (!openingBalances.has(date.getTime())) {
+      openingBalances.set(date.getTime(), balance);
+    }
+    if (status === "COMPLETED") balance = balance.plus(change);
+  }
+
+  const runningBalances = {};
+  for (const transaction of transactions) {
+    let running =
+      openingBalances.get(transaction.date.getTime()) ?? new Decimal(balance);
+    for (const other of sameDate) {
+      if (other.date.getTime() !== transaction.date.getTime()) continue;
+      if (compareHistory(other, transaction) > 0) break;
+      running = running.plus(getBalanceChanges(other)[account.id] ?? 0);
+    }
+    runningBalances[transaction.id] = running.toNumber();
+  }
+
+  return runningBalances;
+}
@@ -0,0 +1,124 @@
+import { startOfDay } from "date-fns";
+
+export const BULK_EDIT_FIELDS = {
+  category: "Category",
+  accountId: "Account",
+  date: "Date",
+  recurring: "Recurring",
+  status: "Status",
+};
+
+// The update a bulk edit makes to one transaction, with the requested
+// changes it took and the ones that don't fit it: a category of the other
+// type, or on a transfer or split transaction; a move to an account in
+// another currency, or onto the other side of a transfer. The move applies
+// to the side of the transaction in fromAccount, the account being viewed.
+export function getBulkUpdate(
+  transaction,
+  changes,
+  { fromAccount, toAccount, categoryType }
+) {
+  const data = {};
+  const changed = [];
+  const skipped = [];
+
+  if (changes.category && changes.category !== transaction.category) {
+    if (transaction.type !== categoryType || transaction.splits.length > 0) {
+      skipped.push("category");
+    } else {
+      data.category = changes.category;
+      data.subcategory = null;
+      changed.push("category");
+    }
+  }
+
+  if (toAccount && toAccount.id !== fromAccount.id) {
+    const side =
+      transaction.accountId === fromAccount.id
+        ? "accountId"
+        : "transferAccountId";
+    const otherSide =
+      side === "accountId"
+        ? transaction.transferAccountId
+        : transaction.accountId;
+
+    if (
+      toAccount.currency !== fromAccount.currency ||
+      toAccount.id === otherSide
+    ) {
+      skipped.push("accountId");
+    } else {
+      // Cleared flags belong to the old account's statement, as does the
+      // import id, which could clash with one already on the new account
+      data[side] = toAccount.id;
+      data[side === "accountId" ? "isCleared" : "transferCleared"] = false;
+      if (side === "accountId") data.importId = null;
+      changed.push("accountId");
+    }
+  }
+
+  if (
+    changes.date &&
+    new Date(changes.date).getTime() !== new Date(transaction.date).getTime()
+  ) {
+    data.date = changes.date;
+    changed.push("date");
+  }
+
+  if (changes.isRecurring === true) {
+    if (
+      !transaction.isRecurring ||
+      transaction.recurringInterval !== changes.recurringInterval
+    ) {
+      data.isRecurring = true;
+      data.recurringInterval = changes.recurringInterval;
+      changed.push("recurring");
+    }
+  } else if (changes.isRecurring === false && transaction.isRecurring) {
+    data.isRecurring = false;
+    data.recurringInterval = null;
+    data.nextRecurringDate = null;
+    changed.push("recurring");
+  }
+
+  if (changes.status && changes.status !== transaction.status) {
+    data.status = changes.status;
+    if (changes.status !== "PENDING") data.clearingDate = null;
+    // Only booked transactions appear on a statement
+    if (changes.status !== "COMPLETED") {
+      data.isCleared = false;
+      data.transferCleared = false;
+    }
+    changed.push("status");
+  }
+
+  // A pending transaction can't clear before its new date
+  const updated = { ...transaction, ...data };
+  if (
+    updated.status === "PENDING" &&
+    updated.clearingDate &&
+    new Date(updated.clearingDate) < startOfDay(new Date(updated.date))
+  ) {
+    data.clearingDate = null;
+  }
+
+  return { data, changed, skipped };
+}
+
+// One line per requested change for the summary shown after a bulk edit,
+// e.g. "Category: 3 changed, 1 skipped"
+export function summarizeBulkEdit({ changed, skipped, locked }) {
+  const lines = Object.entries(BULK_EDIT_FIELDS)
+    .filter(([field]) => field in changed)
+    .map(([field, label]) =>
+      skipped[field] > 0
+        ? `${label}: ${changed[field]} changed, ${skipped[field]} skipped`
+        : `${label}: ${changed[field]} changed`
+    );
+
+  if (locked > 0) {
+    lines.push(`${locked} reconciled transactions left unchanged`);
+  }
+
+  return lines;
+}
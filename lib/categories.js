@@ -0,0 +1,65 @@
+import { defaultCategories } from "@/data/categories";
+
+const FALLBACK_COLOR = "#94a3b8"; // slate-400
+
+// Returns a lookup from the category key stored on transactions to the
+// user's category. Keys the user has no category for fall back to the
+// built-in defaults, then to the key itself, so history always renders.
+export function getCategoryLookup(categories = []) {
+  const byKey = {};
+  for (const category of defaultCategories) {
+    byKey[category.id] = { ...category, key: category.id };
+  }
+  for (const category of categories) {
+    byKey[category.key] = category;
+  }
+
+  return (key) =>
+    byKey[key] || {
+      key,
+      name: key,
+      color: FALLBACK_COLOR,
+      icon: "Tag",
+    };
+}
+
+// Categories offered when picking one for a transaction: active ones of the
+// type, plus any archived ones the transaction already uses
+export function getSelectableCategories(categories, type, keep = []) {
+  return categories.filter(
+    (category) =>
+      category.type === type &&
+      (!category.isArchived || keep.includes(category.key))
+  );
+}
+
+// The user's category of the type stored under the key, archived or not, or
+// null if the key isn't one of theirs
+export function findCategoryByKey(categories, type, key) {
+  return (
+    categories.find(
+      (category) => category.type === type && category.key === key
+    ) ?? null
+  );
+}
+
+// The active category of the type with the given name, ignoring case, e.g.
+// for a category name suggested by a receipt scan
+export function findCategoryByName(categories, type, name) {
+  const wanted = name?.trim().toLowerCase();
+  return (
+    getSelectableCategories(categories, type).find(
+      (category) => category.name.toLowerCase() === wanted
+    ) ?? null
+  );
+}
+
+// Turns a category name into a key, e.g. "Kids & School" -> "kids-school"
+export function toCategoryKey(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "category"
+  );
+}
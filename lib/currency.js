@@ -0,0 +1,63 @@
+import { DEFAULT_CURRENCY, currencies } from "@/data/currencies";
+
+// Formats an amount with the currency's symbol, e.g. ₹1,23,456.50 or
+// $123,456.50. Rupees are grouped in lakhs and crores, other currencies in
+// thousands; a fixed locale keeps server and browser rendering alike.
+export function formatCurrency(amount, currency = DEFAULT_CURRENCY) {
+  const value = Number(amount) || 0;
+
+  try {
+    return new Intl.NumberFormat(currency === "INR" ? "en-IN" : "en-US", {
+      style: "currency",
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value);
+  } catch {
+    // Unknown currency codes fall back to "CODE 12.00"
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
+export function getCurrencySymbol(currency = DEFAULT_CURRENCY) {
+  return currencies.find((c) => c.code === currency)?.symbol || currency;
+}
+
+// Parses "date,from,to,rate" CSV rows (header optional) into exchange rates
+export function parseExchangeRatesCsv(text) {
+  const rates = [];
+  const errors = [];
+
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .forEach((line, index) => {
+      if (!line || (index === 0 && /date/i.test(line))) return;
+
+      const [date, fromCurrency, toCurrency, rate] = line
+        .split(",")
+        .map((cell) => cell.trim());
+      const parsedDate = new Date(date);
+      const parsedRate = parseFloat(rate);
+
+      if (
+        isNaN(parsedDate.getTime()) ||
+        !/^[A-Za-z]{3}$/.test(fromCurrency || "") ||
+        !/^[A-Za-z]{3}$/.test(toCurrency || "") ||
+        isNaN(parsedRate) ||
+        parsedRate <= 0
+      ) {
+        errors.push(`Line ${index + 1}: could not parse "${line}"`);
+        return;
+      }
+
+      rates.push({
+        date: parsedDate,
+        fromCurrency: fromCurrency.toUpperCase(),
+        toCurrency: toCurrency.toUpperCase(),
+        rate: parsedRate,
+      });
+    });
+
+  return { rates, errors };
+}
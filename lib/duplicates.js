@@ -0,0 +1,86 @@
+import { differenceInCalendarDays } from "date-fns";
+import { normalizeDescription } from "@/lib/payees";
+
+// Entries this many days apart can still be the same purchase, e.g. entered
+// by hand on the day and scanned from the receipt later
+export const DUPLICATE_WINDOW_DAYS = 3;
+
+const words = (description) =>
+  new Set(
+    normalizeDescription(description || "")
+      .split(" ")
+      .filter(Boolean)
+  );
+
+// Descriptions that could name the same thing: one is empty, one's words are
+// all in the other ("DMart" and "DMart groceries"), or most words are shared
+export function isSimilarDescription(a, b) {
+  const first = words(a);
+  const second = words(b);
+  if (first.size === 0 || second.size === 0) return true;
+
+  const shared = [...first].filter((word) => second.has(word)).length;
+  return (
+    shared === Math.min(first.size, second.size) ||
+    shared / (first.size + second.size - shared) >= 0.5
+  );
+}
+
+// Whether two transactions look like the same one entered twice: same
+// account, type and amount, dates close together and similar descriptions
+// (or the same payee)
+export function isLikelyDuplicate(a, b) {
+  return (
+    a.accountId === b.accountId &&
+    a.type === b.type &&
+    (a.transferAccountId ?? null) === (b.transferAccountId ?? null) &&
+    Number(a.amount).toFixed(2) === Number(b.amount).toFixed(2) &&
+    Math.abs(differenceInCalendarDays(new Date(a.date), new Date(b.date))) <=
+      DUPLICATE_WINDOW_DAYS &&
+    ((a.payeeId != null && a.payeeId === b.payeeId) ||
+      isSimilarDescription(a.description, b.description))
+  );
+}
+
+// Pairs of likely duplicates among an account's transactions, most recent
+// first, each pair in date order. Pairs whose key (see getPairKey) is in
+// `dismissed` are left out.
+export function findDuplicatePairs(transactions, dismissed = new Set()) {
+  const groups = {};
+  for (const transaction of transactions) {
+    const key = `${transaction.type}|${Number(transaction.amount).toFixed(2)}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(transaction);
+  }
+
+  const pairs = [];
+  for (const group of Object.values(groups)) {
+    group.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    group.forEach((first, index) => {
+      for (const second of group.slice(index + 1)) {
+        if (
+          differenceInCalendarDays(
+            new Date(second.date),
+            new Date(first.date)
+          ) > DUPLICATE_WINDOW_DAYS
+        ) {
+          break;
+        }
+        if (
+          isLikelyDuplicate(first, second) &&
+          !dismissed.has(getPairKey(first.id, second.id))
+        ) {
+          pairs.push([first, second]);
+        }
+      }
+    });
+  }
+
+  return pairs.sort((a, b) => new Date(b[0].date) - new Date(a[0].date));
+}
+
+// Order-independent key for a pair of transaction ids
+export function getPairKey(firstId, secondId) {
+  return [firstId, secondId].sort().join("|");
+}
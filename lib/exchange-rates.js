@@ -0,0 +1,57 @@
+import { db } from "@/lib/prisma";
+
+// Loads a user's exchange rates once and returns a converter into
+// `toCurrency`. Each conversion uses the latest rate on or before the given
+// date (or the earliest known rate for older dates), in either direction.
+// Pairs with no rate at all convert to null and are collected in `missing`.
+export async function getRateConverter(userId, toCurrency) {
+  const rates = await db.exchangeRate.findMany({
+    where: {
+      userId,
+      OR: [{ fromCurrency: toCurrency }, { toCurrency }],
+    },
+    orderBy: { date: "desc" },
+  });
+
+  const missing = new Set();
+
+  const findRate = (fromCurrency, date) => {
+    const when = date ? new Date(date) : new Date();
+    let earliest = null;
+
+    for (const rate of rates) {
+      let value = null;
+      if (
+        rate.fromCurrency === fromCurrency &&
+        rate.toCurrency === toCurrency
+      ) {
+        value = rate.rate.toNumber();
+      } else if (
+        rate.fromCurrency === toCurrency &&
+        rate.toCurrency === fromCurrency
+      ) {
+        value = 1 / rate.rate.toNumber();
+      }
+
+      if (value === null) continue;
+      if (rate.date <= when) return value;
+      earliest = value;
+    }
+
+    return earliest;
+  };
+
+  const convert = (amount, fromCurrency, date) => {
+    if (!fromCurrency || fromCurrency === toCurrency) return Number(amount);
+
+    const rate = findRate(fromCurrency, date);
+    if (rate === null) {
+      missing.add(`${fromCurrency}/${toCurrency}`);
+      return null;
+    }
+
+    return Number(amount) * rate;
+  };
+
+  return { convert, missing };
+}
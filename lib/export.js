@@ -0,0 +1,219 @@
+import { format } from "date-fns";
+
+const RECURRING_INTERVALS = {
+  DAILY: "Daily",
+  WEEKLY: "Weekly",
+  MONTHLY: "Monthly",
+  YEARLY: "Yearly",
+};
+
+export const EXPORT_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "account", label: "Account" },
+  { key: "transferAccount", label: "Transfer Account" },
+  { key: "description", label: "Description" },
+  { key: "payee", label: "Payee" },
+  { key: "type", label: "Type" },
+  { key: "category", label: "Category" },
+  { key: "subcategory", label: "Subcategory" },
+  { key: "tags", label: "Tags" },
+  { key: "amount", label: "Amount" },
+  { key: "currency", label: "Currency" },
+  { key: "transferAmount", label: "Transfer Amount" },
+  { key: "status", label: "Status" },
+  { key: "recurring", label: "Recurring" },
+  { key: "nextRecurringDate", label: "Next Recurring Date" },
+];
+
+// Split transactions list each line's category and amount
+function getCategoryLabel(transaction, getCategory) {
+  if (!transaction.splits?.length) {
+    return getCategory(transaction.category).name;
+  }
+
+  return transaction.splits
+    .map(
+      (split) => `${getCategory(split.category).name}: ${Number(split.amount)}`
+    )
+    .join("; ");
+}
+
+// Flattens a transaction (with account and transferAccount included) into
+// an export row, naming categories through a getCategoryLookup lookup
+export function toExportRow(transaction, getCategory) {
+  return {
+    date: format(transaction.date, "yyyy-MM-dd"),
+    account: transaction.account?.name ?? "",
+    transferAccount: transaction.transferAccount?.name ?? "",
+    description: transaction.description ?? "",
+    payee: transaction.payee?.name ?? "",
+    type: transaction.type,
+    category: getCategoryLabel(transaction, getCategory),
+    subcategory: transaction.subcategory || "",
+    tags: (transaction.tags || []).map((tag) => tag.name).join("; "),
+    amount: Number(transaction.amount),
+    currency: transaction.account?.currency ?? "",
+    // Only set on transfers between accounts in different currencies
+    transferAmount:
+      transaction.transferAmount != null
+        ? Number(transaction.transferAmount)
+        : "",
+    status: transaction.status,
+    recurring: transaction.isRecurring
+      ? RECURRING_INTERVALS[transaction.recurringInterval]
+      : "One-time",
+    nextRecurringDate: transaction.nextRecurringDate
+      ? format(transaction.nextRecurringDate, "yyyy-MM-dd")
+      : "",
+  };
+}
+
+// Text starting like a formula is prefixed with ' so spreadsheets show it
+// rather than run it; descriptions come from imported bank statements.
+// Numbers, like amounts, are written as they are.
+const escapeCsv = (value) => {
+  let text = String(value ?? "");
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(rows) {
+  return [
+    EXPORT_COLUMNS.map((column) => escapeCsv(column.label)).join(","),
+    ...rows.map((row) =>
+      EXPORT_COLUMNS.map((column) => escapeCsv(row[column.key])).join(",")
+    ),
+  ].join("\r\n");
+}
+
+// Control characters other than tab and line breaks aren't allowed in XML
+// 1.0 at all, even escaped, and make Excel reject the workbook; imported
+// statements can carry them
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function sheetXml(rows) {
+  const cell = (value) =>
+    typeof value === "number"
+      ? `<c><v>${value}</v></c>`
+      : `<c t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+
+  const sheetRows = [
+    EXPORT_COLUMNS.map((column) => column.label),
+    ...rows.map((row) => EXPORT_COLUMNS.map((column) => row[column.key])),
+  ].map((values) => `<row>${values.map(cell).join("")}</row>`);
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${sheetRows.join("")}</sheetData></worksheet>`
+  );
+}
+
+const XLSX_PARTS = {
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets><sheet name="Transactions" sheetId="1" r:id="rId1"/></sheets>' +
+    "</workbook>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal zip writer with uncompressed entries, enough for an XLSX package
+function zip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const data = Buffer.from(content, "utf8");
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory signature
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+export function toJson(rows) {
+  return JSON.stringify(rows, null, 2);
+}
+
+// Single-sheet workbook. Server-only, since it builds on Buffer.
+export function toXlsx(rows) {
+  return zip({
+    ...XLSX_PARTS,
+    "xl/worksheets/sheet1.xml": sheetXml(rows),
+  });
+}
@@ -0,0 +1,401 @@
+import { format, isValid, parse } from "date-fns";
+import { transactionSchema } from "@/app/lib/schema";
+import { getAccountAmount } from "@/lib/reconciliation";
+
+// Splits CSV text into rows of cells, handling quoted cells with commas,
+// escaped quotes and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some(Boolean));
+}
+
+const normalizeHeader = (value) =>
+  (value || "").replace(/\s+/g, " ").trim().toLowerCase();
+
+// Finds a preset's header row and turns its column names into a mapping
+export function getPresetMapping(rows, preset) {
+  const headerRow = rows.findIndex((cells) =>
+    cells.some(
+      (cell) => normalizeHeader(cell) === normalizeHeader(preset.columns.date)
+    )
+  );
+  if (headerRow === -1) return null;
+
+  const headers = rows[headerRow].map(normalizeHeader);
+  const column = (name) => {
+    const index = name ? headers.indexOf(normalizeHeader(name)) : -1;
+    return index === -1 ? null : index;
+  };
+
+  return {
+    headerRow,
+    dateFormat: preset.dateFormat,
+    amountMode: preset.columns.amount ? "signed" : "split",
+    date: column(preset.columns.date),
+    description: column(preset.columns.description),
+    amount: column(preset.columns.amount),
+    debit: column(preset.columns.debit),
+    credit: column(preset.columns.credit),
+    category: column(preset.columns.category),
+  };
+}
+
+// Picks the first preset whose columns all appear in the file
+export function detectPreset(rows, presets) {
+  return (
+    presets.find((preset) => {
+      const mapping = getPresetMapping(rows, preset);
+      return (
+        mapping &&
+        mapping.date != null &&
+        (mapping.amountMode === "signed"
+          ? mapping.amount != null
+          : mapping.debit != null && mapping.credit != null)
+      );
+    }) || null
+  );
+}
+
+// Parses amounts like "1,234.56", "₹ 500", "(200.00)", "150.00 Dr" or
+// "150.00 Cr", returning null for empty cells
+export function parseAmount(value) {
+  if (!value) return null;
+
+  let text = value.trim();
+  let sign = 1;
+
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bdr\.?$/i.test(text)) {
+    sign = -1;
+    text = text.replace(/\bdr\.?$/i, "");
+  } else if (/\bcr\.?$/i.test(text)) {
+    text = text.replace(/\bcr\.?$/i, "");
+  }
+
+  const cleaned = text.replace(/[^0-9.-]/g, "");
+  if (!cleaned) return null;
+
+  const amount = parseFloat(cleaned);
+  return isNaN(amount) ? null : sign * amount;
+}
+
+function parseDate(value, dateFormat) {
+  if (!value) return null;
+  const date = parse(value.trim(), dateFormat, new Date());
+  return isValid(date) ? date : null;
+}
+
+// Matches a category cell to one of the user's active categories of the
+// right type, by key or name
+function matchCategory(value, type, categories) {
+  const fallback = type === "INCOME" ? "other-income" : "other-expense";
+  if (!value) return fallback;
+
+  const needle = value.trim().toLowerCase();
+  const category = categories.find(
+    (c) =>
+      c.type === type &&
+      !c.isArchived &&
+      (c.key === needle || c.name.toLowerCase() === needle)
+  );
+  return category ? category.key : fallback;
+}
+
+// Builds an import row from parsed values and validates it with
+// transactionSchema, collecting readable errors
+function toImportRow(line, values, accountId, categories) {
+  const { date, signedAmount, description, category, importId } = values;
+
+  const type = signedAmount > 0 ? "INCOME" : "EXPENSE";
+  const data = {
+    type,
+    amount: signedAmount ? Math.abs(signedAmount).toFixed(2) : "",
+    description,
+    date,
+    accountId,
+    category: matchCategory(category, type, categories),
+    isRecurring: false,
+    ...(importId && { importId }),
+  };
+
+  // Date and amount get clearer messages than the schema's
+  const errors = [];
+  if (!date) errors.push(`Could not read date "${values.rawDate || ""}"`);
+  if (!signedAmount) errors.push("Amount is missing or zero");
+
+  const result = transactionSchema.safeParse(data);
+  if (!result.success) {
+    for (const issue of result.error.issues) {
+      if (!["date", "amount"].includes(issue.path[0])) {
+        errors.push(issue.message);
+      }
+    }
+  }
+
+  return { line, data, errors };
+}
+
+// Turns the rows below the header into transactions for the account. Lines
+// with neither a date nor an amount (footers, totals, spacer rows) are left
+// out. Rows get content hashes as import ids, so re-importing the same file
+// is a no-op.
+export function mapImportRows(rows, mapping, accountId, categories) {
+  const entries = [];
+
+  rows.slice(mapping.headerRow + 1).forEach((cells, index) => {
+    const line = mapping.headerRow + index + 2;
+    const cell = (column) => (column == null ? "" : cells[column] || "");
+
+    const date = parseDate(cell(mapping.date), mapping.dateFormat);
+
+    let signedAmount;
+    if (mapping.amountMode === "signed") {
+      signedAmount = parseAmount(cell(mapping.amount));
+    } else {
+      const debit = parseAmount(cell(mapping.debit));
+      const credit = parseAmount(cell(mapping.credit));
+      signedAmount =
+        debit || credit ? (credit || 0) - Math.abs(debit || 0) : null;
+    }
+
+    if (!date && signedAmount == null) return;
+
+    entries.push({
+      line,
+      date,
+      rawDate: cell(mapping.date),
+      signedAmount,
+      description: cell(mapping.description),
+      category: cell(mapping.category),
+    });
+  });
+
+  return withContentHashes(entries).map(({ line, ...entry }) =>
+    toImportRow(line, entry, accountId, categories)
+  );
+}
+
+// Short stable hash (cyrb53) used as the import id when a statement gives
+// no FITID
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Content hashes for entries without a FITID. Identical entries in one file
+// are numbered so each keeps its own id on re-import.
+function withContentHashes(entries) {
+  const seen = {};
+  return entries.map((entry) => {
+    if (entry.importId || !entry.date) return entry;
+
+    const content = [
+      format(entry.date, "yyyy-MM-dd"),
+      entry.signedAmount,
+      entry.description,
+    ].join("|");
+    seen[content] = (seen[content] || 0) + 1;
+
+    return {
+      ...entry,
+      importId: `hash:${hashString(`${content}|${seen[content]}`)}`,
+    };
+  });
+}
+
+// Joins payee and memo into a description, skipping a memo that just
+// repeats the payee
+function describe(payee, memo) {
+  const parts = [payee, memo].map((part) => (part || "").trim());
+  if (!parts[1] || parts[1] === parts[0]) return parts[0];
+  if (!parts[0]) return parts[1];
+  return `${parts[0]} - ${parts[1]}`;
+}
+
+const decodeEntities = (value) =>
+  value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// Reads a leaf element from an OFX block. OFX 1.x (SGML) leaves leaf
+// elements unclosed, OFX 2.x (XML) closes them; both end at the next tag.
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\r\n]*)`, "i"));
+  return match ? decodeEntities(match[1].trim()) : "";
+}
+
+// Dates look like 20240131, 20240131120000 or 20240131120000.000[-5:EST]
+function parseOfxDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const date = new Date(
+    Number(match[1]),
+    Number(match[2]) - 1,
+    Number(match[3])
+  );
+  return isValid(date) ? date : null;
+}
+
+// Parses the STMTTRN entries of an OFX or QFX bank or card statement
+export function parseOfx(text, accountId, categories) {
+  const blocks =
+    text.match(/<STMTTRN>[\s\S]*?(?=<STMTTRN>|<\/BANKTRANLIST>|$)/gi) || [];
+
+  const entries = blocks.map((block) => {
+    const rawDate = ofxValue(block, "DTPOSTED");
+    const fitId = ofxValue(block, "FITID");
+
+    return {
+      date: parseOfxDate(rawDate),
+      rawDate,
+      signedAmount: parseAmount(ofxValue(block, "TRNAMT")),
+      // NAME sits directly in STMTTRN or inside a PAYEE aggregate
+      description: describe(ofxValue(block, "NAME"), ofxValue(block, "MEMO")),
+      importId: fitId ? `fitid:${fitId}` : null,
+    };
+  });
+
+  return withContentHashes(entries).map((entry, index) =>
+    toImportRow(index + 1, entry, accountId, categories)
+  );
+}
+
+// Parses a QIF export. QIF dates carry no layout, so the caller supplies one;
+// two-digit years and the Quicken style 12/31'24 are handled.
+export function parseQif(text, dateFormat, accountId, categories) {
+  const entries = [];
+  let entry = {};
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("!")) continue;
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    switch (code) {
+      case "D":
+        entry.rawDate = value;
+        break;
+      case "T":
+      case "U":
+        entry.amount = value;
+        break;
+      case "P":
+        entry.payee = value;
+        break;
+      case "M":
+        entry.memo = value;
+        break;
+      case "L":
+        // Transfers are written as [Account Name]
+        if (!value.startsWith("[")) entry.category = value.split(":")[0];
+        break;
+      case "^":
+        entries.push(entry);
+        entry = {};
+        break;
+    }
+  }
+  if (entry.rawDate || entry.amount) entries.push(entry);
+
+  const parsed = entries.map((entry) => {
+    const rawDate = (entry.rawDate || "").replace("'", "/").replace(/\s/g, "");
+    const shortYear = /\D\d{2}$/.test(rawDate);
+
+    return {
+      date: parseDate(
+        rawDate,
+        shortYear ? dateFormat.replace("yyyy", "yy") : dateFormat
+      ),
+      rawDate: entry.rawDate,
+      signedAmount: parseAmount(entry.amount),
+      description: describe(entry.payee, entry.memo),
+      category: entry.category,
+    };
+  });
+
+  return withContentHashes(parsed).map((entry, index) =>
+    toImportRow(index + 1, entry, accountId, categories)
+  );
+}
+
+// Rows that look like transactions already on the account: same day, same
+// signed amount. Each existing transaction matches at most one row, so a
+// repeated purchase that isn't recorded yet still gets imported.
+export function findDuplicateRows(rows, existingTransactions, accountId) {
+  const key = (date, amount) =>
+    `${format(new Date(date), "yyyy-MM-dd")}|${Number(amount).toFixed(2)}`;
+
+  const available = {};
+  for (const transaction of existingTransactions) {
+    const k = key(transaction.date, getAccountAmount(transaction, accountId));
+    available[k] = (available[k] || 0) + 1;
+  }
+
+  const duplicates = new Set();
+  rows.forEach((row, index) => {
+    const amount = parseFloat(row.amount);
+    const k = key(row.date, row.type === "INCOME" ? amount : -amount);
+    if (available[k] > 0) {
+      available[k]--;
+      duplicates.add(index);
+    }
+  });
+
+  return duplicates;
+}
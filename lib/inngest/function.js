@@ -3,6 +3,21 @@ import { db } from "@/lib/prisma";
 import EmailTemplate from "@/emails/template";
 import { sendEmail } from "@/actions/send-email";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { subDays } from "date-fns";
+import {
+  addBalanceChanges,
+  applyBalanceChanges,
+  checkAccountBalance,
+} from "@/lib/balance";
+import { getRateConverter } from "@/lib/exchange-rates";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryAmounts } from "@/lib/splits";
+import { getCategoryLookup } from "@/lib/categories";
+import { applyRules, getActiveRules } from "@/lib/rules";
+import { upsertTags } from "@/lib/tags";
+import { removeReceipts } from "@/lib/storage";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash";
+import { auditInclude, recordAudit } from "@/lib/audit";
 
 // 1. Recurring Transaction Processing with Throttling
 export const processRecurringTransaction = inngest.createFunction(
@@ -31,37 +46,67 @@ export const processRecurringTransaction = inngest.createFunction(
         },
         include: {
           account: true,
+          splits: true,
+          tags: { select: { name: true } },
         },
       });
 
-      if (!transaction || !isTransactionDue(transaction)) return;
-
-      // Create new transaction and update account balance in a transaction
+      if (
+        !transaction ||
+        transaction.account.isArchived ||
+        !isTransactionDue(transaction)
+      )
+        return;
+
+      // Rules run on each copy, so ones added since the original was entered
+      // apply too
+      const { category, subcategory, description, tags } = applyRules(
+        await getActiveRules(db, transaction.userId),
+        { ...transaction, tags: transaction.tags.map((tag) => tag.name) },
+        await db.tag.findMany({ where: { userId: transaction.userId } })
+      );
+
+      // Create new transaction and update account balances in a transaction
       await db.$transaction(async (tx) => {
         // Create new transaction
-        await tx.transaction.create({
+        const newTransaction = await tx.transaction.create({
           data: {
             type: transaction.type,
             amount: transaction.amount,
-            description: `${transaction.description} (Recurring)`,
+            originalAmount: transaction.originalAmount,
+            originalCurrency: transaction.originalCurrency,
+            description: `${description} (Recurring)`,
             date: new Date(),
-            category: transaction.category,
+            category,
+            subcategory,
+            payeeId: transaction.payeeId,
             userId: transaction.userId,
             accountId: transaction.accountId,
+            transferAccountId: transaction.transferAccountId,
+            transferAmount: transaction.transferAmount,
+            splits: {
+              create: transaction.splits.map(
+                ({ category, amount, description }) => ({
+                  category,
+                  amount,
+                  description,
+                })
+              ),
+            },
+            tags: {
+              connect: await upsertTags(tx, transaction.userId, tags),
+            },
             isRecurring: false,
           },
+          include: auditInclude,
         });
 
-        // Update account balance
-        const balanceChange =
-          transaction.type === "EXPENSE"
-            ? -transaction.amount.toNumber()
-            : transaction.amount.toNumber();
+        // Update account balances (both sides for transfers)
+        await applyBalanceChanges(tx, addBalanceChanges({}, newTransaction));
 
-        await tx.account.update({
-          where: { id: transaction.accountId },
-          data: { balance: { increment: balanceChange } },
-        });
+        await recordAudit(tx, { source: "RECURRING" }, [
+          { action: "CREATE", after: newTransaction },
+        ]);
 
         // Update last processed date and next recurring date
         await tx.transaction.update({
@@ -94,6 +139,7 @@ export const triggerRecurringTransactions = inngest.createFunction(
           where: {
             isRecurring: true,
             status: "COMPLETED",
+            account: { isArchived: false },
             OR: [
               { lastProcessed: null },
               {
@@ -136,11 +182,17 @@ async function generateFinancialInsights(stats, month) {
     Keep it friendly and conversational.
 
     Financial Data for ${month}:
-    - Total Income: ₹${stats.totalIncome}
-    - Total Expenses: ₹${stats.totalExpenses}
-    - Net Income: ₹${stats.totalIncome - stats.totalExpenses}
+    - Total Income: ${formatCurrency(stats.totalIncome, stats.currency)}
+    - Total Expenses: ${formatCurrency(stats.totalExpenses, stats.currency)}
+    - Net Income: ${formatCurrency(
+      stats.totalIncome - stats.totalExpenses,
+      stats.currency
+    )}
     - Expense Categories: ${Object.entries(stats.byCategory)
-      .map(([category, amount]) => `${category}: ₹${amount}`)
+      .map(
+        ([category, amount]) =>
+          `${category}: ${formatCurrency(amount, stats.currency)}`
+      )
       .join(", ")}
 
     Format the response as a JSON array of strings, like this:
@@ -182,7 +234,11 @@ export const generateMonthlyReports = inngest.createFunction(
         const lastMonth = new Date();
         lastMonth.setMonth(lastMonth.getMonth() - 1);
 
-        const stats = await getMonthlyStats(user.id, lastMonth);
+        const stats = await getMonthlyStats(
+          user.id,
+          lastMonth,
+          user.baseCurrency
+        );
         const monthName = lastMonth.toLocaleString("default", {
           month: "long",
         });
@@ -239,22 +295,31 @@ export const checkBudgetAlerts = inngest.createFunction(
         const startDate = new Date();
         startDate.setDate(1); // Start of current month
 
-        // Calculate total expenses for the default account only
-        const expenses = await db.transaction.aggregate({
+        // Calculate total completed expenses for the default account only;
+        // pending ones may never clear
+        const expenses = await db.transaction.findMany({
           where: {
             userId: budget.userId,
             accountId: defaultAccount.id, // Only consider default account
             type: "EXPENSE",
+            status: "COMPLETED",
             date: {
               gte: startDate,
             },
           },
-          _sum: {
-            amount: true,
-          },
+          select: { amount: true, date: true },
         });
 
-        const totalExpenses = expenses._sum.amount?.toNumber() || 0;
+        // Budgets are set in the user's base currency
+        const { convert } = await getRateConverter(
+          budget.userId,
+          budget.user.baseCurrency
+        );
+        const totalExpenses = expenses.reduce(
+          (sum, t) =>
+            sum + (convert(t.amount, defaultAccount.currency, t.date) ?? 0),
+          0
+        );
         const budgetAmount = budget.amount;
         const percentageUsed = (totalExpenses / budgetAmount) * 100;
 
@@ -275,6 +340,7 @@ export const checkBudgetAlerts = inngest.createFunction(
                 budgetAmount: parseInt(budgetAmount).toFixed(1),
                 totalExpenses: parseInt(totalExpenses).toFixed(1),
                 accountName: defaultAccount.name,
+                currency: budget.user.baseCurrency,
               },
             }),
           });
@@ -290,6 +356,190 @@ export const checkBudgetAlerts = inngest.createFunction(
   }
 );
 
+// 4. Balance Drift Check
+export const checkBalanceDrift = inngest.createFunction(
+  {
+    id: "check-balance-drift",
+    name: "Check Balance Drift",
+  },
+  { cron: "0 2 * * *" }, // Daily at 2 AM
+  async ({ step }) => {
+    const users = await step.run("fetch-users", async () => {
+      return await db.user.findMany({
+        where: { accounts: { some: {} } },
+        select: { id: true },
+      });
+    });
+
+    let drifted = 0;
+    for (const user of users) {
+      // Flags accounts whose stored balance no longer matches their
+      // transactions; the user accepts the fix from the Balances page
+      drifted += await step.run(`check-balances-${user.id}`, async () => {
+        const accounts = await db.account.findMany({
+          where: { userId: user.id },
+        });
+
+        let count = 0;
+        for (const account of accounts) {
+          const { drift } = await checkAccountBalance(db, account);
+          if (!drift.isZero()) count++;
+        }
+        return count;
+      });
+    }
+
+    return { checked: users.length, drifted };
+  }
+);
+
+// 5. Trash Purge
+export const purgeTrash = inngest.createFunction(
+  {
+    id: "purge-trash",
+    name: "Purge Trash",
+  },
+  { cron: "0 3 * * *" }, // Daily at 3 AM
+  async ({ step }) => {
+    const cutoff = subDays(new Date(), TRASH_RETENTION_DAYS);
+
+    // Their balance effect was reverted when they were deleted, so only the
+    // rows and their receipts are left to remove
+    const transactions = await step.run("fetch-expired", async () => {
+      return await db.transaction.findMany({
+        where: { deletedAt: { lt: cutoff } },
+        select: { id: true, receiptUrl: true },
+      });
+    });
+
+    if (transactions.length > 0) {
+      await step.run("delete-expired", async () => {
+        await db.transaction.deleteMany({
+          where: {
+            id: { in: transactions.map((t) => t.id) },
+            deletedAt: { not: null },
+          },
+        });
+      });
+
+      await step.run("remove-receipts", async () => {
+        await removeReceipts(transactions.map((t) => t.receiptUrl));
+      });
+    }
+
+    // Receipts are stored when scanned or attached in the form, before the
+    // transaction is saved. A day on, those no transaction took up (in the
+    // trash or not) were abandoned with the form.
+    const abandoned = await step.run("remove-abandoned-uploads", async () => {
+      const uploads = await db.receiptUpload.findMany({
+        where: { createdAt: { lt: subDays(new Date(), 1) } },
+      });
+      if (uploads.length === 0) return 0;
+
+      const attached = new Set(
+        (
+          await db.transaction.findMany({
+            where: {
+              receiptUrl: { in: uploads.map((u) => u.receiptUrl) },
+              deletedAt: undefined,
+            },
+            select: { receiptUrl: true },
+          })
+        ).map((t) => t.receiptUrl)
+      );
+      const unused = uploads.filter((u) => !attached.has(u.receiptUrl));
+
+      await removeReceipts(unused.map((u) => u.receiptUrl));
+      await db.receiptUpload.deleteMany({
+        where: { id: { in: uploads.map((u) => u.id) } },
+      });
+      return unused.length;
+    });
+
+    return { purged: transactions.length, abandoned };
+  }
+);
+
+// 6. Pending Transaction Clearing
+export const clearPendingTransactions = inngest.createFunction(
+  {
+    id: "clear-pending-transactions",
+    name: "Clear Pending Transactions",
+  },
+  { cron: "0 1 * * *" }, // Daily at 1 AM
+  async ({ step }) => {
+    // Post-dated cheques and other pending transactions are booked once
+    // their clearing date arrives; those without one wait for the user
+    const due = () => ({
+      status: "PENDING",
+      clearingDate: { lte: new Date() },
+    });
+
+    const users = await step.run("fetch-users", async () => {
+      return await db.user.findMany({
+        // Relation filters aren't trash-filtered like queries
+        where: { transactions: { some: { ...due(), deletedAt: null } } },
+        select: { id: true },
+      });
+    });
+
+    // One database transaction per user, so a large backlog doesn't hold a
+    // single one open past its timeout
+    let cleared = 0;
+    for (const user of users) {
+      cleared += await step.run(`complete-due-${user.id}`, async () => {
+        return await db.$transaction(
+          async (tx) => {
+            const transactions = await tx.transaction.findMany({
+              where: { ...due(), userId: user.id },
+              include: auditInclude,
+            });
+
+            if (transactions.length === 0) return 0;
+
+            const balanceChanges = {};
+            for (const transaction of transactions) {
+              addBalanceChanges(balanceChanges, {
+                ...transaction,
+                status: "COMPLETED",
+              });
+            }
+
+            await tx.transaction.updateMany({
+              where: {
+                id: { in: transactions.map((t) => t.id) },
+                status: "PENDING",
+              },
+              data: { status: "COMPLETED", clearingDate: null },
+            });
+
+            await applyBalanceChanges(tx, balanceChanges);
+
+            await recordAudit(
+              tx,
+              { source: "CLEARING" },
+              transactions.map((transaction) => ({
+                action: "UPDATE",
+                before: transaction,
+                after: {
+                  ...transaction,
+                  status: "COMPLETED",
+                  clearingDate: null,
+                },
+              }))
+            );
+
+            return transactions.length;
+          },
+          { timeout: 60 * 1000 }
+        );
+      });
+    }
+
+    return { cleared };
+  }
+);
+
 function isNewMonth(lastAlertDate, currentDate) {
   return (
     lastAlertDate.getMonth() !== currentDate.getMonth() ||
@@ -328,27 +578,56 @@ function calculateNextRecurringDate(date, interval) {
   return next;
 }
 
-async function getMonthlyStats(userId, month) {
+async function getMonthlyStats(userId, month, baseCurrency) {
   const startDate = new Date(month.getFullYear(), month.getMonth(), 1);
   const endDate = new Date(month.getFullYear(), month.getMonth() + 1, 0);
 
+  // Transfers only move money between the user's own accounts, and only
+  // completed transactions count, as for balances
   const transactions = await db.transaction.findMany({
     where: {
       userId,
+      type: { not: "TRANSFER" },
+      status: "COMPLETED",
       date: {
         gte: startDate,
         lte: endDate,
       },
     },
+    include: {
+      account: { select: { currency: true } },
+      splits: true,
+    },
   });
 
-  return transactions.reduce(
+  // Amounts are reported in the user's base currency; transactions without a
+  // usable exchange rate are left out and their currency pairs reported
+  const { convert, missing } = await getRateConverter(userId, baseCurrency);
+
+  // Categories are reported by the user's names for them
+  const getCategory = getCategoryLookup(
+    await db.category.findMany({ where: { userId } })
+  );
+
+  const stats = transactions.reduce(
     (stats, t) => {
-      const amount = t.amount.toNumber();
+      const amount = convert(t.amount, t.account.currency, t.date);
+      if (amount === null) return stats;
+
       if (t.type === "EXPENSE") {
         stats.totalExpenses += amount;
-        stats.byCategory[t.category] =
-          (stats.byCategory[t.category] || 0) + amount;
+        // Split transactions count towards each line's category
+        for (const line of getCategoryAmounts(t)) {
+          const name = getCategory(line.category).name;
+          const lineAmount = convert(line.amount, t.account.currency, t.date);
+          stats.byCategory[name] = (stats.byCategory[name] || 0) + lineAmount;
+
+          if (line.subcategory) {
+            const subcategories = (stats.bySubcategory[name] ||= {});
+            subcategories[line.subcategory] =
+              (subcategories[line.subcategory] || 0) + lineAmount;
+          }
+        }
       } else {
         stats.totalIncome += amount;
       }
@@ -358,7 +637,12 @@ async function getMonthlyStats(userId, month) {
       totalExpenses: 0,
       totalIncome: 0,
       byCategory: {},
+      // Category name -> subcategory -> amount, for categorized lines only
+      bySubcategory: {},
       transactionCount: transactions.length,
+      currency: baseCurrency,
     }
   );
+
+  return { ...stats, missingRates: [...missing] };
 }
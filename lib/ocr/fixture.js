@@ -0,0 +1,45 @@
+import { readFile } from "fs/promises";
+
+// A fixed receipt, so scanning works the same every time without a network
+const SAMPLE_RECEIPT = {
+  amount: 547.5,
+  description: "Fresh Mart",
+  date: "2025-01-15",
+  category: "Groceries",
+  items: [
+    {
+      name: "Basmati Rice 1kg",
+      quantity: 2,
+      unitPrice: 120,
+      total: 240,
+      category: "Groceries",
+    },
+    {
+      name: "Milk 500ml",
+      quantity: 4,
+      unitPrice: 28,
+      total: 112,
+      category: "Groceries",
+    },
+    {
+      name: "Dish Soap",
+      quantity: 1,
+      unitPrice: 180,
+      total: 180,
+      category: "Shopping",
+    },
+  ],
+  taxes: [{ name: "GST 5%", amount: 25.5 }],
+  discounts: [{ name: "Member Discount", amount: 10 }],
+};
+
+// Returns the same receipt whatever the image: the one in the JSON file at
+// `file` if given, otherwise a built-in sample. For development and tests.
+export function createFixtureReader({ file } = {}) {
+  return {
+    async read() {
+      if (!file) return structuredClone(SAMPLE_RECEIPT);
+      return JSON.parse(await readFile(file, "utf8"));
+    },
+  };
+}
@@ -0,0 +1,76 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+function buildPrompt(categoryNames) {
+  return `Analyze this receipt image and extract transaction details.
+Return ONLY a valid JSON object in this EXACT format:
+{
+  "amount": 123.45,
+  "description": "Store Name",
+  "date": "YYYY-MM-DD",
+  "category": "Suggested Category Name",
+  "items": [
+    { "name": "Item Name", "quantity": 2, "unitPrice": 10.5, "total": 21.0, "category": "Suggested Category Name" }
+  ],
+  "taxes": [{ "name": "Tax Name", "amount": 1.5 }],
+  "discounts": [{ "name": "Discount Name", "amount": 2.0 }]
+}
+
+Important:
+- amount: must be a number (total paid amount from the receipt)
+- description: store/merchant name
+- date: YYYY-MM-DD format (if not visible on receipt, use today's date)
+- category: Suggest a single, general category for the items on the receipt (e.g., "Groceries", "Food", "Shopping").
+- items: every purchased line on the receipt, with quantity (1 if not shown), unit price, line total and a category for that item. Use an empty array if the lines can't be read.
+- taxes: each tax or service charge line (e.g., "GST 5%", "Service Charge"), or an empty array
+- discounts: each discount or coupon line, with the amount as a positive number, or an empty array
+${categoryNames.length > 0 ? `- For categories, use one of these names when one fits: ${categoryNames.join(", ")}\n` : ""}
+Return ONLY the JSON object, no markdown, no explanations, no extra text.`;
+}
+
+// Reads receipts with a Gemini model, which returns the receipt fields
+// directly. Needs GEMINI_API_KEY and network access.
+export function createGeminiReader({
+  apiKey,
+  model = "models/gemini-flash-latest",
+}) {
+  if (!apiKey) throw new Error("GEMINI_API_KEY is not set");
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    async read({ data, mimeType, categoryNames = [] }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+          responseMimeType: "application/json",
+          temperature: 0.1,
+        },
+      });
+
+      console.log("Calling Gemini API...");
+
+      const result = await generativeModel.generateContent([
+        { text: buildPrompt(categoryNames) },
+        { inlineData: { data: data.toString("base64"), mimeType } },
+      ]);
+
+      const response = await result.response;
+      console.log("Raw Gemini response:", response.text());
+
+      // Clean up markdown formatting
+      const responseText = response
+        .text()
+        .replace(/```json\n?/g, "")
+        .replace(/```\n?/g, "")
+        .replace(/^`+|`+$/g, "")
+        .trim();
+
+      try {
+        return JSON.parse(responseText);
+      } catch (parseError) {
+        console.error("JSON parse error:", parseError);
+        console.error("Failed to parse:", responseText);
+        throw new Error("Invalid response from AI. Please try again.");
+      }
+    },
+  };
+}
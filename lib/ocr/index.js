@@ -0,0 +1,79 @@
+import { toReceiptItems } from "@/lib/receipt-items";
+import { createFixtureReader } from "./fixture";
+import { createGeminiReader } from "./gemini";
+import { createTesseractReader } from "./tesseract";
+
+// Description for scans that found no merchant name
+export const DEFAULT_RECEIPT_DESCRIPTION = "Receipt Transaction";
+
+let reader;
+
+// The receipt reader picked by RECEIPT_OCR: "gemini" (the default),
+// "tesseract" for offline OCR, or "fixture" for a fixed sample receipt.
+// Each reads { data, mimeType, categoryNames } into the fields of a receipt.
+export function getReceiptReader() {
+  if (!reader) {
+    switch (process.env.RECEIPT_OCR || "gemini") {
+      case "gemini":
+        reader = createGeminiReader({
+          apiKey: process.env.GEMINI_API_KEY,
+          model: process.env.GEMINI_RECEIPT_MODEL || undefined,
+        });
+        break;
+      case "tesseract":
+        reader = createTesseractReader({
+          command: process.env.TESSERACT_PATH || undefined,
+          language: process.env.TESSERACT_LANG || undefined,
+        });
+        break;
+      case "fixture":
+        reader = createFixtureReader({
+          file: process.env.RECEIPT_OCR_FIXTURE || undefined,
+        });
+        break;
+      default:
+        throw new Error(`Unknown receipt reader: ${process.env.RECEIPT_OCR}`);
+    }
+  }
+  return reader;
+}
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Reads an uploaded receipt image with the configured reader and checks the
+// result, so every reader hands the form the same fields. `categoryNames`
+// are the user's categories, for readers that can suggest one.
+export async function readReceipt(file, { categoryNames = [] } = {}) {
+  const data = Buffer.from(await file.arrayBuffer());
+  const parsedData = await getReceiptReader().read({
+    data,
+    mimeType: file.type || "image/jpeg",
+    categoryNames,
+  });
+
+  const amount = parseFloat(parsedData?.amount);
+  if (!amount || amount <= 0) {
+    throw new Error("Could not extract amount from receipt");
+  }
+
+  const date =
+    typeof parsedData.date === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(parsedData.date)
+      ? parsedData.date
+      : today();
+
+  return {
+    amount,
+    description:
+      typeof parsedData.description === "string" &&
+      parsedData.description.trim() !== ""
+        ? parsedData.description.trim()
+        : DEFAULT_RECEIPT_DESCRIPTION,
+    date,
+    // A suggested category name, or empty
+    category:
+      typeof parsedData.category === "string" ? parsedData.category : "",
+    // Line items, taxes and discounts become item lines for review
+    items: toReceiptItems(parsedData),
+  };
+}
@@ -0,0 +1,186 @@
+// Picks receipt fields out of OCR text with heuristics. Receipts vary too
+// much for this to be exact, which is why scans are reviewed before saving.
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// A price at the end of a line, e.g. "Rs. 1,234.50", "₹ 1,23,456.00" (lakh
+// grouping), "₹ 99.00" or "12,50"
+const TRAILING_AMOUNT =
+  /(?:^|\s)-?(?:rs\.?|inr|[₹$€£])?\s*(\d{1,3}(?:,\d{2})*(?:,\d{3})+|\d+)[.,](\d{2})\s*-?$/i;
+
+const SUBTOTAL = /\bsub\s*-?\s*total\b/i;
+const TOTAL =
+  /\b(grand\s*total|total|amount\s*(?:due|payable)|net\s*(?:amount|payable|total)|balance\s*due)\b/i;
+// Totals that are more likely than a plain "Total" to be what was paid
+const FINAL_TOTAL =
+  /\b(grand\s*total|amount\s*(?:due|payable)|net\s*(?:amount|payable|total)|balance\s*due)\b/i;
+const NOT_AMOUNT_TOTAL = /\btotal\s*(?:qty|quantity|items?)\b/i;
+const TAX = /\b(c?gst|sgst|igst|vat|tax|cess|service\s*charge)\b/i;
+const DISCOUNT = /\b(discount|disc|coupon|savings?|promo|offer)\b/i;
+const PAYMENT =
+  /\b(cash|change|tender(?:ed)?|card|upi|paid|round(?:ing|ed)?\s*off|rounded)\b/i;
+const NOT_MERCHANT =
+  /\b(receipt|invoice|bill|gstin|tel|phone|ph|mob|www|date|time|cashier)\b|@/i;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function readAmount(line) {
+  const match = line.match(TRAILING_AMOUNT);
+  if (!match) return null;
+  return {
+    amount: parseFloat(`${match[1].replace(/,/g, "")}.${match[2]}`),
+    label: line
+      .slice(0, match.index)
+      .replace(/[\s:.\-=*]+$/, "")
+      .trim(),
+  };
+}
+
+const toIsoDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  if (
+    date.getUTCFullYear() !== fullYear ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().split("T")[0];
+};
+
+// The first date on the receipt as YYYY-MM-DD. Numeric dates are read day
+// first, unless that can't be right.
+export function findReceiptDate(text) {
+  let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) return toIsoDate(+match[1], +match[2], +match[3]);
+
+  match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+  if (match) {
+    const [first, second, year] = [+match[1], +match[2], +match[3]];
+    return second > 12
+      ? toIsoDate(year, first, second)
+      : toIsoDate(year, second, first);
+  }
+
+  const month = `(${MONTHS.join("|")})[a-z]*\\.?`;
+  match = text.match(
+    new RegExp(
+      `\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s-]*${month}[\\s,-]*(\\d{4}|\\d{2})\\b`,
+      "i"
+    )
+  );
+  if (match) {
+    return toIsoDate(
+      +match[3],
+      MONTHS.indexOf(match[2].toLowerCase()) + 1,
+      +match[1]
+    );
+  }
+
+  match = text.match(
+    new RegExp(
+      `\\b${month}\\s*(\\d{1,2})(?:st|nd|rd|th)?,?\\s*(\\d{4})\\b`,
+      "i"
+    )
+  );
+  if (match) {
+    return toIsoDate(
+      +match[3],
+      MONTHS.indexOf(match[1].toLowerCase()) + 1,
+      +match[2]
+    );
+  }
+
+  return null;
+}
+
+// An item line's name, with the quantity and unit price when the line shows
+// them ("Milk 2 x 25.00 50.00" or "Milk 2 25.00 50.00") and they add up
+function readItem(label, total) {
+  const match = label.match(
+    /^(.*?)\s+(\d+(?:\.\d+)?)\s*(?:[x@*]\s*)?(\d+[.,]\d{2})$/i
+  );
+  if (match) {
+    const quantity = parseFloat(match[2]);
+    const unitPrice = parseFloat(match[3].replace(",", "."));
+    if (Math.abs(round(quantity * unitPrice) - total) < 0.01) {
+      return { name: match[1].trim(), quantity, unitPrice, total };
+    }
+  }
+  return { name: label, quantity: 1, unitPrice: total, total };
+}
+
+// The fields of a scan, in the same shape a model returns, read from the
+// plain text of a receipt
+export function parseReceiptText(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const items = [];
+  const taxes = [];
+  const discounts = [];
+  let total = null;
+  let largest = 0;
+  let pastItems = false;
+
+  for (const line of lines) {
+    const read = readAmount(line);
+    if (!read) continue;
+    const { amount, label } = read;
+    largest = Math.max(largest, amount);
+
+    if (SUBTOTAL.test(label)) {
+      pastItems = true;
+    } else if (TOTAL.test(label) && !NOT_AMOUNT_TOTAL.test(label)) {
+      pastItems = true;
+      // The last of the most final-sounding totals is what was paid
+      const rank = FINAL_TOTAL.test(label) ? 2 : 1;
+      if (!total || rank >= total.rank) total = { amount, rank };
+    } else if (DISCOUNT.test(label)) {
+      discounts.push({ name: label, amount });
+    } else if (TAX.test(label) && !/\bincl/i.test(label)) {
+      taxes.push({ name: label, amount });
+    } else if (PAYMENT.test(label)) {
+      pastItems = true;
+    } else if (!pastItems && /\p{L}.*\p{L}/u.test(label)) {
+      items.push(readItem(label, amount));
+    }
+  }
+
+  const description =
+    lines
+      .slice(0, 5)
+      .find(
+        (line) =>
+          /\p{L}.*\p{L}.*\p{L}/u.test(line) &&
+          !NOT_MERCHANT.test(line) &&
+          !readAmount(line) &&
+          !findReceiptDate(line)
+      ) ?? "";
+
+  return {
+    amount: total ? total.amount : largest,
+    description,
+    date: findReceiptDate(text) ?? "",
+    category: "",
+    items,
+    taxes,
+    discounts,
+  };
+}
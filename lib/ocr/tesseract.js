@@ -0,0 +1,44 @@
+import { execFile } from "child_process";
+import { parseReceiptText } from "./parse-text";
+
+// Reads receipts offline with the Tesseract OCR command line tool, then picks
+// the merchant, date, total and lines out of the text. Less accurate than a
+// model, and it never suggests categories.
+export function createTesseractReader({
+  command = "tesseract",
+  language = "eng",
+} = {}) {
+  const recognize = (data) =>
+    new Promise((resolve, reject) => {
+      const child = execFile(
+        command,
+        ["stdin", "stdout", "-l", language, "--psm", "6"],
+        { encoding: "utf8", maxBuffer: 5 * 1024 * 1024, timeout: 60 * 1000 },
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(
+              new Error(
+                error.code === "ENOENT"
+                  ? `OCR engine not found: ${command}`
+                  : `OCR failed: ${stderr.trim() || error.message}`
+              )
+            );
+          } else {
+            resolve(stdout);
+          }
+        }
+      );
+      // Tesseract can exit before reading the whole image; without a handler
+      // the broken pipe would take the server down with it
+      child.stdin.on("error", (error) =>
+        reject(new Error(`OCR failed: ${error.message}`))
+      );
+      child.stdin.end(data);
+    });
+
+  return {
+    async read({ data }) {
+      return parseReceiptText(await recognize(data));
+    },
+  };
+}
@@ -0,0 +1,62 @@
+// Lowercase words of a description, without punctuation or standalone
+// numbers, e.g. "SWIGGY*ORDER 1234" -> "swiggy order"
+export function normalizeDescription(description = "") {
+  return description
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .replace(/(^| )\d+(?= |$)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// The payee whose name or one of whose aliases appears, as whole words, in
+// the description. The longest match wins, so "amazon prime" beats "amazon".
+export function matchPayee(payees, description) {
+  const text = ` ${normalizeDescription(description || "")} `;
+  let match = null;
+  let matchLength = 0;
+
+  for (const payee of payees) {
+    for (const pattern of [payee.name, ...payee.aliases]) {
+      const words = normalizeDescription(pattern);
+      if (words && words.length > matchLength && text.includes(` ${words} `)) {
+        match = payee;
+        matchLength = words.length;
+      }
+    }
+  }
+
+  return match;
+}
+
+// The payee for a transaction among the user's payees. A payee the user typed
+// is found by name or alias; otherwise one is matched from the description,
+// if any fits. A typed name with no payee yet comes back as `{ name }`, to be
+// created with the transaction.
+export function findPayee(payees, { payee, description }) {
+  const name = payee?.trim().replace(/\s+/g, " ").slice(0, 50);
+
+  if (!name) return matchPayee(payees, description);
+
+  return (
+    payees.find((p) => p.name.toLowerCase() === name.toLowerCase()) ||
+    matchPayee(payees, name) || { name }
+  );
+}
+
+// The payee id for a transaction, read (and if need be created) through the
+// given Prisma client or database transaction; see findPayee
+export async function resolvePayeeId(client, userId, { payee, description }) {
+  const found = findPayee(await client.payee.findMany({ where: { userId } }), {
+    payee,
+    description,
+  });
+
+  if (!found) return null;
+  if (found.id) return found.id;
+
+  const created = await client.payee.create({
+    data: { name: found.name, userId },
+  });
+  return created.id;
+}
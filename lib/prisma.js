@@ -1,6 +1,58 @@
 import { PrismaClient } from "@prisma/client";
 
-export const db = globalThis.prisma || new PrismaClient();
+// Transaction queries that leave out the trash unless their filter mentions
+// deletedAt: `deletedAt: { not: null }` for only deleted transactions, or
+// `deletedAt: undefined` for all of them
+const TRASH_FILTERED_OPERATIONS = [
+  "findUnique",
+  "findUniqueOrThrow",
+  "findFirst",
+  "findFirstOrThrow",
+  "findMany",
+  "count",
+  "aggregate",
+  "groupBy",
+  "update",
+  "updateMany",
+  "delete",
+  "deleteMany",
+];
+
+// The audit trail is append-only
+const AUDIT_WRITE_OPERATIONS = [
+  "update",
+  "updateMany",
+  "upsert",
+  "delete",
+  "deleteMany",
+];
+
+const createClient = () =>
+  new PrismaClient().$extends({
+    query: {
+      transaction: {
+        async $allOperations({ operation, args, query }) {
+          if (
+            TRASH_FILTERED_OPERATIONS.includes(operation) &&
+            !("deletedAt" in (args.where ?? {}))
+          ) {
+            args.where = { ...args.where, deletedAt: null };
+          }
+          return query(args);
+        },
+      },
+      transactionAudit: {
+        async $allOperations({ operation, args, query }) {
+          if (AUDIT_WRITE_OPERATIONS.includes(operation)) {
+            throw new Error("Audit entries can't be changed");
+          }
+          return query(args);
+        },
+      },
+    },
+  });
+
+export const db = globalThis.prisma || createClient();
 
 if (process.env.NODE_ENV !== "production") {
   globalThis.prisma = db;
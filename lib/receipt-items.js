@@ -0,0 +1,119 @@
+import { findCategoryByName } from "@/lib/categories";
+
+export const MAX_RECEIPT_ITEMS = 100;
+
+export const RECEIPT_ITEM_KINDS = {
+  ITEM: "Item",
+  TAX: "Tax",
+  DISCOUNT: "Discount",
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Line items, taxes and discounts read from a receipt, as item lines with
+// numeric amounts. Lines without a name or an amount are dropped. Items keep
+// the suggested category name, for the user's categories to be matched to.
+export function toReceiptItems({ items, taxes, discounts }) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+
+  return [
+    ...list(items).map((item) => {
+      const quantity = toNumber(item?.quantity);
+      const unitPrice = toNumber(item?.unitPrice);
+      return {
+        kind: "ITEM",
+        name: item?.name,
+        quantity,
+        unitPrice,
+        amount:
+          toNumber(item?.total) ??
+          (quantity !== null && unitPrice !== null
+            ? Math.round(quantity * unitPrice * 100) / 100
+            : null),
+        categoryName: item?.category || "",
+      };
+    }),
+    ...list(taxes).map((tax) => ({
+      kind: "TAX",
+      name: tax?.name || "Tax",
+      amount: toNumber(tax?.amount),
+    })),
+    // Discounts are kept positive and subtracted from the total
+    ...list(discounts).map((discount) => ({
+      kind: "DISCOUNT",
+      name: discount?.name || "Discount",
+      amount:
+        toNumber(discount?.amount) === null
+          ? null
+          : Math.abs(toNumber(discount.amount)),
+    })),
+  ]
+    .filter(
+      (line) =>
+        typeof line.name === "string" &&
+        line.name.trim() !== "" &&
+        line.amount !== null
+    )
+    .slice(0, MAX_RECEIPT_ITEMS)
+    .map((line) => ({ ...line, name: line.name.trim().slice(0, 100) }));
+}
+
+const isNumber = (value) => !isNaN(parseFloat(value));
+
+// What's wrong with an item line's numbers, as { field, message }, or null.
+// Amounts can't be negative: discounts are entered positive and subtracted.
+// Only items have a quantity and unit price.
+export function getReceiptItemError(item) {
+  const amount = parseFloat(item.amount);
+  if (!isNumber(item.amount)) {
+    return { field: "amount", message: "Amount is required" };
+  }
+  if (amount < 0) {
+    return { field: "amount", message: "Amount can't be negative" };
+  }
+  if (item.kind === "DISCOUNT" && amount === 0) {
+    return { field: "amount", message: "Discount must be positive" };
+  }
+  if (item.kind !== "ITEM") return null;
+
+  if (
+    item.quantity &&
+    (!isNumber(item.quantity) || parseFloat(item.quantity) <= 0)
+  ) {
+    return { field: "quantity", message: "Quantity must be positive" };
+  }
+  if (
+    item.unitPrice &&
+    (!isNumber(item.unitPrice) || parseFloat(item.unitPrice) < 0)
+  ) {
+    return { field: "unitPrice", message: "Price must be zero or more" };
+  }
+  return null;
+}
+
+// What the item lines add up to: items and taxes count up, discounts down
+export function getItemsTotal(items) {
+  return items.reduce((total, item) => {
+    const amount = parseFloat(item.amount) || 0;
+    return total + (item.kind === "DISCOUNT" ? -amount : amount);
+  }, 0);
+}
+
+// Item lines as form values, from a scan or a saved transaction. Category
+// names suggested by a scan are matched to the user's categories of the type.
+export function toItemValues(items = [], categories = [], type = "EXPENSE") {
+  return items.map((item) => ({
+    kind: item.kind,
+    name: item.name,
+    quantity: item.quantity != null ? String(item.quantity) : "",
+    unitPrice: item.unitPrice != null ? String(item.unitPrice) : "",
+    amount: String(item.amount),
+    category:
+      item.category ??
+      findCategoryByName(categories, type, item.categoryName)?.key ??
+      "",
+  }));
+}
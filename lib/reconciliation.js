@@ -0,0 +1,75 @@
+import { format } from "date-fns";
+
+// Cleared and reconciled state is kept per side of a transaction, since a
+// transfer appears on the statements of both accounts it touches. Plain
+// numbers here so the account page can use it client-side.
+
+export function isSourceSide(transaction, accountId) {
+  return transaction.accountId === accountId;
+}
+
+export function isClearedFor(transaction, accountId) {
+  return isSourceSide(transaction, accountId)
+    ? transaction.isCleared
+    : transaction.transferCleared;
+}
+
+export function isReconciledFor(transaction, accountId) {
+  return isSourceSide(transaction, accountId)
+    ? transaction.reconciliationId != null
+    : transaction.transferReconciliationId != null;
+}
+
+// Reconciled on either side; such transactions are locked against edits
+export function isReconciled(transaction) {
+  return (
+    transaction.reconciliationId != null ||
+    transaction.transferReconciliationId != null
+  );
+}
+
+// Signed change a transaction makes to the given account's balance
+export function getAccountAmount(transaction, accountId) {
+  if (!isSourceSide(transaction, accountId)) {
+    return Number(transaction.transferAmount ?? transaction.amount);
+  }
+  return transaction.type === "INCOME"
+    ? Number(transaction.amount)
+    : -Number(transaction.amount);
+}
+
+// Last day a statement covers, inclusive
+export function getStatementEnd(statementDate) {
+  const end = new Date(statementDate);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+// Balance of the transactions cleared on an account at the end of every day
+// with any, from its opening balance and its totals (see getAccountTotals).
+// Kept per day so the account page can reconcile against any statement date
+// without loading every transaction.
+export function getClearedHistory(totals, openingBalance) {
+  const balances = new Map();
+  let balance = Number(openingBalance);
+
+  for (const { date, isCleared, change } of totals) {
+    if (!isCleared) continue;
+    balance += Number(change);
+    balances.set(format(new Date(date), "yyyy-MM-dd"), balance);
+  }
+
+  return Array.from(balances, ([date, balance]) => ({ date, balance }));
+}
+
+// Opening balance plus every transaction cleared up to the statement date
+export function getClearedBalance(
+  clearedHistory,
+  openingBalance,
+  statementDate
+) {
+  const statementDay = format(statementDate, "yyyy-MM-dd");
+  const last = clearedHistory.filter((day) => day.date <= statementDay).at(-1);
+
+  return last ? last.balance : Number(openingBalance);
+}
@@ -0,0 +1,144 @@
+import { normalizeTagNames } from "@/lib/tags";
+
+export const ruleOrder = [{ position: "asc" }, { createdAt: "asc" }];
+
+// The user's active rules in the order they apply, read through the given
+// Prisma client or database transaction
+export function getActiveRules(client, userId) {
+  return client.rule.findMany({
+    where: { userId, isActive: true },
+    orderBy: ruleOrder,
+  });
+}
+
+const MAX_REGEX_LENGTH = 100;
+
+// Whether a pattern repeats a group that itself repeats, like (a+)+, repeats
+// a group with alternatives, like (a|aa)+, or refers back to a group. Such
+// patterns can backtrack for ages on text that almost matches, and rules run
+// on the server for every transaction.
+function hasNestedQuantifier(pattern) {
+  const groups = [{ repeats: false, alternates: false }];
+  const isQuantifier = (i) =>
+    pattern[i] === "*" ||
+    pattern[i] === "+" ||
+    (pattern[i] === "{" && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] ?? "")) return true;
+      i++;
+    } else if (char === "[") {
+      // Skip the character class; nothing inside it repeats
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === "|") {
+      groups.at(-1).alternates = true;
+    } else if (char === ")" && groups.length > 1) {
+      const group = groups.pop();
+      if ((group.repeats || group.alternates) && isQuantifier(i + 1)) {
+        return true;
+      }
+      if (group.repeats) groups.at(-1).repeats = true;
+      if (group.alternates) groups.at(-1).alternates = true;
+    } else if (isQuantifier(i)) {
+      groups.at(-1).repeats = true;
+    }
+  }
+
+  return false;
+}
+
+// Compiles a rule's regular expression, or null if it isn't valid or could
+// take too long to run (over 100 characters, or with nested or alternating
+// repeats)
+export function toRuleRegex(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH || hasNestedQuantifier(pattern)) {
+    return null;
+  }
+
+  try {
+    return new RegExp(pattern, "i");
+  } catch {
+    return null;
+  }
+}
+
+// Whether a transaction meets every condition the rule sets
+export function matchesRule(rule, transaction) {
+  const description = transaction.description || "";
+
+  if (rule.descriptionPattern) {
+    if (rule.patternType === "REGEX") {
+      const regex = toRuleRegex(rule.descriptionPattern);
+      if (!regex || !regex.test(description)) return false;
+    } else if (
+      !description.toLowerCase().includes(rule.descriptionPattern.toLowerCase())
+    ) {
+      return false;
+    }
+  }
+
+  const amount = Number(transaction.amount);
+  if (rule.minAmount != null && amount < Number(rule.minAmount)) return false;
+  if (rule.maxAmount != null && amount > Number(rule.maxAmount)) return false;
+
+  if (rule.accountId && rule.accountId !== transaction.accountId) return false;
+  if (rule.type && rule.type !== transaction.type) return false;
+
+  return true;
+}
+
+// What the matching rules would change. The category and description come
+// from the first matching rule that sets them; tags from every match.
+// Transfers and split transactions keep their categories.
+export function getRuleChanges(rules, transaction) {
+  const changes = { tags: [] };
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transaction)) continue;
+
+    if (
+      rule.category &&
+      changes.category === undefined &&
+      transaction.type !== "TRANSFER" &&
+      !(transaction.splits?.length > 0)
+    ) {
+      changes.category = rule.category;
+    }
+    if (rule.description && changes.description === undefined) {
+      changes.description = rule.description;
+    }
+    changes.tags.push(...rule.tags);
+  }
+
+  return changes;
+}
+
+// Transaction data (with tags as names) as the rules leave it. Tag names take
+// the spelling of the user's `existingTags`. A new category drops the
+// subcategory, which belonged to the old one.
+export function applyRules(rules, data, existingTags = []) {
+  const changes = getRuleChanges(rules, data);
+  const result = {
+    ...data,
+    tags: normalizeTagNames(
+      [...(data.tags || []), ...changes.tags],
+      existingTags
+    ),
+  };
+
+  if (changes.category !== undefined && changes.category !== data.category) {
+    result.category = changes.category;
+    result.subcategory = null;
+  }
+  if (changes.description !== undefined) {
+    result.description = changes.description;
+  }
+
+  return result;
+}
@@ -0,0 +1,44 @@
+// Category lines of a transaction: its splits, or the whole amount under its
+// own category and subcategory when it isn't split
+export function getCategoryAmounts(transaction) {
+  if (transaction.splits?.length > 0) {
+    return transaction.splits.map((split) => ({
+      category: split.category,
+      subcategory: null,
+      amount: Number(split.amount),
+    }));
+  }
+
+  return [
+    {
+      category: transaction.category,
+      subcategory: transaction.subcategory || null,
+      amount: Number(transaction.amount),
+    },
+  ];
+}
+
+// Whether split lines add up to the total, to the cent
+export function splitsMatchTotal(splits, total) {
+  const cents = splits.reduce(
+    (sum, split) => sum + Math.round(Number(split.amount) * 100),
+    0
+  );
+  return cents === Math.round(Number(total) * 100);
+}
+
+// Scales split lines proportionally so they add up to a new total, e.g. after
+// converting the total to another currency. Rounding goes to the last line.
+export function scaleSplits(splits, total) {
+  const sum = splits.reduce((sum, split) => sum + Number(split.amount), 0);
+  let remaining = Math.round(Number(total) * 100);
+
+  return splits.map((split, index) => {
+    const cents =
+      index === splits.length - 1
+        ? remaining
+        : Math.round((Number(split.amount) / sum) * Number(total) * 100);
+    remaining -= cents;
+    return { ...split, amount: cents / 100 };
+  });
+}
@@ -0,0 +1,81 @@
+import { randomUUID } from "crypto";
+import { createLocalStorage } from "./local";
+import { createS3Storage } from "./s3";
+
+export const MAX_RECEIPT_SIZE = 5 * 1024 * 1024;
+
+// Receipts are served through an authenticated route, whatever the storage,
+// so the stored URL doesn't depend on where the file lives
+export const RECEIPT_URL_PREFIX = "/api/receipts/";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "image/gif": "gif",
+};
+
+let storage;
+
+// The storage backend picked by RECEIPT_STORAGE: "local" (the default) or
+// "s3" for an S3-compatible bucket
+export function getStorage() {
+  if (!storage) {
+    storage =
+      process.env.RECEIPT_STORAGE === "s3"
+        ? createS3Storage({
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION,
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          })
+        : createLocalStorage({
+            directory: process.env.RECEIPT_STORAGE_DIR || undefined,
+          });
+  }
+  return storage;
+}
+
+// Storage key behind a receipt URL, or null for anything else. Keys start
+// with the owner's user id.
+export function getReceiptKey(receiptUrl) {
+  if (!receiptUrl?.startsWith(RECEIPT_URL_PREFIX)) return null;
+  const key = receiptUrl.slice(RECEIPT_URL_PREFIX.length);
+  return /^[\w-]+\/[\w-]+\.\w+$/.test(key) ? key : null;
+}
+
+export function isOwnReceipt(receiptUrl, userId) {
+  return getReceiptKey(receiptUrl)?.startsWith(`${userId}/`) ?? false;
+}
+
+// Stores an uploaded receipt image and returns its URL
+export async function saveReceipt(userId, file) {
+  const extension = EXTENSIONS[file.type];
+  if (!extension) throw new Error("Upload a JPEG, PNG, WebP, HEIC or GIF");
+  if (file.size > MAX_RECEIPT_SIZE) {
+    throw new Error("Receipts must be smaller than 5MB");
+  }
+
+  const key = `${userId}/${randomUUID()}.${extension}`;
+  await getStorage().save(
+    key,
+    Buffer.from(await file.arrayBuffer()),
+    file.type
+  );
+
+  return `${RECEIPT_URL_PREFIX}${key}`;
+}
+
+// Deletes receipts that are no longer referenced. Failures are logged rather
+// than thrown, since the transaction change they follow has already been made.
+export async function removeReceipts(receiptUrls) {
+  for (const key of receiptUrls.map(getReceiptKey).filter(Boolean)) {
+    try {
+      await getStorage().remove(key);
+    } catch (error) {
+      console.error("Error removing receipt:", error);
+    }
+  }
+}
@@ -0,0 +1,46 @@
+import { mkdir, readFile, rm, writeFile } from "fs/promises";
+import path from "path";
+
+// Stores files under RECEIPT_STORAGE_DIR, or storage/receipts in the project
+// directory. Suits a single server with a persistent disk.
+export function createLocalStorage({
+  directory = path.join(process.cwd(), "storage", "receipts"),
+} = {}) {
+  const resolve = (key) => {
+    const file = path.resolve(directory, key);
+    if (!file.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return file;
+  };
+
+  return {
+    async save(key, body, contentType) {
+      const file = resolve(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, body);
+      // The content type is kept beside the file, as the key may not say it
+      await writeFile(`${file}.type`, contentType);
+    },
+
+    async read(key) {
+      const file = resolve(key);
+      try {
+        const [body, contentType] = await Promise.all([
+          readFile(file),
+          readFile(`${file}.type`, "utf8"),
+        ]);
+        return { body, contentType };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      const file = resolve(key);
+      await rm(file, { force: true });
+      await rm(`${file}.type`, { force: true });
+    },
+  };
+}
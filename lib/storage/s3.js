@@ -0,0 +1,104 @@
+import { createHash, createHmac } from "crypto";
+
+const sha256 = (data) => createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => createHmac("sha256", key).update(data).digest();
+
+// Stores files in a bucket on any S3-compatible service (AWS S3, Cloudflare
+// R2, MinIO, ...), addressed path-style as {endpoint}/{bucket}/{key}.
+// Requests are signed with AWS Signature Version 4.
+export function createS3Storage({
+  endpoint,
+  region = "us-east-1",
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+}) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 receipt storage is not fully configured");
+  }
+
+  const request = async (method, key, { body, contentType } = {}) => {
+    const url = new URL(
+      `${endpoint.replace(/\/$/, "")}/${bucket}/${key
+        .split("/")
+        .map(encodeURIComponent)
+        .join("/")}`
+    );
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+
+    const headers = {
+      "x-amz-content-sha256": sha256(body || ""),
+      "x-amz-date": amzDate,
+      ...(contentType && { "content-type": contentType }),
+    };
+    // The host is signed too, though fetch sets the header itself
+    const signed = { ...headers, host: url.host };
+    const headerNames = Object.keys(signed).sort();
+    const signedHeaders = headerNames.join(";");
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      ...headerNames.map((name) => `${name}:${signed[name]}`),
+      "",
+      signedHeaders,
+      headers["x-amz-content-sha256"],
+    ].join("\n");
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      sha256(canonicalRequest),
+    ].join("\n");
+
+    const signingKey = ["s3", "aws4_request"].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+    );
+    const signature = createHmac("sha256", signingKey)
+      .update(stringToSign)
+      .digest("hex");
+
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...headers,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+      cache: "no-store",
+    });
+  };
+
+  return {
+    async save(key, body, contentType) {
+      const response = await request("PUT", key, { body, contentType });
+      if (!response.ok) {
+        throw new Error(`Failed to store receipt (${response.status})`);
+      }
+    },
+
+    async read(key) {
+      const response = await request("GET", key);
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Failed to read receipt (${response.status})`);
+      }
+      return {
+        body: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get("content-type"),
+      };
+    },
+
+    async remove(key) {
+      const response = await request("DELETE", key);
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`Failed to delete receipt (${response.status})`);
+      }
+    },
+  };
+}
@@ -0,0 +1,43 @@
+export const MAX_TAG_LENGTH = 30;
+
+// Trims and de-duplicates tag names, ignoring case. Names matching one of
+// `existing` (the user's tags) take its spelling, so "goa trip" reuses
+// "Goa trip" rather than becoming a second tag.
+export function normalizeTagNames(names = [], existing = []) {
+  const byName = new Map(
+    existing.map((tag) => [tag.name.toLowerCase(), tag.name])
+  );
+  const result = new Map();
+
+  for (const raw of names) {
+    const name = raw.trim().replace(/\s+/g, " ").slice(0, MAX_TAG_LENGTH);
+    const lower = name.toLowerCase();
+    if (!name || result.has(lower)) continue;
+    result.set(lower, byName.get(lower) ?? name);
+  }
+
+  return [...result.values()];
+}
+
+// Tags as the transaction queries return them
+export const tagSelect = {
+  select: { id: true, name: true },
+  orderBy: { name: "asc" },
+};
+
+// Creates any of the named tags the user doesn't have yet, within the given
+// database transaction, and returns them all. The results double as Prisma
+// relation references.
+export async function upsertTags(tx, userId, names) {
+  if (names.length === 0) return [];
+
+  await tx.tag.createMany({
+    data: names.map((name) => ({ name, userId })),
+    skipDuplicates: true,
+  });
+
+  return tx.tag.findMany({
+    where: { userId, name: { in: names } },
+    select: { id: true, name: true },
+  });
+}
@@ -0,0 +1,117 @@
+// Filters, sort and page of an account's transaction table, kept in the URL
+// so a view can be shared and survives a refresh
+
+export const TRANSACTION_PAGE_SIZE = 10;
+
+export const TRANSACTION_SORT_FIELDS = ["date", "amount", "category"];
+
+const TYPES = ["INCOME", "EXPENSE", "TRANSFER"];
+const RECURRING = ["recurring", "non-recurring"];
+const STATUSES = ["PENDING", "COMPLETED", "FAILED"];
+
+// URL search param for each query field
+const PARAMS = {
+  search: "q",
+  type: "type",
+  recurring: "recurring",
+  tag: "tag",
+  status: "status",
+  sort: "sort",
+  direction: "dir",
+  after: "after",
+  before: "before",
+};
+
+const DEFAULTS = { sort: "date", direction: "desc" };
+
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+const oneOf = (value, allowed) => (allowed.includes(value) ? value : "");
+
+// The query in a page's search params (as Next passes them, or a
+// URLSearchParams); anything unknown falls back to the default
+export function parseTransactionQuery(params = {}) {
+  const get = (field) =>
+    params instanceof URLSearchParams
+      ? params.get(PARAMS[field])
+      : params[PARAMS[field]];
+
+  return {
+    search: text(get("search")),
+    type: oneOf(get("type"), TYPES),
+    recurring: oneOf(get("recurring"), RECURRING),
+    tag: text(get("tag")),
+    status: oneOf(get("status"), STATUSES),
+    sort: oneOf(get("sort"), TRANSACTION_SORT_FIELDS) || DEFAULTS.sort,
+    direction: get("direction") === "asc" ? "asc" : DEFAULTS.direction,
+    // A page is the one after (or before) the transaction with this id
+    after: text(get("after")),
+    before: text(get("before")),
+  };
+}
+
+// Search params for a query, leaving out empty and default values
+export function toTransactionSearchParams(query) {
+  const params = new URLSearchParams();
+  for (const [field, param] of Object.entries(PARAMS)) {
+    const value = query[field];
+    if (value && value !== DEFAULTS[field]) params.set(param, value);
+  }
+  return params;
+}
+
+export function hasTransactionFilters(query) {
+  return Boolean(
+    query.search || query.type || query.recurring || query.tag || query.status
+  );
+}
+
+// Prisma filter for the query's filters; the caller adds the account or user.
+// Search looks at descriptions, payees and receipt item names.
+export function getTransactionWhere(query) {
+  const where = {};
+
+  if (query.search) {
+    const contains = { contains: query.search, mode: "insensitive" };
+    where.AND = [
+      {
+        OR: [
+          { description: contains },
+          { payee: { name: contains } },
+          { items: { some: { name: contains } } },
+        ],
+      },
+    ];
+  }
+  if (query.type) where.type = query.type;
+  if (query.recurring) where.isRecurring = query.recurring === "recurring";
+  if (query.tag) where.tags = { some: { name: query.tag } };
+  if (query.status) where.status = query.status;
+
+  return where;
+}
+
+// Sort order for the query, with ties broken by entry order and id so pages
+// never overlap. Reversed, it reads the same order backwards, for the page
+// before a cursor. Categories come back grouped by key; getCategoryOrder puts
+// the groups in order.
+export function getTransactionOrderBy(query, { reverse = false } = {}) {
+  const field = TRANSACTION_SORT_FIELDS.includes(query.sort)
+    ? query.sort
+    : DEFAULTS.sort;
+  const direction = (query.direction === "asc") !== reverse ? "asc" : "desc";
+
+  return [{ [field]: direction }, { createdAt: direction }, { id: direction }];
+}
+
+// Category keys in the order a category sort shows them: by the name the
+// user sees (see getCategoryLookup), in the query's direction
+export function getCategoryOrder(keys, getCategory, query) {
+  const ordered = [...new Set(keys)].sort(
+    (a, b) =>
+      getCategory(a).name.localeCompare(getCategory(b).name) ||
+      (a < b ? -1 : a > b ? 1 : 0)
+  );
+
+  return query.direction === "asc" ? ordered : ordered.reverse();
+}
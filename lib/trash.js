@@ -0,0 +1,10 @@
+import { addDays } from "date-fns";
+
+// Days deleted transactions stay in the trash before they are purged
+export const TRASH_RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// When a transaction deleted at the given time will be purged
+export function getPurgeDate(deletedAt) {
+  return addDays(new Date(deletedAt), TRASH_RETENTION_DAYS);
+}
@@ -6,6 +6,15 @@ const isProtectedRoute = createRouteMatcher([
   "/dashboard(.*)",
   "/account(.*)",
   "/transaction(.*)",
+  "/currencies(.*)",
+  "/balances(.*)",
+  "/categories(.*)",
+  "/tags(.*)",
+  "/rules(.*)",
+  "/payees(.*)",
+  "/items(.*)",
+  "/duplicates(.*)",
+  "/trash(.*)",
 ]);
 
 // Create Arcjet middleware
@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "public"."TransactionType" ADD VALUE 'TRANSFER';
+
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "transferAccountId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "transactions_transferAccountId_idx" ON "public"."transactions"("transferAccountId");
+
+-- AddForeignKey
+ALTER TABLE "public"."transactions" ADD CONSTRAINT "transactions_transferAccountId_fkey" FOREIGN KEY ("transferAccountId") REFERENCES "public"."accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
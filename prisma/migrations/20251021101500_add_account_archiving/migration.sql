@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."accounts" ADD COLUMN     "isArchived" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,19 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "public"."AccountType" ADD VALUE 'CREDIT_CARD';
+ALTER TYPE "public"."AccountType" ADD VALUE 'LOAN';
+ALTER TYPE "public"."AccountType" ADD VALUE 'CASH';
+ALTER TYPE "public"."AccountType" ADD VALUE 'WALLET';
+
+-- AlterTable
+ALTER TABLE "public"."accounts" ADD COLUMN     "creditLimit" DECIMAL(65,30),
+ADD COLUMN     "dueDay" INTEGER,
+ADD COLUMN     "interestRate" DECIMAL(65,30),
+ADD COLUMN     "principal" DECIMAL(65,30),
+ADD COLUMN     "statementDay" INTEGER;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "baseCurrency" TEXT NOT NULL DEFAULT 'INR';
+
+-- AlterTable
+ALTER TABLE "public"."accounts" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'INR';
+
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "originalAmount" DECIMAL(65,30),
+ADD COLUMN     "originalCurrency" TEXT,
+ADD COLUMN     "transferAmount" DECIMAL(65,30);
+
+-- CreateTable
+CREATE TABLE "public"."exchange_rates" (
+    "id" TEXT NOT NULL,
+    "fromCurrency" TEXT NOT NULL,
+    "toCurrency" TEXT NOT NULL,
+    "rate" DECIMAL(65,30) NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "exchange_rates_userId_idx" ON "public"."exchange_rates"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_userId_fromCurrency_toCurrency_date_key" ON "public"."exchange_rates"("userId", "fromCurrency", "toCurrency", "date");
+
+-- AddForeignKey
+ALTER TABLE "public"."exchange_rates" ADD CONSTRAINT "exchange_rates_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
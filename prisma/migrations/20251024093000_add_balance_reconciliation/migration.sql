@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "public"."accounts" ADD COLUMN     "balanceCheckedAt" TIMESTAMP(3),
+ADD COLUMN     "balanceDrift" DECIMAL(65,30),
+ADD COLUMN     "openingBalance" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- Backfill opening balances so existing accounts start out reconciled: the
+-- current balance minus the net effect of every transaction on the account
+UPDATE "public"."accounts" AS a
+SET "openingBalance" = a."balance" - COALESCE((
+    SELECT SUM(
+        CASE
+            WHEN t."accountId" = a."id" AND t."type" = 'INCOME' THEN t."amount"
+            WHEN t."accountId" = a."id" THEN -t."amount"
+            ELSE COALESCE(t."transferAmount", t."amount")
+        END
+    )
+    FROM "public"."transactions" AS t
+    WHERE t."accountId" = a."id" OR t."transferAccountId" = a."id"
+), 0);
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "isCleared" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reconciliationId" TEXT,
+ADD COLUMN     "transferCleared" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "transferReconciliationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."reconciliations" (
+    "id" TEXT NOT NULL,
+    "statementDate" TIMESTAMP(3) NOT NULL,
+    "statementBalance" DECIMAL(65,30) NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "reconciliations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reconciliations_accountId_idx" ON "public"."reconciliations"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "public"."transactions" ADD CONSTRAINT "transactions_reconciliationId_fkey" FOREIGN KEY ("reconciliationId") REFERENCES "public"."reconciliations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transactions" ADD CONSTRAINT "transactions_transferReconciliationId_fkey" FOREIGN KEY ("transferReconciliationId") REFERENCES "public"."reconciliations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."reconciliations" ADD CONSTRAINT "reconciliations_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "public"."accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "importId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_accountId_importId_key" ON "public"."transactions"("accountId", "importId");
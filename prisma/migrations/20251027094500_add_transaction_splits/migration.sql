@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "public"."transaction_splits" (
+    "id" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "description" TEXT,
+    "transactionId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transaction_splits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_splits_transactionId_idx" ON "public"."transaction_splits"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "public"."transaction_splits" ADD CONSTRAINT "transaction_splits_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "public"."transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "subcategory" TEXT;
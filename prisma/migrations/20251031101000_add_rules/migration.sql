@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "public"."RulePatternType" AS ENUM ('CONTAINS', 'REGEX');
+
+-- CreateTable
+CREATE TABLE "public"."rules" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "descriptionPattern" TEXT,
+    "patternType" "public"."RulePatternType" NOT NULL DEFAULT 'CONTAINS',
+    "minAmount" DECIMAL(65,30),
+    "maxAmount" DECIMAL(65,30),
+    "type" "public"."TransactionType",
+    "accountId" TEXT,
+    "category" TEXT,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "description" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rules_userId_idx" ON "public"."rules"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."rules" ADD CONSTRAINT "rules_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "public"."accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."rules" ADD CONSTRAINT "rules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "payeeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."payees" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "aliases" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payees_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payees_userId_idx" ON "public"."payees"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payees_userId_name_key" ON "public"."payees"("userId", "name");
+
+-- CreateIndex
+CREATE INDEX "transactions_payeeId_idx" ON "public"."transactions"("payeeId");
+
+-- AddForeignKey
+ALTER TABLE "public"."transactions" ADD CONSTRAINT "transactions_payeeId_fkey" FOREIGN KEY ("payeeId") REFERENCES "public"."payees"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payees" ADD CONSTRAINT "payees_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
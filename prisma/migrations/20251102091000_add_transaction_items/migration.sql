@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "public"."ReceiptItemKind" AS ENUM ('ITEM', 'TAX', 'DISCOUNT');
+
+-- CreateTable
+CREATE TABLE "public"."transaction_items" (
+    "id" TEXT NOT NULL,
+    "kind" "public"."ReceiptItemKind" NOT NULL DEFAULT 'ITEM',
+    "name" TEXT NOT NULL,
+    "quantity" DECIMAL(65,30),
+    "unitPrice" DECIMAL(65,30),
+    "amount" DECIMAL(65,30) NOT NULL,
+    "category" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "transactionId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transaction_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_items_transactionId_idx" ON "public"."transaction_items"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "public"."transaction_items" ADD CONSTRAINT "transaction_items_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "public"."transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "public"."dismissed_duplicates" (
+    "id" TEXT NOT NULL,
+    "pairKey" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dismissed_duplicates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dismissed_duplicates_userId_pairKey_key" ON "public"."dismissed_duplicates"("userId", "pairKey");
+
+-- AddForeignKey
+ALTER TABLE "public"."dismissed_duplicates" ADD CONSTRAINT "dismissed_duplicates_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."transactions" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "transactions_deletedAt_idx" ON "public"."transactions"("deletedAt");
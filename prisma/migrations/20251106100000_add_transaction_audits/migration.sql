@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."AuditAction" AS ENUM ('CREATE', 'UPDATE', 'DELETE', 'RESTORE');
+
+-- CreateEnum
+CREATE TYPE "public"."AuditSource" AS ENUM ('FORM', 'SCAN', 'LIST', 'RECURRING', 'IMPORT');
+
+-- CreateTable
+CREATE TABLE "public"."transaction_audits" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "action" "public"."AuditAction" NOT NULL,
+    "source" "public"."AuditSource" NOT NULL,
+    "before" JSONB,
+    "after" JSONB,
+    "accountIds" TEXT[],
+    "userId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transaction_audits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_audits_transactionId_idx" ON "public"."transaction_audits"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "transaction_audits_accountIds_idx" ON "public"."transaction_audits" USING GIN ("accountIds");
+
+-- CreateIndex
+CREATE INDEX "transaction_audits_userId_idx" ON "public"."transaction_audits"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."transaction_audits" ADD CONSTRAINT "transaction_audits_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transaction_audits" ADD CONSTRAINT "transaction_audits_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
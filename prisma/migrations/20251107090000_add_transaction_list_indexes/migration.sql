@@ -0,0 +1,17 @@
+-- DropIndex
+DROP INDEX "public"."transactions_accountId_idx";
+
+-- DropIndex
+DROP INDEX "public"."transactions_transferAccountId_idx";
+
+-- CreateIndex
+CREATE INDEX "transactions_accountId_date_createdAt_idx" ON "public"."transactions"("accountId", "date", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "transactions_transferAccountId_date_createdAt_idx" ON "public"."transactions"("transferAccountId", "date", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "transactions_accountId_amount_idx" ON "public"."transactions"("accountId", "amount");
+
+-- CreateIndex
+CREATE INDEX "transactions_accountId_category_idx" ON "public"."transactions"("accountId", "category");
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."AuditSource" ADD VALUE 'RULES';
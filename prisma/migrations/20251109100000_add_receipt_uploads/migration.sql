@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "public"."receipt_uploads" (
+    "id" TEXT NOT NULL,
+    "receiptUrl" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "receipt_uploads_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "receipt_uploads_receiptUrl_key" ON "public"."receipt_uploads"("receiptUrl");
+
+-- CreateIndex
+CREATE INDEX "receipt_uploads_createdAt_idx" ON "public"."receipt_uploads"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."receipt_uploads" ADD CONSTRAINT "receipt_uploads_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;